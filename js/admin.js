@@ -10,20 +10,61 @@
     // ========================================
     const API_BASE = '/api';
     const ADMIN_API = '/api/admin';
-    const ADMIN_TOKEN = 'shuttle-admin-2025';
-    const DEMO_CREDENTIALS = {
-        email: 'admin@shuttleplus.com',
-        password: 'admin123'
-    };
 
-    // Admin API helper
-    async function adminFetch(endpoint, options = {}) {
+    // Admin API helper (signed in as a staff member)
+    async function adminFetch(endpoint, options = {}, isRetry = false) {
         const headers = {
             'Content-Type': 'application/json',
-            'X-Admin-Token': ADMIN_TOKEN,
+            'Authorization': `Bearer ${localStorage.getItem('admin_token')}`,
             ...options.headers
         };
-        return fetch(`${ADMIN_API}${endpoint}`, { ...options, headers });
+        const response = await fetch(`${ADMIN_API}${endpoint}`, { ...options, headers });
+
+        // Access token expired - get a new one and try again
+        if (response.status === 401 && !isRetry && await refreshSession()) {
+            return adminFetch(endpoint, options, true);
+        }
+
+        // Session expired or revoked - back to the login screen
+        if (response.status === 401) {
+            handleLogout();
+        }
+        return response;
+    }
+
+    // Swap the refresh token for a new access token. Requests that fail at
+    // the same time share one refresh, since each refresh token works once.
+    let refreshing = null;
+    function refreshSession() {
+        if (!refreshing) {
+            refreshing = requestNewTokens().finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    async function requestNewTokens() {
+        const refreshToken = localStorage.getItem('admin_refresh_token');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${API_BASE}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.ok) {
+                // Another tab may have refreshed first
+                return localStorage.getItem('admin_refresh_token') !== refreshToken;
+            }
+
+            const result = await response.json();
+            localStorage.setItem('admin_token', result.data.token);
+            localStorage.setItem('admin_refresh_token', result.data.refreshToken);
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
     // ========================================
@@ -62,7 +103,7 @@
     // ========================================
     function init() {
         // Check if already logged in
-        if (localStorage.getItem('admin_logged_in')) {
+        if (localStorage.getItem('admin_token')) {
             showDashboard();
         }
 
@@ -125,25 +166,156 @@
     // ========================================
     // Authentication
     // ========================================
-    function handleLogin(e) {
+    // Staff sign in with a password and then a code from their
+    // authenticator app (or a backup code). Staff without 2FA set it up
+    // here first. A device trusted for 30 days skips the code.
+    async function handleLogin(e) {
         e.preventDefault();
         const email = document.getElementById('email').value;
         const password = document.getElementById('password').value;
+        const deviceToken = localStorage.getItem('admin_device_token') || undefined;
 
-        // Demo authentication
-        if (email === DEMO_CREDENTIALS.email && password === DEMO_CREDENTIALS.password) {
-            localStorage.setItem('admin_logged_in', 'true');
-            localStorage.setItem('admin_email', email);
-            showDashboard();
-        } else {
-            showToast('Invalid credentials. Try demo credentials.', 'error');
+        try {
+            const response = await fetch(`${API_BASE}/auth/staff/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password, deviceToken })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                showToast(result.message || 'Invalid email or password', 'error');
+                return;
+            }
+
+            if (result.data.twoFactorEnrollmentRequired) {
+                await startTwoFactorSetup(result.data.challengeToken);
+            } else if (result.data.twoFactorRequired) {
+                showTwoFactorStep('verify', result.data.challengeToken);
+            } else {
+                completeLogin(result.data);
+            }
+        } catch (error) {
+            showToast('Could not sign in. Please check your connection.', 'error');
         }
     }
 
+    async function startTwoFactorSetup(challengeToken) {
+        const response = await fetch(`${API_BASE}/auth/staff/2fa/setup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(result.message || 'Could not start two-factor setup', 'error');
+            return;
+        }
+
+        showTwoFactorStep('enable', challengeToken, result.data);
+    }
+
+    // Swap the login form for a code form: 'enable' finishes setup,
+    // 'verify' is a normal login
+    function showTwoFactorStep(step, challengeToken, enrollment) {
+        const form = document.createElement('form');
+        form.id = 'twoFactorForm';
+        form.innerHTML = `
+            ${enrollment ? `
+                <p>Scan this QR code with your authenticator app, or enter the key <code>${enrollment.secret}</code>, then enter the code it shows.</p>
+                <img src="${enrollment.qrCode}" alt="Authenticator QR code" width="200" height="200">
+            ` : ''}
+            <div class="form-group">
+                <label for="twoFactorCode">${step === 'verify' ? 'Authenticator code or backup code' : 'Authenticator code'}</label>
+                <input type="text" id="twoFactorCode" autocomplete="one-time-code" required>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="trustDevice"> Trust this device for 30 days</label>
+            </div>
+            <button type="submit" class="btn-primary">
+                <i class="fas fa-shield-alt"></i>
+                Verify
+            </button>
+        `;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const code = document.getElementById('twoFactorCode').value.trim();
+            const payload = {
+                challengeToken,
+                code,
+                trustDevice: document.getElementById('trustDevice').checked
+            };
+            if (step === 'verify') {
+                payload.method = /^\d{6}$/.test(code) ? 'totp' : 'backup';
+            }
+
+            try {
+                const response = await fetch(`${API_BASE}/auth/staff/2fa/${step}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+                const result = await response.json();
+
+                if (!response.ok) {
+                    showToast(result.message || 'Invalid code', 'error');
+                    if (result.message?.includes('expired')) resetLoginForm();
+                    return;
+                }
+
+                completeLogin(result.data);
+            } catch (error) {
+                showToast('Could not verify the code. Please check your connection.', 'error');
+            }
+        });
+
+        loginForm.style.display = 'none';
+        loginForm.after(form);
+        document.getElementById('twoFactorCode').focus();
+    }
+
+    function completeLogin(data) {
+        localStorage.setItem('admin_token', data.token);
+        localStorage.setItem('admin_refresh_token', data.refreshToken);
+        localStorage.setItem('admin_email', data.user.email);
+        localStorage.setItem('admin_role', data.user.staffRole);
+        if (data.deviceToken) {
+            localStorage.setItem('admin_device_token', data.deviceToken);
+        }
+        if (data.backupCodes) {
+            alert(`Save these backup codes somewhere safe. Each one works once if you lose your phone:\n\n${data.backupCodes.join('\n')}`);
+        } else if (data.remainingBackupCodes !== undefined) {
+            showToast(`Backup code used. ${data.remainingBackupCodes} left.`, 'warning');
+        }
+
+        resetLoginForm();
+        showDashboard();
+    }
+
+    function resetLoginForm() {
+        document.getElementById('twoFactorForm')?.remove();
+        loginForm.style.display = '';
+        loginForm.reset();
+    }
+
     function handleLogout() {
         stopAutoRefresh();
-        localStorage.removeItem('admin_logged_in');
+
+        // End the session on the server too (not waited for)
+        const token = localStorage.getItem('admin_token');
+        if (token) {
+            fetch(`${API_BASE}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            }).catch(() => {});
+        }
+
+        localStorage.removeItem('admin_token');
+        localStorage.removeItem('admin_refresh_token');
         localStorage.removeItem('admin_email');
+        localStorage.removeItem('admin_role');
         dashboard.style.display = 'none';
         loginScreen.style.display = 'flex';
     }
@@ -186,7 +358,7 @@
     document.addEventListener('visibilitychange', () => {
         if (document.hidden) {
             stopAutoRefresh();
-        } else if (localStorage.getItem('admin_logged_in')) {
+        } else if (localStorage.getItem('admin_token')) {
             startAutoRefresh();
             // Also do an immediate refresh when tab becomes visible
             loadBookings();
@@ -312,6 +484,8 @@
                 document.getElementById('statTodayRevenue').textContent = '$' + (stats.todayRevenue || 0);
                 document.getElementById('statPending').textContent = stats.pendingBookings || 0;
                 document.getElementById('statActiveDrivers').textContent = stats.activeDrivers || drivers.filter(d => d.status === 'available' || d.status === 'on_trip').length;
+                document.getElementById('statOpenDisputes').textContent = stats.openDisputes || 0;
+                document.getElementById('statCashOutstanding').textContent = `ETB ${(stats.cashOutstandingETB || 0).toLocaleString()}`;
                 console.log('[Admin] Stats loaded from server');
                 return;
             }
@@ -329,6 +503,7 @@
         document.getElementById('statTodayRevenue').textContent = '$' + (todayBookings.reduce((sum, b) => sum + (b.pricing?.totalUSD || 0), 0) || 0);
         document.getElementById('statPending').textContent = bookings.filter(b => b.status === 'pending' || b.status === 'confirmed').length || 0;
         document.getElementById('statActiveDrivers').textContent = drivers.filter(d => d.status === 'available' || d.status === 'on_trip').length || 0;
+        document.getElementById('statOpenDisputes').textContent = bookings.filter(b => b.payment?.dispute && !b.payment.dispute.closedAt).length || 0;
     }
 
     function refreshData() {
@@ -2011,7 +2186,7 @@
     const originalInit = init;
     init = function() {
         // Check if already logged in
-        if (localStorage.getItem('admin_logged_in')) {
+        if (localStorage.getItem('admin_token')) {
             showDashboard();
         }
 
@@ -13,13 +13,15 @@
         retryDelay: 1000
     };
 
-    // Auth token storage
+    // Auth token storage (short-lived access token, and the refresh token
+    // that gets a new one)
     let authToken = localStorage.getItem('auth_token');
+    let refreshToken = localStorage.getItem('refresh_token');
 
     // ========================================
     // HTTP Client
     // ========================================
-    async function request(endpoint, options = {}) {
+    async function request(endpoint, options = {}, isRetry = false) {
         const url = `${API_CONFIG.baseUrl}${endpoint}`;
 
         const defaultHeaders = {
@@ -47,6 +49,11 @@
             const response = await fetch(url, config);
             clearTimeout(timeoutId);
 
+            // Access token expired - get a new one and try again
+            if (response.status === 401 && !isRetry && refreshToken && await refreshSession()) {
+                return request(endpoint, options, true);
+            }
+
             // Handle response
             const data = await parseResponse(response);
 
@@ -76,6 +83,44 @@
         }
     }
 
+    // Each refresh token works once, so requests failing together share one refresh
+    let refreshing = null;
+    function refreshSession() {
+        if (!refreshing) {
+            refreshing = requestNewTokens().finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    async function requestNewTokens() {
+        const sentToken = refreshToken;
+        try {
+            const response = await fetch(`${API_CONFIG.baseUrl}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: sentToken })
+            });
+
+            if (!response.ok) {
+                // Another tab may have refreshed first
+                const stored = localStorage.getItem('refresh_token');
+                if (stored && stored !== sentToken) {
+                    authToken = localStorage.getItem('auth_token');
+                    refreshToken = stored;
+                    return true;
+                }
+                clearAuthToken();
+                return false;
+            }
+
+            const result = await response.json();
+            setAuthToken(result.data.token, result.data.refreshToken);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
     async function parseResponse(response) {
         const contentType = response.headers.get('content-type');
         if (contentType && contentType.includes('application/json')) {
@@ -137,18 +182,28 @@
 
         async verifyOTP(phone, otp) {
             const response = await http.post('/auth/verify-otp', { phone, otp });
-            if (response.token) {
-                setAuthToken(response.token);
+            if (response.data?.token) {
+                setAuthToken(response.data.token, response.data.refreshToken);
             }
             return response;
         },
 
-        async login(phone) {
-            const response = await http.post('/auth/login', { phone });
+        // channel: 'sms' (default), or 'whatsapp' / 'email' when the server allows them
+        async login(phone, channel) {
+            const response = await http.post('/auth/login', { phone, channel });
             return response;
         },
 
+        // Another code; the server enforces a cooldown (error.data.retryAfter seconds)
+        async resendOTP(phone, channel) {
+            return http.post('/auth/resend-otp', { phone, channel });
+        },
+
         async logout() {
+            // End the session on the server too; sign out locally either way
+            if (authToken) {
+                await http.post('/auth/logout').catch(() => {});
+            }
             clearAuthToken();
             return { success: true };
         },
@@ -332,14 +387,20 @@
     // ========================================
     // Helper Functions
     // ========================================
-    function setAuthToken(token) {
+    function setAuthToken(token, newRefreshToken) {
         authToken = token;
         localStorage.setItem('auth_token', token);
+        if (newRefreshToken) {
+            refreshToken = newRefreshToken;
+            localStorage.setItem('refresh_token', newRefreshToken);
+        }
     }
 
     function clearAuthToken() {
         authToken = null;
+        refreshToken = null;
         localStorage.removeItem('auth_token');
+        localStorage.removeItem('refresh_token');
     }
 
     function isAuthenticated() {
@@ -32,6 +32,9 @@
             driver = JSON.parse(storedDriver);
             startLocationTracking();
             loadDashboardData();
+            if (window.location.pathname.includes('earnings')) {
+                loadEarnings();
+            }
         } else if (window.location.pathname.includes('dashboard') ||
                    window.location.pathname.includes('trips') ||
                    window.location.pathname.includes('earnings') ||
@@ -49,24 +52,52 @@
     async function login(email, password) {
         try {
             showLoading();
+            const deviceToken = localStorage.getItem('driver_device_token') || undefined;
             const response = await fetch(`${API_BASE}/login`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify({ email, password, deviceToken })
             });
 
-            const data = await response.json();
-
-            if (response.ok) {
-                token = data.token;
-                driver = data.driver;
-                localStorage.setItem('driver_token', token);
-                localStorage.setItem('driver_data', JSON.stringify(driver));
-                localStorage.setItem('driver_logged_in', 'true');
-                window.location.href = '/pages/driver/dashboard.html';
-            } else {
+            let data = await response.json();
+
+            // Drivers with two-factor auth on also enter a code (or a backup code)
+            if (response.ok && data.twoFactorRequired) {
+                hideLoading();
+                const code = (prompt('Enter the code from your authenticator app, or a backup code') || '').trim();
+                if (!code) return;
+                showLoading();
+
+                const codeResponse = await fetch(`${API_BASE}/login/2fa`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        challengeToken: data.challengeToken,
+                        code,
+                        method: /^\d{6}$/.test(code) ? 'totp' : 'backup',
+                        trustDevice: confirm('Trust this device for 30 days?')
+                    })
+                });
+                data = await codeResponse.json();
+                if (!codeResponse.ok) {
+                    showToast(data.error || 'Invalid code', 'error');
+                    return;
+                }
+                if (data.deviceToken) {
+                    localStorage.setItem('driver_device_token', data.deviceToken);
+                }
+            } else if (!response.ok) {
                 showToast(data.error || 'Login failed', 'error');
+                return;
             }
+
+            token = data.token;
+            driver = data.driver;
+            localStorage.setItem('driver_token', token);
+            localStorage.setItem('driver_refresh_token', data.refreshToken);
+            localStorage.setItem('driver_data', JSON.stringify(driver));
+            localStorage.setItem('driver_logged_in', 'true');
+            window.location.href = '/pages/driver/dashboard.html';
         } catch (error) {
             console.error('Login error:', error);
             showToast('Connection error. Please try again.', 'error');
@@ -103,7 +134,16 @@
     }
 
     function logout() {
+        // End the session on the server too (not waited for)
+        if (token) {
+            fetch(`${API_BASE}/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            }).catch(() => {});
+        }
+
         localStorage.removeItem('driver_token');
+        localStorage.removeItem('driver_refresh_token');
         localStorage.removeItem('driver_data');
         localStorage.removeItem('driver_logged_in');
         stopLocationTracking();
@@ -113,7 +153,7 @@
     // ========================================
     // API Helpers
     // ========================================
-    async function apiRequest(endpoint, options = {}) {
+    async function apiRequest(endpoint, options = {}, isRetry = false) {
         const defaultOptions = {
             headers: {
                 'Content-Type': 'application/json',
@@ -127,6 +167,11 @@
             headers: { ...defaultOptions.headers, ...options.headers }
         });
 
+        // Access token expired - get a new one and try again
+        if (response.status === 401 && !isRetry && await refreshSession()) {
+            return apiRequest(endpoint, options, true);
+        }
+
         if (response.status === 401) {
             logout();
             throw new Error('Session expired');
@@ -135,6 +180,45 @@
         return response;
     }
 
+    // Each refresh token works once, so requests failing together share one refresh
+    let refreshing = null;
+    function refreshSession() {
+        if (!refreshing) {
+            refreshing = requestNewTokens().finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    async function requestNewTokens() {
+        const refreshToken = localStorage.getItem('driver_refresh_token');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${API_BASE}/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.ok) {
+                // Another tab may have refreshed first
+                if (localStorage.getItem('driver_refresh_token') !== refreshToken) {
+                    token = localStorage.getItem('driver_token');
+                    return true;
+                }
+                return false;
+            }
+
+            const data = await response.json();
+            token = data.token;
+            localStorage.setItem('driver_token', data.token);
+            localStorage.setItem('driver_refresh_token', data.refreshToken);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
     // ========================================
     // Dashboard Data
     // ========================================
@@ -336,11 +420,17 @@
         showToast('Trip declined');
     }
 
-    async function updateTripStatus(tripId, status, note = '') {
+    async function updateTripStatus(tripId, status, note = '', cashCollected = null) {
+        // Cash trips can't be completed without saying what the passenger paid
+        if (status === 'completed' && !cashCollected && currentTrip?.payment?.method === 'cash') {
+            cashCollected = askCashCollected(currentTrip);
+            if (!cashCollected) return false;
+        }
+
         try {
             const response = await apiRequest(`/trips/${tripId}/status`, {
                 method: 'PUT',
-                body: JSON.stringify({ status, note })
+                body: JSON.stringify({ status, note, cashCollected })
             });
 
             if (response.ok) {
@@ -368,6 +458,23 @@
         }
     }
 
+    function askCashCollected(trip) {
+        const fare = trip.pricing?.totalETB ? `ETB ${trip.pricing.totalETB.toLocaleString()}` : `$${trip.pricing?.totalUSD}`;
+        const answer = prompt(`Cash collected from the passenger (fare ${fare}).\nEnter the amount, e.g. "2500" for ETB or "35 USD":`);
+        if (!answer) return null;
+
+        const match = answer.trim().match(/^([\d.,]+)\s*(ETB|USD|\$)?$/i);
+        if (!match) {
+            showToast('Enter the amount collected, e.g. 2500 or 35 USD', 'error');
+            return null;
+        }
+
+        return {
+            amount: parseFloat(match[1].replace(/,/g, '')),
+            currency: match[2] && match[2].toUpperCase() !== 'ETB' ? 'USD' : 'ETB'
+        };
+    }
+
     // ========================================
     // Status Management
     // ========================================
@@ -501,7 +608,9 @@
     function updateEarningsUI(data) {
         const elements = {
             'totalEarnings': data.earnings?.total?.toLocaleString() || '0',
-            'completedTrips': data.earnings?.trips || '0'
+            'completedTrips': data.earnings?.trips || '0',
+            'cashOnHandBalance': `ETB ${(data.cashOnHand?.balanceETB || 0).toLocaleString()}`,
+            'payoutBalance': `ETB ${(data.balance || 0).toLocaleString()}`
         };
 
         Object.entries(elements).forEach(([id, value]) => {
@@ -720,12 +720,13 @@
         // Save to backend API
         if (navigator.onLine) {
             try {
-                // Use admin endpoint for flexible booking creation
-                const response = await fetch('/api/admin/bookings', {
+                const response = await fetch('/api/bookings', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
-                        'X-Admin-Token': 'shuttle-admin-2025'
+                        ...(localStorage.getItem('auth_token') && {
+                            'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+                        })
                     },
                     body: JSON.stringify(booking)
                 });
@@ -765,33 +766,46 @@
             return;
         }
 
-        // Demo promo codes
-        const validCodes = {
-            'WELCOME10': 10,
-            'SHUTTLE20': 20,
-            'FIRST15': 15
-        };
+        // The server checks the code and works out the discount
+        try {
+            const response = await fetch('/api/pricing/promo/validate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    code,
+                    pickup: typeof bookingData.pickup === 'object' ? bookingData.pickup?.location : bookingData.pickup,
+                    dropoff: typeof bookingData.dropoff === 'object' ? bookingData.dropoff?.location : bookingData.dropoff,
+                    vehicleClass: bookingData.vehicleClass || 'standard',
+                    pickupTime: typeof bookingData.pickup === 'object' ? bookingData.pickup?.scheduledTime : bookingData.pickupTime,
+                    phone: bookingData.contact?.phone
+                })
+            });
+            const result = await response.json();
 
-        if (validCodes[code]) {
-            const discount = validCodes[code];
-            applyDiscount(code, discount);
-            showToast(`${discount}% discount applied!`);
-        } else {
-            showToast('Invalid promo code');
+            if (!response.ok || !result.success) {
+                showToast(result.message || 'Invalid promo code');
+                return;
+            }
+
+            applyDiscount(result.data.code, result.data.discount);
+            showToast(`$${result.data.discount.toFixed(2)} discount applied!`);
+        } catch (error) {
+            console.error('[Payment] Promo validation failed:', error);
+            showToast('Could not check promo code. Please try again.');
         }
     }
 
-    function applyDiscount(code, percent) {
+    function applyDiscount(code, discountUSD) {
         elements.promoWrapper.style.display = 'none';
         elements.promoApplied.style.display = 'flex';
         elements.promoCodeText.textContent = code;
         elements.promoToggle.style.display = 'none';
 
-        // Update pricing
+        // Update pricing - the booking carries the code so the server re-applies it
         if (bookingData && bookingData.pricing) {
-            const discount = (bookingData.pricing.totalUSD * percent) / 100;
-            bookingData.pricing.discount = discount;
-            bookingData.pricing.totalUSD -= discount;
+            bookingData.promoCode = code;
+            bookingData.pricing.discount = discountUSD;
+            bookingData.pricing.totalUSD -= discountUSD;
             bookingData.pricing.totalETB = Math.round(bookingData.pricing.totalUSD * (bookingData.pricing.exchangeRate || 158));
             updateSummary();
         }
@@ -807,6 +821,7 @@
             bookingData.pricing.totalUSD += bookingData.pricing.discount;
             bookingData.pricing.totalETB = Math.round(bookingData.pricing.totalUSD * (bookingData.pricing.exchangeRate || 158));
             delete bookingData.pricing.discount;
+            delete bookingData.promoCode;
             updateSummary();
         }
 
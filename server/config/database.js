@@ -95,6 +95,43 @@ const isConnected = () => {
 // Check if using in-memory mode
 const isMemoryModeActive = () => isMemoryMode;
 
+// Transactions need a replica set or sharded cluster (Atlas is both);
+// standalone servers and the in-memory dev server don't support them
+let transactionSupport = null;
+
+const supportsTransactions = async () => {
+    if (transactionSupport === null) {
+        try {
+            const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+            transactionSupport = !!(hello.setName || hello.msg === 'isdbgrid');
+        } catch (error) {
+            transactionSupport = false;
+        }
+    }
+    return transactionSupport;
+};
+
+// Run fn(session) inside a transaction when supported, otherwise fn(null).
+// Callers must pass the session to every query and throw to abort.
+const withTransaction = async (fn) => {
+    if (!(await supportsTransactions())) {
+        return fn(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
 module.exports = connectDB;
 module.exports.isConnected = isConnected;
 module.exports.isMemoryMode = isMemoryModeActive;
+module.exports.supportsTransactions = supportsTransactions;
+module.exports.withTransaction = withTransaction;
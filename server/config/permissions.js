@@ -0,0 +1,82 @@
+// ========================================
+// Staff Roles & Permissions
+// ========================================
+//
+// Back-office staff are users with role 'admin' and a staffRole. Each
+// route checks one permission with requirePermission() (middleware/auth);
+// which roles hold it is decided here.
+//
+// Permissions are <area>.read (see) or <area>.manage (change):
+//   bookings   - bookings and customers' trips
+//   dispatch   - driver offers and manual dispatch
+//   payments   - refunds, disputes, webhooks, reconciliation
+//   payouts    - driver payouts and cash settlements
+//   drivers    - driver sign-ups, approval and suspension
+//   customers  - customer list
+//   accounts   - corporate accounts and hotel partners, their API keys
+//   billing    - corporate invoices and balances
+//   pricing    - promotions and zones
+//   analytics  - dashboards and reports
+//   audit      - the audit log
+//   system     - background jobs
+//   staff      - staff accounts and roles
+//
+// ========================================
+
+const STAFF_ROLES = ['super_admin', 'dispatcher', 'finance', 'support', 'auditor'];
+
+const AREAS = [
+    'bookings', 'dispatch', 'payments', 'payouts', 'drivers', 'customers', 'accounts',
+    'billing', 'pricing', 'analytics', 'audit', 'system', 'staff'
+];
+
+const ALL_PERMISSIONS = AREAS.flatMap(area => [`${area}.read`, `${area}.manage`]);
+
+const ROLE_PERMISSIONS = {
+    super_admin: ALL_PERMISSIONS,
+
+    dispatcher: [
+        'bookings.read', 'bookings.manage',
+        'dispatch.read', 'dispatch.manage',
+        'drivers.read',
+        'customers.read',
+        'analytics.read'
+    ],
+
+    finance: [
+        'bookings.read',
+        'payments.read', 'payments.manage',
+        'payouts.read', 'payouts.manage',
+        'drivers.read',
+        'customers.read',
+        'accounts.read',
+        'billing.read', 'billing.manage',
+        'pricing.read',
+        'analytics.read'
+    ],
+
+    support: [
+        'bookings.read', 'bookings.manage',
+        'dispatch.read',
+        'payments.read',
+        'drivers.read',
+        'customers.read',
+        'accounts.read'
+    ],
+
+    // Sees everything, changes nothing
+    auditor: ALL_PERMISSIONS.filter(permission => permission.endsWith('.read'))
+};
+
+/**
+ * Does this staff role hold the permission?
+ */
+function roleHasPermission(staffRole, permission) {
+    return (ROLE_PERMISSIONS[staffRole] || []).includes(permission);
+}
+
+module.exports = {
+    STAFF_ROLES,
+    ROLE_PERMISSIONS,
+    roleHasPermission
+};
@@ -0,0 +1,89 @@
+// ========================================
+// Rate Limit Policies
+// ========================================
+//
+// Every limiter in middleware/rateLimit counts requests for one policy
+// and one caller in a fixed window (cacheService.checkRateLimit, shared
+// through Redis when REDIS_URL is set). The caller is identified as:
+//   anonymous          - nobody signed in, counted per IP address
+//   customer / staff   - a signed-in user (staff are role 'admin')
+//   driver             - a signed-in driver
+//   corporate_<tier>   - a corporate API key, by the account's pricingTier
+//   hotel_partner      - a hotel partner API key
+//
+// A policy lists a limit for each of these plans; a plan without a limit
+// falls back to the anonymous one. Policies with byIp are always counted
+// per IP address - they guard sign-in and code sending, where the caller
+// isn't known yet.
+//
+// ========================================
+
+const POLICIES = {
+    // Everything under /api
+    api: {
+        windowSeconds: 15 * 60,
+        limits: {
+            anonymous: 100,
+            customer: 300,
+            driver: 600,
+            staff: 1000
+        },
+        message: 'Too many requests, please try again later'
+    },
+
+    // Sign-in, 2FA and token refresh
+    auth: {
+        windowSeconds: 15 * 60,
+        byIp: true,
+        limits: { anonymous: 10 },
+        message: 'Too many authentication attempts, please try again later'
+    },
+
+    // Routes that send a phone login code
+    otp: {
+        windowSeconds: 60 * 60,
+        byIp: true,
+        limits: { anonymous: 5 },
+        message: 'Too many OTP requests, please try again in an hour'
+    },
+
+    // Flight lookups (preserve the aviation API's free tier)
+    flight: {
+        windowSeconds: 60 * 60,
+        limits: {
+            anonymous: 20,
+            customer: 30,
+            driver: 60,
+            staff: 100
+        },
+        message: 'Flight lookup limit reached, please try again later'
+    },
+
+    // Corporate and hotel partner API keys, per key. A key's own rateLimit,
+    // or the corporate account's apiAccess.rateLimit, replaces the plan's.
+    apiKey: {
+        windowSeconds: 60,
+        limits: {
+            corporate_standard: 100,
+            corporate_silver: 200,
+            corporate_gold: 300,
+            corporate_platinum: 600,
+            corporate_custom: 300,
+            hotel_partner: 100
+        },
+        message: 'Rate limit exceeded for this API key, please try again in a minute'
+    }
+};
+
+/**
+ * The limit a policy gives a plan
+ */
+function getLimit(policyName, plan) {
+    const { limits } = POLICIES[policyName];
+    return limits[plan] ?? limits.anonymous ?? 0;
+}
+
+module.exports = {
+    POLICIES,
+    getLimit
+};
@@ -0,0 +1,96 @@
+// ========================================
+// API Key Authentication Middleware
+// ========================================
+// For the corporate and hotel partner APIs (X-API-Key header). Checks the
+// key, the owner's IP whitelist and the key's rate limit, and records
+// each request against the key in the audit log. Wrong keys count against
+// the caller's IP like failed sign-ins. requireApiScope() then limits a
+// route to keys with the given scope.
+// ========================================
+
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const { consume, consumeApiKey } = require('./rateLimit');
+
+/**
+ * @param {string} ownerType - 'corporate' | 'hotel_partner'
+ * @param {string} requestProperty - Where to put the owner on req
+ *   (req.corporateAccount, req.partner); the key goes on req.apiKey
+ */
+const authenticateApiKey = (ownerType, requestProperty) => async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+
+    if (!apiKey) {
+        return res.status(401).json({ error: 'API key required' });
+    }
+
+    try {
+        const result = await apiKeyService.authenticate(ownerType, apiKey);
+        if (!result) {
+            const attempts = await consume(req, 'auth', {
+                type: 'ip',
+                id: auditService.getClientIP(req) || 'unknown',
+                plan: 'anonymous'
+            });
+            if (!attempts.allowed) {
+                res.set('Retry-After', String(attempts.resetSeconds));
+                return res.status(429).json({
+                    error: 'Too many invalid API keys, please try again later',
+                    code: 'RATE_LIMITED'
+                });
+            }
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        const { owner, key } = result;
+
+        // Check IP whitelist if configured
+        const { allowedIPs } = apiKeyService.getApiSettings(ownerType, owner);
+        if (allowedIPs?.length > 0) {
+            const clientIP = req.ip || req.connection.remoteAddress;
+            if (!allowedIPs.includes(clientIP)) {
+                return res.status(403).json({ error: 'IP not whitelisted' });
+            }
+        }
+
+        const rate = await consumeApiKey(req, ownerType, owner, key);
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+        res.set('X-RateLimit-Reset', String(rate.resetSeconds));
+        if (!rate.allowed) {
+            res.set('Retry-After', String(rate.resetSeconds));
+            return res.status(429).json({
+                error: 'Rate limit exceeded for this API key, please try again in a minute',
+                code: 'RATE_LIMITED'
+            });
+        }
+
+        apiKeyService.recordUsage(key, auditService.getClientIP(req))
+            .catch(error => console.error('[API Key] Usage update failed:', error));
+        res.on('finish', () => auditService.logApiKeyUsed(key, req, res.statusCode));
+
+        req[requestProperty] = owner;
+        req.apiKey = key;
+        next();
+    } catch (error) {
+        console.error('[API Key] Auth error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+/**
+ * Only let keys with this scope through (use after authenticateApiKey)
+ */
+const requireApiScope = (scope) => (req, res, next) => {
+    if (!req.apiKey?.hasScope(scope)) {
+        return res.status(403).json({
+            error: `This API key does not have the ${scope} scope`,
+            code: 'INSUFFICIENT_SCOPE'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    authenticateApiKey,
+    requireApiScope
+};
@@ -2,19 +2,9 @@
 // Authentication Middleware
 // ========================================
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'shuttleplus-secret-key-change-in-production';
-
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign(
-        { userId },
-        JWT_SECRET,
-        { expiresIn: '30d' }
-    );
-};
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
 
 // Verify token and attach user to request
 const authenticate = async (req, res, next) => {
@@ -30,28 +20,29 @@ const authenticate = async (req, res, next) => {
 
         const token = authHeader.split(' ')[1];
 
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            const user = await User.findById(decoded.userId).select('-otp');
-
-            if (!user) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'User not found'
-                });
-            }
+        // Access tokens are short-lived and tied to a session that may have been revoked
+        const access = await sessionService.verifyAccessToken('user', token);
+        if (!access) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
 
-            req.user = user;
-            req.userId = user._id;
-            next();
+        const user = await User.findById(access.subjectId).select('-otp');
 
-        } catch (jwtError) {
+        if (!user) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid or expired token'
+                message: 'User not found'
             });
         }
 
+        req.user = user;
+        req.userId = user._id;
+        req.sessionId = access.sessionId;
+        next();
+
     } catch (error) {
         console.error('Auth middleware error:', error);
         res.status(500).json({
@@ -69,15 +60,15 @@ const optionalAuth = async (req, res, next) => {
         if (authHeader && authHeader.startsWith('Bearer ')) {
             const token = authHeader.split(' ')[1];
 
-            try {
-                const decoded = jwt.verify(token, JWT_SECRET);
-                const user = await User.findById(decoded.userId).select('-otp');
+            // Token invalid or session revoked - we don't fail, just continue without user
+            const access = await sessionService.verifyAccessToken('user', token);
+            if (access) {
+                const user = await User.findById(access.subjectId).select('-otp');
                 if (user) {
                     req.user = user;
                     req.userId = user._id;
+                    req.sessionId = access.sessionId;
                 }
-            } catch (jwtError) {
-                // Token invalid, but we don't fail - just continue without user
             }
         }
 
@@ -100,6 +91,23 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
+// Check the signed-in staff member's role grants a permission (config/permissions).
+// Use after authenticate; denials are written to the audit log.
+const requirePermission = (permission) => (req, res, next) => {
+    if (req.user && req.user.hasPermission(permission)) {
+        return next();
+    }
+
+    auditService.logPermissionDenied(req, permission);
+    return res.status(403).json({
+        success: false,
+        message: req.user?.role === 'admin'
+            ? 'Your staff role does not allow this'
+            : 'Staff access required',
+        permission
+    });
+};
+
 // Check if user is driver
 const requireDriver = (req, res, next) => {
     if (!req.user || req.user.role !== 'driver') {
@@ -112,10 +120,9 @@ const requireDriver = (req, res, next) => {
 };
 
 module.exports = {
-    generateToken,
     authenticate,
     optionalAuth,
     requireAdmin,
-    requireDriver,
-    JWT_SECRET
+    requirePermission,
+    requireDriver
 };
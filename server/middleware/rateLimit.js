@@ -1,60 +1,164 @@
 // ========================================
 // Rate Limiting Middleware
 // ========================================
+// Requests are counted in cacheService (Redis when REDIS_URL is set, so
+// limits survive restarts and are shared between instances) per policy
+// and per caller: IP address, user, driver or API key. The policies and
+// each plan's limits are in config/rateLimits. The first request over a
+// limit in each window is reported to the audit log.
+// ========================================
+
+const cacheService = require('../services/cacheService');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const { POLICIES, getLimit } = require('../config/rateLimits');
+
+// The corporate and partner routers limit their own routes: API key routes
+// per key (apiKeyAuth), the rest with apiLimiter per route
+const API_KEY_PATHS = ['/corporate/', '/partners/'];
+
+function userPlan(role) {
+    return role === 'admin' ? 'staff' : 'customer';
+}
+
+/**
+ * Who a request counts against
+ * @returns {Object} { type, id, plan } - type is ip, user or driver
+ */
+function identify(req, policy) {
+    const ip = auditService.getClientIP(req) || 'unknown';
+    if (policy.byIp) {
+        return { type: 'ip', id: ip, plan: 'anonymous' };
+    }
+
+    if (req.driver) {
+        return { type: 'driver', id: String(req.driver._id), plan: 'driver' };
+    }
+    if (req.user) {
+        return { type: 'user', id: String(req.user._id), plan: userPlan(req.user.role) };
+    }
+
+    // Limiters mostly run before the route authenticates, so go by the
+    // access token's claims (its signature is checked, its session isn't)
+    const authHeader = req.headers.authorization;
+    if (authHeader?.startsWith('Bearer ')) {
+        const claims = sessionService.readAccessToken(authHeader.split(' ')[1]);
+        if (claims?.driverId) {
+            return { type: 'driver', id: String(claims.driverId), plan: 'driver' };
+        }
+        if (claims?.userId) {
+            return { type: 'user', id: String(claims.userId), plan: userPlan(claims.role) };
+        }
+    }
+
+    return { type: 'ip', id: ip, plan: 'anonymous' };
+}
+
+/**
+ * Count a request against a policy
+ * @param {Object} identity - { type, id, plan, limit? } - limit replaces
+ *   the plan's limit
+ * @returns {Object} { allowed, limit, remaining, resetSeconds }
+ */
+async function consume(req, policyName, identity, apiKey = null) {
+    const { windowSeconds } = POLICIES[policyName];
+    const limit = identity.limit || getLimit(policyName, identity.plan);
+
+    const result = await cacheService.checkRateLimit(
+        `${policyName}:${identity.type}:${identity.id}`,
+        limit,
+        windowSeconds
+    );
+
+    // Report once per window rather than for every rejected request
+    if (result.current === limit + 1) {
+        auditService.logRateLimitExceeded(req, {
+            policy: policyName,
+            identity,
+            limit,
+            windowSeconds,
+            apiKey
+        });
+    }
+
+    return result;
+}
 
-const rateLimit = require('express-rate-limit');
+/**
+ * Count a corporate or hotel partner API request against its key. The
+ * key's own rateLimit, else the account's, else its plan's limit.
+ */
+function consumeApiKey(req, ownerType, owner, key) {
+    const plan = ownerType === 'corporate'
+        ? `corporate_${owner.pricingTier || 'standard'}`
+        : ownerType;
+
+    return consume(req, 'apiKey', {
+        type: 'apiKey',
+        id: String(key._id),
+        plan,
+        limit: key.rateLimit || apiKeyService.getApiSettings(ownerType, owner).rateLimit
+    }, key);
+}
+
+/**
+ * Middleware limiting requests under a policy from config/rateLimits
+ * @param {Object} options - { skip(req) } to let some requests through uncounted
+ */
+function createLimiter(policyName, { skip } = {}) {
+    const policy = POLICIES[policyName];
+
+    return async (req, res, next) => {
+        if (skip?.(req)) return next();
+
+        try {
+            const result = await consume(req, policyName, identify(req, policy));
+
+            res.set('RateLimit-Limit', String(result.limit));
+            res.set('RateLimit-Remaining', String(result.remaining));
+            res.set('RateLimit-Reset', String(result.resetSeconds));
+
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.resetSeconds));
+                return res.status(429).json({
+                    success: false,
+                    message: policy.message
+                });
+            }
+        } catch (error) {
+            // Don't turn requests away because the counter is unavailable
+            console.error('[RateLimit] Error:', error);
+        }
+
+        next();
+    };
+}
 
 // General API rate limiter
-const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // 100 requests per window
-    message: {
-        success: false,
-        message: 'Too many requests, please try again later'
-    },
-    standardHeaders: true,
-    legacyHeaders: false
+const apiLimiter = createLimiter('api');
+
+// apiLimiter for everything under /api except the corporate and partner routers
+const globalApiLimiter = createLimiter('api', {
+    skip: req => API_KEY_PATHS.some(path => req.path.startsWith(path))
 });
 
 // Stricter limiter for auth endpoints
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 10, // 10 requests per window
-    message: {
-        success: false,
-        message: 'Too many authentication attempts, please try again later'
-    },
-    standardHeaders: true,
-    legacyHeaders: false
-});
+const authLimiter = createLimiter('auth');
 
-// Very strict limiter for OTP requests
-const otpLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5, // 5 OTP requests per hour
-    message: {
-        success: false,
-        message: 'Too many OTP requests, please try again in an hour'
-    },
-    standardHeaders: true,
-    legacyHeaders: false
-});
+// Very strict limiter for routes that send an OTP
+const otpLimiter = createLimiter('otp');
 
 // Flight API limiter (preserve free tier)
-const flightLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 20, // 20 flight lookups per hour
-    message: {
-        success: false,
-        message: 'Flight lookup limit reached, please try again later'
-    },
-    standardHeaders: true,
-    legacyHeaders: false
-});
+const flightLimiter = createLimiter('flight');
 
-module.exports = apiLimiter;
+module.exports = globalApiLimiter;
 
+module.exports.globalApiLimiter = globalApiLimiter;
 module.exports.apiLimiter = apiLimiter;
 module.exports.authLimiter = authLimiter;
 module.exports.otpLimiter = otpLimiter;
 module.exports.flightLimiter = flightLimiter;
+module.exports.createLimiter = createLimiter;
+module.exports.consume = consume;
+module.exports.consumeApiKey = consumeApiKey;
@@ -0,0 +1,99 @@
+// ========================================
+// API Key Model
+// ========================================
+// Keys corporate accounts and hotel partners use for the partner APIs
+// (X-API-Key header). Only a SHA-256 hash of the key is stored; the key
+// itself is shown once when it is created. The prefix (e.g.
+// sp_corp_1a2b3c4d) stays visible so a key can be recognised in lists
+// and logs. An owner can have several named keys, each limited to the
+// scopes it was given.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    ownerType: {
+        type: String,
+        enum: ['corporate', 'hotel_partner'],
+        required: true
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scopes: [{
+        type: String,
+        enum: ['quote', 'book', 'read-bookings', 'reports', 'account']
+    }],
+
+    // Requests per minute; falls back to the owner's limit, then its plan's
+    // (config/rateLimits), when unset
+    rateLimit: Number,
+
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        email: String
+    },
+
+    // Rotation: the key that replaced this one (this key keeps working
+    // until expiresAt so clients can switch over)
+    rotatedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+
+    // Usage
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: { type: Number, default: 0 },
+
+    createdBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        email: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+// keyHash already indexed via unique in schema
+apiKeySchema.index({ ownerType: 1, ownerId: 1, createdAt: -1 });
+
+// Virtuals
+apiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+apiKeySchema.methods.toJSON = function() {
+    const obj = this.toObject({ virtuals: true });
+    delete obj.keyHash;
+    delete obj.__v;
+    delete obj.id;
+    return obj;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -23,8 +23,24 @@ const auditLogSchema = new mongoose.Schema({
             'auth.password_change',
             'auth.password_reset',
             'auth.token_refresh',
+            'auth.sessions_revoked',
+            'auth.refresh_token_reuse',
+            'auth.otp_failed',
+            'auth.otp_locked',
+            'auth.otp_throttled',
+            'auth.otp_delivery_failed',
+            'auth.otp_fallback_used',
+            'auth.2fa_enrollment_started',
             'auth.2fa_enabled',
             'auth.2fa_disabled',
+            'auth.2fa_verified',
+            'auth.2fa_failed',
+            'auth.2fa_backup_code_used',
+            'auth.2fa_backup_codes_regenerated',
+            'auth.2fa_device_trusted',
+            'auth.2fa_devices_cleared',
+            'auth.2fa_reset',
+            'auth.permission_denied',
 
             // User events
             'user.created',
@@ -39,6 +55,7 @@ const auditLogSchema = new mongoose.Schema({
             'booking.cancelled',
             'booking.status_changed',
             'booking.driver_assigned',
+            'booking.dispatch_escalated',
             'booking.completed',
 
             // Payment events
@@ -46,6 +63,8 @@ const auditLogSchema = new mongoose.Schema({
             'payment.completed',
             'payment.failed',
             'payment.refunded',
+            'payment.adjusted',
+            'payment.disputed',
 
             // Driver events
             'driver.created',
@@ -54,6 +73,8 @@ const auditLogSchema = new mongoose.Schema({
             'driver.location_updated',
             'driver.trip_started',
             'driver.trip_completed',
+            'driver.cash_collected',
+            'driver.cash_settled',
 
             // Corporate events
             'corporate.created',
@@ -62,6 +83,14 @@ const auditLogSchema = new mongoose.Schema({
             'corporate.suspended',
             'corporate.user_added',
             'corporate.user_removed',
+            'corporate.invoice_issued',
+            'corporate.invoice_paid',
+            'corporate.invoice_voided',
+            'corporate.booking_approval_requested',
+            'corporate.booking_approved',
+            'corporate.booking_rejected',
+            'corporate.balance_topped_up',
+            'corporate.balance_adjusted',
 
             // Admin events
             'admin.settings_changed',
@@ -79,7 +108,9 @@ const auditLogSchema = new mongoose.Schema({
             // API events
             'api.rate_limit_exceeded',
             'api.key_created',
+            'api.key_rotated',
             'api.key_revoked',
+            'api.key_used',
 
             // Other
             'other'
@@ -195,8 +226,9 @@ auditLogSchema.index({ category: 1, severity: 1, createdAt: -1 });
 // TTL index for automatic cleanup (default 90 days)
 auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// Pre-save: Set category from eventType
-auditLogSchema.pre('save', function(next) {
+// Pre-validate: Set category from eventType (category is required,
+// so this has to run before validation rather than on save)
+auditLogSchema.pre('validate', function(next) {
     if (!this.category && this.eventType) {
         this.category = this.eventType.split('.')[0];
     }
@@ -249,6 +281,13 @@ auditLogSchema.statics.getSecurityEvents = function(startDate, endDate) {
         'auth.password_reset',
         'user.permissions_changed',
         'admin.user_impersonation',
+        'auth.permission_denied',
+        'auth.2fa_failed',
+        'auth.2fa_disabled',
+        'auth.2fa_reset',
+        'auth.refresh_token_reuse',
+        'auth.otp_locked',
+        'auth.otp_throttled',
         'api.rate_limit_exceeded'
     ];
 
@@ -0,0 +1,85 @@
+// ========================================
+// Balance Transaction Model
+// ========================================
+// Ledger of every change to a corporate account's balance
+// (CorporateAccount.billing.currentBalance): top-ups paid by card or
+// Telebirr, auto-recharges, trips charged to the account and refunded
+// when cancelled, waiting time and extra stops charged when a trip ends,
+// invoice payments on credit accounts and admin adjustments. Amounts are in the account's billing currency.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const balanceTransactionSchema = new mongoose.Schema({
+    corporateAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CorporateAccount',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['top_up', 'auto_recharge', 'booking_charge', 'booking_adjustment', 'booking_refund', 'invoice_payment', 'adjustment'],
+        required: true
+    },
+    // Top-ups are pending until the payment provider confirms them
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'completed'
+    },
+    // Change to the balance (negative for charges)
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        enum: ['USD', 'ETB'],
+        default: 'USD'
+    },
+    balanceAfter: Number,
+
+    // Top-ups
+    provider: {
+        type: String,
+        enum: ['stripe', 'telebirr']
+    },
+    reference: String, // PaymentIntent ID / Telebirr outTradeNo / invoice number / adjustment reference
+    failureReason: String,
+    completedAt: Date,
+
+    // Trip charges and refunds
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookingReference: String,
+
+    note: String,
+    recordedBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        email: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+balanceTransactionSchema.index({ corporateAccountId: 1, createdAt: -1 });
+balanceTransactionSchema.index({ reference: 1 }, { sparse: true }); // Provider callbacks
+// A trip is charged (and refunded) at most once
+balanceTransactionSchema.index(
+    { bookingId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { bookingId: { $exists: true } } }
+);
+
+balanceTransactionSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const BalanceTransaction = mongoose.model('BalanceTransaction', balanceTransactionSchema);
+
+module.exports = BalanceTransaction;
@@ -32,10 +32,12 @@ const bookingSchema = new mongoose.Schema({
         },
         airline: String,
         scheduledTime: Date,
+        estimatedTime: Date, // Latest ETA from flight tracking
         actualTime: Date,
+        delayMinutes: Number,
         status: {
             type: String,
-            enum: ['scheduled', 'delayed', 'landed', 'departed', 'cancelled', 'unknown'],
+            enum: ['scheduled', 'delayed', 'in_flight', 'landed', 'departed', 'cancelled', 'unknown'],
             default: 'scheduled'
         },
         lastChecked: Date,
@@ -58,6 +60,7 @@ const bookingSchema = new mongoose.Schema({
             type: Date,
             required: true
         },
+        originalScheduledTime: Date, // Set when the pickup is first moved for a flight change
         actualTime: Date,
         notes: String
     },
@@ -71,8 +74,7 @@ const bookingSchema = new mongoose.Schema({
         address: String,
         zone: {
             type: Number,
-            min: 1,
-            max: 5
+            min: 1
         },
         coordinates: {
             lat: Number,
@@ -150,7 +152,28 @@ const bookingSchema = new mongoose.Schema({
             enum: ['USD', 'ETB'],
             default: 'USD'
         },
-        exchangeRate: Number
+        exchangeRate: Number,
+        // Channel the fare was priced for and its itemised breakdown
+        channel: {
+            type: String,
+            enum: ['public', 'corporate', 'partner', 'group']
+        },
+        subtotalUSD: Number,
+        lineItems: [{
+            _id: false,
+            type: { type: String },
+            label: String,
+            amountUSD: Number,
+            amountETB: Number,
+            adjustment: Boolean // Added at trip completion (waiting time, extra stops)
+        }],
+        // Zone the fare came from (number is null for distance fares)
+        zone: {
+            number: Number,
+            name: String,
+            matchedBy: String,
+            distanceKm: Number
+        }
     },
 
     // Driver Assignment
@@ -173,10 +196,30 @@ const bookingSchema = new mongoose.Schema({
         rating: Number
     },
 
+    // Automatic Dispatch
+    dispatch: {
+        status: {
+            type: String,
+            enum: ['searching', 'offered', 'assigned', 'escalated']
+        },
+        startedAt: Date,
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        triedDrivers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Driver'
+        }],
+        escalatedAt: Date,
+        escalationReason: String
+    },
+
     // Status Tracking
     status: {
         type: String,
         enum: [
+            'pending_approval', // Corporate booking waiting on an approver
             'pending',
             'confirmed',
             'driver_assigned',
@@ -200,6 +243,51 @@ const bookingSchema = new mongoose.Schema({
         updatedBy: String
     }],
 
+    // What actually happened on the trip (billed at completion)
+    trip: {
+        waitingStartedAt: Date,
+        waitingMinutes: Number,
+        unplannedStops: [{
+            location: String,
+            coordinates: {
+                lat: Number,
+                lng: Number
+            },
+            note: String,
+            recordedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        chargesAppliedAt: Date
+    },
+
+    // Driver's share of the fare, fixed when the trip completes and paid
+    // out in the weekly payout (cash trips are kept by the driver instead)
+    driverEarnings: {
+        ownershipType: String, // Vehicle.ownershipType the commission was taken for
+        commissionPercent: Number,
+        fareETB: Number,
+        commissionETB: Number,
+        amountETB: Number,
+        paidInCash: Boolean,
+        earnedAt: Date,
+        payoutId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payout'
+        }
+    },
+
+    // Promo code applied to pricing.discount
+    promotion: {
+        promotionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        code: String,
+        discountUSD: Number
+    },
+
     // Payment
     payment: {
         method: {
@@ -209,12 +297,67 @@ const bookingSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['pending', 'processing', 'paid', 'failed', 'refunded'],
+            enum: ['pending', 'processing', 'authorized', 'paid', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
             default: 'pending'
         },
         transactionId: String,
+        telebirrTradeNo: String,
+        stripePaymentId: String,
+        failureReason: String, // Last payment error from the provider
+        // Saved card for charges added after the trip
+        stripeCustomerId: String,
+        stripePaymentMethodId: String,
+        amount: Number,
+        currency: String,
         paidAt: Date,
-        receiptUrl: String
+        receiptUrl: String,
+        // Card hold (fare plus margin) captured when the trip ends
+        authorizedAmount: Number,
+        authorizedAt: Date,
+        refundedAmount: Number, // Total of all refunds so far
+
+        // Latest refund (on cancellation or by an admin)
+        refund: {
+            amount: Number,
+            currency: String,
+            tier: {
+                type: String,
+                enum: ['full', 'partial', 'none', 'manual']
+            },
+            status: {
+                type: String,
+                enum: ['requested', 'processing', 'succeeded', 'failed'] // requested: claimed, provider not answered yet
+            },
+            provider: String,
+            reference: String, // Stripe refund ID / Telebirr outRefundNo
+            requestedAt: Date,
+            failureReason: String
+        },
+
+        // Waiting time / extra stop charges settled after the trip
+        adjustment: {
+            amount: Number,
+            currency: String,
+            status: {
+                type: String,
+                enum: ['processing', 'paid', 'cash_due', 'invoiced']
+            },
+            reference: String, // Stripe PaymentIntent ID
+            settledAt: Date,
+            failureReason: String
+        },
+
+        // Card dispute (chargeback) raised with Stripe
+        dispute: {
+            id: String,
+            status: String, // Stripe dispute status, e.g. needs_response, won, lost
+            reason: String,
+            amount: Number,
+            currency: String,
+            openedAt: Date,
+            evidenceDueBy: Date,
+            closedAt: Date
+        }
     },
 
     // Notifications Sent
@@ -229,9 +372,12 @@ const bookingSchema = new mongoose.Schema({
                 'driver_arrived',
                 'flight_delay',
                 'cancellation',
-                'receipt'
+                'receipt',
+                'trip_reminder',
+                'trip_completed'
             ]
         },
+        reminderType: String, // '24h', '2h' or '30m' for trip reminders
         channel: {
             type: String,
             enum: ['push', 'sms', 'whatsapp', 'email', 'multi']
@@ -261,11 +407,60 @@ const bookingSchema = new mongoose.Schema({
         ref: 'CorporateAccount'
     },
     corporateReference: String,
+    costCenter: String, // CorporateAccount.bookingSettings.costCenters code
+    projectCode: String,
+    poNumber: String, // Purchase order (required when billing.requirePO is set)
+    invoiceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+
+    // Corporate approval (CorporateAccount.bookingSettings.requireApproval)
+    approval: {
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected']
+        },
+        requestedBy: {
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            name: String,
+            email: String
+        },
+        requestedAt: Date,
+        // Who was asked; each approver's email link carries their own token
+        approvers: [{
+            _id: false,
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            email: String,
+            tokenHash: String,
+            notifiedAt: Date,
+            expiresAt: Date // The email link stops working after this
+        }],
+        staffReview: Boolean, // The booker is the account's only approver, so staff decide
+        decidedBy: {
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            email: String
+        },
+        decidedAt: Date,
+        reason: String
+    },
+
+    // Corporate policy (CorporateAccount.bookingSettings) checked at booking time
+    policy: {
+        outOfPolicy: Boolean, // Booked anyway with a justification, so it went to approval
+        violations: [{
+            _id: false,
+            rule: String,
+            message: String
+        }],
+        justification: String,
+        costCenterCharged: Number // Added to the cost center's spent; given back on cancellation
+    },
 
     // Meta
     source: {
         type: String,
-        enum: ['web', 'pwa', 'phone', 'partner'],
+        enum: ['web', 'pwa', 'phone', 'partner', 'corporate'],
         default: 'web'
     },
     ipAddress: String,
@@ -291,6 +486,12 @@ bookingSchema.index({ 'driver.driverId': 1, status: 1 }); // Driver's active tri
 bookingSchema.index({ 'payment.status': 1, status: 1 }); // Unpaid bookings
 bookingSchema.index({ 'flight.number': 1, 'flight.scheduledTime': 1 }); // Flight lookup
 bookingSchema.index({ 'payment.transactionId': 1 }); // Payment lookup
+bookingSchema.index({ 'dispatch.status': 1 }); // Escalated dispatch queue
+bookingSchema.index({ 'payment.dispute.status': 1 }); // Open disputes
+bookingSchema.index({ 'driver.driverId': 1, 'driverEarnings.payoutId': 1, 'driverEarnings.earnedAt': 1 }); // Unpaid driver earnings
+bookingSchema.index({ corporateAccountId: 1, invoiceId: 1, 'pickup.scheduledTime': 1 }); // Uninvoiced corporate trips
+bookingSchema.index({ corporateAccountId: 1, status: 1, 'pickup.scheduledTime': 1 }); // Approval queue
+bookingSchema.index({ 'approval.approvers.tokenHash': 1 }, { sparse: true }); // Email approval links
 
 // Virtual for checking if booking is upcoming
 bookingSchema.virtual('isUpcoming').get(function() {
@@ -299,8 +500,10 @@ bookingSchema.virtual('isUpcoming').get(function() {
 });
 
 // Pre-save hook to add status history
+// (transitions already record their own entry with note and updatedBy)
 bookingSchema.pre('save', function(next) {
-    if (this.isModified('status')) {
+    const latest = this.statusHistory[this.statusHistory.length - 1];
+    if (this.isModified('status') && latest?.status !== this.status) {
         this.statusHistory.push({
             status: this.status,
             timestamp: new Date()
@@ -310,34 +513,42 @@ bookingSchema.pre('save', function(next) {
 });
 
 // Instance methods
-bookingSchema.methods.updateStatus = function(newStatus, note = '', updatedBy = 'system') {
-    this.status = newStatus;
-    this.statusHistory.push({
-        status: newStatus,
-        timestamp: new Date(),
-        note,
-        updatedBy
-    });
-    return this.save();
+// Update status through the booking state machine (required lazily to avoid a load cycle)
+bookingSchema.methods.updateStatus = function(newStatus, note = '', updatedBy = 'system', context = {}) {
+    const bookingStateMachine = require('../services/bookingStateMachine');
+    return bookingStateMachine.transition(this, newStatus, { actor: updatedBy, note, ...context });
 };
 
-bookingSchema.methods.assignDriver = function(driver, vehicle) {
+// The priced fare (booking.pricing, with any trip charges already added) in a
+// payment currency - what the customer is charged, whatever the client sends
+bookingSchema.methods.getFareAmount = function(currency = 'USD') {
+    const { totalUSD, totalETB, exchangeRate } = this.pricing || {};
+    if (currency === 'ETB') {
+        return totalETB || Math.round((totalUSD || 0) * (exchangeRate || 0));
+    }
+    return totalUSD || 0;
+};
+
+bookingSchema.methods.assignDriver =function(driver, vehicle, updatedBy = 'system') {
+    const name = driver.fullName || driver.name;
+
     this.driver = {
         driverId: driver._id,
-        name: driver.name,
+        name,
         phone: driver.phone,
-        photo: driver.photo,
-        vehiclePlate: vehicle.plateNumber,
-        vehicleModel: `${vehicle.make} ${vehicle.model}`,
-        vehicleColor: vehicle.color,
-        rating: driver.rating
+        photo: driver.profilePhoto || driver.photo,
+        vehiclePlate: vehicle?.licensePlate || 'N/A',
+        vehicleModel: vehicle ? `${vehicle.make} ${vehicle.model}` : 'N/A',
+        vehicleColor: vehicle?.color || 'N/A',
+        rating: driver.rating?.average ?? driver.rating
     };
-    return this.updateStatus('driver_assigned', `Driver ${driver.name} assigned`);
+    return this.updateStatus('driver_assigned', `Driver ${name} assigned`, updatedBy);
 };
 
 bookingSchema.methods.toJSON = function() {
     const obj = this.toObject();
     delete obj.__v;
+    obj.approval?.approvers?.forEach(approver => delete approver.tokenHash);
     return obj;
 };
 
@@ -0,0 +1,79 @@
+// ========================================
+// Cash Ledger Entry Model
+// ========================================
+// What each driver owes the company for cash they collected. A cash
+// trip adds the company's share of the fare; a settlement (cash the
+// driver hands in, or a deduction from their payout) takes it off. The running balance is kept on
+// Driver.cashOnHand.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const cashLedgerEntrySchema = new mongoose.Schema({
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['cash_trip', 'settlement'],
+        required: true
+    },
+    // Change to what the driver owes, in ETB (negative when they pay in,
+    // or when they collected less than their own share of the fare)
+    amountETB: {
+        type: Number,
+        required: true
+    },
+    balanceAfterETB: Number,
+
+    // Cash trips
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookingReference: String,
+    collected: {
+        amount: Number,
+        currency: {
+            type: String,
+            enum: ['ETB', 'USD']
+        },
+        amountETB: Number,
+        exchangeRate: Number
+    },
+    fareETB: Number, // What the passenger should have paid in cash
+    commissionPercent: Number,
+    driverShareETB: Number,
+    tipETB: Number, // Collected above the fare - kept by the driver
+
+    // Settlements
+    method: {
+        type: String,
+        enum: ['cash', 'bank_transfer', 'telebirr', 'payout_deduction']
+    },
+    reference: String, // Receipt / transfer number / payout number
+    note: String,
+    recordedBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        email: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+cashLedgerEntrySchema.index({ driverId: 1, createdAt: -1 });
+cashLedgerEntrySchema.index({ bookingId: 1, type: 1 });
+
+cashLedgerEntrySchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const CashLedgerEntry = mongoose.model('CashLedgerEntry', cashLedgerEntrySchema);
+
+module.exports = CashLedgerEntry;
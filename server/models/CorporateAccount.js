@@ -137,19 +137,29 @@ const corporateAccountSchema = new mongoose.Schema({
             type: Number,
             default: 30 // Days
         },
+        // Most a credit or postpaid account can owe (0 on postpaid means no cap)
         creditLimit: {
             type: Number,
             default: 0
         },
+        // Moved only through corporateBalanceService, which keeps the ledger (BalanceTransaction)
         currentBalance: {
             type: Number,
             default: 0
         },
+        // Charge the saved card when the available balance drops below threshold
         autoRecharge: {
             enabled: { type: Boolean, default: false },
             threshold: Number,
-            amount: Number
+            amount: Number,
+            inProgress: { type: Boolean, default: false },
+            lastFailedAt: Date,
+            lastFailureReason: String
         },
+        lowBalanceThreshold: Number, // Email the account admins when the available balance drops below this
+        // Card saved from a Stripe top-up, charged by auto-recharge
+        stripeCustomerId: String,
+        stripePaymentMethodId: String,
         invoiceEmail: String,
         requirePO: { type: Boolean, default: false } // Require purchase order number
     },
@@ -252,16 +262,13 @@ const corporateAccountSchema = new mongoose.Schema({
         autoRenew: { type: Boolean, default: true }
     },
 
-    // API access
+    // API access (keys are ApiKey documents, see services/apiKeyService)
     apiAccess: {
         enabled: { type: Boolean, default: false },
-        apiKey: String,
+        apiKey: String, // Legacy plaintext key - moved to an ApiKey on first use
         webhookUrl: String,
         allowedIPs: [String],
-        rateLimit: {
-            type: Number,
-            default: 100 // Requests per minute
-        }
+        rateLimit: Number // Requests per minute for keys without their own limit, instead of the pricing tier's (config/rateLimits)
     },
 
     // Notes and metadata
@@ -345,26 +352,22 @@ corporateAccountSchema.methods.getCustomRate = function (zoneFrom, zoneTo, vehic
     return customRate?.rate || null;
 };
 
-corporateAccountSchema.methods.hasCredit = function (amount) {
+/**
+ * What the account can still spend: the balance on prepaid accounts, the
+ * balance plus the credit limit otherwise (Infinity for uncapped postpaid)
+ */
+corporateAccountSchema.methods.getAvailableCredit = function () {
     if (this.billing.method === 'prepaid') {
-        return this.billing.currentBalance >= amount;
+        return this.billing.currentBalance;
     }
-    if (this.billing.method === 'credit') {
-        return (this.billing.currentBalance + this.billing.creditLimit) >= amount;
+    if (this.billing.method === 'postpaid' && !this.billing.creditLimit) {
+        return Infinity;
     }
-    return true; // Postpaid
+    return this.billing.currentBalance + this.billing.creditLimit;
 };
 
-corporateAccountSchema.methods.deductBalance = function (amount) {
-    this.billing.currentBalance -= amount;
-    this.stats.totalSpent += amount;
-    this.stats.currentMonthSpent += amount;
-    return this.save();
-};
-
-corporateAccountSchema.methods.addBalance = function (amount) {
-    this.billing.currentBalance += amount;
-    return this.save();
+corporateAccountSchema.methods.hasCredit = function (amount) {
+    return this.getAvailableCredit() >= amount;
 };
 
 corporateAccountSchema.methods.recordBooking = function (amount) {
@@ -375,12 +378,6 @@ corporateAccountSchema.methods.recordBooking = function (amount) {
     return this.save();
 };
 
-corporateAccountSchema.methods.generateApiKey = function () {
-    this.apiAccess.apiKey = `sp_corp_${uuidv4().replace(/-/g, '')}`;
-    this.apiAccess.enabled = true;
-    return this.save();
-};
-
 corporateAccountSchema.methods.hasPermission = function (userId, permission) {
     const user = this.users.find(u =>
         u.userId?.toString() === userId?.toString() || u.email === userId
@@ -397,14 +394,6 @@ corporateAccountSchema.statics.findByUser = function (userId) {
     return this.findOne({ 'users.userId': userId, status: 'active' });
 };
 
-corporateAccountSchema.statics.findByApiKey = function (apiKey) {
-    return this.findOne({
-        'apiAccess.apiKey': apiKey,
-        'apiAccess.enabled': true,
-        status: 'active'
-    });
-};
-
 // Pre-save: Reset monthly stats at month start
 corporateAccountSchema.pre('save', function (next) {
     if (this.isNew) {
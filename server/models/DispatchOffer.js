@@ -0,0 +1,81 @@
+// ========================================
+// Dispatch Offer Model
+// ========================================
+// One document per trip offer sent to a driver by the dispatch
+// engine. Declines and timeouts are kept so acceptance rates are
+// based on real offer history.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const dispatchOfferSchema = new mongoose.Schema({
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    bookingReference: String,
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+
+    // Position in the offer sequence for this booking (1 = first choice)
+    attempt: {
+        type: Number,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['offered', 'accepted', 'declined', 'expired', 'cancelled'],
+        default: 'offered'
+    },
+
+    offeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: Date,
+    declineReason: String,
+
+    // Ranking snapshot at offer time
+    score: Number,
+    distanceMeters: Number
+}, {
+    timestamps: true
+});
+
+// Indexes
+dispatchOfferSchema.index({ bookingId: 1, status: 1 });
+dispatchOfferSchema.index({ driverId: 1, status: 1 });
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 }); // Timeout sweep
+
+// Check if the offer can still be answered
+dispatchOfferSchema.methods.isOpen = function() {
+    return this.status === 'offered' && this.expiresAt > new Date();
+};
+
+// Find the open offer for a booking
+dispatchOfferSchema.statics.findOpenForBooking = function(bookingId) {
+    return this.findOne({
+        bookingId,
+        status: 'offered',
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+dispatchOfferSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const DispatchOffer = mongoose.model('DispatchOffer', dispatchOfferSchema);
+
+module.exports = DispatchOffer;
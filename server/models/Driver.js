@@ -24,6 +24,25 @@ const driverSchema = new mongoose.Schema({
         required: true
     },
 
+    // Two-factor authentication (services/twoFactorService)
+    twoFactorAuth: {
+        enabled: { type: Boolean, default: false },
+        method: { type: String, enum: ['totp'] },
+        secret: String, // TOTP secret, encrypted
+        pendingSecret: String, // Until the first code confirms enrollment
+        backupCodes: [{
+            hashedCode: String,
+            used: { type: Boolean, default: false }
+        }],
+        trustedDevices: [{
+            token: String, // SHA-256 of the device token
+            label: String,
+            expiresAt: Date,
+            createdAt: Date
+        }],
+        enabledAt: Date
+    },
+
     // Personal Info
     firstName: {
         type: String,
@@ -125,7 +144,18 @@ const driverSchema = new mongoose.Schema({
         default: 100
     },
 
-    // Earnings
+    // Dispatch offer outcomes (acceptanceRate is derived from these)
+    dispatchStats: {
+        offered: { type: Number, default: 0 },
+        accepted: { type: Number, default: 0 },
+        declined: { type: Number, default: 0 },
+        expired: { type: Number, default: 0 },
+        lastOfferAt: Date
+    },
+
+    // Earnings - the driver's share after commission, in ETB. currentWeek
+    // and currentMonth are reset by the payout jobs; balance is what hasn't
+    // been put on a payout yet.
     earnings: {
         currentWeek: {
             type: Number,
@@ -146,6 +176,16 @@ const driverSchema = new mongoose.Schema({
         }
     },
 
+    // Cash collected from passengers still owed to the company (see CashLedgerEntry)
+    cashOnHand: {
+        balanceETB: {
+            type: Number,
+            default: 0
+        },
+        lastCollectedAt: Date,
+        lastSettlementAt: Date
+    },
+
     // Bank Details for Payouts
     bankDetails: {
         bankName: String,
@@ -219,6 +259,7 @@ const driverSchema = new mongoose.Schema({
 // email already indexed via unique in schema
 driverSchema.index({ location: '2dsphere' }); // Geospatial index for location queries
 driverSchema.index({ status: 1, onlineStatus: 1 });
+driverSchema.index({ 'cashOnHand.balanceETB': -1 }); // Outstanding cash
 
 // Virtual for full name
 driverSchema.virtual('fullName').get(function() {
@@ -263,6 +304,25 @@ driverSchema.methods.updateLocation = async function(longitude, latitude, headin
     await this.save();
 };
 
+// Record a dispatch offer event ('offered', 'accepted', 'declined' or 'expired')
+driverSchema.statics.recordOfferOutcome = async function(driverId, outcome) {
+    const update = { $inc: { [`dispatchStats.${outcome}`]: 1 } };
+    if (outcome === 'offered') {
+        update.$set = { 'dispatchStats.lastOfferAt': new Date() };
+    }
+
+    const driver = await this.findByIdAndUpdate(driverId, update, { new: true });
+    if (!driver || outcome === 'offered') return driver;
+
+    // Acceptance rate over answered (or timed out) offers
+    const { accepted, declined, expired } = driver.dispatchStats;
+    const answered = accepted + declined + expired;
+    driver.acceptanceRate = Math.round((accepted / answered) * 100);
+    await this.updateOne({ _id: driverId }, { $set: { acceptanceRate: driver.acceptanceRate } });
+
+    return driver;
+};
+
 // Find nearby drivers
 driverSchema.statics.findNearby = async function(longitude, latitude, maxDistance = 10000) {
     return this.find({
@@ -281,7 +341,16 @@ driverSchema.statics.findNearby = async function(longitude, latitude, maxDistanc
 };
 
 // Ensure virtual fields are serialized
-driverSchema.set('toJSON', { virtuals: true });
+driverSchema.set('toJSON', {
+    virtuals: true,
+    // Never send the 2FA secret, backup codes or trusted devices
+    transform: (doc, ret) => {
+        if (ret.twoFactorAuth) {
+            ret.twoFactorAuth = { enabled: ret.twoFactorAuth.enabled, enabledAt: ret.twoFactorAuth.enabledAt };
+        }
+        return ret;
+    }
+});
 driverSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Driver', driverSchema);
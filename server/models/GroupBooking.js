@@ -171,6 +171,10 @@ const groupBookingSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'CorporateAccount'
     },
+    // Corporate billing codes, copied onto each passenger's booking
+    costCenter: String,
+    projectCode: String,
+    poNumber: String,
 
     // Communication
     communications: [{
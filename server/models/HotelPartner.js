@@ -35,7 +35,7 @@ const hotelPartnerSchema = new mongoose.Schema({
         city: { type: String, default: 'Addis Ababa' },
         region: String,
         country: { type: String, default: 'Ethiopia' },
-        zone: { type: Number, min: 1, max: 5 }, // Pricing zone
+        zone: { type: Number, min: 1 }, // Pricing zone (see Zone model)
         coordinates: {
             lat: Number,
             lng: Number
@@ -63,10 +63,10 @@ const hotelPartnerSchema = new mongoose.Schema({
         }
     },
 
-    // API access
+    // API access (keys are ApiKey documents, see services/apiKeyService)
     api: {
         enabled: { type: Boolean, default: false },
-        apiKey: String,
+        apiKey: String, // Legacy plaintext key - moved to an ApiKey on first use
         webhookUrl: String,
         allowedIPs: [String],
         sandboxMode: { type: Boolean, default: true }
@@ -168,12 +168,6 @@ hotelPartnerSchema.index({ status: 1 });
 hotelPartnerSchema.index({ 'location.zone': 1 });
 
 // Methods
-hotelPartnerSchema.methods.generateApiKey = function() {
-    this.api.apiKey = `sp_htl_${uuidv4().replace(/-/g, '')}`;
-    this.api.enabled = true;
-    return this.save();
-};
-
 hotelPartnerSchema.methods.calculateCommission = function(bookingAmount) {
     if (this.commission.model === 'flat') {
         return this.commission.flatFee || 0;
@@ -217,15 +211,6 @@ hotelPartnerSchema.methods.recordBooking = function(amount, commission) {
     return this.save();
 };
 
-// Statics
-hotelPartnerSchema.statics.findByApiKey = function(apiKey) {
-    return this.findOne({
-        'api.apiKey': apiKey,
-        'api.enabled': true,
-        status: 'active'
-    });
-};
-
 const HotelPartner = mongoose.model('HotelPartner', hotelPartnerSchema);
 
 module.exports = HotelPartner;
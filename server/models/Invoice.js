@@ -0,0 +1,170 @@
+// ========================================
+// Invoice Model
+// ========================================
+// Corporate invoices, one per account per billing period
+// (CorporateAccount.reporting.frequency). Invoice numbers run in
+// sequence per year: INV-2026-000001, INV-2026-000002, ...
+// ========================================
+
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    corporateAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CorporateAccount',
+        required: true
+    },
+    accountId: String, // CorporateAccount.accountId
+
+    // Bill-to details at the time of issue
+    billTo: {
+        name: String,
+        legalName: String,
+        taxId: String,
+        address: {
+            street: String,
+            city: String,
+            region: String,
+            postalCode: String,
+            country: String
+        },
+        contactName: String,
+        email: String
+    },
+
+    // Billing period (periodEnd is exclusive). Uninvoiced trips from
+    // earlier periods are picked up by the next invoice.
+    period: {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        frequency: {
+            type: String,
+            enum: ['weekly', 'monthly', 'quarterly']
+        }
+    },
+
+    lines: [{
+        _id: false,
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        },
+        bookingReference: String,
+        date: Date,
+        passengerName: String,
+        pickup: String,
+        dropoff: String,
+        vehicleClass: String,
+        costCenter: String,
+        projectCode: String,
+        poNumber: String,
+        amount: Number
+    }],
+
+    // Totals per cost center / project code: [{ code, count, total }]
+    byCostCenter: [{
+        _id: false,
+        code: String,
+        count: Number,
+        total: Number
+    }],
+    byProjectCode: [{
+        _id: false,
+        code: String,
+        count: Number,
+        total: Number
+    }],
+    poNumbers: [String],
+    requirePO: Boolean,
+
+    currency: {
+        type: String,
+        enum: ['USD', 'ETB'],
+        default: 'USD'
+    },
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+
+    // Terms
+    paymentTerms: Number, // Days
+    issuedAt: Date,
+    dueDate: Date,
+
+    // Status
+    status: {
+        type: String,
+        enum: ['issued', 'paid', 'overdue', 'void'],
+        default: 'issued'
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    payments: [{
+        _id: false,
+        amount: Number,
+        reference: String,
+        method: String,
+        paidAt: Date,
+        recordedBy: String
+    }],
+    paidAt: Date,
+    overdueAt: Date,
+    voidedAt: Date,
+    voidReason: String,
+
+    // Delivery
+    delivery: {
+        recipients: [String],
+        sentAt: Date,
+        error: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ corporateAccountId: 1, 'period.start': 1 }, { unique: true }); // One invoice per account per period
+invoiceSchema.index({ status: 1, dueDate: 1 }); // Overdue check
+invoiceSchema.index({ corporateAccountId: 1, issuedAt: -1 });
+
+// Balance still owed
+invoiceSchema.virtual('balanceDue').get(function() {
+    return Math.round((this.total - (this.amountPaid || 0)) * 100) / 100;
+});
+
+/**
+ * Next invoice number for a year (the unique index catches a race)
+ */
+invoiceSchema.statics.nextInvoiceNumber = async function(year = new Date().getFullYear()) {
+    const prefix = `INV-${year}-`;
+    const last = await this.findOne({ invoiceNumber: { $regex: `^${prefix}` } })
+        .sort({ invoiceNumber: -1 })
+        .select('invoiceNumber');
+
+    const sequence = last ? parseInt(last.invoiceNumber.slice(prefix.length)) + 1 : 1;
+    return `${prefix}${String(sequence).padStart(6, '0')}`;
+};
+
+invoiceSchema.methods.toJSON = function() {
+    const obj = this.toObject({ virtuals: true });
+    delete obj.__v;
+    delete obj.id;
+    return obj;
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,125 @@
+// ========================================
+// Scheduled Job Model
+// ========================================
+// Persistent state for background jobs run by the job scheduler.
+// One document per registered job; run history is capped.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const MAX_HISTORY = 20;
+
+const jobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+
+    // Schedule
+    interval: Number, // Milliseconds between runs (for interval jobs)
+    nextRunAt: Date,
+
+    // Control
+    paused: {
+        type: Boolean,
+        default: false
+    },
+    pausedAt: Date,
+    pausedBy: String,
+
+    // Last run
+    lastRunAt: Date,
+    lastFinishedAt: Date,
+    lastStatus: {
+        type: String,
+        enum: ['success', 'failed', 'skipped']
+    },
+    lastError: String,
+    lastDurationMs: Number,
+    lastResult: mongoose.Schema.Types.Mixed,
+
+    // Counters
+    runCount: {
+        type: Number,
+        default: 0
+    },
+    failCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Recent runs (newest last)
+    history: [{
+        startedAt: Date,
+        finishedAt: Date,
+        status: {
+            type: String,
+            enum: ['success', 'failed', 'skipped']
+        },
+        trigger: {
+            type: String,
+            enum: ['schedule', 'manual'],
+            default: 'schedule'
+        },
+        durationMs: Number,
+        error: String,
+        instance: String
+    }]
+}, {
+    timestamps: true
+});
+
+// name already indexed via unique in schema
+jobSchema.index({ paused: 1, nextRunAt: 1 });
+
+// Record the outcome of a run
+jobSchema.statics.recordRun = function(name, run, nextRunAt) {
+    const failed = run.status === 'failed';
+
+    return this.findOneAndUpdate(
+        { name },
+        {
+            $set: {
+                lastRunAt: run.startedAt,
+                lastFinishedAt: run.finishedAt,
+                lastStatus: run.status,
+                lastError: run.error || null,
+                lastDurationMs: run.durationMs,
+                lastResult: run.result,
+                ...(nextRunAt && { nextRunAt })
+            },
+            $inc: {
+                runCount: 1,
+                failCount: failed ? 1 : 0
+            },
+            $push: {
+                history: {
+                    $each: [{
+                        startedAt: run.startedAt,
+                        finishedAt: run.finishedAt,
+                        status: run.status,
+                        trigger: run.trigger,
+                        durationMs: run.durationMs,
+                        error: run.error,
+                        instance: run.instance
+                    }],
+                    $slice: -MAX_HISTORY
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
+jobSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
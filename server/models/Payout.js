@@ -0,0 +1,103 @@
+// ========================================
+// Payout Model
+// ========================================
+// A driver's weekly payout statement: the trips earned in the period,
+// the commission taken on each, cash the driver still owed that was
+// deducted, and what is sent to their bank. Payouts are exported to the
+// bank in batches and marked paid once the transfer goes through.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+    payoutNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    driverName: String,
+
+    // Week covered (periodEnd is exclusive). Unpaid trips from earlier
+    // weeks are picked up by the next payout.
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+
+    trips: [{
+        _id: false,
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        },
+        bookingReference: String,
+        earnedAt: Date,
+        paymentMethod: String,
+        ownershipType: String,
+        fareETB: Number,
+        commissionPercent: Number,
+        commissionETB: Number,
+        earningsETB: Number,
+        paidInCash: Boolean // Driver kept their share from the cash fare
+    }],
+
+    // All amounts in ETB
+    totals: {
+        trips: { type: Number, default: 0 },
+        fareETB: { type: Number, default: 0 },
+        commissionETB: { type: Number, default: 0 },
+        earningsETB: { type: Number, default: 0 },
+        keptInCashETB: { type: Number, default: 0 },
+        // Cash the driver owed, taken off this payout (negative when the
+        // company owed the driver for short-paid cash trips)
+        cashDeductionETB: { type: Number, default: 0 },
+        payableETB: { type: Number, default: 0 }
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'exported', 'paid', 'failed', 'nothing_due'],
+        default: 'pending'
+    },
+
+    // Bank account at the time of export
+    bankDetails: {
+        bankName: String,
+        accountNumber: String,
+        accountName: String,
+        branchCode: String
+    },
+    batchReference: String,
+    exportedAt: Date,
+    paidAt: Date,
+    transferReference: String, // Bank's reference for the transfer
+    failureReason: String
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ driverId: 1, periodStart: 1 }, { unique: true }); // One payout per driver per week
+payoutSchema.index({ driverId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, periodStart: -1 });
+payoutSchema.index({ batchReference: 1 });
+
+payoutSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = Payout;
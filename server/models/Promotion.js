@@ -0,0 +1,97 @@
+// ========================================
+// Promotion Model
+// ========================================
+// Promo codes and vouchers. Discounts are worked out server-side by
+// promotionService and written into Booking.pricing.discount.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: String,
+
+    // Discount
+    type: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Cap for percent discounts (USD)
+    maxDiscountUSD: Number,
+    // Fare the booking must reach before the code applies (USD)
+    minFareUSD: {
+        type: Number,
+        default: 0
+    },
+
+    // Validity window
+    validFrom: Date,
+    validUntil: Date,
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    // Usage caps (null = unlimited)
+    usageLimit: {
+        type: Number,
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Restrictions (empty = no restriction)
+    restrictions: {
+        zones: [Number],
+        vehicleClasses: [{
+            type: String,
+            enum: ['standard', 'executive', 'suv', 'luxury']
+        }],
+        firstRideOnly: {
+            type: Boolean,
+            default: false
+        }
+    },
+
+    createdBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+promotionSchema.index({ active: 1, validUntil: 1 });
+
+// Check if the code can be used at a given time (ignores caps and restrictions)
+promotionSchema.methods.isLive = function(now = new Date()) {
+    return this.active &&
+        (!this.validFrom || this.validFrom <= now) &&
+        (!this.validUntil || this.validUntil > now);
+};
+
+promotionSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
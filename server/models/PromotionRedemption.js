@@ -0,0 +1,62 @@
+// ========================================
+// Promotion Redemption Model
+// ========================================
+// One document per booking that used a promo code. Per-user caps count
+// active redemptions; cancelling the booking releases its redemption.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const promotionRedemptionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    bookingReference: String,
+
+    // Who used it - phone covers guest bookings
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    phone: String,
+
+    discountUSD: {
+        type: Number,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'released'],
+        default: 'active'
+    },
+    releasedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1, status: 1 }); // Per-user cap
+promotionRedemptionSchema.index({ promotionId: 1, phone: 1, status: 1 }); // Per-user cap (guests)
+promotionRedemptionSchema.index({ bookingId: 1 }, { unique: true });
+
+promotionRedemptionSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+module.exports = PromotionRedemption;
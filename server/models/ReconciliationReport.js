@@ -0,0 +1,78 @@
+// ========================================
+// Reconciliation Report Model
+// ========================================
+// One document per day of payment reconciliation: every booking
+// payment checked against Stripe / Telebirr that day, what was found
+// and what was changed. Finance downloads it as CSV from the admin API.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const RESULTS = ['matched', 'corrected', 'expired', 'orphaned', 'mismatch', 'error'];
+
+const reconciliationReportSchema = new mongoose.Schema({
+    date: {
+        type: String, // YYYY-MM-DD
+        required: true,
+        unique: true
+    },
+
+    items: [{
+        _id: false,
+        checkedAt: {
+            type: Date,
+            default: Date.now
+        },
+        provider: {
+            type: String,
+            enum: ['stripe', 'telebirr']
+        },
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        },
+        bookingReference: String,
+        transactionId: String, // PaymentIntent ID / outTradeNo
+        result: {
+            type: String,
+            enum: RESULTS
+        },
+        localStatus: String, // booking.payment.status before the check
+        providerStatus: String,
+        newStatus: String, // booking.payment.status after a correction
+        amount: Number,
+        providerAmount: Number,
+        currency: String,
+        note: String
+    }],
+
+    // Count of items per result
+    totals: {
+        matched: { type: Number, default: 0 },
+        corrected: { type: Number, default: 0 },
+        expired: { type: Number, default: 0 },
+        orphaned: { type: Number, default: 0 },
+        mismatch: { type: Number, default: 0 },
+        error: { type: Number, default: 0 }
+    },
+
+    runs: {
+        type: Number,
+        default: 0
+    },
+    lastRunAt: Date,
+    dailyCheckCompletedAt: Date // Full check of the day's payments done
+
+}, {
+    timestamps: true
+});
+
+reconciliationReportSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
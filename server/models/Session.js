@@ -0,0 +1,87 @@
+// ========================================
+// Session Model
+// ========================================
+// One signed-in device for a user (customers, staff) or a driver. The
+// session holds the refresh token (SHA-256 hash only) that is swapped
+// for a new one every time a short-lived access token is issued; the
+// access token carries the session id, so revoking the session logs
+// that device out (see services/sessionService).
+// ========================================
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    subjectType: {
+        type: String,
+        enum: ['user', 'driver'],
+        required: true
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Refresh tokens this session has already swapped; one of them coming
+    // back means it was copied, and the session is revoked
+    previousTokenHashes: [String],
+
+    // Device
+    userAgent: String,
+    ip: String,
+    lastSeenAt: Date,
+
+    // Refresh token expiry, pushed back on every refresh
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: [
+            'logout',
+            'logout_other_devices',
+            'revoked_by_user',
+            'refresh_token_reuse',
+            'account_deleted',
+            'suspended',
+            'role_changed',
+            'password_changed',
+            '2fa_reset'
+        ]
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+// refreshTokenHash already indexed via unique in schema
+sessionSchema.index({ subjectType: 1, subjectId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Drop sessions a week after they stop being usable
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtuals
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.methods.toJSON = function() {
+    const obj = this.toObject({ virtuals: true });
+    delete obj.refreshTokenHash;
+    delete obj.previousTokenHashes;
+    delete obj.__v;
+    delete obj.id;
+    return obj;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
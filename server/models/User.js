@@ -4,6 +4,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { STAFF_ROLES, roleHasPermission } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
     phone: {
@@ -52,13 +53,54 @@ const userSchema = new mongoose.Schema({
         enum: ['customer', 'driver', 'admin'],
         default: 'customer'
     },
+    // Back-office staff (role 'admin'): what they can do (config/permissions)
+    staffRole: {
+        type: String,
+        enum: STAFF_ROLES
+    },
+    // Staff sign in with email and password (POST /api/auth/staff/login)
+    password: {
+        type: String,
+        select: false
+    },
+    // Two-factor authentication (services/twoFactorService)
+    twoFactorAuth: {
+        enabled: { type: Boolean, default: false },
+        method: { type: String, enum: ['totp'] },
+        secret: String, // TOTP secret, encrypted
+        pendingSecret: String, // Until the first code confirms enrollment
+        backupCodes: [{
+            hashedCode: String,
+            used: { type: Boolean, default: false }
+        }],
+        trustedDevices: [{
+            token: String, // SHA-256 of the device token
+            label: String,
+            expiresAt: Date,
+            createdAt: Date
+        }],
+        enabledAt: Date
+    },
     isVerified: {
         type: Boolean,
         default: false
     },
+    // Phone login code (services/otpService). Only a hash of the code is kept.
     otp: {
-        code: String,
-        expiresAt: Date
+        codeHash: String,
+        expiresAt: Date,
+        attempts: { type: Number, default: 0 }, // Wrong guesses at this code
+        channel: { type: String, enum: ['sms', 'whatsapp', 'email'] },
+        lastSentAt: Date,
+        sendCount: { type: Number, default: 0 }, // Codes sent since sendWindowStart
+        sendWindowStart: Date
+    },
+    // Too many wrong codes locks phone login; each lockout within a day of
+    // the last one lasts twice as long
+    otpLockout: {
+        lockedUntil: Date,
+        count: { type: Number, default: 0 },
+        lastLockedAt: Date
     },
     lastLogin: Date,
     totalBookings: {
@@ -72,34 +114,50 @@ const userSchema = new mongoose.Schema({
 // Indexes (phone and email already indexed via unique/sparse in schema)
 userSchema.index({ corporateAccountId: 1 });
 
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+    if (!this.isModified('password') || !this.password) return next();
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
+});
+
 // Instance methods
-userSchema.methods.generateOTP = function() {
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    this.otp = {
-        code: otp,
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
-    };
-    return otp;
+userSchema.methods.comparePassword = async function(candidatePassword) {
+    if (!this.password) return false;
+    return await bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.verifyOTP = function(code) {
-    if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-        return false;
-    }
-    if (new Date() > this.otp.expiresAt) {
-        return false;
-    }
-    return this.otp.code === code;
+/**
+ * The user's back-office role; admins from before staff roles had full access
+ */
+userSchema.methods.getStaffRole = function() {
+    if (this.role !== 'admin') return null;
+    return this.staffRole || 'super_admin';
 };
 
+userSchema.methods.hasPermission = function(permission) {
+    return roleHasPermission(this.getStaffRole(), permission);
+};
+
+/**
+ * Throw away the current login code (the resend history stays, for the cooldown)
+ */
 userSchema.methods.clearOTP = function() {
-    this.otp = undefined;
+    if (!this.otp) return;
+    this.otp.codeHash = undefined;
+    this.otp.expiresAt = undefined;
+    this.otp.attempts = 0;
 };
 
 userSchema.methods.toJSON = function() {
     const obj = this.toObject();
     delete obj.otp;
+    delete obj.otpLockout;
+    delete obj.password;
     delete obj.__v;
+    if (obj.twoFactorAuth) {
+        obj.twoFactorAuth = { enabled: obj.twoFactorAuth.enabled, enabledAt: obj.twoFactorAuth.enabledAt };
+    }
     return obj;
 };
 
@@ -0,0 +1,70 @@
+// ========================================
+// Webhook Event Model
+// ========================================
+// Ledger of payment provider webhooks. Every delivery is recorded
+// against the provider's event ID so retried and replayed deliveries
+// are only processed once, and failed ones can be retried.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['stripe', 'telebirr'],
+        required: true
+    },
+    // Stripe event ID, or outTradeNo:status for Telebirr callbacks
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: String, // Stripe event type / Telebirr payment status
+    payload: mongoose.Schema.Types.Mixed,
+
+    // Booking the event was applied to
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookingReference: String,
+
+    // Processing
+    status: {
+        type: String,
+        enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    outcome: String, // What the handler did, or why it changed nothing
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    deliveries: {
+        type: Number,
+        default: 1
+    },
+    lastError: String,
+    processingStartedAt: Date,
+    nextRetryAt: Date,
+    processedAt: Date
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true }); // Deduplication
+webhookEventSchema.index({ status: 1, nextRetryAt: 1 }); // Retry queue
+webhookEventSchema.index({ bookingReference: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+webhookEventSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
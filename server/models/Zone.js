@@ -0,0 +1,67 @@
+// ========================================
+// Pricing Zone Model
+// ========================================
+// Fare zones as GeoJSON areas. Dropoff coordinates are matched to a
+// zone by point-in-polygon; `locations` names are only a fallback for
+// addresses that come without coordinates.
+// ========================================
+
+const mongoose = require('mongoose');
+
+const zoneSchema = new mongoose.Schema({
+    number: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+
+    baseFareUSD: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // GeoJSON Polygon or MultiPolygon, coordinates in [lng, lat] order
+    area: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon'],
+            required: true
+        },
+        coordinates: {
+            type: Array,
+            required: true
+        }
+    },
+
+    // Place names for name matching (fallback only)
+    locations: [String],
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+zoneSchema.index({ area: '2dsphere' }); // Also makes Mongo reject invalid polygons
+zoneSchema.index({ active: 1, number: 1 });
+
+zoneSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    delete obj.__v;
+    return obj;
+};
+
+const Zone = mongoose.model('Zone', zoneSchema);
+
+module.exports = Zone;
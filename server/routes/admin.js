@@ -7,7 +7,32 @@ const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const Driver = require('../models/Driver');
+const DispatchOffer = require('../models/DispatchOffer');
+const Promotion = require('../models/Promotion');
+const Zone = require('../models/Zone');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Payout = require('../models/Payout');
+const CorporateAccount = require('../models/CorporateAccount');
+const jobScheduler = require('../services/jobScheduler');
+const dispatchService = require('../services/dispatchService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
+const zoneService = require('../services/zoneService');
+const refundService = require('../services/refundService');
+const webhookService = require('../services/webhookService');
+const reconciliationService = require('../services/reconciliationService');
+const cashLedgerService = require('../services/cashLedgerService');
+const payoutService = require('../services/payoutService');
+const corporateBookingService = require('../services/corporateBookingService');
+const corporatePolicyService = require('../services/corporatePolicyService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const { STAFF_ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Validation middleware
 const handleValidation = (req, res, next) => {
@@ -22,40 +47,15 @@ const handleValidation = (req, res, next) => {
     next();
 };
 
-// Simple admin auth for demo (checks header or uses demo credentials)
-const simpleAdminAuth = (req, res, next) => {
-    // Check for admin token in header
-    const adminToken = req.headers['x-admin-token'];
-
-    // Demo admin credentials check
-    if (adminToken === 'shuttle-admin-2025' || adminToken === process.env.ADMIN_TOKEN) {
-        req.isAdmin = true;
-        return next();
-    }
-
-    // Check for authenticated user with admin role
-    if (req.user && req.user.role === 'admin') {
-        req.isAdmin = true;
-        return next();
-    }
-
-    // For development/demo, allow access with query param
-    if (process.env.NODE_ENV !== 'production' && req.query.admin === 'true') {
-        req.isAdmin = true;
-        return next();
-    }
-
-    return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-    });
-};
+// Stripe dispute statuses still waiting on us or the card issuer
+const OPEN_DISPUTE_STATUSES = ['warning_needs_response', 'warning_under_review', 'needs_response', 'under_review'];
 
 // ========================================
 // GET /api/admin/bookings - Get ALL bookings
 // ========================================
 router.get('/bookings',
-    simpleAdminAuth,
+    authenticate,
+    requirePermission('bookings.read'),
     async (req, res) => {
         try {
             const {
@@ -126,6 +126,8 @@ router.get('/bookings',
 // POST /api/admin/bookings - Create booking (flexible validation)
 // ========================================
 router.post('/bookings',
+    authenticate,
+    requirePermission('bookings.manage'),
     async (req, res) => {
         try {
             const data = req.body;
@@ -178,9 +180,86 @@ router.post('/bookings',
                 createdAt: data.createdAt || new Date()
             };
 
+            // Corporate bookings are priced on the account's rates and held to its policy
+            let account = null;
+            if (data.corporateAccountId) {
+                account = await CorporateAccount.findById(data.corporateAccountId);
+                if (!account) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Corporate account not found'
+                    });
+                }
+
+                bookingData.pricing = await pricingService.calculate({
+                    pickup: bookingData.pickup.location,
+                    dropoff: bookingData.dropoff.location,
+                    vehicleClass: bookingData.vehicleClass,
+                    pickupTime: bookingData.pickup.scheduledTime,
+                    channel: 'corporate',
+                    corporateAccount: account
+                });
+                bookingData.dropoff.zone = bookingData.pricing.zone?.number || undefined;
+                Object.assign(bookingData, {
+                    payment: {
+                        method: 'corporate',
+                        amount: corporatePolicyService.getAccountAmount(bookingData, account),
+                        currency: account.billing?.currency || 'USD'
+                    },
+                    corporateAccountId: account._id,
+                    corporateReference: data.corporateReference,
+                    costCenter: data.costCenter,
+                    projectCode: data.projectCode,
+                    poNumber: data.poNumber
+                });
+            } else if (data.promoCode) {
+                // Promo codes are priced and redeemed server-side, whatever the client sent
+                bookingData.pricing = await pricingService.calculate({
+                    pickup: bookingData.pickup.location,
+                    dropoff: bookingData.dropoff.location,
+                    pickupCoordinates: bookingData.pickup.coordinates,
+                    dropoffCoordinates: bookingData.dropoff.coordinates,
+                    vehicleClass: bookingData.vehicleClass,
+                    pickupTime: bookingData.pickup.scheduledTime,
+                    promoCode: data.promoCode,
+                    phone: bookingData.contact.phone
+                });
+                bookingData.promotion = bookingData.pricing.promotion;
+            }
+
             // Create booking
             const booking = new Booking(bookingData);
-            await booking.save();
+
+            if (account) {
+                // Out of policy with a justification goes to the account's approvers
+                const outOfPolicy = await corporateBookingService.enforcePolicy(account, [booking], data.policyJustification);
+                if (outOfPolicy) {
+                    await corporateBookingService.holdForApproval(booking, account, { name: 'Shuttle Plus operations' });
+
+                    console.log('[Admin] Out-of-policy corporate booking sent for approval:', booking.bookingReference);
+
+                    return res.status(201).json({
+                        success: true,
+                        message: 'Booking is outside the account policy and was sent for approval',
+                        data: booking
+                    });
+                }
+
+                await corporateBookingService.chargeAccount(account, [booking]);
+            }
+
+            if (bookingData.promotion) {
+                await promotionService.redeem(booking, bookingData.promotion);
+            }
+
+            try {
+                await booking.save();
+            } catch (error) {
+                if (bookingData.promotion) await promotionService.release(booking._id);
+                throw error;
+            }
+
+            if (account) await account.recordBooking(corporatePolicyService.getAccountAmount(booking, account));
 
             console.log('[Admin] Booking created:', booking.bookingReference);
 
@@ -191,6 +270,29 @@ router.post('/bookings',
             });
 
         } catch (error) {
+            if (['PromoCodeError', 'PricingError'].includes(error.name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            if (error.name === 'CorporatePolicyError') {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    violations: error.violations,
+                    overridable: error.overridable
+                });
+            }
+            if (error.name === 'CorporateBookingError') {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
             console.error('Admin create booking error:', error);
             res.status(500).json({
                 success: false,
@@ -205,7 +307,8 @@ router.post('/bookings',
 // GET /api/admin/bookings/:id - Get single booking
 // ========================================
 router.get('/bookings/:id',
-    simpleAdminAuth,
+    authenticate,
+    requirePermission('bookings.read'),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -243,7 +346,8 @@ router.get('/bookings/:id',
 // PUT /api/admin/bookings/:id - Update booking
 // ========================================
 router.put('/bookings/:id',
-    simpleAdminAuth,
+    authenticate,
+    requirePermission('bookings.manage'),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -263,9 +367,9 @@ router.put('/bookings/:id',
                 });
             }
 
-            // Admin can update any field
+            // Admin can update any field - status goes through the state machine
             const allowedUpdates = [
-                'status', 'driver', 'vehicleClass', 'pricing',
+                'driver', 'vehicleClass', 'pricing',
                 'specialRequests', 'notes', 'payment'
             ];
 
@@ -275,18 +379,17 @@ router.put('/bookings/:id',
                 }
             }
 
-            // Track status change
             if (updates.status && updates.status !== booking.status) {
-                booking.statusHistory = booking.statusHistory || [];
-                booking.statusHistory.push({
-                    status: updates.status,
-                    timestamp: new Date(),
-                    updatedBy: 'admin'
+                await bookingStateMachine.transition(booking, updates.status, {
+                    actor: { role: 'admin', id: req.user?._id, email: req.user?.email },
+                    note: updates.statusNote || 'Updated by admin',
+                    req,
+                    refundAmount: updates.refundAmount // Overrides the cancellation policy
                 });
+            } else {
+                await booking.save();
             }
 
-            await booking.save();
-
             res.json({
                 success: true,
                 message: 'Booking updated successfully',
@@ -294,6 +397,15 @@ router.put('/bookings/:id',
             });
 
         } catch (error) {
+            if (error.name === 'BookingTransitionError') {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    from: error.from,
+                    to: error.to
+                });
+            }
             console.error('Admin update booking error:', error);
             res.status(500).json({
                 success: false,
@@ -303,11 +415,78 @@ router.put('/bookings/:id',
     }
 );
 
+// ========================================
+// POST /api/admin/bookings/:id/refund - Refund a booking (full or partial)
+// ========================================
+router.post('/bookings/:id/refund',
+    authenticate,
+    requirePermission('payments.manage'),
+    [
+        body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+        body('reason').trim().notEmpty().withMessage('Reason is required')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const booking = await Booking.findOne({
+                $or: [
+                    { _id: id },
+                    { bookingReference: id.toUpperCase() }
+                ]
+            });
+
+            if (!booking) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Booking not found'
+                });
+            }
+
+            // Without an amount, everything not yet refunded
+            const refundable = refundService.getRefundableAmount(booking);
+            const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : refundable;
+
+            const refund = await refundService.issueRefund(booking, amount, {
+                tier: amount < refundable ? 'partial' : 'full',
+                reason: req.body.reason,
+                refundedBy: { role: 'admin', _id: req.user?._id, email: req.user?.email }
+            });
+
+            res.json({
+                success: true,
+                message: `Refund of ${refund.currency} ${amount} ${refund.status === 'succeeded' ? 'issued' : 'requested'}`,
+                data: {
+                    refund,
+                    paymentStatus: booking.payment.status,
+                    refundedAmount: booking.payment.refundedAmount
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'RefundError') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            console.error('Admin refund booking error:', error);
+            res.status(502).json({
+                success: false,
+                message: `Refund failed: ${error.message}`
+            });
+        }
+    }
+);
+
 // ========================================
 // GET /api/admin/stats - Dashboard statistics
 // ========================================
 router.get('/stats',
-    simpleAdminAuth,
+    authenticate,
+    requirePermission('analytics.read'),
     async (req, res) => {
         try {
             const today = new Date();
@@ -345,6 +524,18 @@ router.get('/stats',
             // Total bookings
             const totalBookings = await Booking.countDocuments();
 
+            // Card disputes needing attention
+            const openDisputes = await Booking.countDocuments({
+                'payment.dispute.status': { $in: OPEN_DISPUTE_STATUSES }
+            });
+
+            // Cash drivers are holding for the company
+            const cashOutstandingResult = await Driver.aggregate([
+                { $match: { 'cashOnHand.balanceETB': { $gt: 0 } } },
+                { $group: { _id: null, total: { $sum: '$cashOnHand.balanceETB' } } }
+            ]);
+            const cashOutstandingETB = cashOutstandingResult[0]?.total || 0;
+
             // Bookings by status
             const bookingsByStatus = await Booking.aggregate([
                 {
@@ -362,6 +553,8 @@ router.get('/stats',
                     todayRevenue,
                     pendingBookings,
                     totalBookings,
+                    openDisputes,
+                    cashOutstandingETB,
                     bookingsByStatus: bookingsByStatus.reduce((acc, item) => {
                         acc[item._id] = item.count;
                         return acc;
@@ -383,7 +576,8 @@ router.get('/stats',
 // GET /api/admin/customers - Get all customers
 // ========================================
 router.get('/customers',
-    simpleAdminAuth,
+    authenticate,
+    requirePermission('customers.read'),
     async (req, res) => {
         try {
             const { page = 1, limit = 50 } = req.query;
@@ -421,4 +615,1372 @@ router.get('/customers',
     }
 );
 
+// ========================================
+// GET /api/admin/disputes - Disputed card payments (open ones unless ?all=true)
+// ========================================
+router.get('/disputes',
+    authenticate,
+    requirePermission('payments.read'),
+    async (req, res) => {
+        try {
+            const filter = req.query.all === 'true'
+                ? { 'payment.dispute.id': { $exists: true } }
+                : { 'payment.dispute.status': { $in: OPEN_DISPUTE_STATUSES } };
+
+            const bookings = await Booking.find(filter)
+                .select('bookingReference contact pickup.scheduledTime pricing.totalUSD payment status')
+                .sort({ 'payment.dispute.evidenceDueBy': 1 });
+
+            res.json({
+                success: true,
+                data: bookings
+            });
+
+        } catch (error) {
+            console.error('Admin disputes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get disputes'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/drivers/cash - Drivers holding company cash
+// ========================================
+router.get('/drivers/cash',
+    authenticate,
+    requirePermission('payouts.read'),
+    async (req, res) => {
+        try {
+            const { drivers, totalETB } = await cashLedgerService.getOutstandingBalances();
+
+            res.json({
+                success: true,
+                data: {
+                    drivers,
+                    totalETB
+                }
+            });
+
+        } catch (error) {
+            console.error('Admin cash balances error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get cash balances'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/drivers/:driverId/cash - A driver's cash ledger
+// ========================================
+router.get('/drivers/:driverId/cash',
+    authenticate,
+    requirePermission('payouts.read'),
+    [
+        param('driverId').isMongoId().withMessage('Invalid driver ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const driver = await Driver.findById(req.params.driverId).select('firstName lastName phone cashOnHand');
+
+            if (!driver) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Driver not found'
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const { entries, pagination } = await cashLedgerService.getEntries(driver._id, { page, limit });
+
+            res.json({
+                success: true,
+                data: {
+                    driver,
+                    entries
+                },
+                pagination
+            });
+
+        } catch (error) {
+            console.error('Admin cash ledger error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get cash ledger'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/drivers/:driverId/cash/settlements - Record cash handed in by a driver
+// ========================================
+router.post('/drivers/:driverId/cash/settlements',
+    authenticate,
+    requirePermission('payouts.manage'),
+    [
+        param('driverId').isMongoId().withMessage('Invalid driver ID'),
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+        body('currency').optional().isIn(cashLedgerService.CASH_CURRENCIES).withMessage('Currency must be ETB or USD'),
+        body('method').optional().isIn(['cash', 'bank_transfer', 'telebirr']).withMessage('Invalid settlement method'),
+        body('reference').optional().trim(),
+        body('note').optional().trim()
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { entry, balanceETB } = await cashLedgerService.recordSettlement(
+                req.params.driverId,
+                req.body,
+                { _id: req.user?._id, email: req.user?.email || 'admin' },
+                req
+            );
+
+            res.status(201).json({
+                success: true,
+                message: `Settlement of ETB ${-entry.amountETB} recorded`,
+                data: {
+                    entry,
+                    balanceETB
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'CashLedgerError') {
+                return res.status(error.code === 'DRIVER_NOT_FOUND' ? 404 : 400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            console.error('Admin cash settlement error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to record settlement'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/payouts - Driver payouts (without trip lines)
+// ========================================
+router.get('/payouts',
+    authenticate,
+    requirePermission('payouts.read'),
+    async (req, res) => {
+        try {
+            const { status, driverId, batch, page = 1, limit = 50 } = req.query;
+
+            const filter = {};
+            if (status) filter.status = status;
+            if (driverId) filter.driverId = driverId;
+            if (batch) filter.batchReference = batch;
+
+            const [payouts, total, summary] = await Promise.all([
+                Payout.find(filter)
+                    .select('-trips')
+                    .sort({ periodStart: -1, driverName: 1 })
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit)),
+                Payout.countDocuments(filter),
+                Payout.aggregate([
+                    { $match: { status: { $in: ['pending', 'exported', 'failed'] } } },
+                    { $group: { _id: '$status', count: { $sum: 1 }, payableETB: { $sum: '$totals.payableETB' } } }
+                ])
+            ]);
+
+            res.json({
+                success: true,
+                data: payouts,
+                summary: summary.reduce((acc, item) => {
+                    acc[item._id] = { count: item.count, payableETB: item.payableETB };
+                    return acc;
+                }, {}),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Admin list payouts error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get payouts'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/payouts/:id - Payout statement with its trips
+// ========================================
+router.get('/payouts/:id',
+    authenticate,
+    requirePermission('payouts.read'),
+    [
+        param('id').isMongoId().withMessage('Invalid payout ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const payout = await Payout.findById(req.params.id);
+
+            if (!payout) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Payout not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: payout
+            });
+
+        } catch (error) {
+            console.error('Admin get payout error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get payout'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/payouts/generate - Create payouts for a week now
+// (the weekly job does this for last week on Monday)
+// ========================================
+router.post('/payouts/generate',
+    authenticate,
+    requirePermission('payouts.manage'),
+    [
+        body('periodStart').optional().isISO8601().withMessage('Period start must be a date')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const periodStart = req.body.periodStart ? new Date(req.body.periodStart) : undefined;
+            const result = await payoutService.generateWeeklyPayouts(periodStart);
+
+            res.json({
+                success: true,
+                message: `${result.created} payouts created`,
+                data: result
+            });
+
+        } catch (error) {
+            console.error('Admin generate payouts error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate payouts'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/payouts/batches - Export pending payouts as a bank transfer batch (CSV)
+// ========================================
+router.post('/payouts/batches',
+    authenticate,
+    requirePermission('payouts.manage'),
+    async (req, res) => {
+        try {
+            const batch = await payoutService.exportBatch();
+
+            if (!batch.payouts.length) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No payouts ready for transfer',
+                    data: { skipped: batch.skipped }
+                });
+            }
+
+            await auditService.logDataExport(
+                { _id: req.user?._id, email: req.user?.email || 'admin' },
+                `payout-batch-${batch.batchReference}`,
+                batch.payouts.length,
+                req
+            );
+
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="ShuttlePlus-${batch.batchReference}.csv"`,
+                'X-Batch-Reference': batch.batchReference,
+                'X-Skipped-Payouts': batch.skipped.length
+            });
+            res.send(batch.csv);
+
+        } catch (error) {
+            console.error('Admin export payout batch error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export payout batch'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/payouts/:id/transfer - Record the bank transfer result
+// ========================================
+router.post('/payouts/:id/transfer',
+    authenticate,
+    requirePermission('payouts.manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid payout ID'),
+        body('status').isIn(['paid', 'failed']).withMessage('Status must be paid or failed'),
+        body('transferReference').optional().trim(),
+        body('failureReason').if(body('status').equals('failed')).trim().notEmpty().withMessage('Failure reason is required')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const payout = await payoutService.recordTransferResult(req.params.id, req.body);
+
+            res.json({
+                success: true,
+                message: `Payout ${payout.payoutNumber} marked ${payout.status}`,
+                data: payout
+            });
+
+        } catch (error) {
+            if (error.name === 'PayoutError') {
+                return res.status(error.code === 'NOT_FOUND' ? 404 : 409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            console.error('Admin payout transfer error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update payout'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/dispatch/escalated - Bookings dispatch couldn't fill
+// ========================================
+router.get('/dispatch/escalated',
+    authenticate,
+    requirePermission('dispatch.read'),
+    async (req, res) => {
+        try {
+            const bookings = await Booking.find({
+                'dispatch.status': 'escalated',
+                'driver.driverId': { $exists: false },
+                status: { $in: ['pending', 'confirmed'] }
+            }).sort({ 'pickup.scheduledTime': 1 });
+
+            res.json({
+                success: true,
+                data: bookings
+            });
+
+        } catch (error) {
+            console.error('Admin escalated dispatch error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get escalated bookings'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/bookings/:id/offers - Dispatch offer history
+// ========================================
+router.get('/bookings/:id/offers',
+    authenticate,
+    requirePermission('dispatch.read'),
+    async (req, res) => {
+        try {
+            const offers = await DispatchOffer.find({ bookingId: req.params.id })
+                .sort({ attempt: 1 })
+                .populate('driverId', 'firstName lastName phone rating acceptanceRate');
+
+            res.json({
+                success: true,
+                data: offers
+            });
+
+        } catch (error) {
+            console.error('Admin get offers error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get dispatch offers'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/bookings/:id/dispatch - (Re)start automatic dispatch
+// ========================================
+router.post('/bookings/:id/dispatch',
+    authenticate,
+    requirePermission('dispatch.manage'),
+    async (req, res) => {
+        try {
+            const booking = await Booking.findById(req.params.id);
+
+            if (!booking) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Booking not found'
+                });
+            }
+
+            if (booking.driver?.driverId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Booking already has a driver'
+                });
+            }
+
+            const result = await dispatchService.restart(booking);
+
+            res.json({
+                success: true,
+                message: `Dispatch ${result.status}`,
+                data: {
+                    status: result.status,
+                    reason: result.reason,
+                    offer: result.offer
+                }
+            });
+
+        } catch (error) {
+            console.error('Admin dispatch error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to dispatch booking'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/jobs - List background jobs
+// ========================================
+router.get('/jobs',
+    authenticate,
+    requirePermission('system.read'),
+    async (req, res) => {
+        try {
+            const jobs = await jobScheduler.list();
+
+            res.json({
+                success: true,
+                data: jobs
+            });
+
+        } catch (error) {
+            console.error('Admin list jobs error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get jobs'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/jobs/:name/pause - Pause a job
+// ========================================
+router.post('/jobs/:name/pause',
+    authenticate,
+    requirePermission('system.manage'),
+    async (req, res) => {
+        try {
+            const job = await jobScheduler.pause(req.params.name, req.user?.email || 'admin');
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Job paused',
+                data: job
+            });
+
+        } catch (error) {
+            console.error('Admin pause job error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to pause job'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/jobs/:name/resume - Resume a paused job
+// ========================================
+router.post('/jobs/:name/resume',
+    authenticate,
+    requirePermission('system.manage'),
+    async (req, res) => {
+        try {
+            const job = await jobScheduler.resume(req.params.name);
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Job resumed',
+                data: job
+            });
+
+        } catch (error) {
+            console.error('Admin resume job error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to resume job'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/jobs/:name/run - Run a job now
+// ========================================
+router.post('/jobs/:name/run',
+    authenticate,
+    requirePermission('system.manage'),
+    async (req, res) => {
+        try {
+            if (!jobScheduler.has(req.params.name)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            const run = await jobScheduler.runNow(req.params.name);
+
+            if (run.status === 'skipped') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Job is already running',
+                    data: run
+                });
+            }
+
+            res.json({
+                success: run.status === 'success',
+                message: run.status === 'success' ? 'Job completed' : `Job failed: ${run.error}`,
+                data: run
+            });
+
+        } catch (error) {
+            console.error('Admin run job error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to run job'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/webhooks - Payment webhook ledger
+// ========================================
+router.get('/webhooks',
+    authenticate,
+    requirePermission('payments.read'),
+    async (req, res) => {
+        try {
+            const { provider, status, type, booking, page = 1, limit = 50 } = req.query;
+
+            const query = {};
+            if (provider) query.provider = provider;
+            if (status) query.status = status;
+            if (type) query.type = type;
+            if (booking) query.bookingReference = booking.toUpperCase();
+
+            // Payloads can be large - fetch one event to see its payload
+            const events = await WebhookEvent.find(query)
+                .select('-payload')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit));
+
+            const total = await WebhookEvent.countDocuments(query);
+
+            const byStatus = await WebhookEvent.aggregate([
+                { $match: query },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]);
+
+            res.json({
+                success: true,
+                data: events,
+                summary: byStatus.reduce((acc, item) => {
+                    acc[item._id] = item.count;
+                    return acc;
+                }, {}),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Admin list webhooks error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get webhook events'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/webhooks/:id - Webhook event with its payload
+// ========================================
+router.get('/webhooks/:id',
+    authenticate,
+    requirePermission('payments.read'),
+    [
+        param('id').isMongoId().withMessage('Invalid event ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const event = await WebhookEvent.findById(req.params.id);
+
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook event not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: event
+            });
+
+        } catch (error) {
+            console.error('Admin get webhook error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get webhook event'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/webhooks/:id/retry - Reprocess a failed webhook now
+// ========================================
+router.post('/webhooks/:id/retry',
+    authenticate,
+    requirePermission('payments.manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid event ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const event = await webhookService.retry(req.params.id);
+
+            if (!event) {
+                const exists = await WebhookEvent.exists({ _id: req.params.id });
+                return res.status(exists ? 409 : 404).json({
+                    success: false,
+                    message: exists ? 'Only failed events can be retried' : 'Webhook event not found'
+                });
+            }
+
+            if (event.status === 'failed') {
+                return res.status(502).json({
+                    success: false,
+                    message: `Retry failed: ${event.lastError}`,
+                    data: event
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Event ${event.status}`,
+                data: event
+            });
+
+        } catch (error) {
+            console.error('Admin retry webhook error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retry webhook event'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/reconciliation - Daily reconciliation reports (totals only)
+// ========================================
+router.get('/reconciliation',
+    authenticate,
+    requirePermission('payments.read'),
+    async (req, res) => {
+        try {
+            const reports = await ReconciliationReport.find({})
+                .select('-items')
+                .sort({ date: -1 })
+                .limit(parseInt(req.query.limit) || 31);
+
+            res.json({
+                success: true,
+                data: reports
+            });
+
+        } catch (error) {
+            console.error('Admin list reconciliation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get reconciliation reports'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/reconciliation/:date - One day's report (?format=csv to download)
+// ========================================
+router.get('/reconciliation/:date',
+    authenticate,
+    requirePermission('payments.read'),
+    [
+        param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const report = await ReconciliationReport.findOne({ date: req.params.date });
+
+            if (!report) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No reconciliation report for this date'
+                });
+            }
+
+            if (req.query.format === 'csv') {
+                await auditService.logDataExport(
+                    { _id: req.user?._id, email: req.user?.email || 'admin' },
+                    `reconciliation-${report.date}`,
+                    report.items.length,
+                    req
+                );
+
+                res.set({
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="ShuttlePlus-Reconciliation-${report.date}.csv"`
+                });
+                return res.send(reconciliationService.toCsv(report));
+            }
+
+            res.json({
+                success: true,
+                data: report
+            });
+
+        } catch (error) {
+            console.error('Admin get reconciliation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get reconciliation report'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/promotions - List promo codes
+// ========================================
+router.get('/promotions',
+    authenticate,
+    requirePermission('pricing.read'),
+    async (req, res) => {
+        try {
+            const filter = {};
+            if (req.query.active !== undefined) {
+                filter.active = req.query.active === 'true';
+            }
+
+            const promotions = await Promotion.find(filter).sort({ createdAt: -1 });
+
+            res.json({
+                success: true,
+                data: promotions
+            });
+
+        } catch (error) {
+            console.error('Admin list promotions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get promotions'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/promotions - Create a promo code
+// ========================================
+router.post('/promotions',
+    authenticate,
+    requirePermission('pricing.manage'),
+    [
+        body('code').trim().notEmpty().withMessage('Code is required'),
+        body('type').isIn(['percent', 'fixed']).withMessage('Type must be percent or fixed'),
+        body('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+        body('validFrom').optional().isISO8601().withMessage('Invalid validFrom date'),
+        body('validUntil').optional().isISO8601().withMessage('Invalid validUntil date')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            if (req.body.type === 'percent' && req.body.value > 100) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Percent discounts cannot exceed 100'
+                });
+            }
+
+            const promotion = await Promotion.create({
+                ...req.body,
+                code: promotionService.normalizeCode(req.body.code),
+                usageCount: 0,
+                createdBy: req.user?.email || 'admin'
+            });
+
+            res.status(201).json({
+                success: true,
+                data: promotion
+            });
+
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A promotion with this code already exists'
+                });
+            }
+            console.error('Admin create promotion error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create promotion'
+            });
+        }
+    }
+);
+
+// ========================================
+// PUT /api/admin/promotions/:id - Update or deactivate a promo code
+// ========================================
+router.put('/promotions/:id',
+    authenticate,
+    requirePermission('pricing.manage'),
+    async (req, res) => {
+        try {
+            const promotion = await Promotion.findById(req.params.id);
+
+            if (!promotion) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Promotion not found'
+                });
+            }
+
+            // Code and usage count are fixed once created
+            const allowedUpdates = [
+                'description', 'type', 'value', 'maxDiscountUSD', 'minFareUSD',
+                'validFrom', 'validUntil', 'active', 'usageLimit', 'perUserLimit', 'restrictions'
+            ];
+
+            for (const key of allowedUpdates) {
+                if (req.body[key] !== undefined) {
+                    promotion[key] = req.body[key];
+                }
+            }
+
+            await promotion.save();
+
+            res.json({
+                success: true,
+                data: promotion
+            });
+
+        } catch (error) {
+            console.error('Admin update promotion error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update promotion'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/zones - List pricing zones
+// ========================================
+router.get('/zones',
+    authenticate,
+    requirePermission('pricing.read'),
+    async (req, res) => {
+        try {
+            const zones = await Zone.find().sort({ number: 1 });
+
+            res.json({
+                success: true,
+                data: zones
+            });
+
+        } catch (error) {
+            console.error('Admin list zones error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get zones'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/zones - Create a pricing zone
+// ========================================
+router.post('/zones',
+    authenticate,
+    requirePermission('pricing.manage'),
+    [
+        body('number').isInt({ min: 1 }).withMessage('Zone number must be a positive integer'),
+        body('name').trim().notEmpty().withMessage('Name is required'),
+        body('baseFareUSD').isFloat({ min: 0 }).withMessage('Base fare must be a positive number'),
+        body('area').custom(area => {
+            const error = zoneService.validateArea(area);
+            if (error) throw new Error(error);
+            return true;
+        }),
+        body('locations').optional().isArray().withMessage('Locations must be a list of names')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const zone = await Zone.create({
+                number: req.body.number,
+                name: req.body.name,
+                description: req.body.description,
+                baseFareUSD: req.body.baseFareUSD,
+                area: req.body.area,
+                locations: req.body.locations || [],
+                active: req.body.active !== false,
+                updatedBy: req.user?.email || 'admin'
+            });
+
+            zoneService.invalidateCache();
+
+            res.status(201).json({
+                success: true,
+                data: zone
+            });
+
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A zone with this number already exists'
+                });
+            }
+            // 2dsphere index rejects self-intersecting or otherwise invalid polygons
+            if (error.code === 16755) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Zone area is not a valid polygon'
+                });
+            }
+            console.error('Admin create zone error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create zone'
+            });
+        }
+    }
+);
+
+// ========================================
+// PUT /api/admin/zones/:id - Update, redraw or deactivate a zone
+// ========================================
+router.put('/zones/:id',
+    authenticate,
+    requirePermission('pricing.manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid zone ID'),
+        body('baseFareUSD').optional().isFloat({ min: 0 }).withMessage('Base fare must be a positive number'),
+        body('area').optional().custom(area => {
+            const error = zoneService.validateArea(area);
+            if (error) throw new Error(error);
+            return true;
+        }),
+        body('locations').optional().isArray().withMessage('Locations must be a list of names')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const zone = await Zone.findById(req.params.id);
+
+            if (!zone) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Zone not found'
+                });
+            }
+
+            // Zone numbers are referenced by promotions and corporate rates
+            const allowedUpdates = ['name', 'description', 'baseFareUSD', 'area', 'locations', 'active'];
+
+            for (const key of allowedUpdates) {
+                if (req.body[key] !== undefined) {
+                    zone[key] = req.body[key];
+                }
+            }
+            zone.updatedBy = req.user?.email || 'admin';
+
+            await zone.save();
+            zoneService.invalidateCache();
+
+            res.json({
+                success: true,
+                data: zone
+            });
+
+        } catch (error) {
+            if (error.code === 16755) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Zone area is not a valid polygon'
+                });
+            }
+            console.error('Admin update zone error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update zone'
+            });
+        }
+    }
+);
+
+// ========================================
+// GET /api/admin/staff - List staff and what each role can do
+// ========================================
+router.get('/staff',
+    authenticate,
+    requirePermission('staff.read'),
+    async (req, res) => {
+        try {
+            const staff = await User.find({ role: 'admin' })
+                .select('name email phone staffRole lastLogin createdAt role')
+                .sort({ createdAt: 1 });
+
+            res.json({
+                success: true,
+                data: {
+                    staff: staff.map(member => ({
+                        ...member.toJSON(),
+                        staffRole: member.getStaffRole()
+                    })),
+                    roles: ROLE_PERMISSIONS
+                }
+            });
+
+        } catch (error) {
+            console.error('Admin list staff error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get staff'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/staff - Add a staff member (or give an existing user a staff role)
+// ========================================
+router.post('/staff',
+    authenticate,
+    requirePermission('staff.manage'),
+    [
+        body('phone').matches(/^\+251\d{9}$/).withMessage('Please enter a valid Ethiopian phone number (+251...)'),
+        body('email').isEmail().withMessage('A valid email is required'),
+        body('name').optional().trim().isLength({ max: 100 }),
+        body('staffRole').isIn(STAFF_ROLES).withMessage(`Staff role must be one of ${STAFF_ROLES.join(', ')}`),
+        body('password').isLength({ min: 10 }).withMessage('Password must be at least 10 characters')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { phone, name, staffRole, password } = req.body;
+            const email = req.body.email.toLowerCase();
+
+            let user = await User.findOne({ $or: [{ phone }, { email }] });
+            if (user?.role === 'admin') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This user is already a staff member'
+                });
+            }
+            if (user?.role === 'driver') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Driver accounts cannot be given a staff role'
+                });
+            }
+
+            const isNew = !user;
+            const oldRole = user?.role;
+            if (isNew) {
+                user = new User({ phone, isVerified: true });
+            }
+
+            user.email = email;
+            if (name) user.name = name;
+            user.role = 'admin';
+            user.staffRole = staffRole;
+            user.password = password;
+            await user.save();
+
+            if (isNew) {
+                await auditService.logUserCreated(user, req.user, req);
+            } else {
+                // Their customer sessions must not carry over as staff ones (no 2FA yet)
+                await sessionService.revokeAllSessions('user', user, 'role_changed', { req, revokedBy: req.user });
+            }
+            await auditService.logRoleChange(user, oldRole || 'none', staffRole, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Staff member added',
+                data: { ...user.toJSON(), staffRole: user.getStaffRole() }
+            });
+
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Another user already has this phone number or email'
+                });
+            }
+            console.error('Admin add staff error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to add staff member'
+            });
+        }
+    }
+);
+
+// ========================================
+// PUT /api/admin/staff/:id - Change a staff member's role, name or password
+// ========================================
+router.put('/staff/:id',
+    authenticate,
+    requirePermission('staff.manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid user ID'),
+        body('staffRole').optional().isIn(STAFF_ROLES).withMessage(`Staff role must be one of ${STAFF_ROLES.join(', ')}`),
+        body('name').optional().trim().isLength({ max: 100 }),
+        body('password').optional().isLength({ min: 10 }).withMessage('Password must be at least 10 characters')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { staffRole, name, password } = req.body;
+
+            const user = await User.findOne({ _id: req.params.id, role: 'admin' });
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Staff member not found'
+                });
+            }
+
+            const oldRole = user.getStaffRole();
+            if (staffRole && staffRole !== oldRole && user._id.equals(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot change your own staff role'
+                });
+            }
+
+            if (staffRole) user.staffRole = staffRole;
+            if (name !== undefined) user.name = name;
+            if (password) user.password = password;
+            await user.save();
+
+            if (staffRole && staffRole !== oldRole) {
+                await auditService.logRoleChange(user, oldRole, staffRole, req.user);
+            }
+            if (password) {
+                await auditService.logPasswordChange(user, req, user._id.equals(req.user._id) ? null : req.user);
+            }
+
+            // Sign out sessions opened under the old role or password (but not
+            // the one changing your own password)
+            const roleChanged = staffRole && staffRole !== oldRole;
+            if (roleChanged || password) {
+                const isSelf = user._id.equals(req.user._id);
+                await sessionService.revokeAllSessions('user', user, roleChanged ? 'role_changed' : 'password_changed', {
+                    exceptSessionId: isSelf ? req.sessionId : undefined,
+                    req,
+                    revokedBy: isSelf ? null : req.user
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Staff member updated',
+                data: { ...user.toJSON(), staffRole: user.getStaffRole() }
+            });
+
+        } catch (error) {
+            console.error('Admin update staff error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update staff member'
+            });
+        }
+    }
+);
+
+// ========================================
+// DELETE /api/admin/staff/:id - Take away a user's staff access
+// ========================================
+router.delete('/staff/:id',
+    authenticate,
+    requirePermission('staff.manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            if (req.params.id === req.user._id.toString()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot remove your own staff access'
+                });
+            }
+
+            const user = await User.findOne({ _id: req.params.id, role: 'admin' });
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Staff member not found'
+                });
+            }
+
+            const oldRole = user.getStaffRole();
+            user.role = 'customer';
+            user.staffRole = undefined;
+            user.password = undefined;
+            await user.save();
+
+            await auditService.logRoleChange(user, oldRole, 'customer', req.user);
+            await sessionService.revokeAllSessions('user', user, 'role_changed', { req, revokedBy: req.user });
+
+            res.json({
+                success: true,
+                message: 'Staff access removed'
+            });
+
+        } catch (error) {
+            console.error('Admin remove staff error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to remove staff access'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/admin/staff/:id/2fa/reset - Reset a staff member's 2FA
+// ========================================
+// For a lost authenticator and no backup codes left: they set 2FA up
+// again at their next login
+router.post('/staff/:id/2fa/reset',
+    authenticate,
+    requirePermission('staff.manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid user ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            if (req.params.id === req.user._id.toString()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot reset your own two-factor authentication'
+                });
+            }
+
+            const user = await User.findOne({ _id: req.params.id, role: 'admin' });
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Staff member not found'
+                });
+            }
+
+            twoFactorService.disableAccount2FA(user);
+            await user.save();
+
+            await auditService.logTwoFactorEvent('auth.2fa_reset', user, req, {
+                resetBy: req.user,
+                reason: req.body.reason
+            });
+            await sessionService.revokeAllSessions('user', user, '2fa_reset', { req, revokedBy: req.user });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication reset. They will set it up again at their next login.'
+            });
+
+        } catch (error) {
+            console.error('Admin reset staff 2FA error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to reset two-factor authentication'
+            });
+        }
+    }
+);
+
 module.exports = router;
@@ -5,6 +5,10 @@
 const express = require('express');
 const router = express.Router();
 const analyticsService = require('../services/analyticsService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Staff only
+router.use(authenticate, requirePermission('analytics.read'));
 
 // ========================================
 // Dashboard Overview
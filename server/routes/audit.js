@@ -6,6 +6,10 @@ const express = require('express');
 const router = express.Router();
 const auditService = require('../services/auditService');
 const AuditLog = require('../models/AuditLog');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Staff only
+router.use(authenticate, requirePermission('audit.read'));
 
 // Get audit trail with filters
 router.get('/trail', async (req, res) => {
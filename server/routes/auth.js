@@ -4,11 +4,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, authenticate } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const { authLimiter, otpLimiter } = require('../middleware/rateLimit');
-const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const otpService = require('../services/otpService');
 
 // Validation middleware
 const handleValidation = (req, res, next) => {
@@ -23,11 +26,26 @@ const handleValidation = (req, res, next) => {
     next();
 };
 
+// Answer with an otpService error (lockout, resend cooldown, wrong code...)
+const sendOtpError = (res, error) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        attemptsRemaining: error.attemptsRemaining
+    });
+};
+
 // ========================================
 // POST /api/auth/register - Register new user
 // ========================================
 router.post('/register',
     authLimiter,
+    otpLimiter,
     [
         body('phone')
             .matches(/^\+251\d{9}$/)
@@ -55,29 +73,26 @@ router.post('/register',
 
             if (!user) {
                 // Create new user
-                user = new User({ phone, name });
+                user = await otpService.findOrCreateUser(phone, { name });
             } else {
                 // Update name if provided
                 if (name) user.name = name;
             }
 
-            // Generate OTP
-            const otp = user.generateOTP();
-            await user.save();
-
-            // Send OTP via SMS
-            await notificationService.sendSMS(phone, `Your Shuttle Plus verification code is: ${otp}`);
+            const sent = await otpService.sendCode(user, req);
 
             res.status(201).json({
                 success: true,
                 message: 'Verification code sent to your phone',
                 data: {
                     phone: user.phone,
-                    requiresVerification: true
+                    requiresVerification: true,
+                    ...sent
                 }
             });
 
         } catch (error) {
+            if (error.name === 'OtpError') return sendOtpError(res, error);
             console.error('Registration error:', error);
             res.status(500).json({
                 success: false,
@@ -92,40 +107,42 @@ router.post('/register',
 // ========================================
 router.post('/login',
     authLimiter,
+    otpLimiter,
     [
         body('phone')
             .matches(/^\+251\d{9}$/)
-            .withMessage('Please enter a valid Ethiopian phone number (+251...)')
+            .withMessage('Please enter a valid Ethiopian phone number (+251...)'),
+        body('channel')
+            .optional()
+            .isIn(otpService.CHANNELS)
+            .withMessage(`Channel must be one of ${otpService.CHANNELS.join(', ')}`)
     ],
     handleValidation,
     async (req, res) => {
         try {
-            const { phone } = req.body;
+            const { phone, channel } = req.body;
 
-            let user = await User.findOne({ phone });
+            // Auto-register for convenience (sends to unverified numbers
+            // are capped by the budget in otpService)
+            const user = await otpService.findOrCreateUser(phone);
 
-            if (!user) {
-                // Auto-register for convenience
-                user = new User({ phone });
-            }
-
-            // Generate OTP
-            const otp = user.generateOTP();
-            await user.save();
-
-            // Send OTP via SMS
-            await notificationService.sendSMS(phone, `Your Shuttle Plus login code is: ${otp}`);
+            const sent = await otpService.sendCode(user, req, { channel });
 
             res.json({
                 success: true,
-                message: 'Verification code sent to your phone',
+                message: sent.channel === 'sms'
+                    ? 'Verification code sent to your phone'
+                    : `Verification code sent by ${sent.channel}`,
                 data: {
                     phone: user.phone,
-                    isNewUser: !user.isVerified
+                    isNewUser: !user.isVerified,
+                    ...sent,
+                    channels: otpService.getAvailableChannels(user)
                 }
             });
 
         } catch (error) {
+            if (error.name === 'OtpError') return sendOtpError(res, error);
             console.error('Login error:', error);
             res.status(500).json({
                 success: false,
@@ -135,11 +152,330 @@ router.post('/login',
     }
 );
 
+// ========================================
+// Staff two-factor helpers
+// ========================================
+// Staff always pass a second factor: after the password (or phone OTP)
+// they get a short-lived challenge token, which /staff/2fa/verify turns
+// into a session token. Staff without 2FA are sent through
+// /staff/2fa/setup and /staff/2fa/enable first. A device trusted within
+// the last 30 days (deviceToken) skips the code.
+
+async function sendStaffSession(user, req, res, extra = {}) {
+    user.lastLogin = new Date();
+    await user.save();
+    await auditService.logLogin(user, req, true);
+    const tokens = await sessionService.createSession('user', user, req);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            ...tokens,
+            user: { ...user.toJSON(), staffRole: user.getStaffRole() },
+            ...extra
+        }
+    });
+}
+
+function sendStaffTwoFactorStep(user, req, res) {
+    if (twoFactorService.isTrustedDevice(user, req.body.deviceToken)) {
+        return sendStaffSession(user, req, res);
+    }
+
+    const enrolled = !!user.twoFactorAuth?.enabled;
+    res.json({
+        success: true,
+        message: enrolled
+            ? 'Enter the code from your authenticator app'
+            : 'Set up two-factor authentication to continue',
+        data: enrolled ? {
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.createChallenge(user, 'user', 'verify'),
+            methods: ['totp', 'backup']
+        } : {
+            twoFactorEnrollmentRequired: true,
+            challengeToken: twoFactorService.createChallenge(user, 'user', 'enroll')
+        }
+    });
+}
+
+// The staff user a challenge token was issued to
+async function findChallengedStaff(challengeToken, purpose) {
+    const userId = twoFactorService.readChallenge(challengeToken, 'user', purpose);
+    if (!userId) return null;
+    return User.findOne({ _id: userId, role: 'admin' });
+}
+
+// Trust the device if asked to; returns the token for the client to keep
+function trustStaffDevice(user, req) {
+    if (!req.body.trustDevice) return null;
+    const device = twoFactorService.trustDevice(user, req.body.deviceLabel || req.headers['user-agent']);
+    auditService.logTwoFactorEvent('auth.2fa_device_trusted', user, req, { label: req.body.deviceLabel });
+    return device;
+}
+
+// ========================================
+// POST /api/auth/staff/login - Staff login (email and password)
+// ========================================
+router.post('/staff/login',
+    authLimiter,
+    [
+        body('email').isEmail().withMessage('A valid email is required'),
+        body('password').notEmpty().withMessage('Password is required')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { email, password } = req.body;
+
+            const user = await User.findOne({ email: email.toLowerCase(), role: 'admin' }).select('+password');
+
+            if (!user || !(await user.comparePassword(password))) {
+                await auditService.logLogin(user, req, false);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid email or password'
+                });
+            }
+
+            await sendStaffTwoFactorStep(user, req, res);
+
+        } catch (error) {
+            console.error('Staff login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed. Please try again.'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/auth/staff/2fa/setup - Start 2FA enrollment
+// ========================================
+router.post('/staff/2fa/setup',
+    authLimiter,
+    [
+        body('challengeToken').notEmpty().withMessage('Challenge token is required')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const user = await findChallengedStaff(req.body.challengeToken, 'enroll');
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your login has expired. Please sign in again.'
+                });
+            }
+
+            const enrollment = await twoFactorService.startEnrollment(user);
+            await user.save();
+            await auditService.logTwoFactorEvent('auth.2fa_enrollment_started', user, req);
+
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then enter a code to finish',
+                data: enrollment
+            });
+
+        } catch (error) {
+            console.error('Staff 2FA setup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to start two-factor setup'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/auth/staff/2fa/enable - Finish enrollment and log in
+// ========================================
+router.post('/staff/2fa/enable',
+    authLimiter,
+    [
+        body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+        body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const user = await findChallengedStaff(req.body.challengeToken, 'enroll');
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your login has expired. Please sign in again.'
+                });
+            }
+
+            const backupCodes = twoFactorService.confirmEnrollment(user, req.body.code);
+            if (!backupCodes) {
+                await auditService.logTwoFactorEvent('auth.2fa_failed', user, req, { step: 'enrollment' });
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid code. Check your authenticator app and try again.'
+                });
+            }
+
+            await auditService.logTwoFactorEvent('auth.2fa_enabled', user, req);
+            const device = trustStaffDevice(user, req);
+
+            await sendStaffSession(user, req, res, {
+                backupCodes,
+                deviceToken: device?.token,
+                deviceTrustedUntil: device?.expiresAt
+            });
+
+        } catch (error) {
+            console.error('Staff 2FA enable error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to enable two-factor authentication'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/auth/staff/2fa/verify - Enter a 2FA or backup code and log in
+// ========================================
+router.post('/staff/2fa/verify',
+    authLimiter,
+    [
+        body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+        body('code').trim().notEmpty().withMessage('Code is required'),
+        body('method').optional().isIn(['totp', 'backup']).withMessage('Method must be totp or backup')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const user = await findChallengedStaff(req.body.challengeToken, 'verify');
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your login has expired. Please sign in again.'
+                });
+            }
+
+            const result = twoFactorService.verifyAccountCode(user, req.body.code, req.body.method);
+            if (!result.success) {
+                await auditService.logTwoFactorEvent('auth.2fa_failed', user, req, { method: result.method });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid code'
+                });
+            }
+
+            if (result.method === 'backup') {
+                await auditService.logTwoFactorEvent('auth.2fa_backup_code_used', user, req, {
+                    remainingBackupCodes: result.remainingBackupCodes
+                });
+            } else {
+                await auditService.logTwoFactorEvent('auth.2fa_verified', user, req);
+            }
+            const device = trustStaffDevice(user, req);
+
+            await sendStaffSession(user, req, res, {
+                remainingBackupCodes: result.remainingBackupCodes,
+                deviceToken: device?.token,
+                deviceTrustedUntil: device?.expiresAt
+            });
+
+        } catch (error) {
+            console.error('Staff 2FA verify error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Verification failed. Please try again.'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/auth/staff/2fa/backup-codes - Replace backup codes
+// ========================================
+router.post('/staff/2fa/backup-codes',
+    authenticate,
+    [
+        body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const user = req.user;
+            if (user.role !== 'admin' || !user.twoFactorAuth?.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not set up for this account'
+                });
+            }
+
+            if (!twoFactorService.verifyAccountCode(user, req.body.code).success) {
+                await auditService.logTwoFactorEvent('auth.2fa_failed', user, req, { step: 'backup_codes' });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid code'
+                });
+            }
+
+            const backupCodes = twoFactorService.replaceBackupCodes(user);
+            await user.save();
+            await auditService.logTwoFactorEvent('auth.2fa_backup_codes_regenerated', user, req);
+
+            res.json({
+                success: true,
+                message: 'New backup codes generated. The old ones no longer work.',
+                data: { backupCodes }
+            });
+
+        } catch (error) {
+            console.error('Staff backup codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate backup codes'
+            });
+        }
+    }
+);
+
+// ========================================
+// DELETE /api/auth/staff/2fa/trusted-devices - Forget trusted devices
+// ========================================
+router.delete('/staff/2fa/trusted-devices', authenticate, async (req, res) => {
+    try {
+        const user = req.user;
+        if (user.role !== 'admin' || !user.twoFactorAuth?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not set up for this account'
+            });
+        }
+
+        user.twoFactorAuth.trustedDevices = [];
+        await user.save();
+        await auditService.logTwoFactorEvent('auth.2fa_devices_cleared', user, req);
+
+        res.json({
+            success: true,
+            message: 'All devices will be asked for a code at the next login'
+        });
+
+    } catch (error) {
+        console.error('Clear trusted devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clear trusted devices'
+        });
+    }
+});
+
 // ========================================
 // POST /api/auth/verify-otp - Verify OTP
 // ========================================
 router.post('/verify-otp',
-    otpLimiter,
+    authLimiter,
     [
         body('phone')
             .matches(/^\+251\d{9}$/)
@@ -157,38 +493,40 @@ router.post('/verify-otp',
             const user = await User.findOne({ phone });
 
             if (!user) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'User not found. Please register first.'
-                });
-            }
-
-            if (!user.verifyOTP(otp)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Invalid or expired verification code'
+                    message: 'Invalid or expired verification code',
+                    code: 'NO_CODE'
                 });
             }
 
-            // Clear OTP and mark as verified
-            user.clearOTP();
+            // Counts wrong codes and locks the number after too many
+            await otpService.verifyCode(user, otp, req);
+
             user.isVerified = true;
+
+            // Staff still need their second factor
+            if (user.role === 'admin') {
+                await user.save();
+                return sendStaffTwoFactorStep(user, req, res);
+            }
+
             user.lastLogin = new Date();
             await user.save();
 
-            // Generate token
-            const token = generateToken(user._id);
+            const tokens = await sessionService.createSession('user', user, req);
 
             res.json({
                 success: true,
                 message: 'Verification successful',
                 data: {
-                    token,
+                    ...tokens,
                     user: user.toJSON()
                 }
             });
 
         } catch (error) {
+            if (error.name === 'OtpError') return sendOtpError(res, error);
             console.error('OTP verification error:', error);
             res.status(500).json({
                 success: false,
@@ -206,12 +544,16 @@ router.post('/resend-otp',
     [
         body('phone')
             .matches(/^\+251\d{9}$/)
-            .withMessage('Please enter a valid phone number')
+            .withMessage('Please enter a valid phone number'),
+        body('channel')
+            .optional()
+            .isIn(otpService.CHANNELS)
+            .withMessage(`Channel must be one of ${otpService.CHANNELS.join(', ')}`)
     ],
     handleValidation,
     async (req, res) => {
         try {
-            const { phone } = req.body;
+            const { phone, channel } = req.body;
 
             const user = await User.findOne({ phone });
 
@@ -222,19 +564,20 @@ router.post('/resend-otp',
                 });
             }
 
-            // Generate new OTP
-            const otp = user.generateOTP();
-            await user.save();
-
-            // Send OTP
-            await notificationService.sendSMS(phone, `Your Shuttle Plus verification code is: ${otp}`);
+            // Subject to the resend cooldown and hourly limit
+            const sent = await otpService.sendCode(user, req, { channel });
 
             res.json({
                 success: true,
-                message: 'New verification code sent'
+                message: 'New verification code sent',
+                data: {
+                    ...sent,
+                    channels: otpService.getAvailableChannels(user)
+                }
             });
 
         } catch (error) {
+            if (error.name === 'OtpError') return sendOtpError(res, error);
             console.error('Resend OTP error:', error);
             res.status(500).json({
                 success: false,
@@ -262,17 +605,57 @@ router.get('/me', authenticate, async (req, res) => {
     }
 });
 
+// ========================================
+// POST /api/auth/refresh - New access token
+// ========================================
+// The refresh token can only be used once; the response has its replacement
+router.post('/refresh',
+    authLimiter,
+    [
+        body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const result = await sessionService.refreshSession('user', req.body.refreshToken, req);
+            if (!result) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session expired. Please sign in again.'
+                });
+            }
+
+            const { subject, ...tokens } = result;
+
+            res.json({
+                success: true,
+                data: tokens
+            });
+
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to refresh session'
+            });
+        }
+    }
+);
+
 // ========================================
 // POST /api/auth/logout - Logout
 // ========================================
 router.post('/logout', authenticate, async (req, res) => {
     try {
-        // In a more complex setup, you'd invalidate the token here
+        await sessionService.revokeSession('user', req.userId, req.sessionId, 'logout');
+        await auditService.logLogout(req.user, req);
+
         res.json({
             success: true,
             message: 'Logged out successfully'
         });
     } catch (error) {
+        console.error('Logout error:', error);
         res.status(500).json({
             success: false,
             message: 'Logout failed'
@@ -280,4 +663,85 @@ router.post('/logout', authenticate, async (req, res) => {
     }
 });
 
+// ========================================
+// GET /api/auth/sessions - Devices signed in to this account
+// ========================================
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions('user', req.userId);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session.toJSON(),
+                current: session._id.toString() === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load sessions'
+        });
+    }
+});
+
+// ========================================
+// DELETE /api/auth/sessions/:id - Sign out one device
+// ========================================
+router.delete('/sessions/:id',
+    authenticate,
+    [
+        param('id').isMongoId().withMessage('Invalid session ID')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const session = await sessionService.revokeSession('user', req.userId, req.params.id, 'revoked_by_user');
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Device signed out'
+            });
+
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to sign out device'
+            });
+        }
+    }
+);
+
+// ========================================
+// POST /api/auth/sessions/logout-others - Sign out every other device
+// ========================================
+router.post('/sessions/logout-others', authenticate, async (req, res) => {
+    try {
+        const count = await sessionService.revokeAllSessions('user', req.user, 'logout_other_devices', {
+            exceptSessionId: req.sessionId,
+            req
+        });
+
+        res.json({
+            success: true,
+            message: `Signed out of ${count} other device(s)`,
+            data: { count }
+        });
+    } catch (error) {
+        console.error('Logout other devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out other devices'
+        });
+    }
+});
+
 module.exports = router;
@@ -9,7 +9,10 @@ const Booking = require('../models/Booking');
 const User = require('../models/User');
 const { authenticate, optionalAuth } = require('../middleware/auth');
 const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
 const notificationService = require('../services/notificationService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const refundService = require('../services/refundService');
 const pdfService = require('../services/pdfService');
 
 // Validation middleware
@@ -25,6 +28,54 @@ const handleValidation = (req, res, next) => {
     next();
 };
 
+// Payment methods a customer can choose; the payment's status, amount and
+// provider ids are only ever set by the payment routes and webhooks
+const CUSTOMER_PAYMENT_METHODS = ['stripe', 'telebirr', 'cash'];
+
+// Booking references look like SP-2026-1A2B3C4D - the app makes one up for its offline copy
+const BOOKING_REFERENCE_PATTERN = /^SP-\d{4}-[0-9A-F]{8}$/;
+
+// Copy the fields a customer may set from the request body. Everything
+// else (payment state, driver, dispatch, trip, earnings, corporate policy
+// and approval) is the server's.
+function pickBookingFields(body) {
+    const { flight = {}, pickup = {}, dropoff = {}, contact = {} } = body;
+    const place = (point) => ({
+        location: point.location,
+        address: point.address,
+        coordinates: point.coordinates
+            ? { lat: Number(point.coordinates.lat), lng: Number(point.coordinates.lng) }
+            : undefined,
+        notes: point.notes
+    });
+
+    return {
+        bookingReference: BOOKING_REFERENCE_PATTERN.test(body.bookingReference) ? body.bookingReference : undefined,
+        type: body.type,
+        flight: {
+            number: flight.number,
+            airline: flight.airline,
+            scheduledTime: flight.scheduledTime,
+            terminal: flight.terminal
+        },
+        pickup: { ...place(pickup), scheduledTime: pickup.scheduledTime },
+        dropoff: place(dropoff),
+        vehicleClass: body.vehicleClass,
+        passengers: body.passengers,
+        luggage: body.luggage,
+        specialRequests: body.specialRequests,
+        childSeat: body.childSeat,
+        contact: {
+            name: contact.name,
+            phone: contact.phone,
+            email: contact.email
+        },
+        payment: {
+            method: CUSTOMER_PAYMENT_METHODS.includes(body.payment?.method) ? body.payment.method : 'cash'
+        }
+    };
+}
+
 // ========================================
 // GET /api/bookings/stats/completed-count - Get completed transfer count
 // ========================================
@@ -105,14 +156,27 @@ router.post('/',
     handleValidation,
     async (req, res) => {
         try {
-            const bookingData = req.body;
+            // Corporate bookings go through /api/corporate/bookings so account approval applies
+            if (req.body.payment?.method === 'corporate' || req.body.corporateAccountId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Corporate bookings must be made through the corporate account'
+                });
+            }
+
+            const bookingData = pickBookingFields(req.body);
 
             // Calculate pricing
             const pricing = await pricingService.calculate({
                 pickup: bookingData.pickup.location,
                 dropoff: bookingData.dropoff.location,
+                pickupCoordinates: bookingData.pickup.coordinates,
+                dropoffCoordinates: bookingData.dropoff.coordinates,
                 vehicleClass: bookingData.vehicleClass,
-                pickupTime: bookingData.pickup.scheduledTime
+                pickupTime: bookingData.pickup.scheduledTime,
+                promoCode: req.body.promoCode,
+                userId: req.userId,
+                phone: bookingData.contact.phone
             });
 
             // Create booking
@@ -120,12 +184,23 @@ router.post('/',
                 ...bookingData,
                 userId: req.userId || null,
                 pricing,
+                promotion: pricing.promotion || undefined,
                 source: 'pwa',
                 ipAddress: req.ip,
                 userAgent: req.headers['user-agent']
             });
 
-            await booking.save();
+            // Take the promo use before saving so the last use can't go twice
+            if (pricing.promotion) {
+                await promotionService.redeem(booking, pricing.promotion);
+            }
+
+            try {
+                await booking.save();
+            } catch (error) {
+                if (pricing.promotion) await promotionService.release(booking._id);
+                throw error;
+            }
 
             // Update user's booking count if authenticated
             if (req.userId) {
@@ -144,6 +219,13 @@ router.post('/',
             });
 
         } catch (error) {
+            if (['PromoCodeError', 'PricingError'].includes(error.name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
             console.error('Create booking error:', error);
             res.status(500).json({
                 success: false,
@@ -310,9 +392,9 @@ router.put('/:id',
 );
 
 // ========================================
-// DELETE /api/bookings/:id - Cancel booking
+// GET /api/bookings/:id/cancellation - Refund the customer would get
 // ========================================
-router.delete('/:id',
+router.get('/:id/cancellation',
     authenticate,
     [
         param('id').notEmpty().withMessage('Booking ID is required')
@@ -321,7 +403,6 @@ router.delete('/:id',
     async (req, res) => {
         try {
             const { id } = req.params;
-            const { reason } = req.body;
 
             const booking = await Booking.findOne({
                 $or: [
@@ -338,27 +419,78 @@ router.delete('/:id',
                 });
             }
 
-            // Check if cancellation is allowed
-            if (['completed', 'cancelled', 'in_progress'].includes(booking.status)) {
-                return res.status(400).json({
+            const blocked = bookingStateMachine.checkTransition(booking, 'cancelled', 'customer');
+
+            res.json({
+                success: true,
+                data: {
+                    cancellable: !blocked,
+                    refund: blocked ? null : refundService.calculateCancellationRefund(booking),
+                    policy: refundService.CANCELLATION_POLICY
+                }
+            });
+
+        } catch (error) {
+            console.error('Cancellation quote error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get cancellation details'
+            });
+        }
+    }
+);
+
+// ========================================
+// DELETE /api/bookings/:id - Cancel booking
+// ========================================
+router.delete('/:id',
+    authenticate,
+    [
+        param('id').notEmpty().withMessage('Booking ID is required')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            const booking = await Booking.findOne({
+                $or: [
+                    { _id: id },
+                    { bookingReference: id.toUpperCase() }
+                ],
+                userId: req.userId
+            });
+
+            if (!booking) {
+                return res.status(404).json({
                     success: false,
-                    message: 'Cannot cancel this booking'
+                    message: 'Booking not found'
                 });
             }
 
-            // Update status
-            await booking.updateStatus('cancelled', reason || 'Cancelled by customer', 'customer');
-
-            // Send cancellation notification
-            await notificationService.sendCancellationNotification(booking);
+            // Cancellation rules and the customer notification live in the state machine
+            await bookingStateMachine.transition(booking, 'cancelled', {
+                actor: { role: 'customer', id: req.userId, email: req.user?.email },
+                note: reason || 'Cancelled by customer',
+                req
+            });
 
             res.json({
                 success: true,
                 message: 'Booking cancelled successfully',
-                data: booking.toJSON()
+                data: booking.toJSON(),
+                refund: booking.payment.refund?.amount ? booking.payment.refund : null
             });
 
         } catch (error) {
+            if (error.name === 'BookingTransitionError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot cancel this booking',
+                    code: error.code
+                });
+            }
             console.error('Cancel booking error:', error);
             res.status(500).json({
                 success: false,
@@ -577,7 +709,7 @@ router.get('/:id/receipt',
             }
 
             // Only allow receipt download for paid bookings
-            if (booking.payment?.status !== 'paid') {
+            if (!['paid', 'partially_refunded'].includes(booking.payment?.status)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Receipt only available for paid bookings'
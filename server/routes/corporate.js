@@ -5,38 +5,140 @@
 const express = require('express');
 const router = express.Router();
 const CorporateAccount = require('../models/CorporateAccount');
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
 const corporatePricingService = require('../services/corporatePricingService');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const invoiceService = require('../services/invoiceService');
+const corporateBookingService = require('../services/corporateBookingService');
+const corporateBalanceService = require('../services/corporateBalanceService');
+const pdfService = require('../services/pdfService');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { authenticateApiKey, requireApiScope } = require('../middleware/apiKeyAuth');
+const { apiLimiter } = require('../middleware/rateLimit');
 
 // Middleware to authenticate corporate API requests
-const authenticateCorporateApi = async (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
+const authenticateCorporateApi = authenticateApiKey('corporate', 'corporateAccount');
 
-    if (!apiKey) {
-        return res.status(401).json({ error: 'API key required' });
-    }
+// Send requests without an API key on to the next route for the same path
+const withApiKey = (req, res, next) => next(req.headers['x-api-key'] ? undefined : 'route');
+
+// The global limiter leaves this router alone - API key routes are limited
+// per key, the account users' routes in authenticateCorporateUser, and the
+// public and staff routes here
+router.use(['/tiers', '/quote', '/request', '/approvals/respond', '/admin'], apiLimiter);
 
+// Middleware for the account's own users (bookers and approvers) signed in with their user token
+const authenticateCorporateUser = [apiLimiter, authenticate, async (req, res, next) => {
     try {
-        const account = await CorporateAccount.findByApiKey(apiKey);
+        const account = await corporateBookingService.findAccountForUser(req.user);
         if (!account) {
-            return res.status(401).json({ error: 'Invalid API key' });
-        }
-
-        // Check IP whitelist if configured
-        if (account.apiAccess.allowedIPs && account.apiAccess.allowedIPs.length > 0) {
-            const clientIP = req.ip || req.connection.remoteAddress;
-            if (!account.apiAccess.allowedIPs.includes(clientIP)) {
-                return res.status(403).json({ error: 'IP not whitelisted' });
-            }
+            return res.status(403).json({ error: 'You are not a member of an active corporate account' });
         }
 
         req.corporateAccount = account;
         next();
     } catch (error) {
-        console.error('[Corporate] Auth error:', error);
+        console.error('[Corporate] User auth error:', error);
         res.status(500).json({ error: 'Authentication failed' });
     }
-};
+}];
+
+// Answer a corporate booking error with its status code
+function sendCorporateBookingError(res, error) {
+    if (error.name === 'CorporateBookingError') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    // Each violation carries the field it's about so the booking form can show it there;
+    // overridable means the booker may resend with a policyJustification to go to approval
+    if (error.name === 'CorporatePolicyError') {
+        return res.status(error.statusCode).json({
+            error: error.message,
+            code: error.code,
+            violations: error.violations,
+            overridable: error.overridable
+        });
+    }
+    if (error.name === 'PricingError') {
+        return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('[Corporate] Booking error:', error);
+    res.status(500).json({ error: error.message });
+}
+
+// Book a trip on the account for one of its users, who is checked against
+// the account's policy and approval rules as if they had booked it themselves
+async function bookOnAccount(req, res, user) {
+    try {
+        const { pickup, dropoff, vehicleClass = 'standard' } = req.body;
+
+        if (!pickup?.location || !pickup?.scheduledTime || !dropoff?.location) {
+            return res.status(400).json({ error: 'Pickup location, pickup time and drop-off location are required' });
+        }
+        if (isNaN(new Date(pickup.scheduledTime))) {
+            return res.status(400).json({ error: 'Valid pickup time is required' });
+        }
+
+        const { booking, approvalRequired, outOfPolicy } = await corporateBookingService.createBooking(
+            req.corporateAccount,
+            user,
+            { ...req.body, vehicleClass },
+            req
+        );
+
+        res.status(201).json({
+            success: true,
+            message: approvalRequired ? 'Booking sent for approval' : 'Booking confirmed',
+            approvalRequired,
+            outOfPolicy,
+            booking
+        });
+    } catch (error) {
+        sendCorporateBookingError(res, error);
+    }
+}
+
+// Answer a top-up or balance error with its status code
+function sendBalanceError(res, error) {
+    if (error.name === 'CorporateBalanceError') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('[Corporate] Balance error:', error);
+    res.status(500).json({ error: error.message });
+}
+
+// Answer an API key error with its status code
+function sendApiKeyError(res, error) {
+    if (error.name === 'ApiKeyError') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('[Corporate] API key error:', error);
+    res.status(500).json({ error: error.message });
+}
+
+// Only the account's admins manage its API keys
+function isAccountAdmin(account, user) {
+    return account.users.some(member =>
+        member.role === 'admin' &&
+        (member.userId?.toString() === user._id.toString() || (user.email && member.email === user.email.toLowerCase()))
+    );
+}
+
+// Send an invoice as JSON, or as a PDF / CSV download
+async function sendInvoice(res, invoice, format) {
+    if (format === 'pdf') {
+        const pdf = await pdfService.generateInvoicePDF(invoice);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="ShuttlePlus-Invoice-${invoice.invoiceNumber}.pdf"`);
+        return res.send(pdf);
+    }
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="ShuttlePlus-Invoice-${invoice.invoiceNumber}.csv"`);
+        return res.send(invoiceService.toCsv(invoice));
+    }
+    res.json({ success: true, invoice });
+}
 
 // ========================================
 // Public Routes
@@ -55,24 +157,30 @@ router.get('/tiers', (req, res) => {
 // Get quote (requires account ID)
 router.post('/quote', async (req, res) => {
     try {
-        const { corporateAccountId, zone, vehicleClass, extras, pickupTime, passengers, luggage } = req.body;
+        const { corporateAccountId, zone, pickup, dropoff, pickupCoordinates, dropoffCoordinates, vehicleClass, extras, pickupTime, passengers } = req.body;
 
-        if (!zone) {
-            return res.status(400).json({ error: 'Zone is required' });
+        if (!zone && !dropoff) {
+            return res.status(400).json({ error: 'Zone or drop-off location is required' });
         }
 
         const pricing = await corporatePricingService.calculateCorporatePrice({
             corporateAccountId,
             zone,
+            pickup,
+            dropoff,
+            pickupCoordinates,
+            dropoffCoordinates,
             vehicleClass,
             extras,
             pickupTime,
-            passengers,
-            luggage
+            passengers
         });
 
         res.json({ success: true, quote: pricing });
     } catch (error) {
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         console.error('[Corporate] Quote error:', error);
         res.status(500).json({ error: error.message });
     }
@@ -165,7 +273,7 @@ router.post('/request', async (req, res) => {
 // ========================================
 
 // Get account details
-router.get('/account', authenticateCorporateApi, async (req, res) => {
+router.get('/account', authenticateCorporateApi, requireApiScope('account'), async (req, res) => {
     try {
         const account = req.corporateAccount;
 
@@ -197,32 +305,38 @@ router.get('/account', authenticateCorporateApi, async (req, res) => {
 });
 
 // Get pricing for authenticated account
-router.post('/pricing', authenticateCorporateApi, async (req, res) => {
+router.post('/pricing', authenticateCorporateApi, requireApiScope('quote'), async (req, res) => {
     try {
-        const { zone, vehicleClass, extras, pickupTime, passengers, luggage } = req.body;
+        const { zone, pickup, dropoff, pickupCoordinates, dropoffCoordinates, vehicleClass, extras, pickupTime, passengers } = req.body;
 
-        if (!zone) {
-            return res.status(400).json({ error: 'Zone is required' });
+        if (!zone && !dropoff) {
+            return res.status(400).json({ error: 'Zone or drop-off location is required' });
         }
 
         const pricing = await corporatePricingService.calculateCorporatePrice({
             corporateAccountId: req.corporateAccount._id,
             zone,
+            pickup,
+            dropoff,
+            pickupCoordinates,
+            dropoffCoordinates,
             vehicleClass,
             extras,
             pickupTime,
-            passengers,
-            luggage
+            passengers
         });
 
         res.json({ success: true, pricing });
     } catch (error) {
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
 // Generate bulk quote
-router.post('/bulk-quote', authenticateCorporateApi, async (req, res) => {
+router.post('/bulk-quote', authenticateCorporateApi, requireApiScope('quote'), async (req, res) => {
     try {
         const { bookings } = req.body;
 
@@ -237,12 +351,15 @@ router.post('/bulk-quote', authenticateCorporateApi, async (req, res) => {
 
         res.json({ success: true, quote });
     } catch (error) {
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
 // Get monthly statement
-router.get('/statement/:year/:month', authenticateCorporateApi, async (req, res) => {
+router.get('/statement/:year/:month', authenticateCorporateApi, requireApiScope('reports'), async (req, res) => {
     try {
         const { year, month } = req.params;
 
@@ -258,30 +375,119 @@ router.get('/statement/:year/:month', authenticateCorporateApi, async (req, res)
     }
 });
 
-// Add balance (for prepaid accounts)
-router.post('/add-balance', authenticateCorporateApi, async (req, res) => {
+// List the account's invoices
+router.get('/invoices', authenticateCorporateApi, requireApiScope('reports'), async (req, res) => {
     try {
-        const { amount, paymentMethod, reference } = req.body;
+        const { status, page = 1, limit = 20 } = req.query;
 
-        if (!amount || amount <= 0) {
-            return res.status(400).json({ error: 'Valid amount is required' });
-        }
+        const query = { corporateAccountId: req.corporateAccount._id };
+        if (status) query.status = status;
 
-        const account = req.corporateAccount;
-        await account.addBalance(amount);
+        const invoices = await Invoice.find(query)
+            .select('-lines')
+            .sort({ issuedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const total = await Invoice.countDocuments(query);
 
         res.json({
             success: true,
-            message: `$${amount} added to account balance`,
-            newBalance: account.billing.currentBalance
+            invoices,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Get an invoice (?format=pdf or csv to download it)
+router.get('/invoices/:invoiceNumber', authenticateCorporateApi, requireApiScope('reports'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({
+            invoiceNumber: req.params.invoiceNumber,
+            corporateAccountId: req.corporateAccount._id
+        });
+        if (!invoice) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        await sendInvoice(res, invoice, req.query.format);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Top up the balance by card (paymentMethod 'stripe') or Telebirr. The
+// money is added once the payment goes through; the response has the
+// Stripe clientSecret or the Telebirr paymentUrl to pay with.
+router.post('/add-balance', authenticateCorporateApi, requireApiScope('account'), async (req, res) => {
+    try {
+        const { amount, paymentMethod = 'stripe', phone } = req.body;
+
+        const { transaction, clientSecret, paymentUrl } = await corporateBalanceService.startTopUp(
+            req.corporateAccount,
+            { amount, provider: paymentMethod, phone }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `Top-up of ${transaction.currency} ${transaction.amount} started - it is added once the payment goes through`,
+            transaction,
+            clientSecret,
+            paymentUrl
+        });
+    } catch (error) {
+        sendBalanceError(res, error);
+    }
+});
+
+// Balance, credit and auto-recharge settings
+router.get('/balance', authenticateCorporateApi, requireApiScope('reports'), (req, res) => {
+    res.json({ success: true, balance: corporateBalanceService.getSummary(req.corporateAccount) });
+});
+
+// Balance ledger, newest first (?type=top_up etc.)
+router.get('/balance/transactions', authenticateCorporateApi, requireApiScope('reports'), async (req, res) => {
+    try {
+        const { type, page = 1, limit = 20 } = req.query;
+
+        const result = await corporateBalanceService.getTransactions(req.corporateAccount, {
+            type,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change auto-recharge { enabled, threshold, amount } and lowBalanceThreshold
+router.put('/balance/settings', authenticateCorporateApi, requireApiScope('account'), async (req, res) => {
+    try {
+        const { autoRecharge, lowBalanceThreshold } = req.body;
+
+        const account = await corporateBalanceService.updateSettings(req.corporateAccount, { autoRecharge, lowBalanceThreshold });
+
+        res.json({
+            success: true,
+            message: 'Balance settings updated',
+            balance: corporateBalanceService.getSummary(account)
+        });
+    } catch (error) {
+        sendBalanceError(res, error);
+    }
+});
+
 // Get volume recommendations
-router.get('/recommendations', authenticateCorporateApi, async (req, res) => {
+router.get('/recommendations', authenticateCorporateApi, requireApiScope('quote'), async (req, res) => {
     try {
         const account = req.corporateAccount;
         const recommendations = corporatePricingService.getVolumeRecommendations(
@@ -295,8 +501,75 @@ router.get('/recommendations', authenticateCorporateApi, async (req, res) => {
     }
 });
 
+// List the account's bookings
+router.get('/bookings', authenticateCorporateApi, requireApiScope('read-bookings'), async (req, res) => {
+    try {
+        const { status, costCenter, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+        const query = { corporateAccountId: req.corporateAccount._id };
+        if (status) query.status = status;
+        if (costCenter) query.costCenter = costCenter;
+        if (startDate || endDate) {
+            query['pickup.scheduledTime'] = {};
+            if (startDate) query['pickup.scheduledTime'].$gte = new Date(startDate);
+            if (endDate) query['pickup.scheduledTime'].$lte = new Date(endDate);
+        }
+
+        const [bookings, total] = await Promise.all([
+            Booking.find(query)
+                .select('bookingReference contact.name pickup dropoff vehicleClass pricing.totalUSD pricing.totalETB costCenter projectCode poNumber status createdAt')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Booking.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            bookings,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Book a trip for an account user ({ bookerEmail, ...trip }). Requests
+// without an API key go on to the account users' booking route below
+router.post('/bookings', withApiKey, authenticateCorporateApi, requireApiScope('book'), async (req, res) => {
+    try {
+        const user = await corporateBookingService.findBooker(req.corporateAccount, req.body.bookerEmail);
+        await bookOnAccount(req, res, user);
+    } catch (error) {
+        sendCorporateBookingError(res, error);
+    }
+});
+
+// Get one of the account's bookings
+router.get('/bookings/:reference', authenticateCorporateApi, requireApiScope('read-bookings'), async (req, res) => {
+    try {
+        const booking = await Booking.findOne({
+            bookingReference: req.params.reference.toUpperCase(),
+            corporateAccountId: req.corporateAccount._id
+        });
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        res.json({ success: true, booking });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // List account users
-router.get('/users', authenticateCorporateApi, async (req, res) => {
+router.get('/users', authenticateCorporateApi, requireApiScope('account'), async (req, res) => {
     try {
         const account = req.corporateAccount;
 
@@ -315,7 +588,7 @@ router.get('/users', authenticateCorporateApi, async (req, res) => {
 });
 
 // Add user to account
-router.post('/users', authenticateCorporateApi, async (req, res) => {
+router.post('/users', authenticateCorporateApi, requireApiScope('account'), async (req, res) => {
     try {
         const { email, role, permissions } = req.body;
 
@@ -355,7 +628,7 @@ router.post('/users', authenticateCorporateApi, async (req, res) => {
 });
 
 // Remove user from account
-router.delete('/users/:email', authenticateCorporateApi, async (req, res) => {
+router.delete('/users/:email', authenticateCorporateApi, requireApiScope('account'), async (req, res) => {
     try {
         const { email } = req.params;
         const account = req.corporateAccount;
@@ -372,12 +645,152 @@ router.delete('/users/:email', authenticateCorporateApi, async (req, res) => {
     }
 });
 
+// ========================================
+// Account User Routes (bookers and approvers)
+// ========================================
+
+// Book a trip on the account (held for approval when the account requires it,
+// or when it's outside the account policy and sent with a policyJustification)
+router.post('/bookings', authenticateCorporateUser, (req, res) => bookOnAccount(req, res, req.user));
+
+// Bookings waiting on approval (approvers only)
+router.get('/approvals', authenticateCorporateUser, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const account = req.corporateAccount;
+
+        if (!corporateBookingService.isApprover(account, { userId: req.user._id, email: req.user.email })) {
+            return res.status(403).json({ error: 'You are not an approver on this account' });
+        }
+
+        const queue = await corporateBookingService.getApprovalQueue(account, {
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({ success: true, ...queue });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve or reject from the link in the approval email
+router.post('/approvals/respond', async (req, res) => {
+    try {
+        const { token, decision, reason } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Token is required' });
+        }
+
+        const booking = await corporateBookingService.decideByToken(token, decision, reason, req);
+
+        res.json({
+            success: true,
+            message: `Booking ${booking.bookingReference} ${booking.approval.status}`,
+            booking: {
+                bookingReference: booking.bookingReference,
+                status: booking.status,
+                approval: booking.approval.status
+            }
+        });
+    } catch (error) {
+        sendCorporateBookingError(res, error);
+    }
+});
+
+// Approve or reject as a signed-in approver
+router.post('/approvals/:bookingReference', authenticateCorporateUser, async (req, res) => {
+    try {
+        const { decision, reason } = req.body;
+
+        const booking = await corporateBookingService.decideAsUser(
+            req.params.bookingReference.toUpperCase(),
+            req.corporateAccount,
+            req.user,
+            decision,
+            reason,
+            req
+        );
+
+        res.json({
+            success: true,
+            message: `Booking ${booking.bookingReference} ${booking.approval.status}`,
+            booking
+        });
+    } catch (error) {
+        sendCorporateBookingError(res, error);
+    }
+});
+
+// ========================================
+// Account Admin Routes (API keys)
+// ========================================
+
+// List the account's API keys
+router.get('/api-keys', authenticateCorporateUser, async (req, res) => {
+    try {
+        if (!isAccountAdmin(req.corporateAccount, req.user)) {
+            return res.status(403).json({ error: 'Only account admins can manage API keys' });
+        }
+
+        const keys = await apiKeyService.listKeys('corporate', req.corporateAccount);
+        res.json({ success: true, keys, scopes: apiKeyService.getScopes('corporate') });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Create an API key ({ name, scopes, expiresAt?, rateLimit? }) - the key is only ever shown here
+router.post('/api-keys', authenticateCorporateUser, async (req, res) => {
+    try {
+        if (!isAccountAdmin(req.corporateAccount, req.user)) {
+            return res.status(403).json({ error: 'Only account admins can manage API keys' });
+        }
+
+        const { key, apiKey } = await apiKeyService.createKey('corporate', req.corporateAccount, req.body, req.user, req);
+        res.status(201).json({ success: true, apiKey, key });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Rotate an API key ({ overlapHours?, expiresAt? }) - the old key keeps working for the overlap
+router.post('/api-keys/:keyId/rotate', authenticateCorporateUser, async (req, res) => {
+    try {
+        if (!isAccountAdmin(req.corporateAccount, req.user)) {
+            return res.status(403).json({ error: 'Only account admins can manage API keys' });
+        }
+
+        const { key, apiKey, previous } = await apiKeyService.rotateKey(
+            'corporate', req.corporateAccount, req.params.keyId, req.body, req.user, req
+        );
+        res.status(201).json({ success: true, apiKey, key, previous });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:keyId', authenticateCorporateUser, async (req, res) => {
+    try {
+        if (!isAccountAdmin(req.corporateAccount, req.user)) {
+            return res.status(403).json({ error: 'Only account admins can manage API keys' });
+        }
+
+        const key = await apiKeyService.revokeKey('corporate', req.corporateAccount, req.params.keyId, req.user, req);
+        res.json({ success: true, message: 'API key revoked', key });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
 // ========================================
 // Admin Routes (requires admin authentication)
 // ========================================
 
 // List all corporate accounts (admin only)
-router.get('/admin/accounts', authenticate, requireAdmin, async (req, res) => {
+router.get('/admin/accounts', authenticate, requirePermission('accounts.read'), async (req, res) => {
     try {
         const { status, tier, page = 1, limit = 20 } = req.query;
 
@@ -409,7 +822,7 @@ router.get('/admin/accounts', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Approve/activate corporate account (admin only)
-router.post('/admin/accounts/:accountId/approve', authenticate, requireAdmin, async (req, res) => {
+router.post('/admin/accounts/:accountId/approve', authenticate, requirePermission('accounts.manage'), async (req, res) => {
     try {
         const { accountId } = req.params;
         const { pricingTier, customDiscount, creditLimit } = req.body;
@@ -427,14 +840,20 @@ router.post('/admin/accounts/:accountId/approve', authenticate, requireAdmin, as
         if (customDiscount !== undefined) account.pricing.discountPercentage = customDiscount;
         if (creditLimit !== undefined) account.billing.creditLimit = creditLimit;
 
-        // Generate API key
-        await account.generateApiKey();
+        account.apiAccess.enabled = true;
         await account.save();
 
+        // Issue the account's first API key
+        const { key, apiKey } = await apiKeyService.createKey('corporate', account, {
+            name: 'Default key',
+            scopes: apiKeyService.getScopes('corporate')
+        }, req.user, req);
+
         res.json({
             success: true,
             message: 'Account approved successfully',
-            apiKey: account.apiAccess.apiKey
+            apiKey,
+            key
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -442,7 +861,7 @@ router.post('/admin/accounts/:accountId/approve', authenticate, requireAdmin, as
 });
 
 // Update corporate account pricing (admin only)
-router.put('/admin/accounts/:accountId/pricing', authenticate, requireAdmin, async (req, res) => {
+router.put('/admin/accounts/:accountId/pricing', authenticate, requirePermission('accounts.manage'), async (req, res) => {
     try {
         const { accountId } = req.params;
         const { pricingTier, discountPercentage, volumeDiscounts, customRates, vehicleRates } = req.body;
@@ -469,4 +888,275 @@ router.put('/admin/accounts/:accountId/pricing', authenticate, requireAdmin, asy
     }
 });
 
+// An account's balance ledger (admin only)
+router.get('/admin/accounts/:accountId/balance', authenticate, requirePermission('billing.read'), async (req, res) => {
+    try {
+        const { type, page = 1, limit = 20 } = req.query;
+
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const result = await corporateBalanceService.getTransactions(account, {
+            type,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({ success: true, balance: corporateBalanceService.getSummary(account), ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add to or take off an account's balance by hand, e.g. a bank transfer received (admin only)
+router.post('/admin/accounts/:accountId/balance/adjustments', authenticate, requirePermission('billing.manage'), async (req, res) => {
+    try {
+        const { amount, reference, note } = req.body;
+
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const transaction = await corporateBalanceService.adjustBalance(account, { amount, reference, note }, req.user, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Balance adjusted',
+            transaction
+        });
+    } catch (error) {
+        sendBalanceError(res, error);
+    }
+});
+
+// List an account's API keys (admin only)
+router.get('/admin/accounts/:accountId/api-keys', authenticate, requirePermission('accounts.read'), async (req, res) => {
+    try {
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const keys = await apiKeyService.listKeys('corporate', account);
+        res.json({ success: true, keys, scopes: apiKeyService.getScopes('corporate') });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Issue an API key for an account (admin only)
+router.post('/admin/accounts/:accountId/api-keys', authenticate, requirePermission('accounts.manage'), async (req, res) => {
+    try {
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const { key, apiKey } = await apiKeyService.createKey('corporate', account, req.body, req.user, req);
+        res.status(201).json({ success: true, apiKey, key });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Rotate an account's API key (admin only)
+router.post('/admin/accounts/:accountId/api-keys/:keyId/rotate', authenticate, requirePermission('accounts.manage'), async (req, res) => {
+    try {
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const { key, apiKey, previous } = await apiKeyService.rotateKey(
+            'corporate', account, req.params.keyId, req.body, req.user, req
+        );
+        res.status(201).json({ success: true, apiKey, key, previous });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Revoke an account's API key (admin only)
+router.delete('/admin/accounts/:accountId/api-keys/:keyId', authenticate, requirePermission('accounts.manage'), async (req, res) => {
+    try {
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const key = await apiKeyService.revokeKey('corporate', account, req.params.keyId, req.user, req);
+        res.json({ success: true, message: 'API key revoked', key });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// List invoices across accounts (admin only)
+router.get('/admin/invoices', authenticate, requirePermission('billing.read'), async (req, res) => {
+    try {
+        const { status, accountId, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (accountId) query.accountId = accountId;
+
+        const invoices = await Invoice.find(query)
+            .select('-lines')
+            .sort({ issuedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit));
+
+        const total = await Invoice.countDocuments(query);
+
+        res.json({
+            success: true,
+            invoices,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get an invoice (admin only; ?format=pdf or csv to download it)
+router.get('/admin/invoices/:invoiceNumber', authenticate, requirePermission('billing.read'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ invoiceNumber: req.params.invoiceNumber });
+        if (!invoice) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        await sendInvoice(res, invoice, req.query.format);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Invoice an account's last closed period now and email it (admin only)
+router.post('/admin/accounts/:accountId/invoices', authenticate, requirePermission('billing.manage'), async (req, res) => {
+    try {
+        const account = await CorporateAccount.findOne({ accountId: req.params.accountId });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const period = invoiceService.getClosedPeriod(account.reporting?.frequency);
+        const invoice = await invoiceService.generateInvoice(account, period);
+        if (!invoice) {
+            return res.status(404).json({ error: 'No uninvoiced trips for the period' });
+        }
+
+        if (!invoice.delivery?.sentAt && invoice.status !== 'void') {
+            await invoiceService.deliverInvoice(invoice, account);
+        }
+
+        res.status(201).json({ success: true, invoice });
+    } catch (error) {
+        if (error.name === 'InvoiceError') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Record a payment received against an invoice (admin only)
+router.post('/admin/invoices/:invoiceNumber/payments', authenticate, requirePermission('billing.manage'), async (req, res) => {
+    try {
+        const { amount, method, reference, paidAt } = req.body;
+
+        const invoice = await invoiceService.recordPayment(
+            req.params.invoiceNumber,
+            { amount, method, reference, paidAt },
+            req.user,
+            req
+        );
+
+        res.json({
+            success: true,
+            message: invoice.status === 'paid' ? 'Invoice paid in full' : 'Payment recorded',
+            invoice
+        });
+    } catch (error) {
+        if (error.name === 'InvoiceError') {
+            return res.status(error.code === 'NOT_FOUND' ? 404 : 409).json({ error: error.message, code: error.code });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Email an invoice to the account again (admin only)
+router.post('/admin/invoices/:invoiceNumber/resend', authenticate, requirePermission('billing.manage'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ invoiceNumber: req.params.invoiceNumber });
+        if (!invoice) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        const account = await CorporateAccount.findById(invoice.corporateAccountId);
+        const delivery = await invoiceService.deliverInvoice(invoice, account);
+        if (delivery.error) {
+            return res.status(502).json({ error: `Invoice could not be sent: ${delivery.error}` });
+        }
+
+        res.json({ success: true, message: `Invoice sent to ${delivery.recipients.join(', ')}` });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Void an unpaid invoice (admin only)
+router.post('/admin/invoices/:invoiceNumber/void', authenticate, requirePermission('billing.manage'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ error: 'Reason is required' });
+        }
+
+        const invoice = await invoiceService.voidInvoice(req.params.invoiceNumber, reason, req.user, req);
+
+        res.json({
+            success: true,
+            message: 'Invoice voided - its trips will go on the next invoice',
+            invoice
+        });
+    } catch (error) {
+        if (error.name === 'InvoiceError') {
+            return res.status(error.code === 'NOT_FOUND' ? 404 : 409).json({ error: error.message, code: error.code });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve or reject a corporate booking as staff (when the booker is the account's only approver)
+router.post('/admin/approvals/:bookingReference', authenticate, requirePermission('bookings.manage'), async (req, res) => {
+    try {
+        const { decision, reason } = req.body;
+
+        const booking = await corporateBookingService.decideAsStaff(
+            req.params.bookingReference.toUpperCase(),
+            req.user,
+            decision,
+            reason,
+            req
+        );
+
+        res.json({
+            success: true,
+            message: `Booking ${booking.bookingReference} ${booking.approval.status}`,
+            booking
+        });
+    } catch (error) {
+        sendCorporateBookingError(res, error);
+    }
+});
+
 module.exports = router;
@@ -4,13 +4,19 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const Driver = require('../models/Driver');
 const Booking = require('../models/Booking');
+const Payout = require('../models/Payout');
 const Vehicle = require('../models/Vehicle');
-
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const DispatchOffer = require('../models/DispatchOffer');
+const dispatchService = require('../services/dispatchService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const cashLedgerService = require('../services/cashLedgerService');
+const twoFactorService = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
 
 // ========================================
 // Authentication Middleware
@@ -22,8 +28,12 @@ const authenticateDriver = async (req, res, next) => {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const driver = await Driver.findById(decoded.driverId).populate('currentVehicle');
+        const access = await sessionService.verifyAccessToken('driver', token);
+        if (!access) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+
+        const driver = await Driver.findById(access.subjectId).populate('currentVehicle');
 
         if (!driver) {
             return res.status(401).json({ error: 'Driver not found' });
@@ -34,6 +44,7 @@ const authenticateDriver = async (req, res, next) => {
         }
 
         req.driver = driver;
+        req.sessionId = access.sessionId;
         next();
     } catch (error) {
         res.status(401).json({ error: 'Invalid token' });
@@ -44,6 +55,35 @@ const authenticateDriver = async (req, res, next) => {
 // Authentication Routes
 // ========================================
 
+// Open a session and send its tokens with the driver's details
+async function sendDriverSession(driver, req, res, extra = {}) {
+    const tokens = await sessionService.createSession('driver', driver, req);
+
+    // Update last active time
+    driver.lastActiveAt = new Date();
+    await driver.save();
+
+    res.json({
+        success: true,
+        ...tokens,
+        driver: {
+            id: driver._id,
+            email: driver.email,
+            firstName: driver.firstName,
+            lastName: driver.lastName,
+            fullName: driver.fullName,
+            phone: driver.phone,
+            profilePhoto: driver.profilePhoto,
+            rating: driver.rating,
+            completedTrips: driver.completedTrips,
+            status: driver.status,
+            onlineStatus: driver.onlineStatus,
+            twoFactorEnabled: !!driver.twoFactorAuth?.enabled
+        },
+        ...extra
+    });
+}
+
 // Register new driver
 router.post('/register', async (req, res) => {
     try {
@@ -80,7 +120,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -104,37 +144,243 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { driverId: driver._id, email: driver.email },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Drivers who turned 2FA on also need a code, unless this device is trusted
+        if (driver.twoFactorAuth?.enabled && !twoFactorService.isTrustedDevice(driver, req.body.deviceToken)) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: twoFactorService.createChallenge(driver, 'driver', 'verify'),
+                methods: ['totp', 'backup']
+            });
+        }
 
-        // Update last active time
-        driver.lastActiveAt = new Date();
-        await driver.save();
+        await sendDriverSession(driver, req, res);
+    } catch (error) {
+        console.error('Driver login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Login, second step: code from the authenticator app or a backup code
+router.post('/login/2fa', authLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code, method = 'totp', trustDevice, deviceLabel } = req.body;
+
+        const driverId = twoFactorService.readChallenge(challengeToken, 'driver', 'verify');
+        const driver = driverId && await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(401).json({ error: 'Login expired, please sign in again' });
+        }
+
+        if (driver.status !== 'active') {
+            return res.status(403).json({
+                error: 'Account not active',
+                status: driver.status
+            });
+        }
+
+        const result = twoFactorService.verifyAccountCode(driver, code, method);
+        if (!result.success) {
+            await auditService.logTwoFactorEvent('auth.2fa_failed', driver, req, { method: result.method });
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+
+        if (result.method === 'backup') {
+            await auditService.logTwoFactorEvent('auth.2fa_backup_code_used', driver, req, {
+                remainingBackupCodes: result.remainingBackupCodes
+            });
+        } else {
+            await auditService.logTwoFactorEvent('auth.2fa_verified', driver, req);
+        }
+
+        let device = null;
+        if (trustDevice) {
+            device = twoFactorService.trustDevice(driver, deviceLabel || req.headers['user-agent']);
+            await auditService.logTwoFactorEvent('auth.2fa_device_trusted', driver, req, { label: deviceLabel });
+        }
+
+        await sendDriverSession(driver, req, res, {
+            remainingBackupCodes: result.remainingBackupCodes,
+            deviceToken: device?.token,
+            deviceTrustedUntil: device?.expiresAt
+        });
+    } catch (error) {
+        console.error('Driver 2FA login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// New access token (the refresh token is single use; the response has its replacement)
+router.post('/refresh', authLimiter, async (req, res) => {
+    try {
+        const result = await sessionService.refreshSession('driver', req.body.refreshToken, req);
+        if (!result) {
+            return res.status(401).json({ error: 'Session expired, please sign in again' });
+        }
+
+        const { subject, ...tokens } = result;
+        res.json({ success: true, ...tokens });
+    } catch (error) {
+        console.error('Driver token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+// Logout (this device)
+router.post('/logout', authenticateDriver, async (req, res) => {
+    try {
+        await sessionService.revokeSession('driver', req.driver._id, req.sessionId, 'logout');
+
+        req.driver.onlineStatus = 'offline';
+        await req.driver.save();
+
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('Driver logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// ========================================
+// Session Routes
+// ========================================
+
+// Devices signed in to this account
+router.get('/sessions', authenticateDriver, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions('driver', req.driver._id);
 
         res.json({
             success: true,
-            token,
-            driver: {
-                id: driver._id,
-                email: driver.email,
-                firstName: driver.firstName,
-                lastName: driver.lastName,
-                fullName: driver.fullName,
-                phone: driver.phone,
-                profilePhoto: driver.profilePhoto,
-                rating: driver.rating,
-                completedTrips: driver.completedTrips,
-                status: driver.status,
-                onlineStatus: driver.onlineStatus
-            }
+            sessions: sessions.map(session => ({
+                ...session.toJSON(),
+                current: session._id.toString() === req.sessionId
+            }))
         });
     } catch (error) {
-        console.error('Driver login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+        console.error('Driver sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authenticateDriver, async (req, res) => {
+    try {
+        const session = await sessionService.revokeSession('driver', req.driver._id, req.params.sessionId, 'revoked_by_user');
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ success: true, message: 'Device signed out' });
+    } catch (error) {
+        console.error('Driver revoke session error:', error);
+        res.status(500).json({ error: 'Failed to sign out device' });
+    }
+});
+
+// Sign out every other device
+router.post('/sessions/logout-others', authenticateDriver, async (req, res) => {
+    try {
+        const count = await sessionService.revokeAllSessions('driver', req.driver, 'logout_other_devices', {
+            exceptSessionId: req.sessionId,
+            req
+        });
+
+        res.json({ success: true, message: `Signed out of ${count} other device(s)`, count });
+    } catch (error) {
+        console.error('Driver logout others error:', error);
+        res.status(500).json({ error: 'Failed to sign out other devices' });
+    }
+});
+
+// ========================================
+// Two-Factor Authentication Routes
+// ========================================
+// Optional for drivers: turn on with /2fa/setup then /2fa/enable
+
+// Start setup: secret and QR code for the authenticator app
+router.post('/2fa/setup', authenticateDriver, async (req, res) => {
+    try {
+        if (req.driver.twoFactorAuth?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        const enrollment = await twoFactorService.startEnrollment(req.driver);
+        await req.driver.save();
+        await auditService.logTwoFactorEvent('auth.2fa_enrollment_started', req.driver, req);
+
+        res.json({ success: true, ...enrollment });
+    } catch (error) {
+        console.error('Driver 2FA setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Finish setup with a code from the app; returns the backup codes (shown once)
+router.post('/2fa/enable', authenticateDriver, async (req, res) => {
+    try {
+        const backupCodes = twoFactorService.confirmEnrollment(req.driver, req.body.code);
+        if (!backupCodes) {
+            await auditService.logTwoFactorEvent('auth.2fa_failed', req.driver, req, { step: 'enrollment' });
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+
+        await req.driver.save();
+        await auditService.logTwoFactorEvent('auth.2fa_enabled', req.driver, req);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is on. Keep your backup codes somewhere safe.',
+            backupCodes
+        });
+    } catch (error) {
+        console.error('Driver 2FA enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Turn 2FA off (needs a current code or a backup code)
+router.post('/2fa/disable', authenticateDriver, async (req, res) => {
+    try {
+        const { code, method = 'totp' } = req.body;
+
+        const result = twoFactorService.verifyAccountCode(req.driver, code, method);
+        if (!result.success) {
+            await auditService.logTwoFactorEvent('auth.2fa_failed', req.driver, req, { step: 'disable' });
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+
+        twoFactorService.disableAccount2FA(req.driver);
+        await req.driver.save();
+        await auditService.logTwoFactorEvent('auth.2fa_disabled', req.driver, req);
+
+        res.json({ success: true, message: 'Two-factor authentication is off' });
+    } catch (error) {
+        console.error('Driver 2FA disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Replace the backup codes (needs a current code)
+router.post('/2fa/backup-codes', authenticateDriver, async (req, res) => {
+    try {
+        if (!req.driver.twoFactorAuth?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        }
+
+        if (!twoFactorService.verifyAccountCode(req.driver, req.body.code).success) {
+            await auditService.logTwoFactorEvent('auth.2fa_failed', req.driver, req, { step: 'backup_codes' });
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+
+        const backupCodes = twoFactorService.replaceBackupCodes(req.driver);
+        await req.driver.save();
+        await auditService.logTwoFactorEvent('auth.2fa_backup_codes_regenerated', req.driver, req);
+
+        res.json({ success: true, backupCodes });
+    } catch (error) {
+        console.error('Driver backup codes error:', error);
+        res.status(500).json({ error: 'Failed to generate backup codes' });
     }
 });
 
@@ -293,14 +539,30 @@ router.get('/trips', authenticateDriver, async (req, res) => {
 // Get available trips (pending bookings without driver)
 router.get('/trips/available', authenticateDriver, async (req, res) => {
     try {
-        const trips = await Booking.find({
+        // Trips offered to this driver by dispatch come first
+        const offers = await DispatchOffer.find({
+            driverId: req.driver._id,
+            status: 'offered',
+            expiresAt: { $gt: new Date() }
+        });
+
+        const offeredTrips = await Booking.find({
+            _id: { $in: offers.map(o => o.bookingId) }
+        });
+
+        // Trips currently offered to someone else aren't up for grabs
+        const openTrips = await Booking.find({
             status: { $in: ['pending', 'confirmed'] },
-            'driver.driverId': { $exists: false }
+            'driver.driverId': { $exists: false },
+            'dispatch.status': { $ne: 'offered' }
         })
         .sort({ 'pickup.scheduledTime': 1 })
         .limit(10);
 
-        res.json({ trips });
+        res.json({
+            trips: [...offeredTrips, ...openTrips],
+            offers
+        });
     } catch (error) {
         console.error('Get available trips error:', error);
         res.status(500).json({ error: 'Failed to get available trips' });
@@ -317,49 +579,114 @@ router.post('/trips/:bookingId/accept', authenticateDriver, async (req, res) =>
         }
 
         if (booking.driver?.driverId) {
-            return res.status(400).json({ error: 'Trip already assigned' });
+            return res.status(409).json({ error: 'Trip already taken by another driver', reason: 'already_assigned' });
+        }
+
+        // Trip is out with a dispatch offer - only the offered driver can take it
+        const openOffer = await DispatchOffer.findOpenForBooking(booking._id);
+        if (openOffer) {
+            if (openOffer.driverId.toString() !== req.driver._id.toString()) {
+                return res.status(409).json({ error: 'Trip is currently offered to another driver', reason: 'offered_elsewhere' });
+            }
+
+            const result = await dispatchService.acceptOffer(openOffer._id, req.driver);
+            if (!result.success) {
+                return res.status(409).json({ error: result.message, reason: result.reason });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Trip accepted',
+                booking: result.booking
+            });
         }
 
-        // Assign driver
-        const vehicle = req.driver.currentVehicle;
-        booking.driver = {
+        // Atomic claim - only one driver can win
+        try {
+            const assigned = await dispatchService.claimTrip(booking._id, req.driver);
+
+            res.json({
+                success: true,
+                message: 'Trip accepted',
+                booking: assigned
+            });
+        } catch (error) {
+            if (error.name === 'TripClaimConflict') {
+                return res.status(409).json({ error: error.message, reason: error.reason });
+            }
+            throw error;
+        }
+    } catch (error) {
+        console.error('Accept trip error:', error);
+        res.status(500).json({ error: 'Failed to accept trip' });
+    }
+});
+
+// ========================================
+// Dispatch Offer Routes
+// ========================================
+
+// Get open trip offers
+router.get('/offers', authenticateDriver, async (req, res) => {
+    try {
+        const offers = await DispatchOffer.find({
             driverId: req.driver._id,
-            name: req.driver.fullName,
-            phone: req.driver.phone,
-            photo: req.driver.profilePhoto,
-            vehiclePlate: vehicle?.plateNumber || 'N/A',
-            vehicleModel: vehicle ? `${vehicle.make} ${vehicle.model}` : 'N/A',
-            vehicleColor: vehicle?.color || 'N/A',
-            rating: req.driver.rating.average
-        };
-        booking.status = 'driver_assigned';
-        booking.statusHistory.push({
-            status: 'driver_assigned',
-            timestamp: new Date(),
-            note: `Driver ${req.driver.fullName} accepted the trip`
-        });
+            status: 'offered',
+            expiresAt: { $gt: new Date() }
+        })
+        .sort({ offeredAt: -1 })
+        .populate('bookingId', 'bookingReference type pickup dropoff passengers luggage vehicleClass pricing flight');
 
-        await booking.save();
+        res.json({ offers });
+    } catch (error) {
+        console.error('Get offers error:', error);
+        res.status(500).json({ error: 'Failed to get offers' });
+    }
+});
 
-        // Update driver status to busy
-        req.driver.onlineStatus = 'busy';
-        await req.driver.save();
+// Accept a trip offer
+router.post('/offers/:offerId/accept', authenticateDriver, async (req, res) => {
+    try {
+        const result = await dispatchService.acceptOffer(req.params.offerId, req.driver);
+
+        if (!result.success) {
+            return res.status(409).json({ error: result.message, reason: result.reason });
+        }
 
         res.json({
             success: true,
             message: 'Trip accepted',
-            booking
+            booking: result.booking
         });
     } catch (error) {
-        console.error('Accept trip error:', error);
-        res.status(500).json({ error: 'Failed to accept trip' });
+        console.error('Accept offer error:', error);
+        res.status(500).json({ error: 'Failed to accept offer' });
+    }
+});
+
+// Decline a trip offer
+router.post('/offers/:offerId/decline', authenticateDriver, async (req, res) => {
+    try {
+        const result = await dispatchService.declineOffer(req.params.offerId, req.driver, req.body.reason);
+
+        if (!result.success) {
+            return res.status(409).json({ error: result.message, reason: result.reason });
+        }
+
+        res.json({
+            success: true,
+            message: 'Offer declined'
+        });
+    } catch (error) {
+        console.error('Decline offer error:', error);
+        res.status(500).json({ error: 'Failed to decline offer' });
     }
 });
 
 // Update trip status
 router.put('/trips/:bookingId/status', authenticateDriver, async (req, res) => {
     try {
-        const { status, note } = req.body;
+        const { status, note, cashCollected } = req.body;
         const booking = await Booking.findById(req.params.bookingId);
 
         if (!booking) {
@@ -370,42 +697,67 @@ router.put('/trips/:bookingId/status', authenticateDriver, async (req, res) => {
             return res.status(403).json({ error: 'Not authorized' });
         }
 
-        const validStatuses = ['driver_enroute', 'driver_arrived', 'passenger_picked_up', 'in_progress', 'completed'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ error: 'Invalid status' });
-        }
-
-        booking.status = status;
-        booking.statusHistory.push({
-            status,
-            timestamp: new Date(),
-            note: note || `Status updated by driver`,
-            updatedBy: 'driver'
+        await bookingStateMachine.transition(booking, status, {
+            actor: { role: 'driver', id: req.driver._id },
+            note: note || 'Status updated by driver',
+            req,
+            cashCollected
         });
 
-        // If completed, update driver stats
-        if (status === 'completed') {
-            req.driver.completedTrips += 1;
-            req.driver.earnings.currentWeek += booking.pricing.totalUSD;
-            req.driver.earnings.currentMonth += booking.pricing.totalUSD;
-            req.driver.earnings.total += booking.pricing.totalUSD;
-            req.driver.onlineStatus = 'online';
-            await req.driver.save();
-        }
-
-        await booking.save();
-
         res.json({
             success: true,
             message: 'Status updated',
             booking
         });
     } catch (error) {
+        if (error.name === 'BookingTransitionError') {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
         console.error('Update trip status error:', error);
         res.status(500).json({ error: 'Failed to update status' });
     }
 });
 
+// Record a stop the passenger asked for on the way (billed at completion)
+router.post('/trips/:bookingId/stops', authenticateDriver, async (req, res) => {
+    try {
+        const { location, lat, lng, note } = req.body;
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        if (booking.driver?.driverId?.toString() !== req.driver._id.toString()) {
+            return res.status(403).json({ error: 'Not authorized' });
+        }
+
+        if (!['passenger_picked_up', 'in_progress'].includes(booking.status)) {
+            return res.status(409).json({ error: 'Stops can only be added while the passenger is on board' });
+        }
+
+        if (!location && (lat === undefined || lng === undefined)) {
+            return res.status(400).json({ error: 'Stop location or coordinates required' });
+        }
+
+        booking.trip.unplannedStops.push({
+            location,
+            coordinates: lat !== undefined && lng !== undefined ? { lat, lng } : undefined,
+            note
+        });
+        await booking.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Stop recorded',
+            unplannedStops: booking.trip.unplannedStops.length
+        });
+    } catch (error) {
+        console.error('Record stop error:', error);
+        res.status(500).json({ error: 'Failed to record stop' });
+    }
+});
+
 // ========================================
 // Earnings Routes
 // ========================================
@@ -441,7 +793,7 @@ router.get('/earnings', authenticateDriver, async (req, res) => {
             updatedAt: { $gte: startDate }
         });
 
-        const totalEarnings = trips.reduce((sum, trip) => sum + (trip.pricing?.totalUSD || 0), 0);
+        const totalEarnings = trips.reduce((sum, trip) => sum + (trip.driverEarnings?.amountETB || 0), 0);
         const totalTrips = trips.length;
 
         res.json({
@@ -453,7 +805,8 @@ router.get('/earnings', authenticateDriver, async (req, res) => {
             },
             balance: driver.earnings.balance,
             lifetimeEarnings: driver.earnings.total,
-            lastPayout: driver.earnings.lastPayout
+            lastPayout: driver.earnings.lastPayout,
+            cashOnHand: driver.cashOnHand
         });
     } catch (error) {
         console.error('Get earnings error:', error);
@@ -461,27 +814,21 @@ router.get('/earnings', authenticateDriver, async (req, res) => {
     }
 });
 
-// Get earnings history
+// Get earnings history (weekly payout statements, without the trip lines)
 router.get('/earnings/history', authenticateDriver, async (req, res) => {
     try {
         const { page = 1, limit = 20 } = req.query;
 
-        const trips = await Booking.find({
-            'driver.driverId': req.driver._id,
-            status: 'completed'
-        })
-        .sort({ updatedAt: -1 })
+        const payouts = await Payout.find({ driverId: req.driver._id })
+        .sort({ periodStart: -1 })
         .skip((page - 1) * limit)
         .limit(parseInt(limit))
-        .select('bookingReference pricing pickup dropoff updatedAt');
+        .select('-trips -bankDetails');
 
-        const total = await Booking.countDocuments({
-            'driver.driverId': req.driver._id,
-            status: 'completed'
-        });
+        const total = await Payout.countDocuments({ driverId: req.driver._id });
 
         res.json({
-            trips,
+            payouts,
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -495,6 +842,41 @@ router.get('/earnings/history', authenticateDriver, async (req, res) => {
     }
 });
 
+// Get one payout statement with its trips
+router.get('/earnings/payouts/:payoutId', authenticateDriver, async (req, res) => {
+    try {
+        const payout = await Payout.findOne({ _id: req.params.payoutId, driverId: req.driver._id });
+
+        if (!payout) {
+            return res.status(404).json({ error: 'Payout not found' });
+        }
+
+        res.json({ payout });
+    } catch (error) {
+        console.error('Get payout error:', error);
+        res.status(500).json({ error: 'Failed to get payout' });
+    }
+});
+
+// Cash held for the company and the ledger behind it
+router.get('/cash', authenticateDriver, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { entries, pagination } = await cashLedgerService.getEntries(req.driver._id, { page, limit });
+
+        res.json({
+            cashOnHand: req.driver.cashOnHand,
+            entries,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get cash ledger error:', error);
+        res.status(500).json({ error: 'Failed to get cash ledger' });
+    }
+});
+
 // ========================================
 // Dashboard Stats
 // ========================================
@@ -512,7 +894,7 @@ router.get('/stats', authenticateDriver, async (req, res) => {
             updatedAt: { $gte: today }
         });
 
-        const todayEarnings = todayTrips.reduce((sum, trip) => sum + (trip.pricing?.totalUSD || 0), 0);
+        const todayEarnings = todayTrips.reduce((sum, trip) => sum + (trip.driverEarnings?.amountETB || 0), 0);
 
         // Pending trips
         const pendingTrips = await Booking.countDocuments({
@@ -555,7 +937,7 @@ router.get('/stats', authenticateDriver, async (req, res) => {
 // ========================================
 
 // Get all drivers (admin)
-router.get('/admin/list', async (req, res) => {
+router.get('/admin/list', authenticate, requirePermission('drivers.read'), async (req, res) => {
     try {
         const { status, page = 1, limit = 20 } = req.query;
         const query = {};
@@ -599,7 +981,7 @@ router.get('/admin/list', async (req, res) => {
 });
 
 // Approve driver (admin)
-router.post('/admin/:driverId/approve', async (req, res) => {
+router.post('/admin/:driverId/approve', authenticate, requirePermission('drivers.manage'), async (req, res) => {
     try {
         const driver = await Driver.findByIdAndUpdate(
             req.params.driverId,
@@ -630,7 +1012,7 @@ router.post('/admin/:driverId/approve', async (req, res) => {
 });
 
 // Suspend driver (admin)
-router.post('/admin/:driverId/suspend', async (req, res) => {
+router.post('/admin/:driverId/suspend', authenticate, requirePermission('drivers.manage'), async (req, res) => {
     try {
         const { reason } = req.body;
 
@@ -653,6 +1035,9 @@ router.post('/admin/:driverId/suspend', async (req, res) => {
             return res.status(404).json({ error: 'Driver not found' });
         }
 
+        // Sign them out everywhere
+        await sessionService.revokeAllSessions('driver', driver, 'suspended', { req, revokedBy: req.user });
+
         res.json({
             success: true,
             message: 'Driver suspended',
@@ -668,4 +1053,31 @@ router.post('/admin/:driverId/suspend', async (req, res) => {
     }
 });
 
+// Reset a driver's 2FA (lost phone and no backup codes) (admin)
+router.post('/admin/:driverId/2fa/reset', authenticate, requirePermission('drivers.manage'), async (req, res) => {
+    try {
+        const driver = await Driver.findById(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        twoFactorService.disableAccount2FA(driver);
+        await driver.save();
+
+        await auditService.logTwoFactorEvent('auth.2fa_reset', driver, req, {
+            resetBy: req.user,
+            reason: req.body.reason
+        });
+        await sessionService.revokeAllSessions('driver', driver, '2fa_reset', { req, revokedBy: req.user });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset'
+        });
+    } catch (error) {
+        console.error('Reset driver 2FA error:', error);
+        res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+});
+
 module.exports = router;
@@ -6,9 +6,28 @@ const express = require('express');
 const router = express.Router();
 const GroupBooking = require('../models/GroupBooking');
 const Booking = require('../models/Booking');
+const CorporateAccount = require('../models/CorporateAccount');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const pricingService = require('../services/pricingService');
+const corporateBookingService = require('../services/corporateBookingService');
+const corporatePolicyService = require('../services/corporatePolicyService');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+
+// Price one passenger's trip from the group's shared details
+function priceGroupBooking(group, vehicleClass, groupDiscountPercent = 0) {
+    const { pickup, dropoff } = group.sharedDetails;
+    return pricingService.calculate({
+        pickup: pickup?.location,
+        dropoff: dropoff?.location,
+        vehicleClass,
+        pickupTime: pickup?.scheduledTime,
+        channel: 'group',
+        groupDiscountPercent
+    });
+}
 
 // Create group booking
-router.post('/', async (req, res) => {
+router.post('/', optionalAuth, async (req, res) => {
     try {
         const {
             organizer,
@@ -18,7 +37,10 @@ router.post('/', async (req, res) => {
             event,
             sharedDetails,
             bookings,
-            corporateAccountId
+            corporateAccountId,
+            costCenter,
+            projectCode,
+            poNumber
         } = req.body;
 
         // Validation
@@ -33,7 +55,14 @@ router.post('/', async (req, res) => {
         }
 
         const group = new GroupBooking({
-            organizer,
+            // The organizer's account is whoever is signed in, never one named in the body
+            organizer: {
+                name: organizer.name,
+                email: organizer.email,
+                phone: organizer.phone,
+                company: organizer.company,
+                userId: req.userId || undefined
+            },
             groupName,
             groupType,
             description,
@@ -41,6 +70,9 @@ router.post('/', async (req, res) => {
             sharedDetails,
             bookings: bookings || [],
             corporateAccountId,
+            costCenter,
+            projectCode,
+            poNumber,
             status: 'draft'
         });
 
@@ -133,23 +165,17 @@ router.post('/:reference/bookings', async (req, res) => {
             return res.status(400).json({ error: 'Passenger name required' });
         }
 
-        // Calculate individual pricing based on group's shared details
-        const basePrices = {
-            standard: 35,
-            executive: 50,
-            suv: 65,
-            luxury: 100
-        };
+        // Price before the group discount - that is applied across the group
         const vehicleClass = bookingData.vehicleClass || 'standard';
-        const basePrice = basePrices[vehicleClass] || 35;
+        const pricing = await priceGroupBooking(group, vehicleClass);
 
         group.addBooking({
             ...bookingData,
             vehicleClass,
             pricing: {
-                basePrice,
+                basePrice: pricing.totalUSD,
                 discount: 0,
-                finalPrice: basePrice
+                finalPrice: pricing.totalUSD
             },
             status: 'pending'
         });
@@ -163,6 +189,9 @@ router.post('/:reference/bookings', async (req, res) => {
             pricing: group.pricing
         });
     } catch (error) {
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         res.status(500).json({ error: error.message });
     }
 });
@@ -252,8 +281,9 @@ router.post('/:reference/submit', async (req, res) => {
     }
 });
 
-// Confirm group booking
-router.post('/:reference/confirm', async (req, res) => {
+// Confirm group booking (staff, a member of the group's corporate account
+// who can book on it, or for other groups the signed-in organizer)
+router.post('/:reference/confirm', authenticate, async (req, res) => {
     try {
         const { reference } = req.params;
 
@@ -262,6 +292,9 @@ router.post('/:reference/confirm', async (req, res) => {
             return res.status(404).json({ error: 'Group booking not found' });
         }
 
+        const staff = req.user.hasPermission('bookings.manage');
+        const member = { userId: req.user._id, email: req.user.email };
+
         // Check deposit is paid
         if (!group.pricing.depositPaid && group.payment.totalPaid < group.pricing.depositRequired) {
             return res.status(400).json({
@@ -271,64 +304,130 @@ router.post('/:reference/confirm', async (req, res) => {
             });
         }
 
-        // Create individual bookings
-        const createdBookings = [];
-        for (const booking of group.bookings) {
-            if (booking.status === 'pending') {
-                const newBooking = new Booking({
-                    type: group.sharedDetails.type === 'departure' ? 'departure' : 'arrival',
-                    flight: group.sharedDetails.flight,
-                    pickup: {
-                        location: group.sharedDetails.pickup.location,
-                        address: group.sharedDetails.pickup.address,
-                        scheduledTime: group.sharedDetails.pickup.scheduledTime,
-                        notes: group.sharedDetails.pickup.notes
-                    },
-                    dropoff: {
-                        location: group.sharedDetails.dropoff.location,
-                        address: group.sharedDetails.dropoff.address,
-                        notes: group.sharedDetails.dropoff.notes
-                    },
-                    vehicleClass: booking.vehicleClass,
-                    passengers: booking.passengers || 1,
-                    luggage: booking.luggage || 1,
-                    specialRequests: booking.specialRequests,
-                    contact: {
-                        name: booking.passengerName,
-                        phone: booking.passengerPhone || group.organizer.phone,
-                        email: booking.passengerEmail || group.organizer.email
-                    },
-                    pricing: {
-                        baseFare: booking.pricing.basePrice,
-                        discount: group.pricing.discountPercentage,
-                        totalUSD: booking.pricing.finalPrice * (1 - group.pricing.discountPercentage / 100)
+        let account = null;
+        if (group.corporateAccountId) {
+            account = await CorporateAccount.findOne({ _id: group.corporateAccountId, status: 'active' });
+            if (!account) {
+                return res.status(400).json({ error: 'The group\'s corporate account is not active' });
+            }
+            if (!staff && !corporateBookingService.canBook(account, member)) {
+                return res.status(403).json({ error: 'You are not allowed to book on this group\'s corporate account' });
+            }
+        } else if (!staff && group.organizer.userId?.toString() !== req.userId.toString()) {
+            return res.status(403).json({ error: 'Only the group organizer or staff can confirm this group' });
+        }
+
+        // Price every passenger first so a bad address fails before anything is created
+        const pendingBookings = group.bookings.filter(booking => booking.status === 'pending');
+        const pricings = await Promise.all(pendingBookings.map(booking =>
+            priceGroupBooking(group, booking.vehicleClass, group.pricing.discountPercentage)
+        ));
+
+        // Build individual bookings
+        const newBookings = pendingBookings.map((booking, index) => new Booking({
+            type: group.sharedDetails.type === 'departure' ? 'departure' : 'arrival',
+            flight: group.sharedDetails.flight,
+            pickup: {
+                location: group.sharedDetails.pickup.location,
+                address: group.sharedDetails.pickup.address,
+                scheduledTime: group.sharedDetails.pickup.scheduledTime,
+                notes: group.sharedDetails.pickup.notes
+            },
+            dropoff: {
+                location: group.sharedDetails.dropoff.location,
+                address: group.sharedDetails.dropoff.address,
+                notes: group.sharedDetails.dropoff.notes
+            },
+            vehicleClass: booking.vehicleClass,
+            passengers: booking.passengers || 1,
+            luggage: booking.luggage || 1,
+            specialRequests: booking.specialRequests,
+            contact: {
+                name: booking.passengerName,
+                phone: booking.passengerPhone || group.organizer.phone,
+                email: booking.passengerEmail || group.organizer.email
+            },
+            pricing: pricings[index],
+            status: 'confirmed',
+            source: 'group_booking'
+        }));
+
+        // Corporate groups are billed to the account and checked against its policy as a whole
+        let outOfPolicy = false;
+        if (account) {
+            for (const newBooking of newBookings) {
+                newBooking.set({
+                    payment: {
+                        method: 'corporate',
+                        amount: corporatePolicyService.getAccountAmount(newBooking, account),
+                        currency: account.billing?.currency || 'USD'
                     },
-                    status: 'confirmed',
-                    source: 'group_booking'
+                    corporateAccountId: account._id,
+                    corporateReference: group.groupReference,
+                    costCenter: group.costCenter,
+                    projectCode: group.projectCode,
+                    poNumber: group.poNumber
                 });
+            }
+
+            outOfPolicy = await corporateBookingService.enforcePolicy(account, newBookings, req.body.policyJustification);
+            if (!outOfPolicy) {
+                await corporateBookingService.chargeAccount(account, newBookings);
+            }
+        }
 
+        // Create individual bookings (out-of-policy ones wait on the account's approvers)
+        for (const [index, booking] of pendingBookings.entries()) {
+            const newBooking = newBookings[index];
+
+            if (outOfPolicy) {
+                // Approvers see who confirmed the group, not just who organized it
+                await corporateBookingService.holdForApproval(newBooking, account, {
+                    userId: req.user._id,
+                    name: req.user.name || group.organizer.name,
+                    email: req.user.email || group.organizer.email
+                });
+            } else {
                 await newBooking.save();
-                booking.bookingId = newBooking._id;
-                booking.bookingReference = newBooking.bookingReference;
                 booking.status = 'confirmed';
-                createdBookings.push(newBooking);
+                if (account) await account.recordBooking(corporatePolicyService.getAccountAmount(newBooking, account));
             }
+            booking.bookingId = newBooking._id;
+            booking.bookingReference = newBooking.bookingReference;
         }
 
-        group.status = 'confirmed';
-        group.approvedAt = new Date();
+        group.status = outOfPolicy ? 'pending_approval' : 'confirmed';
+        group.approvedAt = outOfPolicy ? undefined : new Date();
         await group.save();
 
         res.json({
             success: true,
-            message: `Group confirmed with ${createdBookings.length} bookings`,
+            message: outOfPolicy
+                ? `Group is outside the account policy; ${newBookings.length} bookings sent for approval`
+                : `Group confirmed with ${newBookings.length} bookings`,
             groupReference: group.groupReference,
-            bookings: createdBookings.map(b => ({
+            outOfPolicy,
+            bookings: newBookings.map(b => ({
                 reference: b.bookingReference,
-                passenger: b.contact.name
+                passenger: b.contact.name,
+                status: b.status
             }))
         });
     } catch (error) {
+        if (error.name === 'CorporatePolicyError') {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                code: error.code,
+                violations: error.violations,
+                overridable: error.overridable
+            });
+        }
+        if (error.name === 'CorporateBookingError') {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         console.error('[Groups] Confirm error:', error);
         res.status(500).json({ error: error.message });
     }
@@ -385,10 +484,22 @@ router.post('/:reference/cancel', async (req, res) => {
             return res.status(404).json({ error: 'Group booking not found' });
         }
 
-        // Cancel all individual bookings
+        // Cancel all individual bookings that haven't started
+        const notCancelled = [];
         for (const booking of group.bookings) {
-            if (booking.bookingId) {
-                await Booking.findByIdAndUpdate(booking.bookingId, { status: 'cancelled' });
+            const individual = booking.bookingId && await Booking.findById(booking.bookingId);
+            if (individual && individual.status !== 'cancelled') {
+                try {
+                    await bookingStateMachine.transition(individual, 'cancelled', {
+                        actor: 'customer',
+                        note: `Group ${reference} cancelled: ${reason || 'No reason provided'}`,
+                        req
+                    });
+                } catch (error) {
+                    if (error.name !== 'BookingTransitionError') throw error;
+                    notCancelled.push({ bookingReference: individual.bookingReference, status: individual.status });
+                    continue;
+                }
             }
             booking.status = 'cancelled';
         }
@@ -400,7 +511,8 @@ router.post('/:reference/cancel', async (req, res) => {
         res.json({
             success: true,
             message: 'Group booking cancelled',
-            refundAmount: group.payment.totalPaid // Would need refund policy logic
+            refundAmount: group.payment.totalPaid, // Would need refund policy logic
+            notCancelled // Trips already under way
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
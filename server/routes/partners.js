@@ -6,35 +6,19 @@ const express = require('express');
 const router = express.Router();
 const HotelPartner = require('../models/HotelPartner');
 const Booking = require('../models/Booking');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const pricingService = require('../services/pricingService');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { authenticateApiKey, requireApiScope } = require('../middleware/apiKeyAuth');
+const { apiLimiter } = require('../middleware/rateLimit');
 
 // Middleware to authenticate hotel partner API
-const authenticatePartner = async (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
+const authenticatePartner = authenticateApiKey('hotel_partner', 'partner');
 
-    if (!apiKey) {
-        return res.status(401).json({ error: 'API key required' });
-    }
-
-    try {
-        const partner = await HotelPartner.findByApiKey(apiKey);
-        if (!partner) {
-            return res.status(401).json({ error: 'Invalid API key' });
-        }
-
-        // Check IP whitelist
-        if (partner.api.allowedIPs?.length > 0) {
-            const clientIP = req.ip || req.connection.remoteAddress;
-            if (!partner.api.allowedIPs.includes(clientIP)) {
-                return res.status(403).json({ error: 'IP not authorized' });
-            }
-        }
-
-        req.partner = partner;
-        next();
-    } catch (error) {
-        res.status(500).json({ error: 'Authentication failed' });
-    }
-};
+// The global limiter leaves this router alone - API key routes are limited
+// per key, registration and admin routes by apiLimiter here
+router.use(['/register', '/admin'], apiLimiter);
 
 // ========================================
 // Public Routes
@@ -133,57 +117,52 @@ router.get('/profile', authenticatePartner, async (req, res) => {
     });
 });
 
+// Hotel <-> airport trip for pricing - the hotel's zone if one is set,
+// otherwise its coordinates or name
+function partnerTrip(partner) {
+    return {
+        zone: partner.location.zone,
+        pickup: 'Bole International Airport',
+        dropoff: partner.hotel.name,
+        dropoffCoordinates: partner.location.coordinates
+    };
+}
+
 // Get pricing for guest transfer
-router.post('/pricing', authenticatePartner, async (req, res) => {
+router.post('/pricing', authenticatePartner, requireApiScope('quote'), async (req, res) => {
     try {
-        const { vehicleClass = 'standard', passengers = 1, pickupTime } = req.body;
+        const { vehicleClass = 'standard', pickupTime } = req.body;
         const partner = req.partner;
 
-        // Base prices by zone
-        const zonePrices = {
-            1: { standard: 25, executive: 35, suv: 45, luxury: 75 },
-            2: { standard: 35, executive: 50, suv: 65, luxury: 100 },
-            3: { standard: 45, executive: 65, suv: 85, luxury: 130 },
-            4: { standard: 55, executive: 80, suv: 105, luxury: 160 },
-            5: { standard: 70, executive: 100, suv: 130, luxury: 200 }
-        };
-
-        const zone = partner.location.zone || 2;
-        const basePrice = zonePrices[zone]?.[vehicleClass] || zonePrices[2].standard;
-
-        // Apply guest discount
-        const guestDiscount = partner.getGuestDiscount(vehicleClass);
-        let finalPrice = basePrice;
-
-        if (guestDiscount.type === 'fixed') {
-            finalPrice = guestDiscount.rate;
-        } else if (guestDiscount.discount > 0) {
-            finalPrice = basePrice * (1 - guestDiscount.discount / 100);
-        }
+        const pricing = await pricingService.calculate({
+            ...partnerTrip(partner),
+            vehicleClass,
+            pickupTime,
+            channel: 'partner',
+            partner
+        });
 
         // Calculate commission
-        const commission = partner.calculateCommission(finalPrice);
+        const commission = partner.calculateCommission(pricing.totalUSD);
 
         res.json({
             success: true,
             pricing: {
-                basePrice,
-                guestDiscount: guestDiscount.type === 'percentage' ? guestDiscount.discount : 0,
-                finalPrice: Math.round(finalPrice * 100) / 100,
-                hotelCommission: Math.round(commission * 100) / 100,
-                vehicleClass,
-                zone,
-                currency: 'USD'
+                ...pricing,
+                hotelCommission: Math.round(commission * 100) / 100
             }
         });
 
     } catch (error) {
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
 // Create booking for hotel guest
-router.post('/bookings', authenticatePartner, async (req, res) => {
+router.post('/bookings', authenticatePartner, requireApiScope('book'), async (req, res) => {
     try {
         const partner = req.partner;
         const {
@@ -208,26 +187,13 @@ router.post('/bookings', authenticatePartner, async (req, res) => {
             return res.status(400).json({ error: 'Pickup time required' });
         }
 
-        // Calculate pricing
-        const zonePrices = {
-            1: { standard: 25, executive: 35, suv: 45, luxury: 75 },
-            2: { standard: 35, executive: 50, suv: 65, luxury: 100 },
-            3: { standard: 45, executive: 65, suv: 85, luxury: 130 },
-            4: { standard: 55, executive: 80, suv: 105, luxury: 160 },
-            5: { standard: 70, executive: 100, suv: 130, luxury: 200 }
-        };
-
-        const zone = partner.location.zone || 2;
-        let basePrice = zonePrices[zone]?.[vehicleClass] || zonePrices[2].standard;
-
-        const guestDiscount = partner.getGuestDiscount(vehicleClass);
-        let finalPrice = basePrice;
-
-        if (guestDiscount.type === 'fixed') {
-            finalPrice = guestDiscount.rate;
-        } else if (guestDiscount.discount > 0) {
-            finalPrice = basePrice * (1 - guestDiscount.discount / 100);
-        }
+        const pricing = await pricingService.calculate({
+            ...partnerTrip(partner),
+            vehicleClass,
+            pickupTime,
+            channel: 'partner',
+            partner
+        });
 
         // Create booking
         const booking = new Booking({
@@ -246,7 +212,7 @@ router.post('/bookings', authenticatePartner, async (req, res) => {
             dropoff: {
                 location: tripType === 'arrival' ? partner.hotel.name : (dropoffLocation || 'Bole International Airport'),
                 address: tripType === 'arrival' ? partner.location.address : undefined,
-                zone
+                zone: pricing.zone.number || undefined
             },
             vehicleClass,
             passengers,
@@ -257,11 +223,7 @@ router.post('/bookings', authenticatePartner, async (req, res) => {
                 email: guest.email,
                 phone: guest.phone || partner.contacts.reservations?.phone
             },
-            pricing: {
-                baseFare: basePrice,
-                discount: guestDiscount.type === 'percentage' ? guestDiscount.discount : 0,
-                totalUSD: finalPrice
-            },
+            pricing,
             status: partner.integration.autoConfirm ? 'confirmed' : 'pending',
             source: 'partner',
             corporateReference: `${partner.partnerId}-${reservationId || Date.now()}`
@@ -270,8 +232,8 @@ router.post('/bookings', authenticatePartner, async (req, res) => {
         await booking.save();
 
         // Update partner stats
-        const commission = partner.calculateCommission(finalPrice);
-        await partner.recordBooking(finalPrice, commission);
+        const commission = partner.calculateCommission(pricing.totalUSD);
+        await partner.recordBooking(pricing.totalUSD, commission);
 
         // Send webhook if configured
         if (partner.api.webhookUrl) {
@@ -287,20 +249,23 @@ router.post('/bookings', authenticatePartner, async (req, res) => {
                 pickupLocation: booking.pickup.location,
                 dropoffLocation: booking.dropoff.location,
                 vehicleClass,
-                price: finalPrice,
+                price: pricing.totalUSD,
                 status: booking.status,
                 hotelCommission: commission
             }
         });
 
     } catch (error) {
+        if (error.name === 'PricingError') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         console.error('[Partners] Booking error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Get partner's bookings
-router.get('/bookings', authenticatePartner, async (req, res) => {
+router.get('/bookings', authenticatePartner, requireApiScope('read-bookings'), async (req, res) => {
     try {
         const { status, startDate, endDate, page = 1, limit = 20 } = req.query;
         const partner = req.partner;
@@ -341,7 +306,7 @@ router.get('/bookings', authenticatePartner, async (req, res) => {
 });
 
 // Get specific booking
-router.get('/bookings/:reference', authenticatePartner, async (req, res) => {
+router.get('/bookings/:reference', authenticatePartner, requireApiScope('read-bookings'), async (req, res) => {
     try {
         const { reference } = req.params;
         const partner = req.partner;
@@ -363,7 +328,7 @@ router.get('/bookings/:reference', authenticatePartner, async (req, res) => {
 });
 
 // Cancel booking
-router.post('/bookings/:reference/cancel', authenticatePartner, async (req, res) => {
+router.post('/bookings/:reference/cancel', authenticatePartner, requireApiScope('book'), async (req, res) => {
     try {
         const { reference } = req.params;
         const { reason } = req.body;
@@ -378,19 +343,17 @@ router.post('/bookings/:reference/cancel', authenticatePartner, async (req, res)
             return res.status(404).json({ error: 'Booking not found' });
         }
 
-        if (['completed', 'cancelled'].includes(booking.status)) {
-            return res.status(400).json({ error: 'Cannot cancel this booking' });
+        try {
+            await bookingStateMachine.transition(booking, 'cancelled', {
+                actor: { role: 'partner', id: partner._id },
+                note: `Cancelled by hotel: ${reason || 'No reason provided'}`,
+                req
+            });
+        } catch (error) {
+            if (error.name !== 'BookingTransitionError') throw error;
+            return res.status(400).json({ error: 'Cannot cancel this booking', code: error.code });
         }
 
-        booking.status = 'cancelled';
-        booking.statusHistory.push({
-            status: 'cancelled',
-            note: `Cancelled by hotel: ${reason || 'No reason provided'}`,
-            timestamp: new Date()
-        });
-
-        await booking.save();
-
         res.json({
             success: true,
             message: 'Booking cancelled',
@@ -403,7 +366,7 @@ router.post('/bookings/:reference/cancel', authenticatePartner, async (req, res)
 });
 
 // Get commission report
-router.get('/reports/commission', authenticatePartner, async (req, res) => {
+router.get('/reports/commission', authenticatePartner, requireApiScope('reports'), async (req, res) => {
     try {
         const { month, year } = req.query;
         const partner = req.partner;
@@ -447,7 +410,7 @@ router.get('/reports/commission', authenticatePartner, async (req, res) => {
 // ========================================
 
 // List all partners
-router.get('/admin/list', async (req, res) => {
+router.get('/admin/list', authenticate, requirePermission('accounts.read'), async (req, res) => {
     try {
         const { status, page = 1, limit = 20 } = req.query;
 
@@ -474,7 +437,7 @@ router.get('/admin/list', async (req, res) => {
 });
 
 // Approve partner
-router.post('/admin/:partnerId/approve', async (req, res) => {
+router.post('/admin/:partnerId/approve', authenticate, requirePermission('accounts.manage'), async (req, res) => {
     try {
         const { partnerId } = req.params;
         const { commission, zone } = req.body;
@@ -488,12 +451,19 @@ router.post('/admin/:partnerId/approve', async (req, res) => {
         if (commission) partner.commission.percentage = commission;
         if (zone) partner.location.zone = zone;
 
-        await partner.generateApiKey();
+        partner.api.enabled = true;
+        await partner.save();
+
+        const { key, apiKey } = await apiKeyService.createKey('hotel_partner', partner, {
+            name: 'Default key',
+            scopes: apiKeyService.getScopes('hotel_partner')
+        }, req.user, req);
 
         res.json({
             success: true,
             message: 'Partner approved',
-            apiKey: partner.api.apiKey
+            apiKey,
+            key
         });
 
     } catch (error) {
@@ -501,4 +471,77 @@ router.post('/admin/:partnerId/approve', async (req, res) => {
     }
 });
 
+// ========================================
+// Admin: API Keys
+// ========================================
+
+function sendApiKeyError(res, error) {
+    if (error.name === 'ApiKeyError') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+// List a partner's API keys
+router.get('/admin/:partnerId/api-keys', authenticate, requirePermission('accounts.read'), async (req, res) => {
+    try {
+        const partner = await HotelPartner.findOne({ partnerId: req.params.partnerId });
+        if (!partner) {
+            return res.status(404).json({ error: 'Partner not found' });
+        }
+
+        const keys = await apiKeyService.listKeys('hotel_partner', partner);
+        res.json({ success: true, keys, scopes: apiKeyService.getScopes('hotel_partner') });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Issue a new API key ({ name, scopes, expiresAt?, rateLimit? }) - the key is only ever shown here
+router.post('/admin/:partnerId/api-keys', authenticate, requirePermission('accounts.manage'), async (req, res) => {
+    try {
+        const partner = await HotelPartner.findOne({ partnerId: req.params.partnerId });
+        if (!partner) {
+            return res.status(404).json({ error: 'Partner not found' });
+        }
+
+        const { key, apiKey } = await apiKeyService.createKey('hotel_partner', partner, req.body, req.user, req);
+        res.status(201).json({ success: true, apiKey, key });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Rotate an API key ({ overlapHours?, expiresAt? }) - the old key keeps working for the overlap
+router.post('/admin/:partnerId/api-keys/:keyId/rotate', authenticate, requirePermission('accounts.manage'), async (req, res) => {
+    try {
+        const partner = await HotelPartner.findOne({ partnerId: req.params.partnerId });
+        if (!partner) {
+            return res.status(404).json({ error: 'Partner not found' });
+        }
+
+        const { key, apiKey, previous } = await apiKeyService.rotateKey(
+            'hotel_partner', partner, req.params.keyId, req.body, req.user, req
+        );
+        res.status(201).json({ success: true, apiKey, key, previous });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+// Revoke an API key
+router.delete('/admin/:partnerId/api-keys/:keyId', authenticate, requirePermission('accounts.manage'), async (req, res) => {
+    try {
+        const partner = await HotelPartner.findOne({ partnerId: req.params.partnerId });
+        if (!partner) {
+            return res.status(404).json({ error: 'Partner not found' });
+        }
+
+        const key = await apiKeyService.revokeKey('hotel_partner', partner, req.params.keyId, req.user, req);
+        res.json({ success: true, message: 'API key revoked', key });
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
 module.exports = router;
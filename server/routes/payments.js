@@ -8,6 +8,8 @@ const { body, param, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
 const { authenticate, optionalAuth } = require('../middleware/auth');
 const telebirrService = require('../services/telebirrService');
+const stripeService = require('../services/stripeService');
+const webhookService = require('../services/webhookService');
 
 // Stripe setup (conditional)
 let stripe = null;
@@ -15,6 +17,9 @@ if (process.env.STRIPE_SECRET_KEY) {
     stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 }
 
+// Payment statuses a new payment can be started from
+const PAYABLE_STATUSES = ['pending', 'failed'];
+
 // Validation middleware
 const handleValidation = (req, res, next) => {
     const errors = validationResult(req);
@@ -28,6 +33,50 @@ const handleValidation = (req, res, next) => {
     next();
 };
 
+// Payments can only be started on a booking that hasn't been paid, by its
+// owner when it has one. Corporate bookings are billed to the account.
+// @returns {Object|null} { status, message } when the payment can't go ahead
+function checkPayable(booking, userId) {
+    if (userId && booking.userId && booking.userId.toString() !== userId.toString()) {
+        return { status: 403, message: 'Not authorized to pay for this booking' };
+    }
+    if (booking.payment.method === 'corporate') {
+        return { status: 409, message: 'This booking is billed to a corporate account' };
+    }
+    if (!PAYABLE_STATUSES.includes(booking.payment.status)) {
+        return { status: 409, message: `This booking's payment is already ${booking.payment.status}` };
+    }
+    return null;
+}
+
+// Save a payment being started - only if the stored booking still hasn't
+// been paid, so a webhook landing meanwhile isn't overwritten
+// @returns {boolean} false if it was paid or started by another request
+async function savePaymentStart(booking) {
+    booking.$where = { 'payment.status': { $in: PAYABLE_STATUSES } };
+    try {
+        await booking.save();
+        return true;
+    } catch (error) {
+        if (!['DocumentNotFoundError', 'VersionError'].includes(error.name)) throw error;
+        return false;
+    } finally {
+        booking.$where = undefined;
+    }
+}
+
+// Compare the amount a client asked to pay with the booking's fare
+// @returns {Object|null} { status, message } when the payment can't go ahead
+function checkRequestedAmount(requested, fare) {
+    if (!fare || fare <= 0) {
+        return { status: 409, message: 'This booking has no fare to pay' };
+    }
+    if (requested !== undefined && requested !== null && Math.abs(parseFloat(requested) - fare) > 0.01) {
+        return { status: 400, message: 'Amount does not match the booking total' };
+    }
+    return null;
+}
+
 // ========================================
 // POST /api/payments/stripe/create-intent - Create Stripe PaymentIntent
 // ========================================
@@ -35,7 +84,7 @@ router.post('/stripe/create-intent',
     optionalAuth,
     [
         body('bookingId').notEmpty().withMessage('Booking ID is required'),
-        body('amount').isFloat({ min: 1 }).withMessage('Valid amount required'),
+        body('amount').optional().isFloat({ min: 0 }).withMessage('Valid amount required'),
         body('currency')
             .optional()
             .isIn(['USD', 'ETB'])
@@ -51,7 +100,7 @@ router.post('/stripe/create-intent',
                 });
             }
 
-            const { bookingId, amount, currency = 'USD' } = req.body;
+            const { bookingId, currency = 'USD' } = req.body;
 
             // Find booking
             const booking = await Booking.findOne({
@@ -68,10 +117,55 @@ router.post('/stripe/create-intent',
                 });
             }
 
+            // Corporate bookings can't be paid for until an approver has approved them
+            if (booking.status === 'pending_approval') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This booking is waiting for approval and cannot be paid yet'
+                });
+            }
+
+            const payableError = checkPayable(booking, req.userId);
+            if (payableError) {
+                return res.status(payableError.status).json({
+                    success: false,
+                    message: payableError.message
+                });
+            }
+
+            // The fare comes from the booking's pricing; an amount sent by the client must match it
+            const amount = booking.getFareAmount(currency);
+            const amountError = checkRequestedAmount(req.body.amount, amount);
+            if (amountError) {
+                return res.status(amountError.status).json({
+                    success: false,
+                    message: amountError.message,
+                    data: { amount, currency }
+                });
+            }
+
+            // Customer the card is saved to, for waiting time / extra stops billed after the trip
+            if (!booking.payment.stripeCustomerId) {
+                const customer = await stripe.customers.create({
+                    name: booking.contact?.name,
+                    email: booking.contact?.email || undefined,
+                    phone: booking.contact?.phone,
+                    metadata: { bookingReference: booking.bookingReference }
+                });
+                booking.payment.stripeCustomerId = customer.id;
+            }
+
+            // Trips soon enough are only authorized now and captured at completion
+            const captureMethod = stripeService.getCaptureMethod(booking);
+            const chargeAmount = captureMethod === 'manual' ? stripeService.getAuthorizationAmount(amount) : amount;
+
             // Create PaymentIntent
             const paymentIntent = await stripe.paymentIntents.create({
-                amount: Math.round(amount * 100), // Stripe uses cents
+                amount: Math.round(chargeAmount * 100), // Stripe uses cents
                 currency: currency.toLowerCase(),
+                capture_method: captureMethod,
+                customer: booking.payment.stripeCustomerId,
+                setup_future_usage: 'off_session',
                 metadata: {
                     bookingId: booking._id.toString(),
                     bookingReference: booking.bookingReference
@@ -83,13 +177,22 @@ router.post('/stripe/create-intent',
             booking.payment.method = 'stripe';
             booking.payment.status = 'processing';
             booking.payment.transactionId = paymentIntent.id;
-            await booking.save();
+            booking.payment.amount = amount;
+            booking.payment.currency = currency;
+            if (!await savePaymentStart(booking)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This booking is already being paid for'
+                });
+            }
 
             res.json({
                 success: true,
                 data: {
                     clientSecret: paymentIntent.client_secret,
-                    paymentIntentId: paymentIntent.id
+                    paymentIntentId: paymentIntent.id,
+                    captureMethod,
+                    authorizedAmount: captureMethod === 'manual' ? chargeAmount : null
                 }
             });
 
@@ -136,107 +239,21 @@ router.post('/stripe/webhook',
 
             console.log(`[Stripe Webhook] Received event: ${event.type}`);
 
-            // Import email service for sending notifications
-            const emailService = require('../services/emailService');
-
-            // Handle different event types
-            switch (event.type) {
-                case 'payment_intent.succeeded': {
-                    const paymentIntent = event.data.object;
-                    const bookingId = paymentIntent.metadata.bookingId;
-                    console.log(`[Stripe] Payment succeeded for booking: ${bookingId}`);
-
-                    if (bookingId) {
-                        const booking = await Booking.findById(bookingId);
-                        if (booking) {
-                            booking.payment.status = 'paid';
-                            booking.payment.paidAt = new Date();
-                            booking.payment.stripePaymentId = paymentIntent.id;
-                            booking.payment.amount = paymentIntent.amount / 100;
-                            booking.payment.currency = paymentIntent.currency.toUpperCase();
-
-                            if (booking.status === 'pending') {
-                                await booking.updateStatus('confirmed', 'Payment received via Stripe');
-                            } else {
-                                await booking.save();
-                            }
-
-                            // Send payment confirmation email
-                            if (booking.contact?.email) {
-                                await emailService.sendPaymentConfirmation(booking, {
-                                    amount: paymentIntent.amount / 100,
-                                    currency: paymentIntent.currency.toUpperCase(),
-                                    method: 'stripe',
-                                    transactionId: paymentIntent.id
-                                });
-                            }
-                        }
-                    }
-                    break;
-                }
-
-                case 'payment_intent.payment_failed': {
-                    const paymentIntent = event.data.object;
-                    const bookingId = paymentIntent.metadata.bookingId;
-                    const errorMessage = paymentIntent.last_payment_error?.message || 'Unknown error';
-                    console.log(`[Stripe] Payment failed for booking: ${bookingId} - ${errorMessage}`);
-
-                    if (bookingId) {
-                        const booking = await Booking.findById(bookingId);
-                        if (booking) {
-                            booking.payment.status = 'failed';
-                            booking.payment.failureReason = errorMessage;
-                            await booking.save();
-                        }
-                    }
-                    break;
-                }
-
-                case 'payment_intent.canceled': {
-                    const paymentIntent = event.data.object;
-                    const bookingId = paymentIntent.metadata.bookingId;
-                    console.log(`[Stripe] Payment canceled for booking: ${bookingId}`);
-
-                    if (bookingId) {
-                        const booking = await Booking.findById(bookingId);
-                        if (booking) {
-                            booking.payment.status = 'cancelled';
-                            await booking.save();
-                        }
-                    }
-                    break;
-                }
-
-                case 'charge.refunded': {
-                    const charge = event.data.object;
-                    const paymentIntentId = charge.payment_intent;
-                    console.log(`[Stripe] Charge refunded: ${charge.id}`);
-
-                    // Find booking by payment intent ID
-                    const booking = await Booking.findOne({
-                        'payment.transactionId': paymentIntentId
-                    });
-
-                    if (booking) {
-                        const refundAmount = charge.amount_refunded / 100;
-                        booking.payment.status = charge.refunded ? 'refunded' : 'partially_refunded';
-                        booking.payment.refundedAmount = refundAmount;
-                        booking.payment.refundedAt = new Date();
-                        await booking.save();
-                    }
-                    break;
-                }
+            // Recorded in the webhook ledger - redeliveries of a processed event are skipped
+            const { event: logged, duplicate } = await webhookService.receive('stripe', {
+                eventId: event.id,
+                type: event.type,
+                payload: event
+            });
 
-                case 'charge.dispute.created': {
-                    const dispute = event.data.object;
-                    console.log(`[Stripe] Dispute created: ${dispute.id}`);
-                    // Log dispute for admin review
-                    console.warn(`[DISPUTE] Charge ${dispute.charge} disputed. Amount: ${dispute.amount / 100}`);
-                    break;
-                }
+            if (duplicate) {
+                console.log(`[Stripe Webhook] Duplicate event ${event.id} (${logged?.status})`);
+                return res.json({ received: true, duplicate: true });
+            }
 
-                default:
-                    console.log(`[Stripe Webhook] Unhandled event type: ${event.type}`);
+            // Stripe redelivers failed events - the ledger retries them as well
+            if (logged.status === 'failed') {
+                return res.status(500).json({ error: 'Webhook handler failed' });
             }
 
             res.json({ received: true });
@@ -255,13 +272,13 @@ router.post('/telebirr/initiate',
     optionalAuth,
     [
         body('bookingId').notEmpty().withMessage('Booking ID is required'),
-        body('amount').isFloat({ min: 1 }).withMessage('Valid amount required'),
+        body('amount').optional().isFloat({ min: 0 }).withMessage('Valid amount required'),
         body('phone').optional().isMobilePhone().withMessage('Invalid phone number')
     ],
     handleValidation,
     async (req, res) => {
         try {
-            const { bookingId, amount, phone } = req.body;
+            const { bookingId, phone } = req.body;
 
             // Find booking
             const booking = await Booking.findOne({
@@ -278,6 +295,33 @@ router.post('/telebirr/initiate',
                 });
             }
 
+            // Corporate bookings can't be paid for until an approver has approved them
+            if (booking.status === 'pending_approval') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This booking is waiting for approval and cannot be paid yet'
+                });
+            }
+
+            const payableError = checkPayable(booking, req.userId);
+            if (payableError) {
+                return res.status(payableError.status).json({
+                    success: false,
+                    message: payableError.message
+                });
+            }
+
+            // The fare comes from the booking's pricing; an amount sent by the client must match it
+            const amount = booking.getFareAmount('ETB');
+            const amountError = checkRequestedAmount(req.body.amount, amount);
+            if (amountError) {
+                return res.status(amountError.status).json({
+                    success: false,
+                    message: amountError.message,
+                    data: { amount, currency: 'ETB' }
+                });
+            }
+
             // Check if Telebirr is configured
             if (!telebirrService.isConfigured() && process.env.NODE_ENV === 'production') {
                 return res.status(503).json({
@@ -305,7 +349,14 @@ router.post('/telebirr/initiate',
             booking.payment.method = 'telebirr';
             booking.payment.status = 'processing';
             booking.payment.transactionId = paymentResult.outTradeNo;
-            await booking.save();
+            booking.payment.amount = amount;
+            booking.payment.currency = 'ETB';
+            if (!await savePaymentStart(booking)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This booking is already being paid for'
+                });
+            }
 
             // Return payment URL for redirect
             res.json({
@@ -348,12 +399,21 @@ router.post('/telebirr/callback', async (req, res) => {
             });
         }
 
-        // Find booking by transaction reference (outTradeNo)
-        const booking = await Booking.findOne({
-            'payment.transactionId': callbackResult.outTradeNo
+        // One ledger entry per transaction and status, so a retried callback is applied once
+        const { event, duplicate } = await webhookService.receive('telebirr', {
+            eventId: `${callbackResult.outTradeNo}:${callbackResult.status}`,
+            type: callbackResult.status,
+            payload: callbackResult
         });
 
-        if (!booking) {
+        if (event.status === 'failed') {
+            return res.status(500).json({
+                success: false,
+                message: 'Callback processing failed'
+            });
+        }
+
+        if (event.outcome === 'Booking not found') {
             console.error('Booking not found for transaction:', callbackResult.outTradeNo);
             return res.status(404).json({
                 success: false,
@@ -361,30 +421,7 @@ router.post('/telebirr/callback', async (req, res) => {
             });
         }
 
-        // Update booking based on payment status
-        if (callbackResult.status === 'paid') {
-            booking.payment.status = 'paid';
-            booking.payment.paidAt = callbackResult.paidAt || new Date();
-            // Store Telebirr's transaction ID if different
-            if (callbackResult.tradeNo) {
-                booking.payment.telebirrTradeNo = callbackResult.tradeNo;
-            }
-            // Update booking status to confirmed
-            if (booking.status === 'pending') {
-                await booking.updateStatus('confirmed', 'Payment received via Telebirr');
-            } else {
-                await booking.save();
-            }
-            console.log(`Payment confirmed for booking ${booking.bookingReference}`);
-        } else if (callbackResult.status === 'failed') {
-            booking.payment.status = 'failed';
-            await booking.save();
-            console.log(`Payment failed for booking ${booking.bookingReference}`);
-        } else if (callbackResult.status === 'cancelled') {
-            booking.payment.status = 'cancelled';
-            await booking.save();
-            console.log(`Payment cancelled for booking ${booking.bookingReference}`);
-        }
+        console.log(`[Telebirr] ${callbackResult.outTradeNo}: ${duplicate ? 'duplicate callback' : event.outcome}`);
 
         // Respond with success to acknowledge receipt
         res.json({
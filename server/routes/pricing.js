@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const pricingService = require('../services/pricingService');
+const { optionalAuth } = require('../middleware/auth');
 
 // Validation middleware
 const handleValidation = (req, res, next) => {
@@ -24,6 +25,7 @@ const handleValidation = (req, res, next) => {
 // POST /api/pricing/calculate - Calculate fare
 // ========================================
 router.post('/calculate',
+    optionalAuth,
     [
         body('pickup')
             .trim()
@@ -39,18 +41,31 @@ router.post('/calculate',
         body('pickupTime')
             .optional()
             .isISO8601()
-            .withMessage('Invalid pickup time format')
+            .withMessage('Invalid pickup time format'),
+        body(['pickupCoordinates.lat', 'dropoffCoordinates.lat'])
+            .optional()
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Invalid latitude'),
+        body(['pickupCoordinates.lng', 'dropoffCoordinates.lng'])
+            .optional()
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Invalid longitude')
     ],
     handleValidation,
     async (req, res) => {
         try {
-            const { pickup, dropoff, vehicleClass, pickupTime } = req.body;
+            const { pickup, dropoff, pickupCoordinates, dropoffCoordinates, vehicleClass, pickupTime, promoCode, phone } = req.body;
 
             const pricing = await pricingService.calculate({
                 pickup,
                 dropoff,
+                pickupCoordinates,
+                dropoffCoordinates,
                 vehicleClass,
-                pickupTime
+                pickupTime,
+                promoCode,
+                userId: req.userId,
+                phone
             });
 
             res.json({
@@ -59,6 +74,13 @@ router.post('/calculate',
             });
 
         } catch (error) {
+            if (['PromoCodeError', 'PricingError'].includes(error.name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
             console.error('Pricing calculation error:', error);
             res.status(500).json({
                 success: false,
@@ -68,12 +90,92 @@ router.post('/calculate',
     }
 );
 
+// ========================================
+// POST /api/pricing/promo/validate - Check a promo code for a trip
+// ========================================
+router.post('/promo/validate',
+    optionalAuth,
+    [
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Promo code is required'),
+        body('pickup')
+            .trim()
+            .notEmpty()
+            .withMessage('Pickup location is required'),
+        body('dropoff')
+            .trim()
+            .notEmpty()
+            .withMessage('Drop-off location is required'),
+        body('vehicleClass')
+            .isIn(['standard', 'executive', 'suv', 'luxury'])
+            .withMessage('Invalid vehicle class'),
+        body('pickupTime')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid pickup time format'),
+        body(['pickupCoordinates.lat', 'dropoffCoordinates.lat'])
+            .optional()
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Invalid latitude'),
+        body(['pickupCoordinates.lng', 'dropoffCoordinates.lng'])
+            .optional()
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Invalid longitude')
+    ],
+    handleValidation,
+    async (req, res) => {
+        try {
+            const { code, pickup, dropoff, pickupCoordinates, dropoffCoordinates, vehicleClass, pickupTime, phone } = req.body;
+
+            const pricing = await pricingService.calculate({
+                pickup,
+                dropoff,
+                pickupCoordinates,
+                dropoffCoordinates,
+                vehicleClass,
+                pickupTime,
+                promoCode: code,
+                userId: req.userId,
+                phone
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    valid: true,
+                    code: pricing.promotion.code,
+                    discount: pricing.discount,
+                    discountETB: pricing.discountETB,
+                    pricing
+                }
+            });
+
+        } catch (error) {
+            if (['PromoCodeError', 'PricingError'].includes(error.name)) {
+                return res.status(400).json({
+                    success: false,
+                    valid: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            console.error('Promo validation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to validate promo code'
+            });
+        }
+    }
+);
+
 // ========================================
 // GET /api/pricing/zones - Get zone definitions
 // ========================================
-router.get('/zones', (req, res) => {
+router.get('/zones', async (req, res) => {
     try {
-        const zones = pricingService.getZones();
+        const zones = await pricingService.getZones();
         res.json({
             success: true,
             data: zones
@@ -89,9 +191,9 @@ router.get('/zones', (req, res) => {
 // ========================================
 // GET /api/pricing/vehicles - Get vehicle classes with base prices
 // ========================================
-router.get('/vehicles', (req, res) => {
+router.get('/vehicles', async (req, res) => {
     try {
-        const vehicles = pricingService.getVehicleClasses();
+        const vehicles = await pricingService.getVehicleClasses();
         res.json({
             success: true,
             data: vehicles
@@ -107,9 +209,9 @@ router.get('/vehicles', (req, res) => {
 // ========================================
 // GET /api/pricing/destinations - Get common destinations with prices
 // ========================================
-router.get('/destinations', (req, res) => {
+router.get('/destinations', async (req, res) => {
     try {
-        const destinations = pricingService.getDestinations();
+        const destinations = await pricingService.getDestinations();
         res.json({
             success: true,
             data: destinations
@@ -7,6 +7,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticate } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
 
 // Validation middleware
 const handleValidation = (req, res, next) => {
@@ -145,6 +146,7 @@ router.put('/me/notifications',
 router.delete('/me', authenticate, async (req, res) => {
     try {
         await User.findByIdAndDelete(req.userId);
+        await sessionService.revokeAllSessions('user', req.user, 'account_deleted', { req });
 
         res.json({
             success: true,
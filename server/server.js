@@ -12,6 +12,9 @@ const morgan = require('morgan');
 const path = require('path');
 
 const connectDB = require('./config/database');
+const jobScheduler = require('./services/jobScheduler');
+const { registerJobs } = require('./services/scheduledJobs');
+const zoneService = require('./services/zoneService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -188,6 +191,19 @@ async function startServer() {
         await connectDB();
         console.log('✓ Database connected');
 
+        // Store the built-in pricing zones on first run
+        if (connectDB.isConnected()) {
+            await zoneService.seedDefaultZones().catch(error =>
+                console.error('[Zones] Failed to seed default zones:', error.message)
+            );
+        }
+
+        // Start background jobs
+        if (connectDB.isConnected() && process.env.DISABLE_JOBS !== 'true') {
+            registerJobs();
+            await jobScheduler.start();
+        }
+
         // Start server
         app.listen(PORT, () => {
             console.log(`
@@ -214,11 +230,13 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    jobScheduler.stop();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     console.log('SIGINT received. Shutting down gracefully...');
+    jobScheduler.stop();
     process.exit(0);
 });
 
@@ -0,0 +1,328 @@
+// ========================================
+// API Key Service
+// ========================================
+// Named, scoped API keys for corporate accounts and hotel partners.
+// Keys are generated here, shown to the caller once and stored as a
+// SHA-256 hash (see models/ApiKey). Rotating a key issues a replacement
+// and lets the old one keep working for an overlap period. Keys issued
+// before hashing (apiAccess.apiKey / api.apiKey, plaintext) are moved to
+// a hashed key with every scope the first time they are used.
+// ========================================
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const CorporateAccount = require('../models/CorporateAccount');
+const HotelPartner = require('../models/HotelPartner');
+const auditService = require('./auditService');
+
+const DEFAULT_OVERLAP_HOURS = 24;
+const MAX_OVERLAP_HOURS = 30 * 24;
+
+// What differs between the two kinds of key owner. Scopes: quote (prices
+// and quotes), book (make and cancel bookings), read-bookings (look
+// bookings up), reports (statements, invoices, commission reports) and
+// account (users, balance and billing settings)
+const OWNERS = {
+    corporate: {
+        model: CorporateAccount,
+        keyPrefix: 'sp_corp_',
+        scopes: ['quote', 'book', 'read-bookings', 'reports', 'account'],
+        settingsPath: 'apiAccess',
+        getReference: owner => owner.accountId
+    },
+    hotel_partner: {
+        model: HotelPartner,
+        keyPrefix: 'sp_htl_',
+        scopes: ['quote', 'book', 'read-bookings', 'reports'],
+        settingsPath: 'api',
+        getReference: owner => owner.partnerId
+    }
+};
+
+const ERROR_STATUS_CODES = {
+    NOT_FOUND: 404,
+    INVALID_NAME: 400,
+    INVALID_SCOPES: 400,
+    INVALID_EXPIRY: 400,
+    INVALID_RATE_LIMIT: 400,
+    INVALID_OVERLAP: 400,
+    KEY_INACTIVE: 409
+};
+
+/**
+ * Error for a key that can't be created, rotated or revoked. Routes
+ * answer with error.statusCode and error.code.
+ */
+function apiKeyError(code, message) {
+    const error = new Error(message);
+    error.name = 'ApiKeyError';
+    error.code = code;
+    error.statusCode = ERROR_STATUS_CODES[code];
+    return error;
+}
+
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateKey(ownerType) {
+    return `${OWNERS[ownerType].keyPrefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// The part of the key that stays visible: type prefix plus 8 characters
+function getVisiblePrefix(ownerType, apiKey) {
+    return apiKey.slice(0, OWNERS[ownerType].keyPrefix.length + 8);
+}
+
+/**
+ * The scopes a key for this kind of owner can have
+ */
+function getScopes(ownerType) {
+    return OWNERS[ownerType].scopes;
+}
+
+/**
+ * The owner's API settings (apiAccess / api): enabled, allowedIPs, rateLimit
+ */
+function getApiSettings(ownerType, owner) {
+    return owner[OWNERS[ownerType].settingsPath] || {};
+}
+
+function toActor(user) {
+    if (!user) return undefined;
+    return { id: user._id, email: user.email };
+}
+
+// ========================================
+// Validation
+// ========================================
+
+function validateKeyOptions(ownerType, { name, scopes, expiresAt, rateLimit }) {
+    if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+        throw apiKeyError('INVALID_NAME', 'A key name of up to 100 characters is required');
+    }
+
+    const allowed = OWNERS[ownerType].scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw apiKeyError('INVALID_SCOPES', `At least one scope is required (${allowed.join(', ')})`);
+    }
+    const unknown = scopes.filter(scope => !allowed.includes(scope));
+    if (unknown.length) {
+        throw apiKeyError('INVALID_SCOPES', `Unknown scope ${unknown.join(', ')} - allowed scopes are ${allowed.join(', ')}`);
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+            throw apiKeyError('INVALID_EXPIRY', 'expiresAt must be a date in the future');
+        }
+    }
+
+    if (rateLimit != null && (!Number.isInteger(Number(rateLimit)) || Number(rateLimit) < 1)) {
+        throw apiKeyError('INVALID_RATE_LIMIT', 'rateLimit must be a whole number of requests per minute');
+    }
+
+    return {
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiry,
+        rateLimit: rateLimit != null ? Number(rateLimit) : undefined
+    };
+}
+
+// ========================================
+// Key Management
+// ========================================
+
+/**
+ * Issue a new key for a corporate account or hotel partner
+ * @param {string} ownerType - 'corporate' | 'hotel_partner'
+ * @param {Object} owner - CorporateAccount / HotelPartner
+ * @param {Object} options - { name, scopes, expiresAt, rateLimit }
+ * @param {Object} createdBy - User issuing the key
+ * @returns {Object} { key, apiKey } - apiKey is the only copy of the key
+ */
+async function createKey(ownerType, owner, options, createdBy, req) {
+    const values = validateKeyOptions(ownerType, options);
+    const apiKey = generateKey(ownerType);
+
+    const key = await ApiKey.create({
+        ownerType,
+        ownerId: owner._id,
+        ...values,
+        prefix: getVisiblePrefix(ownerType, apiKey),
+        keyHash: hashKey(apiKey),
+        createdBy: toActor(createdBy)
+    });
+
+    await auditService.logApiKeyCreated(key, OWNERS[ownerType].getReference(owner), createdBy, req);
+
+    return { key, apiKey };
+}
+
+/**
+ * Every key the owner has had, newest first
+ */
+function listKeys(ownerType, owner) {
+    return ApiKey.find({ ownerType, ownerId: owner._id }).sort({ createdAt: -1 });
+}
+
+async function findOwnerKey(ownerType, owner, keyId) {
+    const key = await ApiKey.findOne({ _id: keyId, ownerType, ownerId: owner._id }).catch(() => null);
+    if (!key) {
+        throw apiKeyError('NOT_FOUND', 'API key not found');
+    }
+    return key;
+}
+
+/**
+ * Replace a key with a new one that has the same name, scopes and rate
+ * limit. The old key keeps working for overlapHours (default 24) so
+ * clients can switch over, then expires.
+ * @returns {Object} { key, apiKey, previous }
+ */
+async function rotateKey(ownerType, owner, keyId, { overlapHours = DEFAULT_OVERLAP_HOURS, expiresAt } = {}, rotatedBy, req) {
+    const previous = await findOwnerKey(ownerType, owner, keyId);
+    if (!previous.isActive || previous.rotatedTo) {
+        throw apiKeyError('KEY_INACTIVE', 'Only an active key that has not already been rotated can be rotated');
+    }
+
+    const overlap = Number(overlapHours);
+    if (isNaN(overlap) || overlap < 0 || overlap > MAX_OVERLAP_HOURS) {
+        throw apiKeyError('INVALID_OVERLAP', `overlapHours must be between 0 and ${MAX_OVERLAP_HOURS}`);
+    }
+
+    const values = validateKeyOptions(ownerType, {
+        name: previous.name,
+        scopes: previous.scopes,
+        expiresAt,
+        rateLimit: previous.rateLimit
+    });
+    const apiKey = generateKey(ownerType);
+
+    const key = await ApiKey.create({
+        ownerType,
+        ownerId: owner._id,
+        ...values,
+        prefix: getVisiblePrefix(ownerType, apiKey),
+        keyHash: hashKey(apiKey),
+        createdBy: toActor(rotatedBy)
+    });
+
+    const overlapEnds = new Date(Date.now() + overlap * 60 * 60 * 1000);
+    previous.rotatedTo = key._id;
+    if (!previous.expiresAt || previous.expiresAt > overlapEnds) {
+        previous.expiresAt = overlapEnds;
+    }
+    await previous.save();
+
+    await auditService.logApiKeyRotated(previous, key, OWNERS[ownerType].getReference(owner), rotatedBy, req);
+
+    return { key, apiKey, previous };
+}
+
+/**
+ * Stop a key working straight away
+ */
+async function revokeKey(ownerType, owner, keyId, revokedBy, req) {
+    const key = await findOwnerKey(ownerType, owner, keyId);
+    if (key.revokedAt) {
+        throw apiKeyError('KEY_INACTIVE', 'This key has already been revoked');
+    }
+
+    key.revokedAt = new Date();
+    key.revokedBy = toActor(revokedBy);
+    await key.save();
+
+    await auditService.logApiKeyRevoked(key, OWNERS[ownerType].getReference(owner), revokedBy, req);
+
+    return key;
+}
+
+// ========================================
+// Authentication
+// ========================================
+
+/**
+ * Look up the key sent with a request
+ * @returns {Object|null} { owner, key } for an active key on an owner
+ *   whose API access is enabled, otherwise null
+ */
+async function authenticate(ownerType, apiKey) {
+    const { model, settingsPath } = OWNERS[ownerType];
+    const now = new Date();
+
+    let key = await ApiKey.findOne({
+        keyHash: hashKey(apiKey),
+        ownerType,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+
+    if (!key) {
+        key = await migrateLegacyKey(ownerType, apiKey);
+        if (!key) return null;
+    }
+
+    const owner = await model.findOne({
+        _id: key.ownerId,
+        [`${settingsPath}.enabled`]: true,
+        status: 'active'
+    });
+    if (!owner) return null;
+
+    return { owner, key };
+}
+
+/**
+ * Move a plaintext key issued before hashing to a hashed key with every
+ * scope (it had full access) and clear the plaintext copy
+ */
+async function migrateLegacyKey(ownerType, apiKey) {
+    const { model, settingsPath, scopes } = OWNERS[ownerType];
+    if (!apiKey.startsWith(OWNERS[ownerType].keyPrefix)) return null;
+
+    const owner = await model.findOne({ [`${settingsPath}.apiKey`]: apiKey });
+    if (!owner) return null;
+
+    let key;
+    try {
+        key = await ApiKey.create({
+            ownerType,
+            ownerId: owner._id,
+            name: 'Default key',
+            prefix: getVisiblePrefix(ownerType, apiKey),
+            keyHash: hashKey(apiKey),
+            scopes
+        });
+    } catch (error) {
+        // Two requests migrated the same key at once
+        if (error.code !== 11000) throw error;
+        key = await ApiKey.findOne({ keyHash: hashKey(apiKey) });
+    }
+
+    await model.updateOne({ _id: owner._id }, { $unset: { [`${settingsPath}.apiKey`]: 1 } });
+    return key;
+}
+
+/**
+ * Note a request made with the key (last used, usage count)
+ */
+function recordUsage(key, ip) {
+    return ApiKey.updateOne(
+        { _id: key._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+    );
+}
+
+module.exports = {
+    getScopes,
+    getApiSettings,
+    createKey,
+    listKeys,
+    rotateKey,
+    revokeKey,
+    authenticate,
+    recordUsage
+};
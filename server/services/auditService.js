@@ -143,6 +143,160 @@ class AuditService {
         });
     }
 
+    /**
+     * Two-factor events for a staff user or a driver (auth.2fa_*).
+     * resetBy is the staff member who reset someone else's 2FA.
+     */
+    async logTwoFactorEvent(eventType, account, req, { resetBy, ...metadata } = {}) {
+        const isDriver = account.constructor?.modelName === 'Driver';
+        const actor = resetBy ? {
+            type: 'admin',
+            id: resetBy._id,
+            email: resetBy.email
+        } : {
+            type: isDriver ? 'driver' : (account.role === 'admin' ? 'admin' : 'user'),
+            id: account._id,
+            email: account.email,
+            name: isDriver ? account.fullName : account.name
+        };
+
+        return this.log({
+            eventType,
+            action: `Two-factor ${eventType.replace('auth.2fa_', '').replace(/_/g, ' ')}`,
+            severity: ['auth.2fa_failed', 'auth.2fa_disabled', 'auth.2fa_reset', 'auth.2fa_backup_code_used'].includes(eventType)
+                ? 'warning'
+                : 'info',
+            actor: {
+                ...actor,
+                ip: this.getClientIP(req),
+                userAgent: req?.headers?.['user-agent']
+            },
+            resource: {
+                type: isDriver ? 'driver' : 'user',
+                id: account._id,
+                name: isDriver ? account.fullName : account.name
+            },
+            metadata
+        });
+    }
+
+    /**
+     * Phone login code events (auth.otp_*): wrong codes, lockouts, throttled
+     * requests and delivery problems. These are the signals to watch for
+     * brute-force and SMS abuse.
+     */
+    async logOtpEvent(eventType, user, req, metadata = {}) {
+        const severities = {
+            'auth.otp_failed': 'warning',
+            'auth.otp_locked': metadata.lockoutCount >= 3 ? 'critical' : 'warning',
+            'auth.otp_throttled': 'warning',
+            'auth.otp_delivery_failed': 'error',
+            'auth.otp_fallback_used': 'info'
+        };
+
+        return this.log({
+            eventType,
+            action: `Login code ${eventType.replace('auth.otp_', '').replace(/_/g, ' ')}`,
+            severity: severities[eventType] || 'info',
+            actor: {
+                type: user._id && !user.isNew ? 'user' : 'anonymous',
+                id: user.isNew ? undefined : user._id,
+                name: user.name,
+                ip: this.getClientIP(req),
+                userAgent: req?.headers?.['user-agent']
+            },
+            resource: {
+                type: 'user',
+                id: user.isNew ? undefined : user._id,
+                name: user.phone
+            },
+            metadata: { phone: user.phone, ...metadata }
+        });
+    }
+
+    /**
+     * Sessions closed together: log out other devices, or the account
+     * was deleted, suspended or had its role changed. revokedBy is the
+     * staff member who caused it, if it wasn't the account owner.
+     */
+    async logSessionsRevoked(subjectType, subject, reason, count, req, revokedBy = null) {
+        const isDriver = subjectType === 'driver';
+        const name = isDriver ? subject.fullName : subject.name;
+
+        return this.log({
+            eventType: 'auth.sessions_revoked',
+            action: `${count} session(s) revoked: ${reason.replace(/_/g, ' ')}`,
+            severity: reason === 'logout_other_devices' ? 'info' : 'warning',
+            actor: revokedBy ? {
+                type: 'admin',
+                id: revokedBy._id,
+                email: revokedBy.email,
+                ip: this.getClientIP(req)
+            } : {
+                type: isDriver ? 'driver' : (subject.role === 'admin' ? 'admin' : 'user'),
+                id: subject._id,
+                email: subject.email,
+                name,
+                ip: this.getClientIP(req),
+                userAgent: req?.headers?.['user-agent']
+            },
+            resource: {
+                type: isDriver ? 'driver' : 'user',
+                id: subject._id,
+                name
+            },
+            metadata: { reason, count }
+        });
+    }
+
+    async logRefreshTokenReuse(session, req) {
+        return this.log({
+            eventType: 'auth.refresh_token_reuse',
+            action: 'Used refresh token presented again - session revoked',
+            severity: 'critical',
+            actor: {
+                type: session.subjectType,
+                id: session.subjectId,
+                ip: this.getClientIP(req),
+                userAgent: req?.headers?.['user-agent']
+            },
+            resource: {
+                type: session.subjectType,
+                id: session.subjectId
+            },
+            metadata: {
+                sessionId: session._id,
+                sessionIp: session.ip,
+                sessionUserAgent: session.userAgent
+            }
+        });
+    }
+
+    async logPermissionDenied(req, permission) {
+        return this.log({
+            eventType: 'auth.permission_denied',
+            action: `Permission denied: ${permission}`,
+            severity: 'warning',
+            actor: {
+                type: req.user ? (req.user.role === 'admin' ? 'admin' : 'user') : 'anonymous',
+                id: req.user?._id,
+                email: req.user?.email,
+                role: req.user?.getStaffRole?.() || req.user?.role,
+                ip: this.getClientIP(req),
+                userAgent: req.headers?.['user-agent']
+            },
+            request: {
+                method: req.method,
+                path: req.originalUrl
+            },
+            response: {
+                statusCode: 403,
+                success: false
+            },
+            metadata: { permission }
+        });
+    }
+
     async logPasswordChange(user, req, changedBy = null) {
         return this.log({
             eventType: 'auth.password_change',
@@ -200,7 +354,7 @@ class AuditService {
             eventType: 'booking.status_changed',
             action: `Booking status changed: ${oldStatus} → ${newStatus}`,
             actor: {
-                type: updatedBy?.role === 'admin' ? 'admin' : (updatedBy?.role === 'driver' ? 'driver' : 'system'),
+                type: ['admin', 'driver', 'user', 'api'].includes(updatedBy?.role) ? updatedBy.role : 'system',
                 id: updatedBy?._id,
                 email: updatedBy?.email,
                 ip: req ? this.getClientIP(req) : null
@@ -326,10 +480,10 @@ class AuditService {
     async logRefund(booking, amount, refundedBy) {
         return this.log({
             eventType: 'payment.refunded',
-            action: `Refund of $${amount} processed`,
+            action: `Refund of ${booking.payment?.refund?.currency || '$'} ${amount} processed`,
             severity: 'warning',
             actor: {
-                type: refundedBy ? 'admin' : 'system',
+                type: refundedBy?.role || 'system',
                 id: refundedBy?._id,
                 email: refundedBy?.email
             },
@@ -339,11 +493,271 @@ class AuditService {
             },
             metadata: {
                 amount,
+                currency: booking.payment?.refund?.currency,
+                tier: booking.payment?.refund?.tier,
                 originalAmount: booking.pricing?.totalUSD
             }
         });
     }
 
+    async logTripAdjustment(booking, lineItems, adjustment) {
+        return this.log({
+            eventType: 'payment.adjusted',
+            action: `Trip charges of $${adjustment.amountUSD} added (${adjustment.status})`,
+            resource: {
+                type: 'payment',
+                reference: booking.bookingReference
+            },
+            metadata: {
+                lineItems,
+                amount: adjustment.amount,
+                currency: adjustment.currency,
+                status: adjustment.status,
+                reference: adjustment.reference,
+                newTotalUSD: booking.pricing?.totalUSD
+            }
+        });
+    }
+
+    async logDispute(booking, dispute) {
+        return this.log({
+            eventType: 'payment.disputed',
+            action: `Card payment disputed (${dispute.reason})`,
+            severity: 'critical',
+            resource: {
+                type: 'payment',
+                reference: booking.bookingReference
+            },
+            metadata: {
+                disputeId: dispute.id,
+                reason: dispute.reason,
+                amount: dispute.amount / 100,
+                currency: dispute.currency?.toUpperCase(),
+                status: dispute.status
+            }
+        });
+    }
+
+    // ========================================
+    // Driver Cash Events
+    // ========================================
+
+    async logCashCollected(booking, entry) {
+        return this.log({
+            eventType: 'driver.cash_collected',
+            action: `Driver collected ${entry.collected.currency} ${entry.collected.amount} in cash`,
+            actor: {
+                type: 'driver',
+                id: entry.driverId
+            },
+            resource: {
+                type: 'payment',
+                reference: booking.bookingReference
+            },
+            metadata: {
+                collectedETB: entry.collected.amountETB,
+                fareETB: entry.fareETB,
+                owedETB: entry.amountETB,
+                balanceAfterETB: entry.balanceAfterETB
+            }
+        });
+    }
+
+    async logCashSettlement(entry, recordedBy, req) {
+        return this.log({
+            eventType: 'driver.cash_settled',
+            action: `Cash settlement of ETB ${-entry.amountETB} recorded`,
+            severity: 'warning',
+            actor: {
+                type: 'admin',
+                id: recordedBy?._id,
+                email: recordedBy?.email,
+                ip: this.getClientIP(req)
+            },
+            resource: {
+                type: 'driver',
+                id: entry.driverId
+            },
+            metadata: {
+                amountETB: -entry.amountETB,
+                method: entry.method,
+                reference: entry.reference,
+                balanceAfterETB: entry.balanceAfterETB
+            }
+        });
+    }
+
+    // ========================================
+    // Corporate Approval Events
+    // ========================================
+
+    async logApprovalRequested(booking) {
+        const { requestedBy, approvers } = booking.approval;
+        return this.log({
+            eventType: 'corporate.booking_approval_requested',
+            action: `Booking ${booking.bookingReference} sent for approval`,
+            actor: {
+                type: 'user',
+                id: requestedBy?.userId,
+                email: requestedBy?.email
+            },
+            resource: {
+                type: 'booking',
+                id: booking._id,
+                reference: booking.bookingReference
+            },
+            metadata: {
+                corporateAccountId: booking.corporateAccountId,
+                approvers: approvers.map(approver => approver.email),
+                amountUSD: booking.pricing?.totalUSD
+            }
+        });
+    }
+
+    async logApprovalDecision(booking, req) {
+        const { status, decidedBy, reason } = booking.approval;
+        return this.log({
+            eventType: status === 'approved' ? 'corporate.booking_approved' : 'corporate.booking_rejected',
+            action: `Booking ${booking.bookingReference} ${status} by ${decidedBy?.email || 'approver'}`,
+            severity: status === 'approved' ? 'info' : 'warning',
+            actor: {
+                type: 'user',
+                id: decidedBy?.userId,
+                email: decidedBy?.email,
+                ip: this.getClientIP(req)
+            },
+            resource: {
+                type: 'booking',
+                id: booking._id,
+                reference: booking.bookingReference
+            },
+            metadata: {
+                corporateAccountId: booking.corporateAccountId,
+                requestedBy: booking.approval.requestedBy?.email,
+                reason
+            }
+        });
+    }
+
+    // ========================================
+    // Corporate Invoice Events
+    // ========================================
+
+    async logInvoiceIssued(invoice) {
+        return this.log({
+            eventType: 'corporate.invoice_issued',
+            action: `Invoice ${invoice.invoiceNumber} issued for ${invoice.currency} ${invoice.total}`,
+            actor: { type: 'system' },
+            resource: {
+                type: 'corporate',
+                id: invoice.corporateAccountId,
+                reference: invoice.invoiceNumber
+            },
+            metadata: {
+                periodStart: invoice.period.start,
+                periodEnd: invoice.period.end,
+                trips: invoice.lines.length,
+                total: invoice.total,
+                dueDate: invoice.dueDate
+            }
+        });
+    }
+
+    async logInvoicePayment(invoice, payment, recordedBy, req) {
+        return this.log({
+            eventType: 'corporate.invoice_paid',
+            action: `Payment of ${invoice.currency} ${payment.amount} recorded on invoice ${invoice.invoiceNumber}`,
+            severity: 'warning',
+            actor: {
+                type: 'admin',
+                id: recordedBy?._id,
+                email: recordedBy?.email,
+                ip: this.getClientIP(req)
+            },
+            resource: {
+                type: 'corporate',
+                id: invoice.corporateAccountId,
+                reference: invoice.invoiceNumber
+            },
+            metadata: {
+                amount: payment.amount,
+                method: payment.method,
+                reference: payment.reference,
+                status: invoice.status,
+                balanceDue: invoice.balanceDue
+            }
+        });
+    }
+
+    async logInvoiceVoided(invoice, voidedBy, req) {
+        return this.log({
+            eventType: 'corporate.invoice_voided',
+            action: `Invoice ${invoice.invoiceNumber} voided`,
+            severity: 'warning',
+            actor: {
+                type: 'admin',
+                id: voidedBy?._id,
+                email: voidedBy?.email,
+                ip: this.getClientIP(req)
+            },
+            resource: {
+                type: 'corporate',
+                id: invoice.corporateAccountId,
+                reference: invoice.invoiceNumber
+            },
+            metadata: {
+                total: invoice.total,
+                reason: invoice.voidReason
+            }
+        });
+    }
+
+    // ========================================
+    // Corporate Balance Events
+    // ========================================
+
+    async logBalanceTopUp(transaction, account) {
+        return this.log({
+            eventType: 'corporate.balance_topped_up',
+            action: `${transaction.type === 'auto_recharge' ? 'Auto-recharge' : 'Top-up'} of ${transaction.currency} ${transaction.amount} added to ${account.accountId}`,
+            actor: { type: 'system' },
+            resource: {
+                type: 'corporate',
+                id: account._id,
+                reference: transaction.reference
+            },
+            metadata: {
+                provider: transaction.provider,
+                amount: transaction.amount,
+                balanceAfter: transaction.balanceAfter
+            }
+        });
+    }
+
+    async logBalanceAdjusted(transaction, adjustedBy, req) {
+        return this.log({
+            eventType: 'corporate.balance_adjusted',
+            action: `Balance adjusted by ${transaction.currency} ${transaction.amount}`,
+            severity: 'warning',
+            actor: {
+                type: 'admin',
+                id: adjustedBy?._id,
+                email: adjustedBy?.email,
+                ip: this.getClientIP(req)
+            },
+            resource: {
+                type: 'corporate',
+                id: transaction.corporateAccountId,
+                reference: transaction.reference
+            },
+            metadata: {
+                amount: transaction.amount,
+                balanceAfter: transaction.balanceAfter,
+                note: transaction.note
+            }
+        });
+    }
+
     // ========================================
     // User Events
     // ========================================
@@ -453,19 +867,125 @@ class AuditService {
     // API Events
     // ========================================
 
-    async logRateLimitExceeded(req) {
+    /**
+     * A caller went over a rate limit (middleware/rateLimit)
+     * @param {Object} details - { policy, identity: { type, id, plan },
+     *   limit, windowSeconds, apiKey }
+     */
+    async logRateLimitExceeded(req, { policy, identity, limit, windowSeconds, apiKey = null }) {
+        const actorTypes = { ip: 'anonymous', user: 'user', driver: 'driver', apiKey: 'api' };
+        const actorId = apiKey ? apiKey.ownerId : (identity.type === 'ip' ? undefined : identity.id);
+
         return this.log({
             eventType: 'api.rate_limit_exceeded',
-            action: 'Rate limit exceeded',
+            action: apiKey
+                ? `Rate limit exceeded for API key ${apiKey.prefix}`
+                : `Rate limit exceeded (${policy}) by ${identity.type === 'ip' ? identity.id : `${identity.type} ${identity.id}`}`,
             severity: 'warning',
+            actor: {
+                type: actorTypes[identity.type],
+                id: actorId,
+                name: apiKey?.name,
+                role: identity.plan,
+                ip: this.getClientIP(req),
+                userAgent: req.headers?.['user-agent']
+            },
+            request: {
+                method: req.method,
+                path: req.originalUrl
+            },
+            metadata: {
+                policy,
+                plan: identity.plan,
+                limit,
+                windowSeconds,
+                ...(apiKey && { keyId: apiKey._id, keyPrefix: apiKey.prefix })
+            }
+        });
+    }
+
+    async logApiKeyUsed(apiKey, req, statusCode) {
+        return this.log({
+            eventType: 'api.key_used',
+            action: `${req.method} ${req.originalUrl} with API key ${apiKey.prefix}`,
+            severity: 'debug',
             actor: {
                 type: 'api',
+                id: apiKey.ownerId,
+                name: apiKey.name,
                 ip: this.getClientIP(req),
                 userAgent: req.headers?.['user-agent']
             },
             request: {
                 method: req.method,
                 path: req.originalUrl
+            },
+            response: {
+                statusCode,
+                success: statusCode < 400
+            },
+            metadata: {
+                keyId: apiKey._id,
+                keyPrefix: apiKey.prefix,
+                ownerType: apiKey.ownerType
+            }
+        });
+    }
+
+    async logApiKeyCreated(apiKey, ownerReference, createdBy, req) {
+        return this.log({
+            eventType: 'api.key_created',
+            action: `API key ${apiKey.prefix} (${apiKey.name}) created for ${ownerReference}`,
+            actor: this.getKeyManager(createdBy, req),
+            resource: {
+                type: apiKey.ownerType === 'corporate' ? 'corporate' : 'other',
+                id: apiKey.ownerId,
+                reference: ownerReference
+            },
+            metadata: {
+                keyId: apiKey._id,
+                keyPrefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                expiresAt: apiKey.expiresAt
+            }
+        });
+    }
+
+    async logApiKeyRotated(previous, apiKey, ownerReference, rotatedBy, req) {
+        return this.log({
+            eventType: 'api.key_rotated',
+            action: `API key ${previous.prefix} rotated to ${apiKey.prefix} for ${ownerReference}`,
+            severity: 'warning',
+            actor: this.getKeyManager(rotatedBy, req),
+            resource: {
+                type: apiKey.ownerType === 'corporate' ? 'corporate' : 'other',
+                id: apiKey.ownerId,
+                reference: ownerReference
+            },
+            metadata: {
+                keyId: apiKey._id,
+                keyPrefix: apiKey.prefix,
+                previousKeyId: previous._id,
+                previousKeyPrefix: previous.prefix,
+                previousExpiresAt: previous.expiresAt
+            }
+        });
+    }
+
+    async logApiKeyRevoked(apiKey, ownerReference, revokedBy, req) {
+        return this.log({
+            eventType: 'api.key_revoked',
+            action: `API key ${apiKey.prefix} (${apiKey.name}) revoked for ${ownerReference}`,
+            severity: 'warning',
+            actor: this.getKeyManager(revokedBy, req),
+            resource: {
+                type: apiKey.ownerType === 'corporate' ? 'corporate' : 'other',
+                id: apiKey.ownerId,
+                reference: ownerReference
+            },
+            metadata: {
+                keyId: apiKey._id,
+                keyPrefix: apiKey.prefix
             }
         });
     }
@@ -545,6 +1065,8 @@ class AuditService {
             failedLogins: 0,
             passwordChanges: 0,
             permissionChanges: 0,
+            permissionDenied: 0,
+            otpLockouts: 0,
             rateLimitExceeded: 0,
             totalSecurityEvents: logs.length
         };
@@ -562,6 +1084,12 @@ class AuditService {
                 case 'user.role_changed':
                     summary.permissionChanges++;
                     break;
+                case 'auth.permission_denied':
+                    summary.permissionDenied++;
+                    break;
+                case 'auth.otp_locked':
+                    summary.otpLockouts++;
+                    break;
                 case 'api.rate_limit_exceeded':
                     summary.rateLimitExceeded++;
                     break;
@@ -575,6 +1103,15 @@ class AuditService {
     // Helper Methods
     // ========================================
 
+    getKeyManager(user, req) {
+        return {
+            type: user?.role === 'admin' ? 'admin' : 'user',
+            id: user?._id,
+            email: user?.email,
+            ip: this.getClientIP(req)
+        };
+    }
+
     getClientIP(req) {
         if (!req) return null;
         return req.headers?.['x-forwarded-for']?.split(',')[0]?.trim() ||
@@ -4,6 +4,7 @@
 
 const axios = require('axios');
 const NodeCache = require('node-cache');
+const cacheService = require('./cacheService');
 
 // Cache flight data for 15 minutes
 const flightCache = new NodeCache({ stdTTL: 900 });
@@ -11,9 +12,24 @@ const flightCache = new NodeCache({ stdTTL: 900 });
 const AVIATION_API_KEY = process.env.AVIATIONSTACK_API_KEY;
 const AVIATION_BASE_URL = 'http://api.aviationstack.com/v1';
 
-// Track API usage (free tier: 100 requests/month)
-let apiCallsThisMonth = 0;
-const API_CALL_LIMIT = 90; // Leave some buffer
+// Track API usage (free tier: 100 requests/month). Counted in the shared
+// cache so every instance spends the same budget and a restart doesn't
+// forget it; the key is per month, so a new month starts at 0.
+const API_CALL_LIMIT = parseInt(process.env.AVIATION_API_CALL_LIMIT) || 90; // Leave some buffer
+const USAGE_TTL_SECONDS = 32 * 24 * 60 * 60;
+
+function getUsageKey(now = new Date()) {
+    return `aviation:calls:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+async function getCallsThisMonth() {
+    return (await cacheService.get(getUsageKey())) || 0;
+}
+
+async function recordApiCall() {
+    const count = await cacheService.increment(getUsageKey(), USAGE_TTL_SECONDS);
+    console.log(`[Aviation] API call made. Total this month: ${count}`);
+}
 
 // ========================================
 // Get Flight Information
@@ -27,7 +43,7 @@ async function getFlightInfo(flightNumber) {
     }
 
     // Check rate limit
-    if (apiCallsThisMonth >= API_CALL_LIMIT) {
+    if (await getCallsThisMonth() >= API_CALL_LIMIT) {
         console.warn('[Aviation] API call limit reached');
         throw new Error('RATE_LIMIT_EXCEEDED');
     }
@@ -53,8 +69,7 @@ async function getFlightInfo(flightNumber) {
             timeout: 10000
         });
 
-        apiCallsThisMonth++;
-        console.log(`[Aviation] API call made. Total this month: ${apiCallsThisMonth}`);
+        await recordApiCall();
 
         const flights = response.data.data;
 
@@ -69,7 +84,7 @@ async function getFlightInfo(flightNumber) {
                 timeout: 10000
             });
 
-            apiCallsThisMonth++;
+            await recordApiCall();
 
             if (!depResponse.data.data || depResponse.data.data.length === 0) {
                 return null;
@@ -118,6 +133,7 @@ async function getFlightStatus(flightNumber) {
         delay: flightData.delay,
         terminal: flightData.terminal,
         gate: flightData.gate,
+        isMock: !!flightData._isMock,
         lastUpdated: new Date().toISOString()
     };
 }
@@ -252,19 +268,27 @@ function getMockFlightData(flightNumber) {
 // ========================================
 // Reset Monthly Counter (call from cron)
 // ========================================
-function resetMonthlyCounter() {
-    apiCallsThisMonth = 0;
+async function resetMonthlyCounter() {
+    await cacheService.del(getUsageKey());
     console.log('[Aviation] Monthly API counter reset');
 }
 
+// ========================================
+// Check if live API is configured
+// ========================================
+function isConfigured() {
+    return !!AVIATION_API_KEY;
+}
+
 // ========================================
 // Get API Usage Stats
 // ========================================
-function getApiUsage() {
+async function getApiUsage() {
+    const callsThisMonth = await getCallsThisMonth();
     return {
-        callsThisMonth: apiCallsThisMonth,
+        callsThisMonth,
         limit: API_CALL_LIMIT,
-        remaining: API_CALL_LIMIT - apiCallsThisMonth
+        remaining: API_CALL_LIMIT - callsThisMonth
     };
 }
 
@@ -273,5 +297,6 @@ module.exports = {
     getFlightStatus,
     calculatePickupTime,
     resetMonthlyCounter,
+    isConfigured,
     getApiUsage
 };
@@ -0,0 +1,431 @@
+// ========================================
+// Booking State Machine
+// ========================================
+// Single source of truth for booking status changes. Every route and
+// job moves a booking through transition(), which checks the move is
+// in the table, that the actor may make it and that its guards hold,
+// then records history and runs the side effects for the new status.
+// ========================================
+
+const Driver = require('../models/Driver');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const refundService = require('./refundService');
+const promotionService = require('./promotionService');
+const tripChargesService = require('./tripChargesService');
+const cashLedgerService = require('./cashLedgerService');
+const payoutService = require('./payoutService');
+const corporatePolicyService = require('./corporatePolicyService');
+const corporateBalanceService = require('./corporateBalanceService');
+
+// Who can move a booking
+const ACTOR_ROLES = ['customer', 'driver', 'admin', 'partner', 'approver', 'system'];
+
+// Audit log actor.type for each role
+const AUDIT_ACTOR_TYPES = {
+    customer: 'user',
+    driver: 'driver',
+    admin: 'admin',
+    partner: 'api',
+    approver: 'user', // Corporate account approver
+    system: 'system'
+};
+
+const CANCEL_ACTORS = ['customer', 'partner', 'admin', 'system'];
+const TRIP_ACTORS = ['driver', 'admin'];
+
+// Payment is settled once the card is charged or authorized; cash and
+// corporate bookings are paid later
+const SETTLED_PAYMENT_STATUSES = ['paid', 'authorized'];
+const SETTLED_PAYMENT_METHODS = ['cash', 'corporate'];
+
+// The paymentSettled guard as a query, for conditional updates that make a move atomic
+const PAYMENT_SETTLED_QUERY = {
+    $or: [
+        { 'payment.status': { $in: SETTLED_PAYMENT_STATUSES } },
+        { 'payment.method': { $in: SETTLED_PAYMENT_METHODS } }
+    ]
+};
+
+// ========================================
+// Guards
+// ========================================
+// Each guard returns an error message when the transition must not happen
+
+const GUARDS = {
+    // Online payments must be captured (or the card authorized) before the booking goes ahead
+    paymentSettled(booking) {
+        const method = booking.payment?.method;
+        if (SETTLED_PAYMENT_STATUSES.includes(booking.payment?.status) || SETTLED_PAYMENT_METHODS.includes(method)) {
+            return null;
+        }
+        return 'Payment has not been received';
+    },
+
+    // Corporate bookings that needed approval only go ahead once an approver said yes
+    approvalGranted(booking) {
+        if (booking.approval?.status === 'approved') return null;
+        return 'The booking has not been approved';
+    },
+
+    driverAssigned(booking, actor, context) {
+        if (context.driver || booking.driver?.driverId) return null;
+        return 'No driver is assigned to this booking';
+    },
+
+    // A driver can only move their own trips
+    actingDriverIsAssigned(booking, actor) {
+        if (actor.role !== 'driver') return null;
+        if (booking.driver?.driverId?.toString() === actor.id?.toString()) return null;
+        return 'Only the assigned driver can update this trip';
+    },
+
+    // Drivers finishing a cash trip say how much they took ({ cashCollected: { amount, currency } })
+    cashCollectedConfirmed(booking, actor, context) {
+        if (context.cashCollected) return cashLedgerService.validateCashAmount(context.cashCollected);
+        if (actor.role !== 'driver' || !cashLedgerService.requiresCashConfirmation(booking)) return null;
+        return 'Confirm the cash collected from the passenger';
+    }
+};
+
+// ========================================
+// Transition Table
+// ========================================
+// from -> to -> { actors, guards, apply }
+// completed, cancelled and no_show are terminal
+
+const TRANSITIONS = {
+    pending_approval: {
+        confirmed: { actors: ['approver', 'admin'], guards: ['approvalGranted', 'paymentSettled'] },
+        cancelled: { actors: ['approver', ...CANCEL_ACTORS] }
+    },
+    pending: {
+        confirmed: { actors: ['system', 'admin', 'partner'], guards: ['paymentSettled'] },
+        driver_assigned: { actors: ['driver', 'admin', 'system'], guards: ['paymentSettled', 'driverAssigned'] },
+        cancelled: { actors: CANCEL_ACTORS }
+    },
+    confirmed: {
+        driver_assigned: { actors: ['driver', 'admin', 'system'], guards: ['driverAssigned'] },
+        cancelled: { actors: CANCEL_ACTORS }
+    },
+    driver_assigned: {
+        driver_enroute: { actors: TRIP_ACTORS, guards: ['driverAssigned', 'actingDriverIsAssigned'] },
+        // Unassign - the trip goes back to dispatch
+        confirmed: { actors: ['admin', 'system'], apply: unassignDriver },
+        cancelled: { actors: CANCEL_ACTORS }
+    },
+    driver_enroute: {
+        driver_arrived: { actors: TRIP_ACTORS, guards: ['driverAssigned', 'actingDriverIsAssigned'] },
+        cancelled: { actors: CANCEL_ACTORS }
+    },
+    driver_arrived: {
+        passenger_picked_up: { actors: TRIP_ACTORS, guards: ['driverAssigned', 'actingDriverIsAssigned'] },
+        no_show: { actors: TRIP_ACTORS, guards: ['driverAssigned', 'actingDriverIsAssigned'] },
+        cancelled: { actors: CANCEL_ACTORS }
+    },
+    passenger_picked_up: {
+        in_progress: { actors: TRIP_ACTORS, guards: ['driverAssigned', 'actingDriverIsAssigned'] }
+    },
+    in_progress: {
+        completed: { actors: TRIP_ACTORS, guards: ['driverAssigned', 'actingDriverIsAssigned', 'cashCollectedConfirmed'] }
+    },
+    completed: {},
+    cancelled: {},
+    no_show: {}
+};
+
+function unassignDriver(booking) {
+    booking.driver = undefined;
+    if (booking.dispatch) {
+        booking.dispatch.status = undefined;
+    }
+}
+
+// ========================================
+// Side Effects
+// ========================================
+// Run after the new status is saved, keyed by the status entered.
+// A failed effect is logged - it never undoes the transition.
+
+const EFFECTS = {
+    driver_assigned: [
+        (booking) => notificationService.sendDriverAssignedNotification(booking)
+    ],
+    driver_enroute: [
+        (booking) => notificationService.sendDriverEnrouteNotification(booking)
+    ],
+    driver_arrived: [
+        (booking) => notificationService.sendDriverArrivedNotification(booking)
+    ],
+    passenger_picked_up: [
+        (booking) => tripChargesService.recordWaitingTime(booking)
+    ],
+    completed: [
+        // Before the driver is credited so the extras count towards their earnings
+        (booking) => tripChargesService.applyTripCharges(booking),
+        // After the charges so the extras are shared and the cash is checked against the final fare
+        (booking, ctx) => payoutService.recordTripEarnings(booking, ctx),
+        (booking, ctx) => cashLedgerService.recordCashCollection(booking, ctx),
+        creditDriver,
+        (booking) => notificationService.sendTripCompletedNotification(booking)
+    ],
+    cancelled: [
+        releaseDriver,
+        (booking, ctx) => auditService.logBookingCancelled(booking, toAuditActor(ctx.actor), ctx.note, ctx.req),
+        refundCancellation,
+        (booking) => booking.promotion?.promotionId ? promotionService.release(booking._id) : null,
+        // Give the fare back to the corporate account's balance and cost center budget
+        (booking) => corporateBalanceService.refundBooking(booking),
+        (booking) => corporatePolicyService.releaseCostCenter(booking),
+        (booking, ctx) => notificationService.sendCancellationNotification(booking, ctx.refundAmount || null)
+    ],
+    no_show: [
+        releaseDriver,
+        // No-shows keep the full fare
+        (booking) => tripChargesService.captureFare(booking)
+    ],
+    confirmed: [
+        (booking, ctx) => ctx.from === 'driver_assigned' ? releaseDriver(booking, ctx) : null,
+        // Approved corporate bookings get the confirmation they were held back from
+        (booking, ctx) => ctx.from === 'pending_approval' ? notificationService.sendBookingConfirmation(booking) : null
+    ]
+};
+
+/**
+ * Add the driver's share of the trip to their totals and put them back
+ * online. Cash trips don't add to the payout balance - the driver already
+ * has their share.
+ */
+function creditDriver(booking, ctx) {
+    if (!ctx.driverId) return null;
+
+    const { amountETB = 0, paidInCash } = booking.driverEarnings || {};
+    return Driver.updateOne(
+        { _id: ctx.driverId },
+        {
+            $inc: {
+                completedTrips: 1,
+                'earnings.currentWeek': amountETB,
+                'earnings.currentMonth': amountETB,
+                'earnings.total': amountETB,
+                'earnings.balance': paidInCash ? 0 : amountETB
+            },
+            $set: { onlineStatus: 'online' }
+        }
+    );
+}
+
+/**
+ * Refund what the cancellation policy allows (or the amount the caller
+ * passed as refundAmount) so the notification can quote it
+ */
+async function refundCancellation(booking, ctx) {
+    ctx.refundAmount = await refundService.refundCancellation(booking, {
+        fromStatus: ctx.from,
+        amount: ctx.refundAmount,
+        reason: ctx.note,
+        refundedBy: toAuditActor(ctx.actor)
+    });
+}
+
+/**
+ * Free the driver that was on this trip
+ */
+function releaseDriver(booking, ctx) {
+    if (!ctx.driverId) return null;
+
+    return Driver.updateOne(
+        { _id: ctx.driverId, onlineStatus: 'busy' },
+        { $set: { onlineStatus: 'online' } }
+    );
+}
+
+// ========================================
+// Errors
+// ========================================
+
+const ERROR_STATUS_CODES = {
+    UNKNOWN_STATUS: 400,
+    ACTOR_NOT_ALLOWED: 403,
+    INVALID_TRANSITION: 409,
+    GUARD_FAILED: 409
+};
+
+/**
+ * Error for a rejected status change. Routes answer with
+ * error.statusCode and the machine-readable error.code.
+ */
+function bookingTransitionError(code, message, details = {}) {
+    const error = new Error(message);
+    error.name = 'BookingTransitionError';
+    error.code = code;
+    error.statusCode = ERROR_STATUS_CODES[code];
+    Object.assign(error, details);
+    return error;
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Accept a role string or { role, id, email } and return the object form
+ */
+function normalizeActor(actor = 'system') {
+    const normalized = typeof actor === 'string' ? { role: actor } : { ...actor };
+    if (!ACTOR_ROLES.includes(normalized.role)) {
+        normalized.role = 'system';
+    }
+    return normalized;
+}
+
+function toAuditActor(actor) {
+    return {
+        role: AUDIT_ACTOR_TYPES[actor.role],
+        _id: actor.id,
+        email: actor.email
+    };
+}
+
+/**
+ * Statuses the actor can move the booking to right now
+ */
+function getAllowedTransitions(booking, actor) {
+    const normalized = normalizeActor(actor);
+    const targets = TRANSITIONS[booking.status] || {};
+
+    return Object.keys(targets).filter(to => !checkTransition(booking, to, normalized));
+}
+
+/**
+ * Statuses the booking can move to `to` from (used for atomic updates)
+ */
+function getSourceStatuses(to, actor) {
+    const role = actor ? normalizeActor(actor).role : null;
+
+    return Object.keys(TRANSITIONS).filter(from => {
+        const rule = TRANSITIONS[from][to];
+        return rule && (!role || rule.actors.includes(role));
+    });
+}
+
+/**
+ * Check a transition without applying it
+ * @returns {Error|null} BookingTransitionError, or null if the move is allowed
+ */
+function checkTransition(booking, to, actor, context = {}) {
+    const from = booking.status;
+    const { role, id } = normalizeActor(actor);
+
+    if (!TRANSITIONS[to]) {
+        return bookingTransitionError('UNKNOWN_STATUS', `Unknown status: ${to}`, { from, to });
+    }
+
+    const rule = TRANSITIONS[from]?.[to];
+    if (!rule) {
+        return bookingTransitionError('INVALID_TRANSITION', `Booking can't move from ${from} to ${to}`, { from, to });
+    }
+
+    if (!rule.actors.includes(role)) {
+        return bookingTransitionError('ACTOR_NOT_ALLOWED', `${role} can't move a booking from ${from} to ${to}`, { from, to });
+    }
+
+    for (const guard of rule.guards || []) {
+        const failure = GUARDS[guard](booking, { role, id }, context);
+        if (failure) {
+            return bookingTransitionError('GUARD_FAILED', failure, { from, to, guard });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Throw if the transition isn't allowed
+ */
+function assertTransition(booking, to, actor, context = {}) {
+    const error = checkTransition(booking, to, actor, context);
+    if (error) throw error;
+}
+
+// ========================================
+// Transition
+// ========================================
+
+/**
+ * Move a booking to a new status and save it
+ * @param {Object} booking - Booking document
+ * @param {string} to - New status
+ * @param {Object} [options] - { actor, note, req, refundAmount (overrides the cancellation policy),
+ *   cashCollected (cash taken on a completed trip: { amount, currency }) }
+ * @returns {Object} The saved booking
+ */
+async function transition(booking, to, { actor, note = '', req, ...context } = {}) {
+    const normalized = normalizeActor(actor);
+    const from = booking.status;
+
+    assertTransition(booking, to, normalized, context);
+
+    // Effects need the driver even if the transition removes them
+    const driverId = booking.driver?.driverId;
+    const rule = TRANSITIONS[from][to];
+    if (rule.apply) rule.apply(booking);
+
+    booking.status = to;
+    booking.statusHistory.push({
+        status: to,
+        timestamp: new Date(),
+        note,
+        updatedBy: normalized.role
+    });
+
+    // Save only if the stored booking is still in `from` (the update is
+    // filtered on it), so two requests racing for the same move can't both
+    // run the effects - a second cancellation would refund twice
+    booking.$where = { status: from };
+    try {
+        await booking.save();
+    } catch (error) {
+        // VersionError when the update also pushes to an array (statusHistory)
+        if (!['DocumentNotFoundError', 'VersionError'].includes(error.name)) throw error;
+        throw bookingTransitionError('INVALID_TRANSITION', `Booking was changed by another request and can't move from ${from} to ${to}`, { from, to });
+    } finally {
+        booking.$where = undefined;
+    }
+
+    await runEffects(booking, { from, to, actor: normalized, note, req, driverId, ...context });
+
+    return booking;
+}
+
+/**
+ * Audit the change and run the effects for the new status. Also used by
+ * atomic updates that change the status without going through transition().
+ */
+async function runEffects(booking, ctx) {
+    // Shared by the effects so earlier ones can pass results on (e.g. refundAmount)
+    const effectCtx = { ...ctx, actor: normalizeActor(ctx.actor) };
+    const effects = [
+        () => auditService.logBookingStatusChange(booking, ctx.from, ctx.to, toAuditActor(effectCtx.actor), ctx.req),
+        ...(EFFECTS[ctx.to] || []).map(effect => () => effect(booking, effectCtx))
+    ];
+
+    for (const effect of effects) {
+        try {
+            await effect();
+        } catch (error) {
+            console.error(`[BookingState] ${ctx.to} effect failed for ${booking.bookingReference}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    TRANSITIONS,
+    PAYMENT_SETTLED_QUERY,
+    transition,
+    checkTransition,
+    assertTransition,
+    getAllowedTransitions,
+    getSourceStatuses,
+    runEffects
+};
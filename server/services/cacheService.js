@@ -4,8 +4,17 @@
 // Unified caching service supporting Redis and in-memory fallback
 // ========================================
 
+const crypto = require('crypto');
 const NodeCache = require('node-cache');
 
+// Delete a lock only if it still holds the caller's token (check and delete in one step)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
 // Try to load Redis
 let Redis;
 let redisClient = null;
@@ -345,62 +354,124 @@ class CacheService {
     }
 
     /**
-     * Rate limiting helper
+     * Rate limiting helper - counts a hit in a fixed window that starts
+     * with the first hit. Shared across instances when Redis is in use.
+     * @returns {Object} { allowed, current, limit, remaining, resetSeconds }
      */
     async checkRateLimit(identifier, limit, windowSeconds) {
         const key = `ratelimit:${identifier}`;
 
         try {
+            let current;
+            let resetSeconds;
+
             if (this.useRedis && redisClient) {
-                const current = await redisClient.incr(key);
-                if (current === 1) {
+                // Count and read the expiry in one round trip; set the expiry
+                // if the key has none, so a lost EXPIRE can't keep it forever
+                const [[, count], [, ttl]] = await redisClient.multi()
+                    .incr(key)
+                    .ttl(key)
+                    .exec();
+                current = count;
+                resetSeconds = ttl;
+                if (ttl < 0) {
                     await redisClient.expire(key, windowSeconds);
+                    resetSeconds = windowSeconds;
                 }
-                return {
-                    allowed: current <= limit,
-                    current,
-                    limit,
-                    remaining: Math.max(0, limit - current)
-                };
             } else {
-                let current = this.memoryCache.get(key) || 0;
-                current++;
-                this.memoryCache.set(key, current, windowSeconds);
-                return {
-                    allowed: current <= limit,
-                    current,
-                    limit,
-                    remaining: Math.max(0, limit - current)
-                };
+                // Keep the window's original expiry rather than restarting it on every hit
+                const expiresAt = this.memoryCache.getTtl(key);
+                current = (this.memoryCache.get(key) || 0) + 1;
+                resetSeconds = expiresAt
+                    ? Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000))
+                    : windowSeconds;
+                this.memoryCache.set(key, current, resetSeconds);
+            }
+
+            return {
+                allowed: current <= limit,
+                current,
+                limit,
+                remaining: Math.max(0, limit - current),
+                resetSeconds
+            };
+
+        } catch (error) {
+            console.error('[Cache] Rate limit error:', error.message);
+            return { allowed: true, current: 0, limit, remaining: limit, resetSeconds: windowSeconds };
+        }
+    }
+
+    /**
+     * Add one to a counter, which expires ttlSeconds after its first count
+     * @returns {number|null} The new count, or null if it couldn't be counted
+     */
+    async increment(key, ttlSeconds) {
+        try {
+            if (this.useRedis && redisClient) {
+                const count = await redisClient.incr(key);
+                if (count === 1) {
+                    await redisClient.expire(key, ttlSeconds);
+                }
+                return count;
             }
 
+            const expiresAt = this.memoryCache.getTtl(key);
+            const count = (this.memoryCache.get(key) || 0) + 1;
+            this.memoryCache.set(key, count, expiresAt
+                ? Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000))
+                : ttlSeconds);
+            return count;
+
         } catch (error) {
-            return { allowed: true, current: 0, limit, remaining: limit };
+            console.error('[Cache] Increment error:', error.message);
+            return null;
         }
     }
 
     /**
      * Distributed lock (Redis only)
+     * @returns {string|null} Token to release the lock with, or null if it is held
      */
     async acquireLock(lockName, ttlSeconds = 30) {
         const key = `lock:${lockName}`;
+        const token = `${Date.now()}:${crypto.randomBytes(8).toString('hex')}`;
 
         if (this.useRedis && redisClient) {
-            const result = await redisClient.set(key, Date.now(), 'EX', ttlSeconds, 'NX');
-            return result === 'OK';
+            const result = await redisClient.set(key, token, 'EX', ttlSeconds, 'NX');
+            return result === 'OK' ? token : null;
         }
 
         // Memory fallback
         if (this.memoryCache.has(key)) {
-            return false;
+            return null;
         }
-        this.memoryCache.set(key, Date.now(), ttlSeconds);
-        return true;
+        this.memoryCache.set(key, token, ttlSeconds);
+        return token;
     }
 
-    async releaseLock(lockName) {
+    /**
+     * Release a lock. Given the token from acquireLock, only if the lock is
+     * still ours - it may have expired and been taken by someone else.
+     * @returns {boolean} false if the lock was no longer ours
+     */
+    async releaseLock(lockName, token) {
         const key = `lock:${lockName}`;
-        return this.del(key);
+        if (!token) return this.del(key);
+
+        try {
+            if (this.useRedis && redisClient) {
+                return await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, token) === 1;
+            }
+
+            if (this.memoryCache.get(key) !== token) return false;
+            this.memoryCache.del(key);
+            return true;
+
+        } catch (error) {
+            console.error('[Cache] Release lock error:', error.message);
+            return false;
+        }
     }
 }
 
@@ -0,0 +1,281 @@
+// ========================================
+// Cash Ledger Service
+// ========================================
+// Tracks the cash drivers hold for the company. When a driver completes
+// a cash trip they confirm what the passenger paid; everything but their
+// share of the fare (and any tip) is owed to the company until an admin
+// records a settlement or it is taken off their weekly payout. Amounts
+// are kept in ETB - cash taken in USD is converted at the booking's
+// exchange rate.
+// ========================================
+
+const Driver = require('../models/Driver');
+const CashLedgerEntry = require('../models/CashLedgerEntry');
+const { getExchangeRate } = require('./pricingService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+const CASH_CURRENCIES = ['ETB', 'USD'];
+const SETTLEMENT_METHODS = ['cash', 'bank_transfer', 'telebirr'];
+
+// Shortfalls smaller than this (ETB) are rounding, not a short payment
+const SHORTFALL_TOLERANCE_ETB = 10;
+
+/**
+ * Error for a rejected cash entry. Routes answer 400 with error.code.
+ */
+function cashLedgerError(code, message) {
+    const error = new Error(message);
+    error.name = 'CashLedgerError';
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check { amount, currency } sent by a driver or admin
+ * @returns {string|null} What's wrong with it
+ */
+function validateCashAmount(cash) {
+    if (!cash || !(parseFloat(cash.amount) >= 0)) {
+        return 'Cash amount must be zero or more';
+    }
+    if (!CASH_CURRENCIES.includes((cash.currency || 'ETB').toUpperCase())) {
+        return `Cash currency must be ${CASH_CURRENCIES.join(' or ')}`;
+    }
+    return null;
+}
+
+function toETB(amount, currency, rate) {
+    return Math.round(currency === 'USD' ? amount * rate : amount);
+}
+
+/**
+ * Cash the driver should have collected for the trip, in ETB: the whole
+ * fare for cash bookings, or trip charges that couldn't go on the card
+ */
+function getCashDueETB(booking) {
+    const rate = booking.pricing?.exchangeRate || getExchangeRate();
+
+    if (booking.payment?.method === 'cash') {
+        return booking.pricing?.totalETB || Math.round((booking.pricing?.totalUSD || 0) * rate);
+    }
+
+    const adjustment = booking.payment?.adjustment;
+    if (adjustment?.status === 'cash_due') {
+        return toETB(adjustment.amount, adjustment.currency, rate);
+    }
+
+    return 0;
+}
+
+/**
+ * Does the driver have to say how much cash they took to complete this trip?
+ */
+function requiresCashConfirmation(booking) {
+    return booking.payment?.method === 'cash';
+}
+
+// ========================================
+// Ledger
+// ========================================
+
+/**
+ * Add an entry and move the driver's balance by entry.amountETB
+ */
+async function addEntry(data) {
+    const update = {
+        $inc: { 'cashOnHand.balanceETB': data.amountETB },
+        $set: {
+            [data.type === 'settlement' ? 'cashOnHand.lastSettlementAt' : 'cashOnHand.lastCollectedAt']: new Date()
+        }
+    };
+
+    const driver = await Driver.findByIdAndUpdate(data.driverId, update, { new: true }).select('cashOnHand');
+    if (!driver) {
+        throw cashLedgerError('DRIVER_NOT_FOUND', 'Driver not found');
+    }
+
+    return CashLedgerEntry.create({ ...data, balanceAfterETB: driver.cashOnHand.balanceETB });
+}
+
+/**
+ * Record the cash a driver took at the end of a trip and mark what it
+ * paid for. Called by the state machine after trip charges are applied
+ * and the driver's earnings are worked out. Safe to call twice.
+ * @param {Object} booking - Completed booking
+ * @param {Object} options - { driverId, cashCollected: { amount, currency } }
+ * @returns {Object|null} The ledger entry, or null if no cash was due or reported
+ */
+async function recordCashCollection(booking, { driverId, cashCollected } = {}) {
+    // Card trip charges the driver didn't say they took stay cash_due for the admin team
+    const fareETB = getCashDueETB(booking);
+    if (!driverId || !cashCollected || !fareETB) return null;
+
+    const existing = await CashLedgerEntry.findOne({ bookingId: booking._id, type: 'cash_trip' });
+    if (existing) return existing;
+
+    const rate = booking.pricing?.exchangeRate || getExchangeRate();
+    const amount = Math.round(parseFloat(cashCollected.amount) * 100) / 100;
+    const currency = (cashCollected.currency || 'ETB').toUpperCase();
+    const collectedETB = toETB(amount, currency, rate);
+
+    // On cash trips the driver keeps their share and anything over the fare.
+    // Card trip charges paid in cash are owed in full - the driver's share
+    // of those comes with their payout.
+    const driverShareETB = booking.payment.method === 'cash' ? booking.driverEarnings?.amountETB || 0 : 0;
+    const tipETB = Math.max(0, collectedETB - fareETB);
+
+    const entry = await addEntry({
+        driverId,
+        type: 'cash_trip',
+        amountETB: Math.min(collectedETB, fareETB) - driverShareETB,
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        collected: { amount, currency, amountETB: collectedETB, exchangeRate: rate },
+        fareETB,
+        commissionPercent: booking.driverEarnings?.commissionPercent,
+        driverShareETB,
+        tipETB
+    });
+
+    const shortfallETB = fareETB - collectedETB;
+    const paidInFull = shortfallETB < SHORTFALL_TOLERANCE_ETB;
+
+    if (booking.payment.method === 'cash') {
+        booking.payment.amount = amount;
+        booking.payment.currency = currency;
+        if (paidInFull) {
+            booking.payment.status = 'paid';
+            booking.payment.paidAt = new Date();
+        }
+    }
+    if (booking.payment.adjustment?.status === 'cash_due' && paidInFull) {
+        booking.payment.adjustment.status = 'paid';
+        booking.payment.adjustment.settledAt = new Date();
+    }
+    await booking.save();
+
+    console.log(`[CashLedger] ${booking.bookingReference}: collected ${currency} ${amount}, driver owes ETB ${entry.amountETB}`);
+    await auditService.logCashCollected(booking, entry);
+
+    if (!paidInFull) {
+        await notificationService.sendAdminAlert(
+            'Cash trip short-paid',
+            `The driver on booking ${booking.bookingReference} collected ETB ${collectedETB} in cash against ETB ${fareETB} due (ETB ${shortfallETB} short).`
+        );
+    }
+
+    return entry;
+}
+
+/**
+ * Record cash a driver handed in
+ * @param {string} driverId
+ * @param {Object} settlement - { amount, currency, method, reference, note }
+ * @param {Object} recordedBy - Admin { _id, email }
+ * @returns {Object} { entry, balanceETB }
+ */
+async function recordSettlement(driverId, settlement, recordedBy, req) {
+    const invalid = validateCashAmount(settlement);
+    if (invalid || !(parseFloat(settlement.amount) > 0)) {
+        throw cashLedgerError('INVALID_AMOUNT', invalid || 'Settlement amount must be more than zero');
+    }
+
+    const method = settlement.method || 'cash';
+    if (!SETTLEMENT_METHODS.includes(method)) {
+        throw cashLedgerError('INVALID_METHOD', `Settlement method must be one of: ${SETTLEMENT_METHODS.join(', ')}`);
+    }
+
+    const currency = (settlement.currency || 'ETB').toUpperCase();
+    const amount = Math.round(parseFloat(settlement.amount) * 100) / 100;
+    const rate = getExchangeRate();
+
+    const entry = await addEntry({
+        driverId,
+        type: 'settlement',
+        amountETB: -toETB(amount, currency, rate),
+        collected: { amount, currency, amountETB: toETB(amount, currency, rate), exchangeRate: rate },
+        method,
+        reference: settlement.reference,
+        note: settlement.note,
+        recordedBy: { id: recordedBy?._id, email: recordedBy?.email }
+    });
+
+    await auditService.logCashSettlement(entry, recordedBy, req);
+
+    return { entry, balanceETB: entry.balanceAfterETB };
+}
+
+/**
+ * Take cash the driver owes off a payout (or add what the company owes
+ * them), up to the amount being paid out
+ * @param {Object} payout - Payout being generated (payoutNumber, driverId)
+ * @param {number} availableETB - Earnings the payout would otherwise pay
+ * @returns {number} Amount deducted in ETB (negative when added)
+ */
+async function recordPayoutDeduction(payout, availableETB) {
+    const driver = await Driver.findById(payout.driverId).select('cashOnHand');
+    const balanceETB = driver?.cashOnHand?.balanceETB || 0;
+    const deductionETB = balanceETB > 0 ? Math.min(balanceETB, Math.max(0, availableETB)) : balanceETB;
+
+    if (!deductionETB) return 0;
+
+    await addEntry({
+        driverId: payout.driverId,
+        type: 'settlement',
+        amountETB: -deductionETB,
+        method: 'payout_deduction',
+        reference: payout.payoutNumber,
+        note: deductionETB > 0 ? 'Deducted from payout' : 'Owed to driver, added to payout'
+    });
+
+    return deductionETB;
+}
+
+/**
+ * A driver's ledger, newest first
+ */
+async function getEntries(driverId, { page = 1, limit = 20 } = {}) {
+    const [entries, total] = await Promise.all([
+        CashLedgerEntry.find({ driverId })
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        CashLedgerEntry.countDocuments({ driverId })
+    ]);
+
+    return {
+        entries,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+/**
+ * Drivers holding company cash, largest balance first
+ */
+async function getOutstandingBalances() {
+    const drivers = await Driver.find({ 'cashOnHand.balanceETB': { $gt: 0 } })
+        .select('firstName lastName phone email status cashOnHand')
+        .sort({ 'cashOnHand.balanceETB': -1 });
+
+    const totalETB = drivers.reduce((sum, driver) => sum + driver.cashOnHand.balanceETB, 0);
+
+    return { drivers, totalETB };
+}
+
+module.exports = {
+    CASH_CURRENCIES,
+    validateCashAmount,
+    requiresCashConfirmation,
+    getCashDueETB,
+    recordCashCollection,
+    recordSettlement,
+    recordPayoutDeduction,
+    getEntries,
+    getOutstandingBalances
+};
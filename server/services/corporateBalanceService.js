@@ -0,0 +1,603 @@
+// ========================================
+// Corporate Balance Service
+// ========================================
+// Keeps CorporateAccount.billing.currentBalance and its ledger
+// (BalanceTransaction). Trips are charged to the balance when they're
+// confirmed and given back when cancelled, and waiting time and extra
+// stops are charged when the trip ends; prepaid accounts can't go
+// below zero and credit / postpaid accounts can't owe more than their
+// credit limit. Top-ups are paid by card (Stripe) or Telebirr and only
+// land on the balance once the provider confirms the payment. When the
+// available balance drops below the account's thresholds its admins are
+// emailed and, with auto-recharge on, the saved card is charged.
+// ========================================
+
+const CorporateAccount = require('../models/CorporateAccount');
+const BalanceTransaction = require('../models/BalanceTransaction');
+const stripeService = require('./stripeService');
+const telebirrService = require('./telebirrService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const { getAccountAmount } = require('./corporatePolicyService');
+
+const TOP_UP_PROVIDERS = ['stripe', 'telebirr'];
+
+// A failed auto-recharge isn't tried again for this long
+const AUTO_RECHARGE_RETRY_MS = 24 * 60 * 60 * 1000;
+
+const ERROR_STATUS_CODES = {
+    NOT_FOUND: 404,
+    INVALID_AMOUNT: 400,
+    INVALID_PROVIDER: 400,
+    INVALID_SETTINGS: 400,
+    NO_SAVED_CARD: 409,
+    PROVIDER_UNAVAILABLE: 503,
+    PAYMENT_FAILED: 502
+};
+
+// Ledger entries for trips, which count towards the account's spend
+const BOOKING_TYPES = ['booking_charge', 'booking_adjustment', 'booking_refund'];
+
+/**
+ * Error for a top-up or balance change that can't go ahead. Routes answer
+ * with error.statusCode and error.code.
+ */
+function balanceError(code, message) {
+    const error = new Error(message);
+    error.name = 'CorporateBalanceError';
+    error.code = code;
+    error.statusCode = ERROR_STATUS_CODES[code];
+    return error;
+}
+
+function round2(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Account admins and billing managers, plus the billing contact
+ */
+function getBillingRecipients(account) {
+    const emails = account.users
+        .filter(user => user.email && (user.role === 'admin' || user.permissions?.canManageBilling))
+        .map(user => user.email);
+    emails.push(account.contact?.billing?.email);
+
+    return [...new Set(emails.filter(Boolean).map(email => email.trim().toLowerCase()))];
+}
+
+// ========================================
+// Ledger
+// ========================================
+
+/**
+ * Condition that the account can take a charge of `amount` - the same
+ * rule as CorporateAccount.getAvailableCredit(), checked inside the update
+ */
+function creditCondition(amount) {
+    return {
+        $expr: {
+            $switch: {
+                branches: [
+                    { case: { $eq: ['$billing.method', 'prepaid'] }, then: { $gte: ['$billing.currentBalance', amount] } },
+                    {
+                        case: { $and: [{ $eq: ['$billing.method', 'postpaid'] }, { $not: [{ $gt: ['$billing.creditLimit', 0] }] }] },
+                        then: true
+                    }
+                ],
+                default: { $gte: [{ $add: ['$billing.currentBalance', { $ifNull: ['$billing.creditLimit', 0] }] }, amount] }
+            }
+        }
+    };
+}
+
+/**
+ * Add a ledger entry and move the balance by entry.amount in one atomic
+ * update. The entry is written first so a trip can't be charged or
+ * refunded twice (unique bookingId + type).
+ * @param {Object} account - CorporateAccount
+ * @param {Object} data - BalanceTransaction fields
+ * @param {Object} options - { requireCredit } refuse a charge the account can't cover
+ * @returns {Object|null} The entry, or null if the account couldn't cover it
+ */
+async function addTransaction(account, data, { requireCredit = false } = {}) {
+    const amount = round2(data.amount);
+    const entry = await BalanceTransaction.create({
+        ...data,
+        corporateAccountId: account._id,
+        amount,
+        currency: account.billing?.currency || 'USD',
+        status: 'pending'
+    });
+
+    const update = { $inc: { 'billing.currentBalance': amount } };
+    if (BOOKING_TYPES.includes(data.type)) {
+        update.$inc['stats.totalSpent'] = -amount;
+        update.$inc['stats.currentMonthSpent'] = -amount;
+    }
+
+    const filter = { _id: account._id, ...(requireCredit ? creditCondition(-amount) : {}) };
+    const updated = await CorporateAccount.findOneAndUpdate(filter, update, { new: true });
+    if (!updated) {
+        await entry.deleteOne();
+        return null;
+    }
+
+    entry.status = 'completed';
+    entry.balanceAfter = updated.billing.currentBalance;
+    entry.completedAt = new Date();
+    await entry.save();
+
+    if (amount < 0) {
+        await checkLowBalance(updated, amount);
+    }
+
+    return entry;
+}
+
+/**
+ * Charge a confirmed trip to the account. Safe to call twice.
+ * @returns {Object|null} The entry, or null if the account doesn't have
+ *   enough balance or credit left
+ */
+async function chargeBooking(account, booking) {
+    const existing = await BalanceTransaction.findOne({ bookingId: booking._id, type: 'booking_charge' });
+    if (existing) return existing;
+
+    return addTransaction(account, {
+        type: 'booking_charge',
+        amount: -getAccountAmount(booking, account),
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference
+    }, { requireCredit: true });
+}
+
+/**
+ * Charge waiting time and extra stops added to a trip when it ends. No
+ * credit check - the trip has already happened. Safe to call twice.
+ * @param {number} amount - In the account's billing currency
+ */
+async function chargeBookingAdjustment(account, booking, amount) {
+    const existing = await BalanceTransaction.findOne({ bookingId: booking._id, type: 'booking_adjustment' });
+    if (existing) return existing;
+
+    try {
+        return await addTransaction(account, {
+            type: 'booking_adjustment',
+            amount: -amount,
+            bookingId: booking._id,
+            bookingReference: booking.bookingReference,
+            note: 'Waiting time and extra stops'
+        });
+    } catch (error) {
+        if (error.code === 11000) return null; // Charged by a parallel call
+        throw error;
+    }
+}
+
+/**
+ * Give a cancelled trip's charge back to the account. Safe to call twice.
+ * @returns {Object|null} The entry, or null if the trip wasn't charged
+ */
+async function refundBooking(booking, note = 'Booking cancelled') {
+    if (!booking.corporateAccountId) return null;
+
+    const charge = await BalanceTransaction.findOne({ bookingId: booking._id, type: 'booking_charge' });
+    if (!charge) return null;
+
+    const refunded = await BalanceTransaction.findOne({ bookingId: booking._id, type: 'booking_refund' });
+    if (refunded) return refunded;
+
+    const account = await CorporateAccount.findById(booking.corporateAccountId);
+    if (!account) return null;
+
+    try {
+        return await addTransaction(account, {
+            type: 'booking_refund',
+            amount: -charge.amount,
+            bookingId: booking._id,
+            bookingReference: booking.bookingReference,
+            note
+        });
+    } catch (error) {
+        if (error.code === 11000) return null; // Refunded by a parallel call
+        throw error;
+    }
+}
+
+/**
+ * Money received against an invoice on a credit or postpaid account pays
+ * back what its trips took off the balance
+ */
+function recordInvoicePayment(account, invoice, amount) {
+    if (account.billing?.method === 'prepaid') return null;
+
+    return addTransaction(account, {
+        type: 'invoice_payment',
+        amount,
+        reference: invoice.invoiceNumber
+    });
+}
+
+/**
+ * Add or take off an amount by hand (bank transfer received, goodwill
+ * credit, correction)
+ * @param {Object} adjustment - { amount, reference, note }; negative amounts take off
+ * @param {Object} adjustedBy - Admin { _id, email }
+ */
+async function adjustBalance(account, adjustment, adjustedBy, req) {
+    const amount = round2(parseFloat(adjustment.amount));
+    if (!amount) {
+        throw balanceError('INVALID_AMOUNT', 'Adjustment amount must be a non-zero number');
+    }
+    if (!adjustment.note?.trim()) {
+        throw balanceError('INVALID_AMOUNT', 'A note explaining the adjustment is required');
+    }
+
+    const entry = await addTransaction(account, {
+        type: 'adjustment',
+        amount,
+        reference: adjustment.reference,
+        note: adjustment.note.trim(),
+        recordedBy: { id: adjustedBy?._id, email: adjustedBy?.email }
+    });
+
+    await auditService.logBalanceAdjusted(entry, adjustedBy, req);
+
+    return entry;
+}
+
+/**
+ * An account's ledger, newest first
+ */
+async function getTransactions(account, { page = 1, limit = 20, type } = {}) {
+    const query = { corporateAccountId: account._id };
+    if (type) query.type = type;
+
+    const [transactions, total] = await Promise.all([
+        BalanceTransaction.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        BalanceTransaction.countDocuments(query)
+    ]);
+
+    return {
+        transactions,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+// ========================================
+// Top-ups
+// ========================================
+
+/**
+ * Start a top-up. Nothing is added until the provider confirms the
+ * payment (completeTopUp, from the Stripe webhook or Telebirr callback).
+ * @param {Object} account - CorporateAccount
+ * @param {Object} topUp - { amount, provider: 'stripe' | 'telebirr', phone }
+ * @returns {Object} { transaction, clientSecret } for Stripe, { transaction, paymentUrl } for Telebirr
+ */
+async function startTopUp(account, { amount, provider, phone }) {
+    amount = round2(parseFloat(amount));
+    if (!(amount > 0)) {
+        throw balanceError('INVALID_AMOUNT', 'Top-up amount must be more than zero');
+    }
+    if (!TOP_UP_PROVIDERS.includes(provider)) {
+        throw balanceError('INVALID_PROVIDER', `Payment method must be one of: ${TOP_UP_PROVIDERS.join(', ')}`);
+    }
+
+    const currency = account.billing?.currency || 'USD';
+    if (provider === 'telebirr' && currency !== 'ETB') {
+        throw balanceError('INVALID_PROVIDER', `Telebirr top-ups are in ETB; this account is billed in ${currency}`);
+    }
+    if (provider === 'stripe' ? !stripeService.isConfigured() : !telebirrService.isConfigured()) {
+        throw balanceError('PROVIDER_UNAVAILABLE', `${provider === 'stripe' ? 'Card' : 'Telebirr'} payments are not available right now`);
+    }
+
+    const transaction = await BalanceTransaction.create({
+        corporateAccountId: account._id,
+        type: 'top_up',
+        status: 'pending',
+        amount,
+        currency,
+        provider
+    });
+
+    try {
+        if (provider === 'stripe') {
+            const intent = await stripeService.createTopUpIntent(account, amount, transaction._id);
+            if (intent.customerId !== account.billing.stripeCustomerId) {
+                await CorporateAccount.updateOne({ _id: account._id }, { $set: { 'billing.stripeCustomerId': intent.customerId } });
+            }
+            transaction.reference = intent.reference;
+            await transaction.save();
+            return { transaction, clientSecret: intent.clientSecret };
+        }
+
+        const payment = await telebirrService.initiatePayment({
+            bookingReference: account.accountId,
+            amount,
+            subject: `Shuttle Plus account top-up - ${account.accountId}`,
+            customerPhone: phone
+        });
+        if (!payment.success) {
+            throw new Error(payment.error);
+        }
+        transaction.reference = payment.outTradeNo;
+        await transaction.save();
+        return { transaction, paymentUrl: payment.paymentUrl };
+    } catch (error) {
+        transaction.status = 'failed';
+        transaction.failureReason = error.message;
+        await transaction.save();
+        throw balanceError('PAYMENT_FAILED', `Could not start the payment: ${error.message}`);
+    }
+}
+
+/**
+ * Add a paid top-up (or auto-recharge) to the balance. Safe to call for
+ * every delivery of the same webhook.
+ * @param {string} reference - PaymentIntent ID or Telebirr outTradeNo
+ * @param {Object} [payment] - { paymentMethodId } card to keep for auto-recharge
+ * @returns {Object|null} The transaction, or null if it isn't a pending top-up
+ */
+async function completeTopUp(reference, { paymentMethodId } = {}) {
+    // Claim it so a repeated webhook can't add it twice
+    const transaction = await BalanceTransaction.findOneAndUpdate(
+        { reference, type: { $in: ['top_up', 'auto_recharge'] }, status: 'pending' },
+        { $set: { status: 'completed', completedAt: new Date() } },
+        { new: true }
+    );
+    if (!transaction) return null;
+
+    const update = { $inc: { 'billing.currentBalance': transaction.amount } };
+    if (transaction.type === 'auto_recharge') {
+        update.$set = { 'billing.autoRecharge.inProgress': false };
+    } else if (paymentMethodId) {
+        update.$set = { 'billing.stripePaymentMethodId': paymentMethodId };
+    }
+
+    const account = await CorporateAccount.findByIdAndUpdate(transaction.corporateAccountId, update, { new: true });
+    transaction.balanceAfter = account.billing.currentBalance;
+    await transaction.save();
+
+    console.log(`[Balance] ${account.accountId}: ${transaction.type} of ${transaction.currency} ${transaction.amount} completed`);
+    await auditService.logBalanceTopUp(transaction, account);
+
+    return transaction;
+}
+
+/**
+ * Mark a top-up the provider declined
+ * @returns {Object|null} The transaction, or null if it isn't a pending top-up
+ */
+async function failTopUp(reference, reason) {
+    const transaction = await BalanceTransaction.findOneAndUpdate(
+        { reference, type: { $in: ['top_up', 'auto_recharge'] }, status: 'pending' },
+        { $set: { status: 'failed', failureReason: reason } },
+        { new: true }
+    );
+    if (!transaction) return null;
+
+    if (transaction.type === 'auto_recharge') {
+        const account = await CorporateAccount.findByIdAndUpdate(transaction.corporateAccountId, {
+            $set: {
+                'billing.autoRecharge.inProgress': false,
+                'billing.autoRecharge.lastFailedAt': new Date(),
+                'billing.autoRecharge.lastFailureReason': reason
+            }
+        }, { new: true });
+        await alertAutoRechargeFailed(account, reason);
+    }
+
+    return transaction;
+}
+
+/**
+ * Apply a Telebirr callback for a top-up
+ * @returns {Object|null} { transaction, outcome }, or null if the callback isn't for a top-up
+ */
+async function handleTelebirrCallback(callback) {
+    const transaction = await BalanceTransaction.findOne({ reference: callback.outTradeNo, provider: 'telebirr' });
+    if (!transaction) return null;
+
+    if (callback.status === 'paid') {
+        const completed = await completeTopUp(callback.outTradeNo);
+        return { transaction: completed || transaction, outcome: completed ? 'Account top-up completed' : `Top-up already ${transaction.status}` };
+    }
+    if (['failed', 'cancelled'].includes(callback.status)) {
+        const failed = await failTopUp(callback.outTradeNo, `Telebirr payment ${callback.status}`);
+        return { transaction: failed || transaction, outcome: failed ? `Account top-up ${callback.status}` : `Top-up already ${transaction.status}` };
+    }
+    return { transaction, outcome: `No change for status ${callback.status}` };
+}
+
+// ========================================
+// Low Balance & Auto-recharge
+// ========================================
+
+/**
+ * After a charge: email the account admins when it takes the available
+ * balance below lowBalanceThreshold, and start an auto-recharge when it's
+ * below autoRecharge.threshold
+ * @param {Object} account - The account as updated
+ * @param {number} amount - The (negative) change just made
+ */
+async function checkLowBalance(account, amount) {
+    const available = account.getAvailableCredit();
+    if (available === Infinity) return;
+
+    const { autoRecharge = {}, lowBalanceThreshold } = account.billing;
+    let note = 'Top up your balance to keep booking.';
+
+    if (autoRecharge.enabled && autoRecharge.amount > 0 && available < (autoRecharge.threshold || 0)) {
+        const recharge = await startAutoRecharge(account);
+        if (recharge) {
+            note = `An automatic top-up of ${recharge.currency} ${recharge.amount} is on its way.`;
+        }
+    }
+
+    const threshold = lowBalanceThreshold ?? autoRecharge.threshold;
+    const before = available - amount;
+    if (threshold != null && available < threshold && before >= threshold) {
+        const recipients = getBillingRecipients(account);
+        if (recipients.length) {
+            await emailService.sendLowBalanceEmail(account, recipients, { available, threshold, note });
+        }
+    }
+}
+
+/**
+ * Charge the saved card for autoRecharge.amount. Only one runs at a time
+ * per account, and not again within a day of a declined card.
+ * @returns {Object|null} The auto_recharge transaction, or null if none was started
+ */
+async function startAutoRecharge(account) {
+    const { amount } = account.billing.autoRecharge;
+    if (!account.billing.stripePaymentMethodId || !stripeService.isConfigured()) {
+        return null;
+    }
+
+    const claimed = await CorporateAccount.findOneAndUpdate(
+        {
+            _id: account._id,
+            'billing.autoRecharge.inProgress': { $ne: true },
+            $or: [
+                { 'billing.autoRecharge.lastFailedAt': null },
+                { 'billing.autoRecharge.lastFailedAt': { $lte: new Date(Date.now() - AUTO_RECHARGE_RETRY_MS) } }
+            ]
+        },
+        { $set: { 'billing.autoRecharge.inProgress': true } }
+    );
+    if (!claimed) return null;
+
+    const transaction = await BalanceTransaction.create({
+        corporateAccountId: account._id,
+        type: 'auto_recharge',
+        status: 'pending',
+        amount,
+        currency: account.billing.currency || 'USD',
+        provider: 'stripe'
+    });
+
+    try {
+        const charge = await stripeService.chargeAccountCard(account, amount, transaction._id);
+        transaction.reference = charge.reference;
+        await transaction.save();
+
+        // Off-session charges usually succeed straight away; otherwise the webhook completes it
+        if (charge.status === 'paid') {
+            await completeTopUp(charge.reference);
+        }
+        return transaction;
+    } catch (error) {
+        console.error(`[Balance] ${account.accountId} auto-recharge failed:`, error.message);
+        transaction.reference = transaction.reference || `failed_${transaction._id}`;
+        await transaction.save();
+        await failTopUp(transaction.reference, error.message);
+        return null;
+    }
+}
+
+async function alertAutoRechargeFailed(account, reason) {
+    const recipients = getBillingRecipients(account);
+    if (recipients.length) {
+        await emailService.sendLowBalanceEmail(account, recipients, {
+            available: account.getAvailableCredit(),
+            threshold: account.billing.autoRecharge.threshold || 0,
+            note: `Your automatic top-up failed (${reason}). Please top up or update your card.`
+        });
+    }
+    await notificationService.sendAdminAlert(
+        'Corporate auto-recharge failed',
+        `Auto-recharge for ${account.company.name} (${account.accountId}) failed: ${reason}`
+    );
+}
+
+/**
+ * Change auto-recharge and low-balance alert settings
+ * @param {Object} settings - { autoRecharge: { enabled, threshold, amount }, lowBalanceThreshold }
+ */
+async function updateSettings(account, { autoRecharge, lowBalanceThreshold }) {
+    const update = {};
+
+    if (autoRecharge) {
+        const enabled = autoRecharge.enabled ?? account.billing.autoRecharge?.enabled;
+        const threshold = parseFloat(autoRecharge.threshold ?? account.billing.autoRecharge?.threshold);
+        const amount = parseFloat(autoRecharge.amount ?? account.billing.autoRecharge?.amount);
+
+        if (enabled) {
+            if (!(threshold >= 0) || !(amount > 0)) {
+                throw balanceError('INVALID_SETTINGS', 'Auto-recharge needs a threshold of zero or more and an amount above zero');
+            }
+            if (!account.billing.stripePaymentMethodId) {
+                throw balanceError('NO_SAVED_CARD', 'Top up by card once to save a card for auto-recharge');
+            }
+        }
+
+        update['billing.autoRecharge.enabled'] = !!enabled;
+        if (!isNaN(threshold)) update['billing.autoRecharge.threshold'] = threshold;
+        if (!isNaN(amount)) update['billing.autoRecharge.amount'] = amount;
+        // Turning it back on retries a card that was declined
+        if (enabled) update['billing.autoRecharge.lastFailedAt'] = null;
+    }
+
+    if (lowBalanceThreshold !== undefined) {
+        const threshold = lowBalanceThreshold === null ? null : parseFloat(lowBalanceThreshold);
+        if (threshold !== null && !(threshold >= 0)) {
+            throw balanceError('INVALID_SETTINGS', 'Low balance threshold must be zero or more');
+        }
+        update['billing.lowBalanceThreshold'] = threshold;
+    }
+
+    return CorporateAccount.findByIdAndUpdate(account._id, { $set: update }, { new: true });
+}
+
+/**
+ * Balance summary for the account and its admins
+ */
+function getSummary(account) {
+    const available = account.getAvailableCredit();
+    const { method, currency, currentBalance, creditLimit, autoRecharge, lowBalanceThreshold, stripePaymentMethodId } = account.billing;
+
+    return {
+        method,
+        currency,
+        currentBalance,
+        creditLimit,
+        available: available === Infinity ? null : round2(available), // null: no limit
+        lowBalanceThreshold,
+        autoRecharge: {
+            enabled: !!autoRecharge?.enabled,
+            threshold: autoRecharge?.threshold,
+            amount: autoRecharge?.amount,
+            lastFailedAt: autoRecharge?.lastFailedAt,
+            lastFailureReason: autoRecharge?.lastFailureReason
+        },
+        hasSavedCard: !!stripePaymentMethodId
+    };
+}
+
+module.exports = {
+    TOP_UP_PROVIDERS,
+    chargeBooking,
+    chargeBookingAdjustment,
+    refundBooking,
+    recordInvoicePayment,
+    adjustBalance,
+    getTransactions,
+    startTopUp,
+    completeTopUp,
+    failTopUp,
+    handleTelebirrCallback,
+    updateSettings,
+    getSummary
+};
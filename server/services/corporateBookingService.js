@@ -0,0 +1,501 @@
+// ========================================
+// Corporate Booking Service
+// ========================================
+// Bookings made by a corporate account's bookers. On accounts with
+// bookingSettings.requireApproval a booking from anyone who can't approve
+// it waits in pending_approval: every approver gets an email with
+// approve / reject links, and the trip is only confirmed and charged to
+// the account once one of them approves it. Bookings outside the account's
+// policy are refused, or - with the booker's justification - sent to an
+// approver the same way. Nobody decides on their own booking: when the
+// booker is the account's only approver, Shuttle Plus staff decide.
+// ========================================
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const CorporateAccount = require('../models/CorporateAccount');
+const pricingService = require('./pricingService');
+const corporatePolicyService = require('./corporatePolicyService');
+const corporateBalanceService = require('./corporateBalanceService');
+const bookingStateMachine = require('./bookingStateMachine');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+
+// Approval email links stop working after this many hours
+const APPROVAL_LINK_HOURS = parseFloat(process.env.CORPORATE_APPROVAL_LINK_HOURS) || 72;
+
+const ERROR_STATUS_CODES = {
+    NOT_FOUND: 404,
+    INVALID_TOKEN: 404,
+    LINK_EXPIRED: 410,
+    NOT_ALLOWED: 403,
+    NOT_AN_APPROVER: 403,
+    OWN_BOOKING: 403,
+    INVALID_DECISION: 400,
+    NO_APPROVERS: 409,
+    INSUFFICIENT_CREDIT: 409,
+    NOT_AWAITING_APPROVAL: 409
+};
+
+/**
+ * Error for a corporate booking or approval that can't go ahead. Routes
+ * answer with error.statusCode and error.code.
+ */
+function corporateBookingError(code, message) {
+    const error = new Error(message);
+    error.name = 'CorporateBookingError';
+    error.code = code;
+    error.statusCode = ERROR_STATUS_CODES[code];
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ========================================
+// Members & Approvers
+// ========================================
+
+/**
+ * The active account a user belongs to, matched on user id or email
+ */
+function findAccountForUser(user) {
+    const members = [{ 'users.userId': user._id }];
+    if (user.email) members.push({ 'users.email': user.email.toLowerCase() });
+    return CorporateAccount.findOne({ status: 'active', $or: members });
+}
+
+function hasPermission(account, { userId, email }, permission) {
+    return account.hasPermission(userId, permission) ||
+        (!!email && account.hasPermission(email.toLowerCase(), permission));
+}
+
+/**
+ * Can this user ({ userId, email }) book trips on the account?
+ */
+function canBook(account, user) {
+    return hasPermission(account, user, 'canBook');
+}
+
+/**
+ * Can this user ({ userId, email }) approve the account's bookings?
+ */
+function isApprover(account, user) {
+    const named = (account.bookingSettings?.approvers || []).some(id => id.toString() === user.userId?.toString());
+    return named || hasPermission(account, user, 'canApproveBookings');
+}
+
+/**
+ * The account member an API key books for, by email
+ * @returns {Object} User
+ * @throws CorporateBookingError NOT_ALLOWED if they aren't a member who can book
+ */
+async function findBooker(account, email) {
+    const member = email && account.users.find(user => user.email?.toLowerCase() === email.toLowerCase());
+    const user = member && (member.userId
+        ? await User.findById(member.userId)
+        : await User.findOne({ email: member.email.toLowerCase() }));
+
+    if (!user || !canBook(account, { userId: user._id, email: member.email })) {
+        throw corporateBookingError('NOT_ALLOWED', 'bookerEmail must be a user on this account who can book');
+    }
+    return user;
+}
+
+/**
+ * Did this user ({ userId, email }) ask for the booking's approval?
+ */
+function isRequester(booking, { userId, email }) {
+    const requestedBy = booking.approval?.requestedBy || {};
+    return (!!userId && requestedBy.userId?.toString() === userId.toString()) ||
+        (!!email && requestedBy.email?.toLowerCase() === email.toLowerCase());
+}
+
+/**
+ * Does a booking by this user have to be approved first?
+ */
+function requiresApproval(account, user) {
+    return !!account.bookingSettings?.requireApproval && !isApprover(account, user);
+}
+
+/**
+ * Everyone who can approve: bookingSettings.approvers, account admins and
+ * users with canApproveBookings
+ * @returns {Object[]} [{ userId, email }]
+ */
+async function getApprovers(account) {
+    const approvers = account.users
+        .filter(member => member.email && (member.role === 'admin' || member.permissions?.canApproveBookings))
+        .map(member => ({ userId: member.userId, email: member.email }));
+
+    const named = await User.find({ _id: { $in: account.bookingSettings?.approvers || [] } }).select('email');
+    for (const user of named) {
+        if (user.email) approvers.push({ userId: user._id, email: user.email });
+    }
+
+    const seen = new Set();
+    return approvers.filter(approver => {
+        const email = approver.email.toLowerCase();
+        if (seen.has(email)) return false;
+        seen.add(email);
+        return true;
+    });
+}
+
+// ========================================
+// Booking
+// ========================================
+
+const { getAccountAmount } = corporatePolicyService;
+
+function assertCredit(booking, account) {
+    if (!account.hasCredit(getAccountAmount(booking, account))) {
+        throw corporateBookingError('INSUFFICIENT_CREDIT', 'The account does not have enough balance or credit for this booking');
+    }
+}
+
+/**
+ * Charge confirmed bookings to the account balance and their cost
+ * centers. All or nothing: if one can't be charged, the others are given
+ * back. Bookings are validated first so nothing is charged for a booking
+ * that then won't save.
+ * @param {Object} options - { force } charge cost centers past their budget
+ * @throws CorporateBookingError INSUFFICIENT_CREDIT, CorporatePolicyError for a budget that ran out
+ */
+async function chargeAccount(account, bookings, { force = false } = {}) {
+    await Promise.all(bookings.map(booking => booking.validate()));
+
+    const charged = [];
+    try {
+        for (const booking of bookings) {
+            const entry = await corporateBalanceService.chargeBooking(account, booking);
+            if (!entry) {
+                throw corporateBookingError('INSUFFICIENT_CREDIT', 'The account does not have enough balance or credit for this booking');
+            }
+            charged.push(booking);
+        }
+        await corporatePolicyService.chargeCostCenters(account, bookings, { force });
+    } catch (error) {
+        for (const booking of charged) {
+            await corporateBalanceService.refundBooking(booking, 'Booking not made');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Email each approver their own approve / reject links
+ */
+async function requestApproval(booking, account, approvers) {
+    const tokens = [];
+    const expiresAt = new Date(Date.now() + APPROVAL_LINK_HOURS * 60 * 60 * 1000);
+    booking.approval.approvers = approvers.map(approver => {
+        const token = crypto.randomBytes(32).toString('hex');
+        tokens.push(token);
+        return { ...approver, tokenHash: hashToken(token), notifiedAt: new Date(), expiresAt };
+    });
+    await booking.save();
+
+    for (const [i, approver] of booking.approval.approvers.entries()) {
+        await emailService.sendApprovalRequestEmail(booking, account, approver.email, tokens[i]);
+    }
+    await auditService.logApprovalRequested(booking);
+}
+
+/**
+ * Check bookings against the account policy. Out-of-policy bookings with
+ * a justification are marked for approval; without one (or when a rule
+ * can't be overridden) they're refused.
+ * @param {Object} account - CorporateAccount
+ * @param {Object[]} bookings - Unsaved bookings, checked together
+ * @param {string} [justification] - Booker's reason for going outside policy
+ * @returns {boolean} Whether the bookings are out of policy and need approval
+ * @throws CorporatePolicyError listing the violations
+ */
+async function enforcePolicy(account, bookings, justification) {
+    const violations = await corporatePolicyService.checkPolicy(account, bookings);
+    if (!violations.length) return false;
+
+    const error = corporatePolicyService.policyError(violations);
+    if (!error.overridable || !justification?.trim()) throw error;
+
+    for (const booking of bookings) {
+        booking.policy = {
+            outOfPolicy: true,
+            violations: violations.map(({ rule, message }) => ({ rule, message })),
+            justification: justification.trim()
+        };
+    }
+    return true;
+}
+
+/**
+ * Save a booking in pending_approval and ask the account's approvers
+ * @param {Object} requestedBy - { userId, name, email } of the booker
+ */
+async function holdForApproval(booking, account, requestedBy) {
+    const everyone = await getApprovers(account);
+    if (!everyone.length) {
+        throw corporateBookingError('NO_APPROVERS', 'This booking needs approval but the account has no approvers set up');
+    }
+
+    booking.status = 'pending_approval';
+    booking.approval = {
+        status: 'pending',
+        requestedBy,
+        requestedAt: new Date()
+    };
+
+    const approvers = everyone.filter(approver => !isRequester(booking, approver));
+    if (approvers.length) {
+        return requestApproval(booking, account, approvers);
+    }
+
+    // The booker is the only one who could approve it
+    booking.approval.staffReview = true;
+    await booking.save();
+    await notificationService.sendAdminAlert(
+        'Corporate approval needed',
+        `Booking ${booking.bookingReference} for ${account.company?.name} needs approval and the booker (${requestedBy.email}) is the account's only approver. Please approve or reject it.`
+    );
+    await auditService.logApprovalRequested(booking);
+}
+
+/**
+ * Book a trip on the account for one of its users
+ * @param {Object} account - CorporateAccount
+ * @param {Object} user - Booker (User)
+ * @param {Object} data - Trip, passenger contact, billing codes and an
+ *   optional policyJustification for going outside the account policy
+ * @returns {Object} { booking, approvalRequired, outOfPolicy }
+ */
+async function createBooking(account, user, data, req) {
+    const booker = { userId: user._id, email: user.email };
+    if (!canBook(account, booker)) {
+        throw corporateBookingError('NOT_ALLOWED', 'You are not allowed to book on this account');
+    }
+
+    const pricing = await pricingService.calculate({
+        pickup: data.pickup.location,
+        dropoff: data.dropoff.location,
+        pickupCoordinates: data.pickup.coordinates,
+        dropoffCoordinates: data.dropoff.coordinates,
+        vehicleClass: data.vehicleClass,
+        pickupTime: data.pickup.scheduledTime,
+        channel: 'corporate',
+        corporateAccount: account
+    });
+
+    const booking = new Booking({
+        type: data.type,
+        flight: data.flight,
+        pickup: data.pickup,
+        dropoff: { ...data.dropoff, zone: pricing.zone?.number || undefined },
+        vehicleClass: data.vehicleClass,
+        passengers: data.passengers,
+        luggage: data.luggage,
+        specialRequests: data.specialRequests,
+        contact: {
+            name: data.contact?.name || user.name,
+            email: data.contact?.email || user.email,
+            phone: data.contact?.phone || user.phone
+        },
+        userId: user._id,
+        pricing,
+        payment: {
+            method: 'corporate',
+            amount: account.billing?.currency === 'ETB' ? pricing.totalETB : pricing.totalUSD,
+            currency: account.billing?.currency || 'USD'
+        },
+        corporateAccountId: account._id,
+        corporateReference: data.corporateReference,
+        costCenter: data.costCenter,
+        projectCode: data.projectCode,
+        poNumber: data.poNumber,
+        source: 'corporate',
+        ipAddress: req?.ip,
+        userAgent: req?.headers?.['user-agent']
+    });
+
+    const outOfPolicy = await enforcePolicy(account, [booking], data.policyJustification);
+
+    if (outOfPolicy || requiresApproval(account, booker)) {
+        await holdForApproval(booking, account, { userId: user._id, name: user.name, email: user.email });
+        return { booking, approvalRequired: true, outOfPolicy };
+    }
+
+    assertCredit(booking, account);
+    await chargeAccount(account, [booking]);
+    await booking.save();
+    await bookingStateMachine.transition(booking, 'confirmed', { actor: 'system', note: 'Corporate booking', req });
+    await account.recordBooking(getAccountAmount(booking, account));
+    await notificationService.sendBookingConfirmation(booking);
+
+    return { booking, approvalRequired: false, outOfPolicy: false };
+}
+
+// ========================================
+// Approval
+// ========================================
+
+/**
+ * Approve or reject a booking waiting on approval
+ * @param {Object} booking - Booking in pending_approval
+ * @param {Object} account - Its CorporateAccount
+ * @param {Object} approver - { userId, email, staff } - staff decide for any account
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} [reason]
+ */
+async function decide(booking, account, approver, decision, reason, req) {
+    if (!['approve', 'reject'].includes(decision)) {
+        throw corporateBookingError('INVALID_DECISION', 'Decision must be approve or reject');
+    }
+    if (!approver.staff && !isApprover(account, approver)) {
+        throw corporateBookingError('NOT_AN_APPROVER', 'You are not an approver on this account');
+    }
+    if (isRequester(booking, approver)) {
+        throw corporateBookingError('OWN_BOOKING', 'You can\'t approve or reject a booking you asked for');
+    }
+    if (booking.status !== 'pending_approval') {
+        throw corporateBookingError('NOT_AWAITING_APPROVAL', `Booking is ${booking.status}, not waiting on approval`);
+    }
+
+    const approved = decision === 'approve';
+    if (approved) assertCredit(booking, account);
+
+    // Claim the decision so two approvers can't both decide
+    const decided = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'pending_approval', 'approval.status': 'pending' },
+        {
+            $set: {
+                'approval.status': approved ? 'approved' : 'rejected',
+                'approval.decidedBy': { userId: approver.userId, email: approver.email },
+                'approval.decidedAt': new Date(),
+                'approval.reason': reason
+            }
+        },
+        { new: true }
+    );
+    if (!decided) {
+        throw corporateBookingError('NOT_AWAITING_APPROVAL', 'Booking has already been decided');
+    }
+
+    const actor = { role: approver.staff ? 'admin' : 'approver', id: approver.userId, email: approver.email };
+    if (approved) {
+        try {
+            // The approver signed off on it, so it goes against the budget even if that's now used up
+            await chargeAccount(account, [decided], { force: true });
+        } catch (error) {
+            // Put it back in the queue - the balance can be topped up and it approved again
+            await Booking.updateOne(
+                { _id: decided._id },
+                { $set: { 'approval.status': 'pending' }, $unset: { 'approval.decidedBy': 1, 'approval.decidedAt': 1, 'approval.reason': 1 } }
+            );
+            throw error;
+        }
+        await bookingStateMachine.transition(decided, 'confirmed', { actor, note: `Approved by ${approver.email}`, req });
+        await account.recordBooking(getAccountAmount(decided, account));
+    } else {
+        const note = `Rejected by ${approver.email}${reason ? `: ${reason}` : ''}`;
+        await bookingStateMachine.transition(decided, 'cancelled', { actor, note, req });
+    }
+
+    await auditService.logApprovalDecision(decided, req);
+    if (decided.approval.requestedBy?.email) {
+        await emailService.sendApprovalDecisionEmail(decided);
+    }
+
+    return decided;
+}
+
+/**
+ * Decide from an approver's email link
+ */
+async function decideByToken(token, decision, reason, req) {
+    const tokenHash = hashToken(String(token || ''));
+    const booking = await Booking.findOne({ 'approval.approvers.tokenHash': tokenHash });
+    if (!booking) {
+        throw corporateBookingError('INVALID_TOKEN', 'This approval link is not valid');
+    }
+
+    const approver = booking.approval.approvers.find(entry => entry.tokenHash === tokenHash);
+    if (approver.expiresAt && approver.expiresAt < new Date()) {
+        throw corporateBookingError('LINK_EXPIRED', 'This approval link has expired - please sign in to approve or reject the booking');
+    }
+    const account = await CorporateAccount.findById(booking.corporateAccountId);
+
+    return decide(booking, account, { userId: approver.userId, email: approver.email }, decision, reason, req);
+}
+
+/**
+ * Decide as a signed-in account user
+ */
+async function decideAsUser(bookingReference, account, user, decision, reason, req) {
+    const booking = await Booking.findOne({ bookingReference, corporateAccountId: account._id });
+    if (!booking) {
+        throw corporateBookingError('NOT_FOUND', 'Booking not found');
+    }
+
+    return decide(booking, account, { userId: user._id, email: user.email }, decision, reason, req);
+}
+
+/**
+ * Decide as Shuttle Plus staff - for bookings whose booker is the
+ * account's only approver
+ */
+async function decideAsStaff(bookingReference, user, decision, reason, req) {
+    const booking = await Booking.findOne({ bookingReference, corporateAccountId: { $exists: true } });
+    if (!booking) {
+        throw corporateBookingError('NOT_FOUND', 'Booking not found');
+    }
+
+    const account = await CorporateAccount.findById(booking.corporateAccountId);
+    return decide(booking, account, { userId: user._id, email: user.email, staff: true }, decision, reason, req);
+}
+
+/**
+ * Bookings on the account waiting on approval, soonest pickup first
+ */
+async function getApprovalQueue(account, { page = 1, limit = 20 } = {}) {
+    const query = { corporateAccountId: account._id, status: 'pending_approval' };
+
+    const [bookings, total] = await Promise.all([
+        Booking.find(query)
+            .select('bookingReference contact pickup dropoff vehicleClass passengers pricing.totalUSD pricing.totalETB costCenter projectCode poNumber approval.status approval.requestedBy approval.requestedAt createdAt')
+            .sort({ 'pickup.scheduledTime': 1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Booking.countDocuments(query)
+    ]);
+
+    return {
+        bookings,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+module.exports = {
+    findAccountForUser,
+    findBooker,
+    canBook,
+    isApprover,
+    requiresApproval,
+    getApprovers,
+    enforcePolicy,
+    holdForApproval,
+    chargeAccount,
+    createBooking,
+    decide,
+    decideByToken,
+    decideAsUser,
+    decideAsStaff,
+    getApprovalQueue
+};
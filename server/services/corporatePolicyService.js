@@ -0,0 +1,316 @@
+// ========================================
+// Corporate Policy Service
+// ========================================
+// Checks bookings against a corporate account's bookingSettings - monthly
+// booking cap, vehicle classes, destinations, required billing codes and
+// cost-center budgets - and keeps each cost center's spent up to date.
+// Every way of booking on an account (account users, the admin panel and
+// group bookings) goes through checkPolicy() before anything is saved.
+// ========================================
+
+const Booking = require('../models/Booking');
+const CorporateAccount = require('../models/CorporateAccount');
+
+/**
+ * A booking that breaks the account's policy. error.violations lists
+ * every rule broken ([{ rule, field, message, overridable, ... }]) so the
+ * booking form can show them next to the right fields. When every
+ * violation is overridable (error.overridable) the booker can go ahead
+ * with a justification and the booking goes to an approver instead.
+ */
+function policyError(violations) {
+    const error = new Error(violations.map(violation => violation.message).join('. '));
+    error.name = 'CorporatePolicyError';
+    error.code = 'POLICY_VIOLATION';
+    error.statusCode = 422;
+    error.violations = violations;
+    error.overridable = violations.every(violation => violation.overridable);
+    return error;
+}
+
+/**
+ * What a booking costs the account, in the account's billing currency
+ */
+function getAccountAmount(booking, account) {
+    return account.billing?.currency === 'ETB' ? booking.pricing.totalETB : booking.pricing.totalUSD;
+}
+
+function getMonthStart(now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+function findCostCenter(account, code) {
+    return (account.bookingSettings?.costCenters || []).find(costCenter => costCenter.code === code);
+}
+
+// The end of the trip away from the airport - what allowedDestinations restricts
+function getCityEnd(booking) {
+    return booking.type === 'departure' ? booking.pickup : booking.dropoff;
+}
+
+function isAllowedDestination(allowed, booking) {
+    const cityEnd = getCityEnd(booking);
+    const location = (cityEnd?.location || '').toLowerCase();
+    const zone = booking.pricing?.zone?.number || booking.dropoff?.zone;
+
+    return allowed.some(destination =>
+        (destination.zone && destination.zone === zone) ||
+        (destination.name && location.includes(destination.name.toLowerCase()))
+    );
+}
+
+// ========================================
+// Policy Check
+// ========================================
+
+/**
+ * Check one or more bookings about to be made on the account together
+ * (a group counts against the monthly cap and budgets as a whole)
+ * @param {Object} account - CorporateAccount
+ * @param {Object[]} bookings - Unsaved Booking documents
+ * @returns {Object[]} Violations, empty when everything is within policy
+ */
+async function checkPolicy(account, bookings) {
+    const settings = account.bookingSettings || {};
+    const violations = [];
+    const seen = new Set();
+    const add = (violation) => {
+        const key = `${violation.rule}:${violation.field || ''}:${violation.value || ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        violations.push(violation);
+    };
+
+    // Monthly booking cap (bookings made this month that weren't cancelled)
+    if (settings.maxBookingsPerMonth) {
+        const booked = await Booking.countDocuments({
+            corporateAccountId: account._id,
+            status: { $ne: 'cancelled' },
+            createdAt: { $gte: getMonthStart() }
+        });
+        if (booked + bookings.length > settings.maxBookingsPerMonth) {
+            add({
+                rule: 'monthly_booking_limit',
+                field: null,
+                message: `The account is limited to ${settings.maxBookingsPerMonth} bookings a month and has made ${booked}`,
+                limit: settings.maxBookingsPerMonth,
+                current: booked,
+                overridable: true
+            });
+        }
+    }
+
+    const allowedClasses = settings.allowedVehicleClasses || [];
+    const allowedDestinations = settings.allowedDestinations || [];
+    const costCenterCodes = (settings.costCenters || []).map(costCenter => costCenter.code);
+    const spendByCostCenter = new Map();
+
+    for (const booking of bookings) {
+        if (allowedClasses.length && !allowedClasses.includes(booking.vehicleClass)) {
+            add({
+                rule: 'vehicle_class',
+                field: 'vehicleClass',
+                value: booking.vehicleClass,
+                message: `${booking.vehicleClass} vehicles are not allowed on this account`,
+                allowed: allowedClasses,
+                overridable: true
+            });
+        }
+
+        if (allowedDestinations.length && !isAllowedDestination(allowedDestinations, booking)) {
+            const field = booking.type === 'departure' ? 'pickup' : 'dropoff';
+            add({
+                rule: 'destination',
+                field,
+                value: getCityEnd(booking)?.location,
+                message: `${getCityEnd(booking)?.location || 'This location'} is not an allowed destination`,
+                allowed: allowedDestinations.map(destination => destination.name || `Zone ${destination.zone}`),
+                overridable: true
+            });
+        }
+
+        if (!booking.costCenter) {
+            if (settings.requireCostCenter) {
+                add({
+                    rule: 'cost_center_required',
+                    field: 'costCenter',
+                    message: 'A cost center is required',
+                    allowed: costCenterCodes,
+                    overridable: false
+                });
+            }
+        } else if (costCenterCodes.length && !costCenterCodes.includes(booking.costCenter)) {
+            add({
+                rule: 'unknown_cost_center',
+                field: 'costCenter',
+                value: booking.costCenter,
+                message: `${booking.costCenter} is not one of the account's cost centers`,
+                allowed: costCenterCodes,
+                overridable: false
+            });
+        } else if (costCenterCodes.length) {
+            const spend = spendByCostCenter.get(booking.costCenter) || 0;
+            spendByCostCenter.set(booking.costCenter, spend + getAccountAmount(booking, account));
+        }
+
+        if (settings.requireProjectCode && !booking.projectCode) {
+            add({
+                rule: 'project_code_required',
+                field: 'projectCode',
+                message: 'A project code is required',
+                overridable: false
+            });
+        }
+    }
+
+    // Cost-center budgets
+    for (const [code, amount] of spendByCostCenter) {
+        const { budget, spent } = findCostCenter(account, code);
+        if (budget != null && (spent || 0) + amount > budget) {
+            add(budgetViolation(code, budget, spent || 0));
+        }
+    }
+
+    return violations;
+}
+
+function budgetViolation(code, budget, spent) {
+    return {
+        rule: 'cost_center_budget',
+        field: 'costCenter',
+        value: code,
+        message: `Cost center ${code} has ${Math.max(0, budget - spent)} of its ${budget} budget left`,
+        budget,
+        spent,
+        overridable: true
+    };
+}
+
+// ========================================
+// Cost-Center Spend
+// ========================================
+
+/**
+ * Add the bookings to their cost centers' spent. Each cost center is
+ * updated in one atomic write that only goes through while the spend
+ * still fits the budget, so two bookings can't both take the last of it.
+ * force (an approver signed off on going over) skips the budget check.
+ * Sets booking.policy.costCenterCharged; the caller saves the bookings.
+ * @throws CorporatePolicyError if a budget ran out since checkPolicy()
+ */
+async function chargeCostCenters(account, bookings, { force = false } = {}) {
+    const byCode = new Map();
+    for (const booking of bookings) {
+        if (!booking.costCenter || !findCostCenter(account, booking.costCenter)) continue;
+        const group = byCode.get(booking.costCenter) || [];
+        group.push(booking);
+        byCode.set(booking.costCenter, group);
+    }
+
+    const charged = [];
+    try {
+        for (const [code, group] of byCode) {
+            const amount = group.reduce((sum, booking) => sum + getAccountAmount(booking, account), 0);
+            const updated = await incrementSpent(account._id, code, amount, !force);
+            if (!updated) {
+                const { budget, spent } = await getCostCenter(account._id, code);
+                throw policyError([budgetViolation(code, budget, spent || 0)]);
+            }
+            charged.push([code, amount]);
+
+            for (const booking of group) {
+                booking.set('policy.costCenterCharged', getAccountAmount(booking, account));
+            }
+        }
+    } catch (error) {
+        // Give back what was already taken for the other cost centers
+        for (const [code, amount] of charged) {
+            await incrementSpent(account._id, code, -amount, false);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Add charges made when the trip ended (waiting time, extra stops) to its
+ * cost center, past the budget if need be - the trip has happened.
+ * Updates policy.costCenterCharged; the caller saves the booking.
+ * @param {number} amount - In the account's billing currency
+ */
+async function chargeCostCenterAdjustment(account, booking, amount) {
+    if (!booking.costCenter || !findCostCenter(account, booking.costCenter)) return false;
+
+    const updated = await incrementSpent(account._id, booking.costCenter, amount, false);
+    if (updated) {
+        const charged = (booking.policy?.costCenterCharged || 0) + amount;
+        booking.set('policy.costCenterCharged', Math.round(charged * 100) / 100);
+    }
+    return updated;
+}
+
+/**
+ * Give a cancelled booking's spend back to its cost center. Clearing
+ * policy.costCenterCharged first makes this safe to run twice.
+ */
+async function releaseCostCenter(booking) {
+    if (!booking.policy?.costCenterCharged || !booking.costCenter) return null;
+
+    const released = await Booking.findOneAndUpdate(
+        { _id: booking._id, 'policy.costCenterCharged': { $gt: 0 } },
+        { $unset: { 'policy.costCenterCharged': 1 } }
+    );
+    if (!released) return null;
+
+    return incrementSpent(booking.corporateAccountId, booking.costCenter, -released.policy.costCenterCharged, false);
+}
+
+/**
+ * $inc one cost center's spent, optionally only while spent + amount
+ * stays within its budget (or it has no budget)
+ * @returns {boolean} Whether the cost center was updated
+ */
+async function incrementSpent(accountId, code, amount, withinBudget) {
+    const filter = { _id: accountId, 'bookingSettings.costCenters.code': code };
+    if (withinBudget) {
+        filter.$expr = {
+            $anyElementTrue: [{
+                $map: {
+                    input: '$bookingSettings.costCenters',
+                    as: 'costCenter',
+                    in: {
+                        $and: [
+                            { $eq: ['$$costCenter.code', code] },
+                            {
+                                $or: [
+                                    { $eq: [{ $ifNull: ['$$costCenter.budget', null] }, null] },
+                                    { $lte: [{ $add: [{ $ifNull: ['$$costCenter.spent', 0] }, amount] }, '$$costCenter.budget'] }
+                                ]
+                            }
+                        ]
+                    }
+                }
+            }]
+        };
+    }
+
+    const result = await CorporateAccount.updateOne(
+        filter,
+        { $inc: { 'bookingSettings.costCenters.$[costCenter].spent': amount } },
+        { arrayFilters: [{ 'costCenter.code': code }] }
+    );
+    return result.modifiedCount > 0;
+}
+
+async function getCostCenter(accountId, code) {
+    const account = await CorporateAccount.findById(accountId).select('bookingSettings.costCenters');
+    return findCostCenter(account, code) || {};
+}
+
+module.exports = {
+    policyError,
+    getAccountAmount,
+    checkPolicy,
+    chargeCostCenters,
+    chargeCostCenterAdjustment,
+    releaseCostCenter
+};
@@ -1,34 +1,12 @@
 // ========================================
 // Corporate Pricing Service
 // ========================================
-// B2B pricing engine with tiered discounts,
-// volume pricing, and custom rate management
+// B2B tiers, quotes and statements. Fares come from the
+// shared pricingService pipeline on its corporate channel.
 // ========================================
 
 const CorporateAccount = require('../models/CorporateAccount');
-
-// Base pricing matrix (USD)
-const BASE_PRICING = {
-    zones: {
-        // Airport to zone prices
-        1: { standard: 25, executive: 35, suv: 45, luxury: 75 },
-        2: { standard: 35, executive: 50, suv: 65, luxury: 100 },
-        3: { standard: 45, executive: 65, suv: 85, luxury: 130 },
-        4: { standard: 55, executive: 80, suv: 105, luxury: 160 },
-        5: { standard: 70, executive: 100, suv: 130, luxury: 200 }
-    },
-    // Additional fees
-    fees: {
-        childSeat: 5,
-        meetAndGreet: 10,
-        extraStop: 10,
-        waitingTime: 15, // Per hour after 1 hour free
-        lateNight: 10, // 22:00 - 06:00
-        earlyMorning: 5, // 04:00 - 06:00
-        holiday: 15,
-        luggageExtra: 5 // Per extra piece over 2
-    }
-};
+const pricingService = require('./pricingService');
 
 // Tier configurations
 const TIER_CONFIG = {
@@ -76,7 +54,6 @@ const TIER_CONFIG = {
 
 class CorporatePricingService {
     constructor() {
-        this.basePricing = BASE_PRICING;
         this.tierConfig = TIER_CONFIG;
     }
 
@@ -84,240 +61,69 @@ class CorporatePricingService {
      * Calculate price for a corporate booking
      * @param {object} options - Booking options
      * @param {string} options.corporateAccountId - Corporate account ID
-     * @param {number} options.zone - Destination zone (1-5)
+     * @param {number} options.zone - Destination zone (or pickup/dropoff with coordinates)
      * @param {string} options.vehicleClass - Vehicle class
-     * @param {object} options.extras - Additional services
+     * @param {object} options.extras - Additional services ({ childSeat, extraStops })
      * @param {Date} options.pickupTime - Pickup time
-     * @returns {object} Pricing breakdown
+     * @returns {object} Account, pricingService breakdown and billing details
      */
     async calculateCorporatePrice(options) {
         const {
             corporateAccountId,
-            zone,
             vehicleClass = 'standard',
             extras = {},
             pickupTime,
-            passengers = 1,
-            luggage = 1
+            passengers = 1
         } = options;
 
         // Get corporate account
-        const account = await CorporateAccount.findOne({
+        const account = corporateAccountId ? await CorporateAccount.findOne({
             $or: [
                 { _id: corporateAccountId },
                 { accountId: corporateAccountId }
             ],
             status: 'active'
+        }) : null;
+
+        // Without an active account the trip is priced like any public booking
+        const pricing = await pricingService.calculate({
+            zone: options.zone,
+            pickup: options.pickup,
+            dropoff: options.dropoff,
+            pickupCoordinates: options.pickupCoordinates,
+            dropoffCoordinates: options.dropoffCoordinates,
+            vehicleClass,
+            pickupTime,
+            additionalStops: extras.extraStops || 0,
+            childSeat: !!extras.childSeat,
+            channel: account ? 'corporate' : 'public',
+            corporateAccount: account
         });
 
-        if (!account) {
-            // Return standard pricing if no corporate account
-            return this.calculateStandardPrice(options);
-        }
-
-        // Check for custom rate first
-        const customRate = account.getCustomRate(0, zone, vehicleClass);
-        let basePrice;
-
-        if (customRate) {
-            basePrice = customRate;
-        } else {
-            basePrice = this.getBasePrice(zone, vehicleClass);
-        }
-
-        // Calculate additional fees
-        const fees = this.calculateFees(extras, pickupTime, luggage);
-
-        // Calculate subtotal before discount
-        const subtotalBeforeDiscount = basePrice + fees.total;
-
-        // Apply corporate discount
-        const discountInfo = account.calculateDiscount(subtotalBeforeDiscount, vehicleClass);
-
-        // Calculate final price
-        const finalPrice = discountInfo.finalPrice;
-
-        // Currency conversion
-        const exchangeRate = parseFloat(process.env.USD_ETB_RATE) || 56.5;
-        const finalPriceETB = Math.round(finalPrice * exchangeRate);
-
         return {
-            corporateAccount: {
+            corporateAccount: account ? {
                 id: account.accountId,
                 name: account.company.name,
                 tier: account.pricingTier
-            },
-            pricing: {
-                basePrice,
-                customRate: !!customRate,
-                fees: fees.breakdown,
-                feesTotal: fees.total,
-                subtotalBeforeDiscount,
-                discount: {
-                    percentage: discountInfo.discountPercentage,
-                    amount: discountInfo.discountAmount,
-                    type: customRate ? 'custom_rate' : 'tier_discount'
-                },
-                finalPriceUSD: Math.round(finalPrice * 100) / 100,
-                finalPriceETB,
-                currency: account.billing.currency,
-                exchangeRate
-            },
-            billing: {
+            } : null,
+            pricing,
+            billing: account ? {
                 method: account.billing.method,
+                currency: account.billing.currency,
                 currentBalance: account.billing.currentBalance,
                 creditAvailable: account.billing.creditLimit + account.billing.currentBalance,
                 requiresPO: account.billing.requirePO
-            },
-            vehicleClass,
-            zone,
-            passengers,
-            pickupTime
-        };
-    }
-
-    /**
-     * Calculate standard (non-corporate) price
-     */
-    calculateStandardPrice(options) {
-        const {
-            zone,
-            vehicleClass = 'standard',
-            extras = {},
-            pickupTime,
-            luggage = 1
-        } = options;
-
-        const basePrice = this.getBasePrice(zone, vehicleClass);
-        const fees = this.calculateFees(extras, pickupTime, luggage);
-        const subtotal = basePrice + fees.total;
-
-        const exchangeRate = parseFloat(process.env.USD_ETB_RATE) || 56.5;
-
-        return {
-            corporateAccount: null,
-            pricing: {
-                basePrice,
-                customRate: false,
-                fees: fees.breakdown,
-                feesTotal: fees.total,
-                subtotalBeforeDiscount: subtotal,
-                discount: {
-                    percentage: 0,
-                    amount: 0,
-                    type: null
-                },
-                finalPriceUSD: subtotal,
-                finalPriceETB: Math.round(subtotal * exchangeRate),
-                currency: 'USD',
-                exchangeRate
-            },
-            billing: {
+            } : {
                 method: 'standard',
                 requiresPO: false
             },
             vehicleClass,
-            zone
+            zone: pricing.zone,
+            passengers,
+            pickupTime
         };
     }
 
-    /**
-     * Get base price for zone and vehicle class
-     */
-    getBasePrice(zone, vehicleClass) {
-        const zoneData = this.basePricing.zones[zone];
-        if (!zoneData) {
-            throw new Error(`Invalid zone: ${zone}`);
-        }
-        const price = zoneData[vehicleClass];
-        if (!price) {
-            throw new Error(`Invalid vehicle class: ${vehicleClass}`);
-        }
-        return price;
-    }
-
-    /**
-     * Calculate additional fees
-     */
-    calculateFees(extras = {}, pickupTime, luggage = 1) {
-        const fees = this.basePricing.fees;
-        const breakdown = {};
-        let total = 0;
-
-        // Child seat
-        if (extras.childSeat) {
-            breakdown.childSeat = fees.childSeat;
-            total += fees.childSeat;
-        }
-
-        // Meet and greet
-        if (extras.meetAndGreet) {
-            breakdown.meetAndGreet = fees.meetAndGreet;
-            total += fees.meetAndGreet;
-        }
-
-        // Extra stops
-        if (extras.extraStops && extras.extraStops > 0) {
-            const extraStopFee = fees.extraStop * extras.extraStops;
-            breakdown.extraStops = extraStopFee;
-            total += extraStopFee;
-        }
-
-        // Extra luggage (over 2 pieces)
-        if (luggage > 2) {
-            const extraLuggageFee = fees.luggageExtra * (luggage - 2);
-            breakdown.extraLuggage = extraLuggageFee;
-            total += extraLuggageFee;
-        }
-
-        // Time-based fees
-        if (pickupTime) {
-            const hour = new Date(pickupTime).getHours();
-
-            // Late night (22:00 - 04:00)
-            if (hour >= 22 || hour < 4) {
-                breakdown.lateNight = fees.lateNight;
-                total += fees.lateNight;
-            }
-            // Early morning (04:00 - 06:00)
-            else if (hour >= 4 && hour < 6) {
-                breakdown.earlyMorning = fees.earlyMorning;
-                total += fees.earlyMorning;
-            }
-
-            // Holiday check (simplified)
-            if (this.isHoliday(pickupTime)) {
-                breakdown.holiday = fees.holiday;
-                total += fees.holiday;
-            }
-        }
-
-        return { breakdown, total };
-    }
-
-    /**
-     * Check if date is a holiday (Ethiopian holidays)
-     */
-    isHoliday(date) {
-        const d = new Date(date);
-        const month = d.getMonth() + 1;
-        const day = d.getDate();
-
-        // Ethiopian holidays (Gregorian calendar approximations)
-        const holidays = [
-            { month: 1, day: 7 },   // Ethiopian Christmas
-            { month: 1, day: 19 },  // Timkat
-            { month: 3, day: 2 },   // Victory of Adwa
-            { month: 5, day: 1 },   // Labor Day
-            { month: 5, day: 5 },   // Patriots Day
-            { month: 5, day: 28 },  // Downfall of Derg
-            { month: 9, day: 11 },  // Ethiopian New Year
-            { month: 9, day: 27 }   // Meskel
-        ];
-
-        return holidays.some(h => h.month === month && h.day === day);
-    }
-
     /**
      * Get volume discount recommendations
      */
@@ -393,26 +199,29 @@ class CorporatePricingService {
             const pricing = await this.calculateCorporatePrice({
                 corporateAccountId,
                 zone: booking.zone,
+                pickup: booking.pickup,
+                dropoff: booking.dropoff,
+                pickupCoordinates: booking.pickupCoordinates,
+                dropoffCoordinates: booking.dropoffCoordinates,
                 vehicleClass: booking.vehicleClass || 'standard',
                 extras: booking.extras || {},
                 pickupTime: booking.pickupTime,
-                passengers: booking.passengers,
-                luggage: booking.luggage
+                passengers: booking.passengers
             });
 
             quoteItems.push({
-                description: `Zone ${booking.zone} - ${booking.vehicleClass || 'Standard'}`,
+                description: pricing.pricing.lineItems[0].label,
                 ...pricing.pricing,
                 quantity: booking.quantity || 1
             });
 
-            subtotal += pricing.pricing.finalPriceUSD * (booking.quantity || 1);
+            subtotal += pricing.pricing.totalUSD * (booking.quantity || 1);
         }
 
         // Apply bulk discount if applicable
         const bulkDiscount = this.calculateBulkDiscount(bookings.length, subtotal);
 
-        const exchangeRate = parseFloat(process.env.USD_ETB_RATE) || 56.5;
+        const exchangeRate = pricingService.getExchangeRate();
 
         return {
             quoteId: `Q-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
@@ -500,14 +309,17 @@ class CorporatePricingService {
                 vehicleClass: b.vehicleClass,
                 amount: b.pricing.totalUSD,
                 status: b.status,
-                costCenter: b.corporateReference
+                costCenter: b.costCenter || b.corporateReference,
+                projectCode: b.projectCode,
+                poNumber: b.poNumber
             })),
             summary: {
                 totalBookings: bookings.length,
                 totalAmount: bookings.reduce((sum, b) => sum + b.pricing.totalUSD, 0),
                 totalAmountETB: bookings.reduce((sum, b) => sum + (b.pricing.totalETB || 0), 0),
                 byVehicleClass: this.groupByVehicleClass(bookings),
-                byCostCenter: this.groupByCostCenter(bookings)
+                byCostCenter: this.groupByCostCenter(bookings),
+                byProjectCode: this.groupByProjectCode(bookings)
             },
             billing: {
                 method: account.billing.method,
@@ -542,16 +354,29 @@ class CorporatePricingService {
 
     /**
      * Group bookings by cost center
+     * @param {Function} [amountOf] - Amount to total per booking (default: USD fare)
+     */
+    groupByCostCenter(bookings, amountOf = (b) => b.pricing.totalUSD) {
+        return this._groupBy(bookings, b => b.costCenter || b.corporateReference, amountOf);
+    }
+
+    /**
+     * Group bookings by project code
+     * @param {Function} [amountOf] - Amount to total per booking (default: USD fare)
      */
-    groupByCostCenter(bookings) {
+    groupByProjectCode(bookings, amountOf = (b) => b.pricing.totalUSD) {
+        return this._groupBy(bookings, b => b.projectCode, amountOf);
+    }
+
+    _groupBy(bookings, keyOf, amountOf) {
         const groups = {};
         for (const booking of bookings) {
-            const cc = booking.corporateReference || 'Unassigned';
-            if (!groups[cc]) {
-                groups[cc] = { count: 0, total: 0 };
+            const key = keyOf(booking) || 'Unassigned';
+            if (!groups[key]) {
+                groups[key] = { count: 0, total: 0 };
             }
-            groups[cc].count++;
-            groups[cc].total += booking.pricing.totalUSD;
+            groups[key].count++;
+            groups[key].total += amountOf(booking);
         }
         return groups;
     }
@@ -0,0 +1,665 @@
+// ========================================
+// Dispatch Service
+// ========================================
+// Automatic driver dispatch. Ranks nearby drivers for a booking,
+// offers the trip to one driver at a time with a timeout, moves on
+// to the next candidate on decline/timeout and escalates to admins
+// when nobody accepts. Every offer is stored as a DispatchOffer.
+// ========================================
+
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const DispatchOffer = require('../models/DispatchOffer');
+const { withTransaction } = require('../config/database');
+const cacheService = require('./cacheService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const bookingStateMachine = require('./bookingStateMachine');
+
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 60;
+const MAX_ATTEMPTS = parseInt(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+const SEARCH_RADIUS_METERS = parseInt(process.env.DISPATCH_SEARCH_RADIUS_METERS) || 15000;
+
+// Start dispatching this long before pickup
+const LEAD_TIME_MINUTES = parseInt(process.env.DISPATCH_LEAD_TIME_MINUTES) || 120;
+
+// Drivers with another trip this close to the pickup are skipped
+const TRIP_CONFLICT_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+// Bole International Airport - pickup point for arrivals without coordinates
+const AIRPORT_COORDINATES = { lat: 8.9779, lng: 38.7993 };
+
+// Working hours are entered in local time
+const LOCAL_TIMEZONE = 'Africa/Addis_Ababa';
+
+const SCORE_WEIGHTS = {
+    distance: 40,
+    rating: 25,
+    vehicleClass: 15,
+    language: 10,
+    acceptance: 10
+};
+
+// How well a vehicle fits a booked class: 'exact', 'upgrade' or null (not allowed)
+const VEHICLE_CLASS_FIT = {
+    standard: (v) => (['economy', 'standard'].includes(v.category) && v.type !== 'luxury' ? 'exact' : 'upgrade'),
+    executive: (v) => (v.category === 'premium' ? 'exact' : v.category === 'luxury' ? 'upgrade' : null),
+    suv: (v) => (['suv', 'van', 'minibus'].includes(v.type) || v.category === 'group' ? 'exact' : null),
+    luxury: (v) => (v.category === 'luxury' || v.type === 'luxury' ? 'exact' : null)
+};
+
+// Customer language code -> Driver.languages value
+const LANGUAGE_NAMES = {
+    en: 'english',
+    am: 'amharic'
+};
+
+const ACTIVE_TRIP_STATUSES = ['driver_assigned', 'driver_enroute', 'driver_arrived', 'passenger_picked_up', 'in_progress'];
+
+// Bookings a driver can still be assigned to
+const CLAIMABLE_STATUSES = bookingStateMachine.getSourceStatuses('driver_assigned', 'driver');
+// Of those, the ones where the move checks payment (pending) - the claim's update checks it too
+const PAYMENT_GUARDED_STATUSES = CLAIMABLE_STATUSES.filter(status =>
+    bookingStateMachine.TRANSITIONS[status].driver_assigned.guards?.includes('paymentSettled')
+);
+
+/**
+ * Error for a lost or invalid trip claim (routes answer 409)
+ */
+function tripClaimConflict(reason, message) {
+    const error = new Error(message);
+    error.name = 'TripClaimConflict';
+    error.reason = reason;
+    return error;
+}
+
+class DispatchService {
+    constructor() {
+        this.offerTimeoutSeconds = OFFER_TIMEOUT_SECONDS;
+        this.maxAttempts = MAX_ATTEMPTS;
+    }
+
+    // ========================================
+    // Candidate Ranking
+    // ========================================
+
+    /**
+     * Pickup point for distance ranking
+     */
+    getPickupPoint(booking) {
+        const coords = booking.pickup?.coordinates;
+        if (coords?.lat != null && coords?.lng != null) {
+            return { lat: coords.lat, lng: coords.lng };
+        }
+        if (booking.type === 'arrival') {
+            return AIRPORT_COORDINATES;
+        }
+        return null;
+    }
+
+    /**
+     * Great-circle distance in meters
+     */
+    distanceMeters(a, b) {
+        const R = 6371000;
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return Math.round(2 * R * Math.asin(Math.sqrt(h)));
+    }
+
+    /**
+     * Check if the pickup time falls inside the driver's working hours.
+     * Drivers without working hours set are always available.
+     */
+    isWithinWorkingHours(driver, date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: LOCAL_TIMEZONE,
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+
+        const get = (type) => parts.find(p => p.type === type)?.value;
+        const day = get('weekday').toLowerCase();
+        const hours = driver.workingHours?.[day];
+
+        if (!hours || (hours.enabled == null && !hours.start)) return true;
+        if (hours.enabled === false) return false;
+        if (!hours.start || !hours.end) return true;
+
+        const toMinutes = (hhmm) => {
+            const [h, m] = hhmm.split(':').map(Number);
+            return h * 60 + (m || 0);
+        };
+        const now = parseInt(get('hour')) * 60 + parseInt(get('minute'));
+        const start = toMinutes(hours.start);
+        const end = toMinutes(hours.end);
+
+        // Overnight shifts (e.g. 22:00 - 06:00) wrap past midnight
+        return start <= end
+            ? now >= start && now < end
+            : now >= start || now < end;
+    }
+
+    /**
+     * Score one driver for a booking, or null if they can't take it
+     */
+    scoreCandidate(booking, driver, { origin, language }) {
+        const vehicle = driver.currentVehicle;
+        if (!vehicle || ['inactive', 'maintenance', 'retired'].includes(vehicle.status)) return null;
+
+        const fit = (VEHICLE_CLASS_FIT[booking.vehicleClass] || VEHICLE_CLASS_FIT.standard)(vehicle);
+        if (!fit) return null;
+
+        if (vehicle.passengerCapacity < booking.passengers) return null;
+        if (vehicle.luggageCapacity < (booking.luggage || 0)) return null;
+        if (booking.childSeat && !vehicle.features?.childSeat) return null;
+
+        if (!this.isWithinWorkingHours(driver, booking.pickup.scheduledTime)) return null;
+
+        let distance = null;
+        let distanceScore = 0.5; // Unknown pickup point - neutral
+        if (origin && driver.location?.coordinates) {
+            const [lng, lat] = driver.location.coordinates;
+            distance = this.distanceMeters(origin, { lat, lng });
+            distanceScore = 1 - Math.min(distance, SEARCH_RADIUS_METERS) / SEARCH_RADIUS_METERS;
+        }
+
+        const ratingScore = ((driver.rating?.average || 5) - 1) / 4;
+        const classScore = fit === 'exact' ? 1 : 0.5;
+        const languageScore = language && driver.languages?.includes(language) ? 1 : 0;
+        const acceptanceScore = (driver.acceptanceRate ?? 100) / 100;
+
+        const score =
+            distanceScore * SCORE_WEIGHTS.distance +
+            ratingScore * SCORE_WEIGHTS.rating +
+            classScore * SCORE_WEIGHTS.vehicleClass +
+            languageScore * SCORE_WEIGHTS.language +
+            acceptanceScore * SCORE_WEIGHTS.acceptance;
+
+        return {
+            driver,
+            score: Math.round(score * 10) / 10,
+            distanceMeters: distance,
+            vehicleFit: fit
+        };
+    }
+
+    /**
+     * Find and rank drivers who can take a booking, best first
+     */
+    async findCandidates(booking) {
+        const origin = this.getPickupPoint(booking);
+
+        const drivers = origin
+            ? await Driver.findNearby(origin.lng, origin.lat, SEARCH_RADIUS_METERS)
+            : await Driver.find({ status: 'active', onlineStatus: 'online' }).populate('currentVehicle');
+
+        const tried = new Set((booking.dispatch?.triedDrivers || []).map(id => id.toString()));
+        const pool = drivers.filter(d => !tried.has(d._id.toString()));
+        if (!pool.length) return [];
+
+        // Skip drivers already booked around this pickup
+        const pickupTime = new Date(booking.pickup.scheduledTime).getTime();
+        const busyDriverIds = await Booking.distinct('driver.driverId', {
+            _id: { $ne: booking._id },
+            'driver.driverId': { $in: pool.map(d => d._id) },
+            status: { $in: ACTIVE_TRIP_STATUSES },
+            'pickup.scheduledTime': {
+                $gt: new Date(pickupTime - TRIP_CONFLICT_WINDOW_MS),
+                $lt: new Date(pickupTime + TRIP_CONFLICT_WINDOW_MS)
+            }
+        });
+        const busy = new Set(busyDriverIds.map(id => id.toString()));
+
+        let language = null;
+        if (booking.userId) {
+            const customer = await User.findById(booking.userId).select('preferredLanguage');
+            language = LANGUAGE_NAMES[customer?.preferredLanguage] || null;
+        }
+
+        return pool
+            .filter(d => !busy.has(d._id.toString()))
+            .map(d => this.scoreCandidate(booking, d, { origin, language }))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // ========================================
+    // Offer Flow
+    // ========================================
+
+    /**
+     * Check if a booking still needs a driver
+     */
+    needsDriver(booking) {
+        return !booking.driver?.driverId &&
+            CLAIMABLE_STATUSES.includes(booking.status) &&
+            booking.dispatch?.status !== 'escalated';
+    }
+
+    /**
+     * Start (or continue) dispatch for a booking
+     */
+    async dispatch(booking) {
+        if (booking.driver?.driverId) {
+            return { status: 'assigned' };
+        }
+
+        const openOffer = await DispatchOffer.findOpenForBooking(booking._id);
+        if (openOffer) {
+            return { status: 'offered', offer: openOffer };
+        }
+
+        if (!booking.dispatch?.status) {
+            booking.dispatch = { status: 'searching', startedAt: new Date(), attempts: 0, triedDrivers: [] };
+            await booking.save();
+        }
+
+        return this.offerNext(booking);
+    }
+
+    /**
+     * Offer the booking to the next best driver
+     */
+    async offerNext(booking) {
+        const lockName = `dispatch:${booking._id}`;
+        const locked = await cacheService.acquireLock(lockName, 30);
+        if (!locked) {
+            return { status: 'busy' };
+        }
+
+        try {
+            // Reload - the booking may have changed while we waited
+            booking = await Booking.findById(booking._id);
+            if (!booking || !this.needsDriver(booking)) {
+                return { status: booking?.dispatch?.status || 'unavailable' };
+            }
+
+            if (await DispatchOffer.findOpenForBooking(booking._id)) {
+                return { status: 'offered' };
+            }
+
+            if (booking.dispatch.attempts >= this.maxAttempts) {
+                return this.escalate(booking, `No driver accepted after ${booking.dispatch.attempts} offers`);
+            }
+
+            const candidates = await this.findCandidates(booking);
+            if (!candidates.length) {
+                return this.escalate(booking, booking.dispatch.attempts
+                    ? `No more eligible drivers after ${booking.dispatch.attempts} offers`
+                    : 'No eligible drivers available');
+            }
+
+            const best = candidates[0];
+            const offeredAt = new Date();
+            const offer = await DispatchOffer.create({
+                bookingId: booking._id,
+                bookingReference: booking.bookingReference,
+                driverId: best.driver._id,
+                attempt: booking.dispatch.attempts + 1,
+                offeredAt,
+                expiresAt: new Date(offeredAt.getTime() + this.offerTimeoutSeconds * 1000),
+                score: best.score,
+                distanceMeters: best.distanceMeters
+            });
+
+            booking.dispatch.status = 'offered';
+            booking.dispatch.attempts += 1;
+            booking.dispatch.triedDrivers.push(best.driver._id);
+            await booking.save();
+
+            await Driver.recordOfferOutcome(best.driver._id, 'offered');
+
+            try {
+                await notificationService.sendDriverTripOffer(best.driver, booking, offer);
+            } catch (error) {
+                console.error(`[Dispatch] Offer notification failed for ${booking.bookingReference}:`, error.message);
+            }
+
+            console.log(`[Dispatch] ${booking.bookingReference} offered to ${best.driver.fullName} (attempt ${offer.attempt}, score ${best.score})`);
+
+            return { status: 'offered', offer, driver: best.driver };
+
+        } finally {
+            await cacheService.releaseLock(lockName);
+        }
+    }
+
+    /**
+     * Driver accepts an offer
+     * @returns {Object} { success, booking, offer } or { success: false, reason }
+     */
+    async acceptOffer(offerId, driver) {
+        const offer = await DispatchOffer.findOneAndUpdate(
+            {
+                _id: offerId,
+                driverId: driver._id,
+                status: 'offered',
+                expiresAt: { $gt: new Date() }
+            },
+            { $set: { status: 'accepted', respondedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!offer) {
+            return { success: false, reason: 'offer_not_open', message: 'Offer is no longer available' };
+        }
+
+        let booking;
+        try {
+            booking = await this.claimTrip(offer.bookingId, driver, {
+                note: `Driver ${driver.fullName} accepted dispatch offer`
+            });
+        } catch (error) {
+            if (error.name !== 'TripClaimConflict') throw error;
+
+            offer.status = 'cancelled';
+            await offer.save();
+
+            // Driver went offline - the booking still needs someone
+            if (error.reason === 'driver_unavailable') {
+                const openBooking = await Booking.findById(offer.bookingId);
+                if (openBooking) await this.offerNext(openBooking);
+            }
+
+            return { success: false, reason: error.reason, message: error.message };
+        }
+
+        await Driver.recordOfferOutcome(driver._id, 'accepted');
+
+        return { success: true, booking, offer };
+    }
+
+    // ========================================
+    // Trip Claim
+    // ========================================
+
+    /**
+     * Atomically assign a booking to a driver. The driver must be online and
+     * the booking must have no driver and still be pending/confirmed; the
+     * vehicle's assignedDriver is updated in the same transaction.
+     * Throws a TripClaimConflict error when the claim is lost.
+     * @param {string} bookingId - Booking to claim
+     * @param {Object} driver - Driver document with currentVehicle populated
+     * @param {Object} [options] - { note, updatedBy }
+     */
+    async claimTrip(bookingId, driver, { note, updatedBy = 'driver' } = {}) {
+        const vehicle = driver.currentVehicle;
+        const actor = { role: updatedBy, id: driver._id };
+
+        // The state machine decides if the move is allowed; the conditional update below makes it atomic
+        const current = await Booking.findById(bookingId);
+        const rejected = current && !current.driver?.driverId &&
+            bookingStateMachine.checkTransition(current, 'driver_assigned', actor, { driver });
+        if (rejected) {
+            throw tripClaimConflict('not_claimable', rejected.message);
+        }
+
+        const booking = await withTransaction(async (session) => {
+            // Driver first: online -> busy, so one driver can't win two trips at once
+            const claimedDriver = await Driver.findOneAndUpdate(
+                { _id: driver._id, status: 'active', onlineStatus: 'online' },
+                { $set: { onlineStatus: 'busy', lastActiveAt: new Date() } },
+                { new: true, session }
+            );
+            if (!claimedDriver) {
+                throw tripClaimConflict('driver_unavailable', 'Go online to accept trips');
+            }
+
+            const claimed = await Booking.findOneAndUpdate(
+                {
+                    _id: bookingId,
+                    'driver.driverId': { $exists: false },
+                    status: { $in: CLAIMABLE_STATUSES },
+                    // Payment could have failed or been refunded since the read above
+                    $or: [
+                        { status: { $nin: PAYMENT_GUARDED_STATUSES } },
+                        ...bookingStateMachine.PAYMENT_SETTLED_QUERY.$or
+                    ]
+                },
+                {
+                    $set: {
+                        driver: {
+                            driverId: driver._id,
+                            name: driver.fullName,
+                            phone: driver.phone,
+                            photo: driver.profilePhoto,
+                            vehiclePlate: vehicle?.licensePlate || 'N/A',
+                            vehicleModel: vehicle ? `${vehicle.make} ${vehicle.model}` : 'N/A',
+                            vehicleColor: vehicle?.color || 'N/A',
+                            rating: driver.rating?.average
+                        },
+                        status: 'driver_assigned',
+                        'dispatch.status': 'assigned'
+                    },
+                    $push: {
+                        statusHistory: {
+                            status: 'driver_assigned',
+                            timestamp: new Date(),
+                            note: note || `Driver ${driver.fullName} accepted the trip`,
+                            updatedBy
+                        }
+                    }
+                },
+                { new: true, session }
+            );
+
+            if (!claimed) {
+                // Without a transaction nothing rolls back - release the driver ourselves
+                if (!session) {
+                    await Driver.updateOne(
+                        { _id: driver._id, onlineStatus: 'busy' },
+                        { $set: { onlineStatus: 'online' } }
+                    );
+                }
+
+                const current = await Booking.findById(bookingId).select('status driver payment').session(session);
+                if (!current) {
+                    throw tripClaimConflict('not_found', 'Booking not found');
+                }
+                if (current.driver?.driverId) {
+                    throw tripClaimConflict('already_assigned', 'Trip already taken by another driver');
+                }
+                const rejected = bookingStateMachine.checkTransition(current, 'driver_assigned', actor, { driver });
+                throw tripClaimConflict('not_claimable', rejected?.message || `Trip can't be accepted while ${current.status}`);
+            }
+
+            if (vehicle?._id) {
+                await Vehicle.updateOne(
+                    { _id: vehicle._id },
+                    { $set: { assignedDriver: driver._id } },
+                    { session }
+                );
+            }
+
+            return claimed;
+        });
+
+        driver.onlineStatus = 'busy';
+
+        await bookingStateMachine.runEffects(booking, {
+            from: current.status,
+            to: 'driver_assigned',
+            actor,
+            note,
+            driverId: driver._id
+        });
+
+        return booking;
+    }
+
+    /**
+     * Driver declines an offer - move on to the next candidate
+     */
+    async declineOffer(offerId, driver, reason) {
+        const offer = await DispatchOffer.findOneAndUpdate(
+            { _id: offerId, driverId: driver._id, status: 'offered' },
+            { $set: { status: 'declined', respondedAt: new Date(), declineReason: reason } },
+            { new: true }
+        );
+
+        if (!offer) {
+            return { success: false, reason: 'offer_not_open', message: 'Offer is no longer open' };
+        }
+
+        await Driver.recordOfferOutcome(driver._id, 'declined');
+
+        const booking = await this.reopenSearch(offer.bookingId);
+        if (booking) {
+            await this.offerNext(booking);
+        }
+
+        return { success: true, offer };
+    }
+
+    /**
+     * Time out unanswered offers and re-offer their bookings
+     */
+    async expireOffers() {
+        const stale = await DispatchOffer.find({
+            status: 'offered',
+            expiresAt: { $lte: new Date() }
+        }).limit(100);
+
+        let expired = 0;
+
+        for (const candidate of stale) {
+            // Claim the offer so a late accept can't race the timeout
+            const offer = await DispatchOffer.findOneAndUpdate(
+                { _id: candidate._id, status: 'offered' },
+                { $set: { status: 'expired', respondedAt: new Date() } },
+                { new: true }
+            );
+            if (!offer) continue;
+
+            expired++;
+            await Driver.recordOfferOutcome(offer.driverId, 'expired');
+
+            const booking = await this.reopenSearch(offer.bookingId);
+            if (booking) {
+                await this.offerNext(booking);
+            }
+        }
+
+        return expired;
+    }
+
+    /**
+     * Put a booking whose offer closed back to 'searching', so the dispatch
+     * cycle picks it up again if offering the next driver doesn't go through
+     */
+    async reopenSearch(bookingId) {
+        await Booking.updateOne(
+            { _id: bookingId, 'dispatch.status': 'offered' },
+            { $set: { 'dispatch.status': 'searching' } }
+        );
+
+        return Booking.findById(bookingId);
+    }
+
+    /**
+     * Hand a booking over to admins when dispatch can't fill it
+     */
+    async escalate(booking, reason) {
+        booking.dispatch.status = 'escalated';
+        booking.dispatch.escalatedAt = new Date();
+        booking.dispatch.escalationReason = reason;
+        await booking.save();
+
+        await auditService.log({
+            eventType: 'booking.dispatch_escalated',
+            action: 'Dispatch escalated to admins',
+            description: reason,
+            severity: 'warning',
+            resource: {
+                type: 'booking',
+                id: booking._id,
+                reference: booking.bookingReference
+            },
+            metadata: {
+                attempts: booking.dispatch.attempts,
+                pickupTime: booking.pickup.scheduledTime
+            },
+            tags: ['dispatch']
+        });
+
+        try {
+            await notificationService.sendAdminAlert(
+                'Booking needs a driver',
+                `Booking ${booking.bookingReference} (pickup ${new Date(booking.pickup.scheduledTime).toISOString()}) has no driver: ${reason}`
+            );
+        } catch (error) {
+            console.error('[Dispatch] Admin alert failed:', error.message);
+        }
+
+        console.warn(`[Dispatch] ${booking.bookingReference} escalated: ${reason}`);
+
+        return { status: 'escalated', reason };
+    }
+
+    /**
+     * Reset dispatch state and start again (admin action)
+     */
+    async restart(booking) {
+        await DispatchOffer.updateMany(
+            { bookingId: booking._id, status: 'offered' },
+            { $set: { status: 'cancelled', respondedAt: new Date() } }
+        );
+
+        booking.dispatch = { status: 'searching', startedAt: new Date(), attempts: 0, triedDrivers: [] };
+        await booking.save();
+
+        return this.offerNext(booking);
+    }
+
+    // ========================================
+    // Scheduled Sweep
+    // ========================================
+
+    /**
+     * Expire timed-out offers and start dispatch for bookings coming up
+     */
+    async runDispatchCycle() {
+        const now = Date.now();
+        const result = { expired: 0, offered: 0, escalated: 0 };
+
+        result.expired = await this.expireOffers();
+
+        const bookings = await Booking.find({
+            $or: [
+                { status: 'confirmed' },
+                { status: 'pending', 'payment.method': { $in: ['cash', 'corporate'] } }
+            ],
+            'driver.driverId': { $exists: false },
+            'dispatch.status': { $nin: ['offered', 'assigned', 'escalated'] },
+            'pickup.scheduledTime': {
+                $gt: new Date(now - 60 * 60 * 1000),
+                $lte: new Date(now + LEAD_TIME_MINUTES * 60 * 1000)
+            }
+        })
+            .sort({ 'pickup.scheduledTime': 1 })
+            .limit(50);
+
+        for (const booking of bookings) {
+            try {
+                const outcome = await this.dispatch(booking);
+                if (outcome.status === 'offered') result.offered++;
+                if (outcome.status === 'escalated') result.escalated++;
+            } catch (error) {
+                console.error(`[Dispatch] Failed for ${booking.bookingReference}:`, error.message);
+            }
+        }
+
+        return result;
+    }
+}
+
+// Singleton instance
+module.exports = new DispatchService();
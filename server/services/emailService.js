@@ -72,7 +72,7 @@ class EmailService {
      * Send email via SendGrid or SMTP
      */
     async sendEmail(options) {
-        const { to, subject, html, text, templateName, variables } = options;
+        const { to, subject, html, text, templateName, variables, attachments = [] } = options;
 
         // Load template if specified
         let htmlContent = html;
@@ -87,6 +87,9 @@ class EmailService {
             console.log(`To: ${to}`);
             console.log(`Subject: ${subject}`);
             console.log(`Template: ${templateName || 'custom'}`);
+            if (attachments.length) {
+                console.log(`Attachments: ${attachments.map(a => a.filename).join(', ')}`);
+            }
             console.log('========================================');
             return { success: true, mode: 'development' };
         }
@@ -102,7 +105,13 @@ class EmailService {
                     },
                     subject,
                     html: htmlContent,
-                    text: text || this.htmlToText(htmlContent)
+                    text: text || this.htmlToText(htmlContent),
+                    attachments: attachments.map(a => ({
+                        content: a.content.toString('base64'),
+                        filename: a.filename,
+                        type: a.contentType,
+                        disposition: 'attachment'
+                    }))
                 });
             } else if (transporter) {
                 // Use SMTP/Nodemailer
@@ -111,7 +120,8 @@ class EmailService {
                     to,
                     subject,
                     html: htmlContent,
-                    text: text || this.htmlToText(htmlContent)
+                    text: text || this.htmlToText(htmlContent),
+                    attachments
                 });
             }
 
@@ -228,7 +238,7 @@ class EmailService {
             luggage: booking.luggage?.toString() || '1',
             total_usd: booking.pricing?.totalUSD?.toFixed(2) || '0.00',
             total_etb: booking.pricing?.totalETB?.toFixed(2) || '0.00',
-            payment_status: booking.payment?.status === 'paid' ? 'Paid' : 'Pending',
+            payment_status: { paid: 'Paid', authorized: 'Card authorized' }[booking.payment?.status] || 'Pending',
             view_booking_url: `${baseUrl}/pages/tickets.html?id=${booking.bookingReference}`,
             cancel_booking_url: `${baseUrl}/pages/cancel.html?id=${booking.bookingReference}`,
             contact_url: `${baseUrl}/pages/contact.html`
@@ -365,8 +375,8 @@ class EmailService {
             original_pickup_date: this.formatDate(booking.pickup.scheduledTime, 'full'),
             pickup_location: booking.pickup.location,
             dropoff_location: booking.dropoff.location,
-            refund_amount: refundAmount ? refundAmount.toFixed(2) : 'N/A',
-            refund_status: refundAmount ? 'Processing (3-5 business days)' : 'No refund applicable',
+            refund_amount: refundAmount ? `${booking.payment?.refund?.currency || 'USD'} ${refundAmount.toFixed(2)}` : 'N/A',
+            refund_status: this.getRefundStatusText(booking.payment?.refund, refundAmount),
             new_booking_url: `${baseUrl}/pages/book.html`,
             contact_url: `${baseUrl}/pages/contact.html`
         };
@@ -407,22 +417,65 @@ class EmailService {
     }
 
     /**
-     * Send flight delay notification email
+     * Send the (re-issued) receipt with the PDF attached
+     */
+    async sendReceiptEmail(booking, pdfBuffer) {
+        const baseUrl = process.env.BASE_URL || 'https://shuttleplus.et';
+        const pricing = booking.pricing || {};
+        const payment = booking.payment || {};
+
+        const variables = {
+            customer_name: booking.contact.name,
+            booking_reference: booking.bookingReference,
+            receipt_number: `R-${booking.bookingReference}`,
+            trip_date: this.formatDate(booking.pickup.scheduledTime, 'short'),
+            trip_time: this.formatDate(booking.pickup.scheduledTime, 'time'),
+            pickup_location: booking.pickup.location,
+            dropoff_location: booking.dropoff.location,
+            vehicle_type: pricing.vehicle?.name || booking.vehicleClass,
+            line_item_rows: this.renderLineItemRows(pricing.lineItems),
+            total_amount: (pricing.totalETB || 0).toLocaleString(),
+            balance_note: this.getBalanceDueText(payment.adjustment),
+            payment_method: this.formatPaymentMethod(payment.method),
+            payment_date: this.formatDate(payment.paidAt || new Date(), 'full'),
+            transaction_id: payment.transactionId || 'N/A',
+            card_last_four: payment.cardLastFour || '••••',
+            download_receipt_url: `${baseUrl}/api/bookings/${booking._id}/receipt`
+        };
+
+        return this.sendEmail({
+            to: booking.contact.email,
+            subject: `Receipt - ${booking.bookingReference} | Shuttle Plus`,
+            templateName: 'receipt',
+            variables,
+            attachments: [{
+                filename: `ShuttlePlus-Receipt-${booking.bookingReference}.pdf`,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }]
+        });
+    }
+
+    /**
+     * Send flight delay notification email (or early arrival, when the new
+     * time is before previousArrivalTime)
      */
-    async sendFlightDelayEmail(booking, newArrivalTime) {
+    async sendFlightDelayEmail(booking, newArrivalTime, previousArrivalTime) {
         const baseUrl = process.env.BASE_URL || 'https://shuttleplus.et';
-        const originalTime = new Date(booking.pickup.scheduledTime);
-        const newTime = new Date(newArrivalTime);
+        const originalArrival = new Date(previousArrivalTime || booking.flight?.scheduledTime || newArrivalTime);
+        const newArrival = new Date(newArrivalTime);
+        const originalPickup = new Date(booking.pickup.originalScheduledTime || booking.pickup.scheduledTime);
+        const newPickup = new Date(booking.pickup.scheduledTime);
 
         const variables = {
             customer_name: booking.contact.name,
             booking_reference: booking.bookingReference,
-            flight_number: booking.flightNumber || 'N/A',
-            original_arrival: this.formatDate(originalTime, 'time'),
-            new_arrival: this.formatDate(newTime, 'time'),
-            original_pickup: this.formatDate(originalTime, 'time'),
-            new_pickup: this.formatDate(newTime, 'time'),
-            delay_duration: this.calculateDelayDuration(originalTime, newTime),
+            flight_number: booking.flight?.number || 'N/A',
+            original_arrival: this.formatDate(originalArrival, 'time'),
+            new_arrival: this.formatDate(newArrival, 'time'),
+            original_pickup: this.formatDate(originalPickup, 'time'),
+            new_pickup: this.formatDate(newPickup, 'time'),
+            delay_duration: this.calculateDelayDuration(originalArrival, newArrival),
             driver_name: booking.driver?.name || 'Your Driver',
             tracking_url: `${baseUrl}/pages/tracking.html?id=${booking.bookingReference}`,
             contact_url: `${baseUrl}/pages/contact.html`
@@ -430,12 +483,43 @@ class EmailService {
 
         return this.sendEmail({
             to: booking.contact.email,
-            subject: `Flight Delay Detected - Pickup Time Updated | Shuttle Plus`,
+            subject: newArrival < originalArrival
+                ? 'Flight Arriving Early - Pickup Time Updated | Shuttle Plus'
+                : 'Flight Delay Detected - Pickup Time Updated | Shuttle Plus',
             templateName: 'flight-delay',
             variables
         });
     }
 
+    /**
+     * Tell the assigned driver their pickup moved with the flight
+     */
+    async sendDriverPickupRescheduledEmail(booking, driver, originalPickupTime) {
+        const originalPickup = new Date(originalPickupTime);
+        const newPickup = new Date(booking.pickup.scheduledTime);
+        const newArrival = this.formatDate(booking.flight?.estimatedTime || newPickup, 'time');
+
+        const variables = {
+            driver_name: driver.fullName || booking.driver?.name || 'Driver',
+            booking_reference: booking.bookingReference,
+            flight_number: booking.flight?.number || 'N/A',
+            eta_change: newPickup < originalPickup
+                ? `is now arriving early, at ${newArrival}`
+                : `is delayed to ${newArrival}`,
+            original_pickup: this.formatDate(originalPickup, 'time'),
+            new_pickup: this.formatDate(newPickup, 'time'),
+            pickup_location: booking.pickup.location,
+            support_email: 'support@shuttleplus.et'
+        };
+
+        return this.sendEmail({
+            to: driver.email,
+            subject: `Trip ${booking.bookingReference}: pickup moved to ${variables.new_pickup} | Shuttle Plus`,
+            templateName: 'driver-pickup-rescheduled',
+            variables
+        });
+    }
+
     /**
      * Send welcome email for new user registration
      */
@@ -480,10 +564,218 @@ class EmailService {
         });
     }
 
+    /**
+     * Send a phone login code by email, when SMS delivery failed
+     */
+    async sendLoginCodeEmail(user, code, expiryMinutes) {
+        const variables = {
+            customer_name: user.firstName || user.name || 'there',
+            code,
+            expiry_minutes: expiryMinutes,
+            support_email: 'support@shuttleplus.et'
+        };
+
+        return this.sendEmail({
+            to: user.email,
+            subject: `${code} is your Shuttle Plus login code`,
+            templateName: 'login-code',
+            variables
+        });
+    }
+
+    /**
+     * Send a corporate invoice to the account's billing contacts
+     * @param {Object} invoice - Invoice document
+     * @param {string[]} recipients - Email addresses
+     * @param {Object[]} attachments - PDF (and CSV) of the invoice
+     */
+    async sendCorporateInvoiceEmail(invoice, recipients, attachments = []) {
+        const periodEnd = new Date(new Date(invoice.period.end).getTime() - 24 * 60 * 60 * 1000); // Last day of the period
+        const period = `${this.formatDate(invoice.period.start, 'short')} - ${this.formatDate(periodEnd, 'short')}`;
+        const paid = invoice.status === 'paid';
+
+        const variables = {
+            invoice_number: invoice.invoiceNumber,
+            contact_name: invoice.billTo?.contactName || 'Accounts Team',
+            company_name: invoice.billTo?.name,
+            period,
+            currency: invoice.currency,
+            total_amount: invoice.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+            amount_label: paid ? 'Invoice Total' : 'Amount Due',
+            due_note: paid
+                ? 'Paid from your prepaid balance - no action needed'
+                : `Due by ${this.formatDate(invoice.dueDate, 'full')}`,
+            trip_count: invoice.lines.length.toString(),
+            payment_terms: invoice.paymentTerms ? `Net ${invoice.paymentTerms} days` : 'Due on receipt',
+            po_numbers: invoice.poNumbers?.length ? invoice.poNumbers.join(', ') : 'N/A',
+            cost_center_rows: this.renderCostCenterRows(invoice.byCostCenter, invoice.currency)
+        };
+
+        return this.sendEmail({
+            to: recipients,
+            subject: `Invoice ${invoice.invoiceNumber} - ${period} | Shuttle Plus`,
+            templateName: 'corporate-invoice',
+            variables,
+            attachments
+        });
+    }
+
+    /**
+     * Ask a corporate approver to approve or reject a booking
+     * @param {Object} booking - Booking waiting on approval
+     * @param {Object} account - CorporateAccount
+     * @param {string} email - Approver's email address
+     * @param {string} token - The approver's decision token
+     */
+    async sendApprovalRequestEmail(booking, account, email, token) {
+        const baseUrl = process.env.BASE_URL || 'https://shuttleplus.et';
+        const decisionUrl = (decision) => `${baseUrl}/pages/account/booking-approval.html?token=${token}&decision=${decision}`;
+
+        const variables = {
+            booking_reference: booking.bookingReference,
+            requester_name: booking.approval.requestedBy?.name || booking.approval.requestedBy?.email,
+            company_name: account.company.name,
+            passenger_name: booking.contact.name,
+            trip_date: this.formatDate(booking.pickup.scheduledTime, 'full'),
+            trip_time: this.formatDate(booking.pickup.scheduledTime, 'time'),
+            pickup_location: booking.pickup.location,
+            dropoff_location: booking.dropoff.location,
+            vehicle_type: booking.pricing?.vehicle?.name || booking.vehicleClass,
+            cost_center: [booking.costCenter, booking.projectCode].filter(Boolean).join(' / ') || 'N/A',
+            total_usd: booking.pricing?.totalUSD?.toFixed(2) || '0.00',
+            policy_notice: this.renderPolicyNotice(booking.policy),
+            approve_url: decisionUrl('approve'),
+            reject_url: decisionUrl('reject')
+        };
+
+        return this.sendEmail({
+            to: email,
+            subject: `Approval needed - ${booking.bookingReference} | Shuttle Plus`,
+            templateName: 'corporate-approval-request',
+            variables
+        });
+    }
+
+    /**
+     * Tell the booker an approver approved or rejected their booking
+     */
+    async sendApprovalDecisionEmail(booking) {
+        const { status, decidedBy, reason, requestedBy } = booking.approval;
+        const approved = status === 'approved';
+
+        const variables = {
+            booking_reference: booking.bookingReference,
+            decision: approved ? 'Approved' : 'Rejected',
+            decision_lower: status,
+            decision_color: approved ? '#34a853' : '#d93025',
+            decision_message: approved
+                ? 'The trip is confirmed - we will send driver details before pickup.'
+                : 'The trip has been cancelled and will not be charged.',
+            approver_email: decidedBy?.email || 'your approver',
+            passenger_name: booking.contact.name,
+            trip_date: this.formatDate(booking.pickup.scheduledTime, 'full'),
+            trip_time: this.formatDate(booking.pickup.scheduledTime, 'time'),
+            pickup_location: booking.pickup.location,
+            dropoff_location: booking.dropoff.location,
+            reason_note: reason ? `Note from ${decidedBy?.email || 'the approver'}: ${reason}` : ''
+        };
+
+        return this.sendEmail({
+            to: requestedBy.email,
+            subject: `Booking ${approved ? 'approved' : 'rejected'} - ${booking.bookingReference} | Shuttle Plus`,
+            templateName: 'corporate-approval-decision',
+            variables
+        });
+    }
+
+    /**
+     * Warn a corporate account's admins that its balance is running low
+     * @param {Object} balance - { available, threshold, note }
+     */
+    async sendLowBalanceEmail(account, recipients, { available, threshold, note }) {
+        const currency = account.billing?.currency || 'USD';
+        const format = (amount) => amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+        const variables = {
+            company_name: account.company.name,
+            account_id: account.accountId,
+            currency,
+            available_label: account.billing.method === 'prepaid' ? 'Current balance' : 'Available credit',
+            available_amount: format(available),
+            threshold: format(threshold),
+            recharge_note: note
+        };
+
+        return this.sendEmail({
+            to: recipients,
+            subject: `Low balance on your Shuttle Plus account - ${currency} ${format(available)} left`,
+            templateName: 'corporate-low-balance',
+            variables
+        });
+    }
+
     // ========================================
     // Helper Methods
     // ========================================
 
+    getRefundStatusText(refund, refundAmount) {
+        if (!refundAmount) return 'No refund applicable';
+        if (refund?.status === 'failed') return 'Our team is processing your refund manually';
+
+        const share = refund?.tier === 'partial' ? 'Partial refund' : 'Refund';
+        return `${share} to your original payment method - processing (3-5 business days)`;
+    }
+
+    renderLineItemRows(lineItems = []) {
+        return lineItems.map(item => {
+            const color = item.amountETB < 0 ? '#34a853' : '#666666';
+            const amount = `${item.amountETB < 0 ? '- ' : ''}ETB ${Math.abs(item.amountETB || 0).toLocaleString()}`;
+            return `<tr><td style="padding: 12px 0; border-bottom: 1px solid #e9ecef;">` +
+                `<table role="presentation" cellpadding="0" cellspacing="0" width="100%"><tr>` +
+                `<td style="color: ${color}; font-size: 14px;">${item.label}</td>` +
+                `<td style="color: ${color}; font-size: 14px; text-align: right;">${amount}</td>` +
+                `</tr></table></td></tr>`;
+        }).join('');
+    }
+
+    renderCostCenterRows(groups = [], currency) {
+        return groups.map(group => {
+            const amount = `${currency} ${group.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            return `<tr><td style="padding: 12px 0; border-bottom: 1px solid #e9ecef;">` +
+                `<table role="presentation" cellpadding="0" cellspacing="0" width="100%"><tr>` +
+                `<td style="color: #666666; font-size: 14px;">${group.code} (${group.count} trip${group.count === 1 ? '' : 's'})</td>` +
+                `<td style="color: #666666; font-size: 14px; text-align: right;">${amount}</td>` +
+                `</tr></table></td></tr>`;
+        }).join('');
+    }
+
+    // Out-of-policy bookings show the approver what was broken and why the booker went ahead
+    renderPolicyNotice(policy) {
+        if (!policy?.outOfPolicy) return '';
+
+        const escape = (text = '') => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+        const violations = policy.violations.map(violation => `<li>${escape(violation.message)}</li>`).join('');
+        return `<table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background-color: #fef7e0; border-left: 4px solid #f9ab00; border-radius: 8px; margin-bottom: 30px;">` +
+            `<tr><td style="padding: 20px;">` +
+            `<p style="margin: 0 0 10px; color: #333333; font-size: 14px; font-weight: 600;">This booking is outside the company travel policy</p>` +
+            `<ul style="margin: 0 0 10px; padding-left: 20px; color: #666666; font-size: 14px; line-height: 1.6;">${violations}</ul>` +
+            `<p style="margin: 0; color: #666666; font-size: 14px;"><strong>Justification:</strong> ${escape(policy.justification)}</p>` +
+            `</td></tr></table>`;
+    }
+
+    getBalanceDueText(adjustment) {
+        if (!adjustment?.amount) return '';
+
+        const amount = `${adjustment.currency} ${adjustment.amount.toLocaleString()}`;
+        const texts = {
+            paid: `Includes ${amount} for trip extras, charged to your card`,
+            processing: `Includes ${amount} for trip extras, being charged to your card`,
+            invoiced: `Includes ${amount} for trip extras, added to your company invoice`,
+            cash_due: `Includes ${amount} for trip extras, payable to your driver`
+        };
+        return texts[adjustment.status] || '';
+    }
+
     formatPaymentMethod(method) {
         const methods = {
             'stripe': 'Credit/Debit Card',
@@ -495,7 +787,7 @@ class EmailService {
     }
 
     calculateDelayDuration(original, newTime) {
-        const diffMs = new Date(newTime) - new Date(original);
+        const diffMs = Math.abs(new Date(newTime) - new Date(original));
         const hours = Math.floor(diffMs / (1000 * 60 * 60));
         const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
 
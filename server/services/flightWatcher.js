@@ -0,0 +1,264 @@
+// ========================================
+// Flight Watcher Service
+// ========================================
+// Polls flight status for arrival bookings in the next 24h and moves
+// the pickup when the flight's ETA changes. Polling is paced so the
+// AviationStack monthly budget (API_CALL_LIMIT) lasts the whole month.
+// ========================================
+
+const Booking = require('../models/Booking');
+const aviationService = require('./aviationService');
+const notificationService = require('./notificationService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How far ahead to watch arrivals
+const WATCH_WINDOW = 24 * HOUR;
+
+// ETA changes smaller than this don't move the pickup
+const RESCHEDULE_THRESHOLD_MINUTES = parseInt(process.env.FLIGHT_RESCHEDULE_THRESHOLD_MINUTES) || 10;
+
+// Used when the booking has no flight time to derive the buffer from
+const DEFAULT_PICKUP_BUFFER_MINUTES = 30;
+
+// Never poll more often than this, however much budget is left
+const MIN_POLL_INTERVAL = 10 * MINUTE;
+
+// Per-booking re-check cadence - tighter as the flight gets closer
+const RECHECK_INTERVALS = [
+    { within: 2 * HOUR, interval: 20 * MINUTE },
+    { within: 6 * HOUR, interval: HOUR },
+    { within: Infinity, interval: 4 * HOUR }
+];
+
+// Bookings still waiting for their pickup
+const WATCHED_BOOKING_QUERY = {
+    $or: [
+        { status: { $in: ['confirmed', 'driver_assigned', 'driver_enroute'] } },
+        { status: 'pending', 'payment.method': { $in: ['cash', 'corporate'] } }
+    ]
+};
+
+// ========================================
+// Polling Budget
+// ========================================
+
+/**
+ * Work out how often to poll and how many API calls one run may use,
+ * spreading the calls left this month evenly over the days left.
+ */
+async function getPollingBudget(now = new Date()) {
+    // Mock data doesn't cost API calls
+    if (!aviationService.isConfigured()) {
+        return { interval: MIN_POLL_INTERVAL, maxCalls: Infinity };
+    }
+
+    const { remaining } = await aviationService.getApiUsage();
+    const msLeftInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1) - now;
+
+    if (remaining <= 0) {
+        // Wait for the monthly counter reset
+        return { interval: msLeftInMonth + 5 * MINUTE, maxCalls: 0 };
+    }
+
+    const spacing = msLeftInMonth / remaining;
+    const interval = Math.max(spacing, MIN_POLL_INTERVAL);
+
+    return {
+        interval,
+        maxCalls: Math.max(1, Math.floor(interval / spacing))
+    };
+}
+
+/**
+ * Next poll time for the job scheduler
+ */
+async function getNextPollAt(from = new Date()) {
+    const { interval } = await getPollingBudget(from);
+    return new Date(from.getTime() + interval);
+}
+
+/**
+ * Best known arrival time for a booking
+ */
+function getKnownArrival(booking) {
+    return booking.flight.estimatedTime || booking.flight.scheduledTime || null;
+}
+
+/**
+ * Check if a booking's flight is due for another look
+ */
+function isDueForCheck(booking, now = new Date()) {
+    if (!booking.flight.lastChecked) return true;
+
+    const arrival = getKnownArrival(booking) || booking.pickup.scheduledTime;
+    const timeToArrival = new Date(arrival) - now;
+    const { interval } = RECHECK_INTERVALS.find(r => timeToArrival <= r.within);
+
+    return now - booking.flight.lastChecked >= interval;
+}
+
+// ========================================
+// Apply Flight Status
+// ========================================
+
+/**
+ * Update a booking from fresh flight data, moving the pickup if the ETA changed
+ * @returns {boolean} true if the pickup was rescheduled
+ */
+async function applyFlightStatus(booking, flightStatus) {
+    booking.flight.lastChecked = new Date();
+
+    // Mock data has random times - never move a pickup because of it
+    if (!flightStatus || flightStatus.isMock) {
+        await booking.save();
+        return false;
+    }
+
+    booking.flight.status = flightStatus.status;
+    if (flightStatus.actualTime) booking.flight.actualTime = flightStatus.actualTime;
+    if (flightStatus.terminal) booking.flight.terminal = flightStatus.terminal;
+    if (flightStatus.gate) booking.flight.gate = flightStatus.gate;
+
+    const newEta = flightStatus.actualTime || flightStatus.estimatedTime;
+    const previousEta = getKnownArrival(booking);
+
+    if (!newEta || flightStatus.status === 'cancelled') {
+        await booking.save();
+        return false;
+    }
+
+    const newArrival = new Date(newEta);
+
+    // First ETA we've seen - just record it as the baseline
+    if (!previousEta) {
+        booking.flight.estimatedTime = newArrival;
+        await booking.save();
+        return false;
+    }
+
+    const changeMinutes = Math.round((newArrival - previousEta) / MINUTE);
+    if (Math.abs(changeMinutes) < RESCHEDULE_THRESHOLD_MINUTES) {
+        await booking.save();
+        return false;
+    }
+
+    await reschedulePickup(booking, previousEta, newArrival, changeMinutes);
+    return true;
+}
+
+/**
+ * Move the pickup to keep the same gap after the new arrival time
+ */
+async function reschedulePickup(booking, previousEta, newArrival, changeMinutes) {
+    const previousPickup = booking.pickup.scheduledTime;
+
+    let bufferMinutes = Math.round((previousPickup - previousEta) / MINUTE);
+    if (Number.isNaN(bufferMinutes)) bufferMinutes = DEFAULT_PICKUP_BUFFER_MINUTES;
+
+    const newPickup = new Date(aviationService.calculatePickupTime(newArrival, bufferMinutes));
+
+    booking.flight.estimatedTime = newArrival;
+    if (booking.flight.scheduledTime) {
+        booking.flight.delayMinutes = Math.round((newArrival - booking.flight.scheduledTime) / MINUTE);
+        if (booking.flight.delayMinutes >= RESCHEDULE_THRESHOLD_MINUTES && booking.flight.status === 'scheduled') {
+            booking.flight.status = 'delayed';
+        }
+    }
+
+    if (!booking.pickup.originalScheduledTime) {
+        booking.pickup.originalScheduledTime = previousPickup;
+    }
+    booking.pickup.scheduledTime = newPickup;
+
+    booking.statusHistory.push({
+        status: booking.status,
+        timestamp: new Date(),
+        note: `Pickup moved from ${previousPickup.toISOString()} to ${newPickup.toISOString()} (flight ${booking.flight.number} ETA ${changeMinutes > 0 ? '+' : ''}${changeMinutes} min)`,
+        updatedBy: 'flight-watcher'
+    });
+
+    await booking.save();
+
+    console.log(`[FlightWatcher] ${booking.bookingReference}: pickup moved ${changeMinutes} min for ${booking.flight.number}`);
+
+    // The pickup is already moved - a failed notification shouldn't undo that
+    try {
+        await notificationService.sendFlightDelayNotification(booking, newArrival, previousEta);
+        await notificationService.sendDriverPickupRescheduledNotification(booking, previousPickup);
+    } catch (error) {
+        console.error(`[FlightWatcher] Notification failed for ${booking.bookingReference}:`, error.message);
+    }
+}
+
+// ========================================
+// Watch Flights (scheduled job)
+// ========================================
+async function watchFlights() {
+    const now = new Date();
+    const budget = await getPollingBudget(now);
+    const callsAtStart = (await aviationService.getApiUsage()).callsThisMonth;
+    const result = { checked: 0, rescheduled: 0, failed: 0, deferred: 0 };
+
+    const bookings = await Booking.find({
+        ...WATCHED_BOOKING_QUERY,
+        type: 'arrival',
+        'flight.number': { $exists: true },
+        'flight.status': { $nin: ['landed', 'cancelled'] },
+        'pickup.scheduledTime': {
+            $gt: new Date(now.getTime() - 2 * HOUR),
+            $lte: new Date(now.getTime() + WATCH_WINDOW)
+        }
+    }).sort({ 'pickup.scheduledTime': 1 });
+
+    // Group by flight so bookings on the same flight share one lookup
+    const byFlight = new Map();
+    for (const booking of bookings) {
+        if (!isDueForCheck(booking, now)) continue;
+
+        const flightBookings = byFlight.get(booking.flight.number) || [];
+        flightBookings.push(booking);
+        byFlight.set(booking.flight.number, flightBookings);
+    }
+
+    for (const [flightNumber, flightBookings] of byFlight) {
+        const callsUsed = (await aviationService.getApiUsage()).callsThisMonth - callsAtStart;
+        if (callsUsed >= budget.maxCalls) {
+            result.deferred += flightBookings.length;
+            continue;
+        }
+
+        let flightStatus;
+        try {
+            flightStatus = await aviationService.getFlightStatus(flightNumber);
+        } catch (error) {
+            if (error.message === 'RATE_LIMIT_EXCEEDED') {
+                result.rateLimited = true;
+                break;
+            }
+            result.failed += flightBookings.length;
+            continue;
+        }
+
+        for (const booking of flightBookings) {
+            try {
+                const rescheduled = await applyFlightStatus(booking, flightStatus);
+                result.checked++;
+                if (rescheduled) result.rescheduled++;
+            } catch (error) {
+                result.failed++;
+                console.error(`[FlightWatcher] Update failed for ${booking.bookingReference}:`, error.message);
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    watchFlights,
+    applyFlightStatus,
+    getPollingBudget,
+    getNextPollAt
+};
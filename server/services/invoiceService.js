@@ -0,0 +1,424 @@
+// ========================================
+// Invoice Service
+// ========================================
+// Corporate invoicing. When an account's billing period closes (weekly,
+// monthly or quarterly - CorporateAccount.reporting.frequency) every
+// completed trip not yet invoiced goes on a numbered invoice, broken
+// down by cost center and project code. The PDF (and a CSV of the trips
+// for accounts that want spreadsheets) is emailed to the billing
+// contacts, and the invoice is tracked until it's paid or overdue.
+// ========================================
+
+const Booking = require('../models/Booking');
+const CorporateAccount = require('../models/CorporateAccount');
+const Invoice = require('../models/Invoice');
+const corporatePricingService = require('./corporatePricingService');
+const corporateBalanceService = require('./corporateBalanceService');
+const pdfService = require('./pdfService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Error for an invoice that can't be issued or changed. Routes answer
+ * 404 for NOT_FOUND and 409 otherwise, with error.code.
+ */
+function invoiceError(code, message) {
+    const error = new Error(message);
+    error.name = 'InvoiceError';
+    error.code = code;
+    return error;
+}
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// ========================================
+// Billing Periods
+// ========================================
+
+/**
+ * Start (server local time) of the weekly, monthly or quarterly period `date` is in
+ */
+function getPeriodStart(frequency, date = new Date()) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (frequency === 'weekly') {
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // Monday
+        return start;
+    }
+    start.setDate(1);
+    if (frequency === 'quarterly') {
+        start.setMonth(start.getMonth() - (start.getMonth() % 3));
+    }
+    return start;
+}
+
+/**
+ * The last period that has closed by `now`, e.g. all of September on any day in October
+ * @returns {Object} { start, end, frequency } - end is exclusive
+ */
+function getClosedPeriod(frequency = 'monthly', now = new Date()) {
+    const end = getPeriodStart(frequency, now);
+    const start = getPeriodStart(frequency, new Date(end.getTime() - 1));
+    return { start, end, frequency };
+}
+
+// ========================================
+// Issuing
+// ========================================
+
+function toBreakdown(groups) {
+    return Object.entries(groups)
+        .map(([code, group]) => ({ code, count: group.count, total: round2(group.total) }))
+        .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * Create the invoice with the next number, trying again if another
+ * process took the number first
+ */
+async function createNumbered(data, attempts = 3) {
+    const year = data.issuedAt.getFullYear();
+    try {
+        return await Invoice.create({ ...data, invoiceNumber: await Invoice.nextInvoiceNumber(year) });
+    } catch (error) {
+        if (error.code === 11000 && error.keyPattern?.invoiceNumber && attempts > 1) {
+            return createNumbered(data, attempts - 1);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Invoice an account's completed trips up to the end of a closed period.
+ * Trips from earlier periods that missed their invoice are included.
+ * Safe to call twice - the period's existing invoice is returned.
+ * @param {Object} account - CorporateAccount
+ * @param {Object} period - { start, end, frequency }
+ * @returns {Object|null} The invoice, or null if there was nothing to bill
+ */
+async function generateInvoice(account, period) {
+    if (period.end > new Date()) {
+        throw invoiceError('PERIOD_OPEN', 'The billing period has not closed yet');
+    }
+
+    const existing = await Invoice.findOne({ corporateAccountId: account._id, 'period.start': period.start });
+    if (existing) return existing;
+
+    const bookings = await Booking.find({
+        corporateAccountId: account._id,
+        status: 'completed',
+        invoiceId: null,
+        'pickup.scheduledTime': { $lt: period.end }
+    }).sort({ 'pickup.scheduledTime': 1 });
+
+    if (!bookings.length) return null;
+
+    const currency = account.billing?.currency || 'USD';
+    const amountOf = (booking) => round2((currency === 'ETB' ? booking.pricing?.totalETB : booking.pricing?.totalUSD) || 0);
+    const requirePO = !!account.billing?.requirePO;
+
+    const lines = bookings.map(booking => ({
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        date: booking.pickup.scheduledTime,
+        passengerName: booking.contact?.name,
+        pickup: booking.pickup.location,
+        dropoff: booking.dropoff?.location,
+        vehicleClass: booking.vehicleClass,
+        costCenter: booking.costCenter || booking.corporateReference,
+        projectCode: booking.projectCode,
+        poNumber: booking.poNumber,
+        amount: amountOf(booking)
+    }));
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    const issuedAt = new Date();
+    const paymentTerms = account.billing?.paymentTerms ?? 30;
+    const address = account.address || {};
+
+    let invoice;
+    try {
+        invoice = await createNumbered({
+            corporateAccountId: account._id,
+            accountId: account.accountId,
+            billTo: {
+                name: account.company.name,
+                legalName: account.company.legalName,
+                taxId: account.company.taxId,
+                address: {
+                    street: address.street,
+                    city: address.city,
+                    region: address.region,
+                    postalCode: address.postalCode,
+                    country: address.country
+                },
+                contactName: account.contact?.billing?.name || account.contact?.primary?.name,
+                email: getRecipients(account)[0]
+            },
+            period,
+            lines,
+            byCostCenter: toBreakdown(corporatePricingService.groupByCostCenter(bookings, amountOf)),
+            byProjectCode: toBreakdown(corporatePricingService.groupByProjectCode(bookings, amountOf)),
+            poNumbers: requirePO ? [...new Set(lines.map(line => line.poNumber).filter(Boolean))] : [],
+            requirePO,
+            currency,
+            subtotal,
+            total: subtotal,
+            paymentTerms,
+            issuedAt,
+            dueDate: new Date(issuedAt.getTime() + paymentTerms * DAY)
+        });
+    } catch (error) {
+        // Another process issued this period's invoice first
+        if (error.code === 11000 && !error.keyPattern?.invoiceNumber) {
+            return Invoice.findOne({ corporateAccountId: account._id, 'period.start': period.start });
+        }
+        throw error;
+    }
+
+    await Booking.updateMany(
+        { _id: { $in: bookings.map(booking => booking._id) } },
+        { $set: { invoiceId: invoice._id } }
+    );
+
+    // Prepaid accounts paid for their trips up front - the invoice is their receipt
+    if (account.billing?.method === 'prepaid') {
+        invoice.payments.push({ amount: invoice.total, method: 'prepaid_balance', paidAt: issuedAt });
+        invoice.amountPaid = invoice.total;
+        invoice.status = 'paid';
+        invoice.paidAt = issuedAt;
+        await invoice.save();
+    }
+
+    console.log(`[Invoices] ${invoice.invoiceNumber} issued to ${account.accountId}: ${lines.length} trips, ${currency} ${subtotal}`);
+    await auditService.logInvoiceIssued(invoice);
+
+    return invoice;
+}
+
+// ========================================
+// Delivery
+// ========================================
+
+const CSV_COLUMNS = ['date', 'bookingReference', 'passengerName', 'pickup', 'dropoff', 'vehicleClass', 'costCenter', 'projectCode', 'poNumber', 'amount'];
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The invoice's trips as CSV, for accounts that report in spreadsheets
+ */
+function toCsv(invoice) {
+    const rows = invoice.lines.map(line => CSV_COLUMNS.map(column => csvValue({
+        ...line.toObject?.() ?? line,
+        date: new Date(line.date).toISOString().slice(0, 10),
+        amount: line.amount.toFixed(2)
+    }[column])).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Billing email (or the billing / primary contact) plus the account's report recipients
+ */
+function getRecipients(account) {
+    const billingEmail = account.billing?.invoiceEmail || account.contact?.billing?.email || account.contact?.primary?.email;
+    const emails = [billingEmail, ...(account.reporting?.recipients || [])]
+        .filter(Boolean)
+        .map(email => email.trim().toLowerCase());
+    return [...new Set(emails)];
+}
+
+/**
+ * Email the invoice in the account's report format(s)
+ * @returns {Object} invoice.delivery
+ */
+async function deliverInvoice(invoice, account) {
+    const recipients = getRecipients(account);
+    const format = account.reporting?.format || 'pdf';
+    const attachments = [];
+
+    if (format === 'pdf' || format === 'both') {
+        attachments.push({
+            filename: `ShuttlePlus-Invoice-${invoice.invoiceNumber}.pdf`,
+            content: await pdfService.generateInvoicePDF(invoice),
+            contentType: 'application/pdf'
+        });
+    }
+    if (format === 'excel' || format === 'both') {
+        attachments.push({
+            filename: `ShuttlePlus-Invoice-${invoice.invoiceNumber}.csv`,
+            content: Buffer.from(toCsv(invoice)),
+            contentType: 'text/csv'
+        });
+    }
+
+    const result = recipients.length
+        ? await emailService.sendCorporateInvoiceEmail(invoice, recipients, attachments)
+        : { success: false, error: 'No billing email on the account' };
+
+    invoice.delivery = {
+        recipients,
+        sentAt: result.success ? new Date() : invoice.delivery?.sentAt,
+        error: result.success ? undefined : result.error
+    };
+    await invoice.save();
+
+    return invoice.delivery;
+}
+
+// ========================================
+// Payment Tracking
+// ========================================
+
+async function findInvoice(invoiceNumber) {
+    const invoice = await Invoice.findOne({ invoiceNumber });
+    if (!invoice) {
+        throw invoiceError('NOT_FOUND', 'Invoice not found');
+    }
+    return invoice;
+}
+
+/**
+ * Record money received against an invoice; it's paid once nothing is left to pay
+ * @param {string} invoiceNumber
+ * @param {Object} payment - { amount, method, reference, paidAt }
+ * @param {Object} recordedBy - Admin { _id, email }
+ */
+async function recordPayment(invoiceNumber, payment, recordedBy, req) {
+    const invoice = await findInvoice(invoiceNumber);
+    if (!['issued', 'overdue'].includes(invoice.status)) {
+        throw invoiceError('NOT_PAYABLE', `Invoice is ${invoice.status}`);
+    }
+
+    const amount = round2(parseFloat(payment.amount));
+    if (!(amount > 0)) {
+        throw invoiceError('INVALID_AMOUNT', 'Payment amount must be more than zero');
+    }
+    if (amount > invoice.balanceDue) {
+        throw invoiceError('INVALID_AMOUNT', `Payment is more than the ${invoice.currency} ${invoice.balanceDue} due`);
+    }
+
+    const paidAt = payment.paidAt ? new Date(payment.paidAt) : new Date();
+    invoice.payments.push({
+        amount,
+        method: payment.method || 'bank_transfer',
+        reference: payment.reference,
+        paidAt,
+        recordedBy: recordedBy?.email
+    });
+    invoice.amountPaid = round2(invoice.amountPaid + amount);
+
+    if (invoice.balanceDue <= 0) {
+        invoice.status = 'paid';
+        invoice.paidAt = paidAt;
+    }
+    await invoice.save();
+
+    // Credit and postpaid accounts get the money back on their balance (and credit limit)
+    const account = await CorporateAccount.findById(invoice.corporateAccountId);
+    if (account) {
+        await corporateBalanceService.recordInvoicePayment(account, invoice, amount);
+    }
+
+    await auditService.logInvoicePayment(invoice, { amount, ...payment }, recordedBy, req);
+
+    return invoice;
+}
+
+/**
+ * Cancel an unpaid invoice. Its trips are freed to go on the account's next invoice.
+ */
+async function voidInvoice(invoiceNumber, reason, voidedBy, req) {
+    const invoice = await findInvoice(invoiceNumber);
+    if (invoice.status === 'void') {
+        throw invoiceError('ALREADY_VOID', 'Invoice is already void');
+    }
+    if (invoice.amountPaid > 0) {
+        throw invoiceError('HAS_PAYMENTS', 'Invoice has payments recorded against it');
+    }
+
+    invoice.status = 'void';
+    invoice.voidedAt = new Date();
+    invoice.voidReason = reason;
+    await invoice.save();
+
+    await Booking.updateMany({ invoiceId: invoice._id }, { $unset: { invoiceId: '' } });
+    await auditService.logInvoiceVoided(invoice, voidedBy, req);
+
+    return invoice;
+}
+
+/**
+ * Mark issued invoices past their due date overdue
+ * @returns {number} Invoices newly overdue
+ */
+async function markOverdue(now = new Date()) {
+    const overdue = await Invoice.find({ status: 'issued', dueDate: { $lt: now } }).select('invoiceNumber accountId currency total amountPaid');
+    if (!overdue.length) return 0;
+
+    await Invoice.updateMany(
+        { _id: { $in: overdue.map(invoice => invoice._id) }, status: 'issued' },
+        { $set: { status: 'overdue', overdueAt: now } }
+    );
+
+    await notificationService.sendAdminAlert(
+        'Corporate invoices overdue',
+        overdue.map(invoice => `${invoice.invoiceNumber} (${invoice.accountId}): ${invoice.currency} ${invoice.balanceDue} due`).join('\n')
+    );
+
+    return overdue.length;
+}
+
+// ========================================
+// Scheduled Run
+// ========================================
+
+/**
+ * Invoice every active account whose period has closed, send invoices
+ * that haven't gone out yet, and flag overdue ones (scheduled job, daily)
+ */
+async function runInvoicing(now = new Date()) {
+    const result = { issued: 0, delivered: 0, failed: 0, overdue: 0 };
+    const accounts = await CorporateAccount.find({ status: 'active' });
+
+    for (const account of accounts) {
+        try {
+            const period = getClosedPeriod(account.reporting?.frequency, now);
+            const isNew = !(await Invoice.exists({ corporateAccountId: account._id, 'period.start': period.start }));
+            const invoice = await generateInvoice(account, period);
+            if (!invoice) continue;
+            if (isNew) result.issued++;
+
+            if (!invoice.delivery?.sentAt && invoice.status !== 'void') {
+                const delivery = await deliverInvoice(invoice, account);
+                if (delivery.sentAt) result.delivered++;
+                else result.failed++;
+            }
+        } catch (error) {
+            result.failed++;
+            console.error(`[Invoices] Invoicing ${account.accountId} failed:`, error.message);
+        }
+    }
+
+    result.overdue = await markOverdue(now);
+    return result;
+}
+
+module.exports = {
+    getPeriodStart,
+    getClosedPeriod,
+    generateInvoice,
+    deliverInvoice,
+    getRecipients,
+    toCsv,
+    recordPayment,
+    voidInvoice,
+    markOverdue,
+    runInvoicing
+};
@@ -0,0 +1,274 @@
+// ========================================
+// Job Scheduler Service
+// ========================================
+// Runs registered background jobs on a schedule. Job state lives in
+// Mongo (models/Job) so schedules survive restarts, and every run is
+// guarded by a cacheService lock so only one instance executes a job
+// at a time when several servers are running.
+// ========================================
+
+const os = require('os');
+const Job = require('../models/Job');
+const cacheService = require('./cacheService');
+
+const DEFAULT_TICK_MS = 30 * 1000; // 30 seconds
+const DEFAULT_LOCK_TTL = 10 * 60; // 10 minutes (seconds)
+
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.running = new Set();
+        this.timer = null;
+        this.started = false;
+        this.tickInterval = parseInt(process.env.JOB_TICK_MS) || DEFAULT_TICK_MS;
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+    }
+
+    /**
+     * Register a job
+     * @param {string} name - Unique job name
+     * @param {Object} definition - Job definition
+     * @param {Function} definition.handler - Async work function; its return value is stored as lastResult
+     * @param {number} [definition.interval] - Milliseconds between runs
+     * @param {Function} [definition.getNextRunAt] - Custom schedule: (fromDate) => Date (or a promise of one)
+     * @param {boolean} [definition.runOnStart] - Run on the first tick after the job is created
+     * @param {number} [definition.lockTtl] - Lock TTL in seconds, longer than the slowest run
+     * @param {string} [definition.description] - Shown in the admin job list
+     */
+    register(name, definition) {
+        if (typeof definition?.handler !== 'function') {
+            throw new Error(`Job ${name} requires a handler`);
+        }
+        if (!definition.interval && !definition.getNextRunAt) {
+            throw new Error(`Job ${name} requires an interval or getNextRunAt`);
+        }
+
+        this.jobs.set(name, {
+            lockTtl: DEFAULT_LOCK_TTL,
+            ...definition,
+            name
+        });
+    }
+
+    /**
+     * Check if a job is registered
+     */
+    has(name) {
+        return this.jobs.has(name);
+    }
+
+    /**
+     * Compute the next run time for a job
+     */
+    async getNextRunAt(job, from = new Date()) {
+        if (job.getNextRunAt) {
+            return job.getNextRunAt(from);
+        }
+        return new Date(from.getTime() + job.interval);
+    }
+
+    /**
+     * Create missing job documents and start the tick timer
+     */
+    async start() {
+        if (this.started) return;
+
+        for (const job of this.jobs.values()) {
+            const nextRunAt = job.runOnStart ? new Date() : await this.getNextRunAt(job);
+            await Job.findOneAndUpdate(
+                { name: job.name },
+                {
+                    $set: {
+                        description: job.description,
+                        interval: job.interval
+                    },
+                    $setOnInsert: {
+                        nextRunAt
+                    }
+                },
+                { upsert: true }
+            );
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(err => console.error('[Jobs] Tick failed:', err.message));
+        }, this.tickInterval);
+
+        // Don't keep the process alive just for the scheduler
+        if (this.timer.unref) this.timer.unref();
+
+        this.started = true;
+        console.log(`[Jobs] Scheduler started: ${this.jobs.size} jobs, tick every ${this.tickInterval / 1000}s`);
+    }
+
+    /**
+     * Stop the tick timer (running jobs finish on their own)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.started = false;
+    }
+
+    /**
+     * Run every job that is due
+     */
+    async tick() {
+        const due = await Job.find({
+            name: { $in: [...this.jobs.keys()] },
+            paused: false,
+            nextRunAt: { $lte: new Date() }
+        }).select('name');
+
+        for (const doc of due) {
+            await this.execute(doc.name, 'schedule');
+        }
+    }
+
+    /**
+     * Execute a job under its distributed lock
+     * @param {string} name - Job name
+     * @param {string} trigger - 'schedule' or 'manual'
+     */
+    async execute(name, trigger = 'schedule') {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        if (this.running.has(name)) {
+            return { status: 'skipped', reason: 'already_running' };
+        }
+
+        const lockName = `job:${name}`;
+        // Per-run token, so a run that outlives its lock can't release another instance's
+        const lockToken = await cacheService.acquireLock(lockName, job.lockTtl);
+        if (!lockToken) {
+            return { status: 'skipped', reason: 'locked' };
+        }
+
+        this.running.add(name);
+
+        try {
+            // Re-check under the lock - another instance may have just run it
+            if (trigger === 'schedule') {
+                const doc = await Job.findOne({ name });
+                if (!doc || doc.paused || (doc.nextRunAt && doc.nextRunAt > new Date())) {
+                    return { status: 'skipped', reason: 'not_due' };
+                }
+            }
+
+            const startedAt = new Date();
+            let status = 'success';
+            let error = null;
+            let result = null;
+
+            try {
+                result = await job.handler({ name, trigger, startedAt });
+            } catch (err) {
+                status = 'failed';
+                error = err.message;
+                console.error(`[Jobs] ${name} failed:`, err.message);
+            }
+
+            const finishedAt = new Date();
+            const run = {
+                name,
+                trigger,
+                status,
+                error,
+                result,
+                startedAt,
+                finishedAt,
+                durationMs: finishedAt - startedAt,
+                instance: this.instanceId
+            };
+
+            // Manual runs don't move the schedule
+            const nextRunAt = trigger === 'schedule' ? await this.getNextRunAt(job, startedAt) : null;
+            await Job.recordRun(name, run, nextRunAt);
+
+            if (status === 'success') {
+                console.log(`[Jobs] ${name} completed in ${run.durationMs}ms`);
+            }
+
+            return run;
+
+        } finally {
+            this.running.delete(name);
+            const released = await cacheService.releaseLock(lockName, lockToken);
+            if (!released) {
+                console.warn(`[Jobs] ${name} ran longer than its ${job.lockTtl}s lock - raise lockTtl`);
+            }
+        }
+    }
+
+    /**
+     * Run a job immediately, outside its schedule
+     */
+    async runNow(name) {
+        return this.execute(name, 'manual');
+    }
+
+    /**
+     * Pause a job
+     */
+    async pause(name, pausedBy = 'admin') {
+        return Job.findOneAndUpdate(
+            { name },
+            { $set: { paused: true, pausedAt: new Date(), pausedBy } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Resume a paused job
+     */
+    async resume(name) {
+        const doc = await Job.findOne({ name });
+        if (!doc) return null;
+
+        doc.paused = false;
+        doc.pausedAt = undefined;
+        doc.pausedBy = undefined;
+
+        // Catch up once if the job missed its slot while paused
+        if (!doc.nextRunAt || doc.nextRunAt < new Date()) {
+            doc.nextRunAt = new Date();
+        }
+
+        return doc.save();
+    }
+
+    /**
+     * List jobs with their persisted state
+     */
+    async list() {
+        const docs = await Job.find({}).sort({ name: 1 });
+
+        return docs.map(doc => ({
+            ...doc.toJSON(),
+            registered: this.jobs.has(doc.name),
+            running: this.running.has(doc.name)
+        }));
+    }
+
+    /**
+     * Get one job with its persisted state
+     */
+    async get(name) {
+        const doc = await Job.findOne({ name });
+        if (!doc) return null;
+
+        return {
+            ...doc.toJSON(),
+            registered: this.jobs.has(name),
+            running: this.running.has(name)
+        };
+    }
+}
+
+// Singleton instance
+module.exports = new JobScheduler();
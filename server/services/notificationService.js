@@ -278,10 +278,14 @@ async function sendDriverArrivedNotification(booking, language = 'en') {
     return message;
 }
 
-async function sendFlightDelayNotification(booking, newArrivalTime, language = 'en') {
+// Worded for a delay or an early arrival by comparing with previousArrivalTime
+// (the ETA before this change, or the scheduled arrival)
+async function sendFlightDelayNotification(booking, newArrivalTime, previousArrivalTime, language = 'en') {
+    const originalTime = previousArrivalTime || booking.flight.scheduledTime;
+    const early = new Date(newArrivalTime) < new Date(originalTime);
     const message = {
-        title: 'Flight Delay Detected',
-        body: `Your flight is delayed. New arrival: ${new Date(newArrivalTime).toLocaleTimeString()}. We've updated your pickup time.`,
+        title: early ? 'Flight Arriving Early' : 'Flight Delay Detected',
+        body: `Your flight is ${early ? 'arriving early' : 'delayed'}. New arrival: ${new Date(newArrivalTime).toLocaleTimeString()}. We've updated your pickup time.`,
         tag: 'flight-delay',
         data: {
             type: 'flight_delay',
@@ -292,13 +296,12 @@ async function sendFlightDelayNotification(booking, newArrivalTime, language = '
     const results = { sms: null, email: null };
 
     // Send SMS using template
-    const originalTime = booking.flight.scheduledTime;
     const smsMessage = smsTemplates.getFlightDelay(booking, originalTime, newArrivalTime, language);
     results.sms = await sendSMS(booking.contact.phone, smsMessage);
 
     // Send flight delay email
     if (booking.contact.email) {
-        results.email = await emailService.sendFlightDelayEmail(booking, newArrivalTime);
+        results.email = await emailService.sendFlightDelayEmail(booking, newArrivalTime, originalTime);
     }
 
     booking.notificationsSent.push({
@@ -313,6 +316,27 @@ async function sendFlightDelayNotification(booking, newArrivalTime, language = '
     return message;
 }
 
+async function sendDriverPickupRescheduledNotification(booking, originalPickupTime, language = 'en') {
+    if (!booking.driver?.driverId) {
+        return null;
+    }
+
+    const results = { sms: null, email: null };
+
+    if (booking.driver.phone) {
+        const smsMessage = smsTemplates.getDriverPickupRescheduled(booking, originalPickupTime, language);
+        results.sms = await sendSMS(booking.driver.phone, smsMessage);
+    }
+
+    const Driver = require('../models/Driver');
+    const driver = await Driver.findById(booking.driver.driverId).select('firstName lastName email notificationPreferences');
+    if (driver?.email && driver.notificationPreferences?.email !== false) {
+        results.email = await emailService.sendDriverPickupRescheduledEmail(booking, driver, originalPickupTime);
+    }
+
+    return results;
+}
+
 async function sendCancellationNotification(booking, refundAmount = null, language = 'en') {
     const results = { sms: null, email: null };
 
@@ -335,6 +359,64 @@ async function sendCancellationNotification(booking, refundAmount = null, langua
     await booking.save();
 }
 
+// ========================================
+// Driver Trip Offer (dispatch)
+// ========================================
+async function sendDriverTripOffer(driver, booking, offer, language = 'en') {
+    const results = { push: null, sms: null };
+    const prefs = driver.notificationPreferences || {};
+    const respondWithin = Math.round((offer.expiresAt - offer.offeredAt) / 1000);
+
+    if (prefs.push !== false && driver.pushSubscription?.endpoint) {
+        results.push = await sendPushNotification(driver.pushSubscription, {
+            title: 'New Trip Offer',
+            body: `${booking.pickup.location} to ${booking.dropoff.location}. Respond within ${respondWithin}s`,
+            icon: '/images/icons/icon-192x192.png',
+            tag: `trip-offer-${offer._id}`,
+            data: {
+                type: 'trip_offer',
+                offerId: offer._id.toString(),
+                bookingId: booking._id.toString(),
+                url: '/pages/driver/dashboard.html'
+            }
+        });
+    }
+
+    // SMS when push isn't available or failed
+    if (!results.push?.success && prefs.sms !== false && driver.phone) {
+        const smsMessage = smsTemplates.getDriverNewTrip(booking, language);
+        results.sms = await sendSMS(driver.phone, smsMessage);
+    }
+
+    return results;
+}
+
+// ========================================
+// Admin Alerts
+// ========================================
+async function sendAdminAlert(subject, message) {
+    const results = { sms: null, email: null };
+
+    if (process.env.ADMIN_ALERT_PHONE) {
+        results.sms = await sendSMS(process.env.ADMIN_ALERT_PHONE, `Shuttle Plus Admin: ${message}`);
+    }
+
+    if (process.env.ADMIN_ALERT_EMAIL) {
+        results.email = await emailService.sendEmail({
+            to: process.env.ADMIN_ALERT_EMAIL,
+            subject: `[Shuttle Plus] ${subject}`,
+            html: `<p>${message}</p>`,
+            text: message
+        });
+    }
+
+    if (!results.sms && !results.email) {
+        console.warn(`[Notification] Admin alert (no recipients configured): ${subject} - ${message}`);
+    }
+
+    return results;
+}
+
 // ========================================
 // Trip Reminder Notification
 // ========================================
@@ -363,6 +445,7 @@ async function sendTripReminderNotification(booking, reminderType = '2h', langua
 
     booking.notificationsSent.push({
         type: 'trip_reminder',
+        reminderType,
         channel: 'multi',
         sentAt: new Date(),
         status: 'sent',
@@ -408,9 +491,12 @@ module.exports = {
     sendDriverEnrouteNotification,
     sendDriverArrivedNotification,
     sendFlightDelayNotification,
+    sendDriverPickupRescheduledNotification,
     sendCancellationNotification,
     sendTripReminderNotification,
     sendTripCompletedNotification,
+    sendDriverTripOffer,
+    sendAdminAlert,
     emailService,
     smsTemplates
 };
@@ -0,0 +1,340 @@
+// ========================================
+// OTP Service
+// ========================================
+// Phone login codes for customers (POST /api/auth/login, /register,
+// /verify-otp, /resend-otp). Codes are generated and hashed by
+// twoFactorService and only the hash is stored on the user.
+//
+// Limits, per phone number:
+//   - MAX_ATTEMPTS wrong guesses throw the code away and lock phone
+//     login; each lockout within LOCKOUT_MEMORY_HOURS of the last one
+//     lasts twice as long (15 min, 30 min, 1 h ... up to 24 h)
+//   - RESEND_COOLDOWN_SECONDS between codes, at most MAX_SENDS_PER_HOUR
+//
+// Codes to unverified numbers also share an hourly budget per number
+// prefix (UNVERIFIED_SENDS_PER_HOUR), so a script walking through new
+// numbers can't run up the SMS bill.
+//
+// Codes go out by SMS. If that fails, the channels in
+// OTP_FALLBACK_CHANNELS (whatsapp, email) are tried in turn, and the
+// user can ask for a code on one of them directly.
+// ========================================
+
+const User = require('../models/User');
+const twoFactorService = require('./twoFactorService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const LOCKOUT_MEMORY_HOURS = 24;
+const UNVERIFIED_SENDS_PER_HOUR = parseInt(process.env.OTP_UNVERIFIED_SENDS_PER_HOUR) || 100;
+const UNVERIFIED_PREFIX_LENGTH = 6; // +251 and the first two digits (the operator range)
+
+const CHANNELS = ['sms', 'whatsapp', 'email'];
+const FALLBACK_CHANNELS = (process.env.OTP_FALLBACK_CHANNELS || '')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(channel => channel === 'whatsapp' || channel === 'email');
+
+const ERROR_STATUS_CODES = {
+    LOCKED: 429,
+    RESEND_COOLDOWN: 429,
+    SEND_LIMIT: 429,
+    CHANNEL_UNAVAILABLE: 400,
+    NO_CODE: 400,
+    CODE_EXPIRED: 400,
+    INVALID_CODE: 400,
+    DELIVERY_FAILED: 502
+};
+
+/**
+ * Error for a code that can't be sent or accepted. Routes answer with
+ * error.statusCode, error.code and, when set, error.retryAfter (seconds)
+ * and error.attemptsRemaining.
+ */
+function otpError(code, message, extra = {}) {
+    const error = new Error(message);
+    error.name = 'OtpError';
+    error.code = code;
+    error.statusCode = ERROR_STATUS_CODES[code];
+    Object.assign(error, extra);
+    return error;
+}
+
+function secondsUntil(date) {
+    return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+function expiryMinutes() {
+    return Math.round(twoFactorService.smsOtpExpiry / 60000);
+}
+
+/**
+ * Channels a code can be sent on for this user
+ */
+function getAvailableChannels(user) {
+    return ['sms', ...FALLBACK_CHANNELS.filter(channel => channel !== 'email' || user.email)];
+}
+
+function assertNotLocked(user, req) {
+    const lockedUntil = user.otpLockout?.lockedUntil;
+    if (lockedUntil && lockedUntil > new Date()) {
+        auditService.logOtpEvent('auth.otp_throttled', user, req, { reason: 'locked', lockedUntil });
+        throw otpError('LOCKED', 'Too many wrong codes. Phone login is locked for now, please try again later.', {
+            retryAfter: secondsUntil(lockedUntil)
+        });
+    }
+}
+
+// ========================================
+// Sending
+// ========================================
+
+/**
+ * The user for a phone number, created unverified if there isn't one.
+ * Upserted so parallel requests for a new number share one user.
+ * @param {Object} [fields] - Set only when the user is created
+ */
+async function findOrCreateUser(phone, fields = {}) {
+    const upsert = () => User.findOneAndUpdate(
+        { phone },
+        { $setOnInsert: { ...fields, phone } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    try {
+        return await upsert();
+    } catch (error) {
+        // Two upserts can both try the insert; the loser finds the winner's user
+        if (error.code !== 11000) throw error;
+        return upsert();
+    }
+}
+
+async function consumeUnverifiedBudget(user, req) {
+    const hour = Math.floor(Date.now() / (60 * 60 * 1000));
+    const prefix = user.phone.slice(0, UNVERIFIED_PREFIX_LENGTH);
+    const count = await cacheService.increment(`otp:unverified:${prefix}:${hour}`, 60 * 60);
+
+    if (count > UNVERIFIED_SENDS_PER_HOUR) {
+        await auditService.logOtpEvent('auth.otp_throttled', user, req, { reason: 'unverified_budget', prefix });
+        throw otpError('SEND_LIMIT', 'We are sending too many codes right now, please try again later', {
+            retryAfter: secondsUntil((hour + 1) * 60 * 60 * 1000)
+        });
+    }
+}
+
+/**
+ * Send a new login code (replacing any earlier one) to a saved user
+ * @param {Object} options - { channel } to ask for a specific channel
+ * @returns {Object} { channel, expiresAt, resendAvailableAt }
+ */
+async function sendCode(user, req, { channel } = {}) {
+    if (channel && !getAvailableChannels(user).includes(channel)) {
+        throw otpError('CHANNEL_UNAVAILABLE', `Codes can be sent by ${getAvailableChannels(user).join(', ')}`);
+    }
+
+    assertNotLocked(user, req);
+
+    const now = new Date();
+    const otp = user.otp || {};
+
+    if (otp.lastSentAt && now - otp.lastSentAt < RESEND_COOLDOWN_SECONDS * 1000) {
+        const resendAt = new Date(otp.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000);
+        throw otpError('RESEND_COOLDOWN', 'Please wait before asking for another code', {
+            retryAfter: secondsUntil(resendAt)
+        });
+    }
+
+    const windowOpen = otp.sendWindowStart && now - otp.sendWindowStart < 60 * 60 * 1000;
+    const sendCount = windowOpen ? otp.sendCount : 0;
+    if (sendCount >= MAX_SENDS_PER_HOUR) {
+        await auditService.logOtpEvent('auth.otp_throttled', user, req, { reason: 'send_limit', sendCount });
+        throw otpError('SEND_LIMIT', 'Too many codes requested for this number, please try again later', {
+            retryAfter: secondsUntil(otp.sendWindowStart.getTime() + 60 * 60 * 1000)
+        });
+    }
+
+    // Claim the send atomically so parallel requests can't each send a code
+    const cutoff = new Date(now.getTime() - RESEND_COOLDOWN_SECONDS * 1000);
+    const claimed = await User.updateOne(
+        { _id: user._id, $or: [{ 'otp.lastSentAt': null }, { 'otp.lastSentAt': { $lte: cutoff } }] },
+        { $set: { 'otp.lastSentAt': now } }
+    );
+    if (!claimed.modifiedCount) {
+        throw otpError('RESEND_COOLDOWN', 'Please wait before asking for another code', {
+            retryAfter: RESEND_COOLDOWN_SECONDS
+        });
+    }
+
+    if (!user.isVerified) {
+        await consumeUnverifiedBudget(user, req);
+    }
+
+    const { otp: code, expiresAt, hashedOtp } = twoFactorService.generateSMSOTP();
+    const sentOn = await deliverCode(user, code, channel, req);
+
+    user.otp = {
+        codeHash: hashedOtp,
+        expiresAt,
+        attempts: 0,
+        channel: sentOn || undefined,
+        lastSentAt: now,
+        sendCount: sendCount + 1,
+        sendWindowStart: windowOpen ? otp.sendWindowStart : now
+    };
+    await user.save();
+
+    if (!sentOn) {
+        throw otpError('DELIVERY_FAILED', 'We could not send your code. Please try again shortly.');
+    }
+
+    return {
+        channel: sentOn,
+        expiresAt,
+        resendAvailableAt: new Date(now.getTime() + RESEND_COOLDOWN_SECONDS * 1000)
+    };
+}
+
+// Try the asked-for channel (SMS by default), then the fallbacks
+// @returns {string|null} The channel the code went out on
+async function deliverCode(user, code, channel, req) {
+    const order = channel
+        ? [channel]
+        : getAvailableChannels(user);
+
+    for (const candidate of order) {
+        let result;
+        try {
+            result = await sendOnChannel(candidate, user, code);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (result.success) {
+            if (candidate !== 'sms' && !channel) {
+                await auditService.logOtpEvent('auth.otp_fallback_used', user, req, { channel: candidate });
+            }
+            return candidate;
+        }
+
+        await auditService.logOtpEvent('auth.otp_delivery_failed', user, req, {
+            channel: candidate,
+            error: result.error
+        });
+    }
+
+    return null;
+}
+
+function sendOnChannel(channel, user, code) {
+    switch (channel) {
+        case 'whatsapp':
+            return notificationService.sendWhatsApp(user.phone, `Your Shuttle Plus login code is: *${code}*`);
+        case 'email':
+            return emailService.sendLoginCodeEmail(user, code, expiryMinutes());
+        default:
+            return notificationService.sendSMS(user.phone, `Your Shuttle Plus login code is: ${code}`);
+    }
+}
+
+// ========================================
+// Verifying
+// ========================================
+
+/**
+ * Check a login code. On success the code is cleared on `user` (the
+ * caller saves it); a wrong code is counted, and the last allowed wrong
+ * code locks phone login.
+ * @throws OtpError LOCKED, NO_CODE, CODE_EXPIRED or INVALID_CODE
+ */
+async function verifyCode(user, code, req) {
+    assertNotLocked(user, req);
+
+    // Count the attempt first, atomically, so parallel guesses can't get
+    // past MAX_ATTEMPTS
+    const counted = await User.findOneAndUpdate(
+        { _id: user._id, 'otp.codeHash': { $exists: true, $ne: null } },
+        { $inc: { 'otp.attempts': 1 } },
+        { new: true }
+    );
+    if (!counted) {
+        throw otpError('NO_CODE', 'Invalid or expired verification code. Please request a new one.');
+    }
+
+    const { attempts, codeHash, expiresAt } = counted.otp;
+    if (attempts > MAX_ATTEMPTS) {
+        throw otpError('INVALID_CODE', 'Invalid or expired verification code. Please request a new one.', {
+            attemptsRemaining: 0
+        });
+    }
+
+    const result = twoFactorService.verifySMSOTP(String(code), codeHash, expiresAt);
+    if (result.valid) {
+        user.clearOTP();
+        return;
+    }
+
+    if (result.reason === 'expired') {
+        throw otpError('CODE_EXPIRED', 'This code has expired. Please request a new one.');
+    }
+
+    await auditService.logOtpEvent('auth.otp_failed', user, req, { attempts });
+
+    if (attempts >= MAX_ATTEMPTS) {
+        const lockout = await lockPhoneLogin(user, req);
+        throw otpError('LOCKED', 'Too many wrong codes. Phone login is locked for now, please try again later.', {
+            retryAfter: secondsUntil(lockout.lockedUntil)
+        });
+    }
+
+    throw otpError('INVALID_CODE', 'Invalid verification code', {
+        attemptsRemaining: MAX_ATTEMPTS - attempts
+    });
+}
+
+// Throw the code away and lock phone login; lockouts close together get longer
+async function lockPhoneLogin(user, req) {
+    const now = new Date();
+    const previous = user.otpLockout || {};
+    const recent = previous.lastLockedAt && now - previous.lastLockedAt < LOCKOUT_MEMORY_HOURS * 60 * 60 * 1000;
+    const count = recent ? previous.count + 1 : 1;
+
+    const minutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** (count - 1), MAX_LOCKOUT_MINUTES);
+    const lockout = {
+        lockedUntil: new Date(now.getTime() + minutes * 60 * 1000),
+        count,
+        lastLockedAt: now
+    };
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { otpLockout: lockout, 'otp.attempts': 0 },
+            $unset: { 'otp.codeHash': 1, 'otp.expiresAt': 1 }
+        }
+    );
+    user.otpLockout = lockout;
+    user.clearOTP();
+
+    await auditService.logOtpEvent('auth.otp_locked', user, req, {
+        lockoutCount: count,
+        lockedMinutes: minutes
+    });
+
+    return lockout;
+}
+
+module.exports = {
+    CHANNELS,
+    getAvailableChannels,
+    findOrCreateUser,
+    sendCode,
+    verifyCode
+};
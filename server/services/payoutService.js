@@ -0,0 +1,320 @@
+// ========================================
+// Payout Service
+// ========================================
+// Driver earnings and weekly payouts. When a trip completes the driver's
+// share is fixed on the booking, after the commission for the kind of
+// vehicle they drive. Each week every driver with unpaid trips gets a
+// Payout statement; cash they still owe is deducted, and what's left is
+// exported to the bank in a transfer batch.
+// ========================================
+
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const Payout = require('../models/Payout');
+const { getExchangeRate } = require('./pricingService');
+const cashLedgerService = require('./cashLedgerService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Company commission (percent of the fare) by Vehicle.ownershipType
+const COMMISSION_PERCENT = {
+    owned: parseFloat(process.env.DRIVER_COMMISSION_OWNED_PERCENT ?? 20),
+    leased: parseFloat(process.env.DRIVER_COMMISSION_LEASED_PERCENT ?? 25),
+    company: parseFloat(process.env.DRIVER_COMMISSION_COMPANY_PERCENT ?? 60)
+};
+
+/**
+ * Error for a payout that can't be changed. Routes answer 409 with error.code.
+ */
+function payoutError(code, message) {
+    const error = new Error(message);
+    error.name = 'PayoutError';
+    error.code = code;
+    return error;
+}
+
+function getCommissionPercent(ownershipType) {
+    return COMMISSION_PERCENT[ownershipType] ?? COMMISSION_PERCENT.owned;
+}
+
+/**
+ * Monday 00:00 (server local time) of the week `date` is in
+ */
+function getWeekStart(date = new Date()) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+// ========================================
+// Trip Earnings
+// ========================================
+
+/**
+ * Fix the driver's share of a completed trip on the booking. Run by the
+ * state machine after trip charges so extras are shared too. Safe to call twice.
+ * @returns {Object|null} booking.driverEarnings
+ */
+async function recordTripEarnings(booking, { driverId } = {}) {
+    if (!driverId) return null;
+    if (booking.driverEarnings?.earnedAt) return booking.driverEarnings;
+
+    const driver = await Driver.findById(driverId).select('currentVehicle').populate('currentVehicle', 'ownershipType');
+    const ownershipType = driver?.currentVehicle?.ownershipType || 'owned';
+    const commissionPercent = getCommissionPercent(ownershipType);
+
+    const rate = booking.pricing?.exchangeRate || getExchangeRate();
+    const fareETB = booking.pricing?.totalETB || Math.round((booking.pricing?.totalUSD || 0) * rate);
+    const commissionETB = Math.round(fareETB * commissionPercent / 100);
+
+    booking.driverEarnings = {
+        ownershipType,
+        commissionPercent,
+        fareETB,
+        commissionETB,
+        amountETB: fareETB - commissionETB,
+        paidInCash: booking.payment?.method === 'cash',
+        earnedAt: new Date()
+    };
+    await booking.save();
+
+    return booking.driverEarnings;
+}
+
+// ========================================
+// Payouts
+// ========================================
+
+/**
+ * Payout number for a driver's week, e.g. PO-20261012-3F9A2C
+ */
+function getPayoutNumber(driverId, periodStart) {
+    const d = periodStart;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `PO-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${driverId.toString().slice(-6).toUpperCase()}`;
+}
+
+/**
+ * Build one driver's payout for the week starting periodStart from every
+ * trip earned before the week ended that isn't in a payout yet
+ * @returns {Object|null} The payout, or null if there was nothing to pay
+ */
+async function createPayout(driver, periodStart) {
+    const periodEnd = new Date(periodStart.getTime() + 7 * DAY);
+
+    const existing = await Payout.findOne({ driverId: driver._id, periodStart });
+    if (existing) return existing;
+
+    const bookings = await Booking.find({
+        'driver.driverId': driver._id,
+        status: 'completed',
+        'driverEarnings.earnedAt': { $lt: periodEnd },
+        'driverEarnings.payoutId': { $exists: false }
+    }).sort({ 'driverEarnings.earnedAt': 1 });
+
+    const owedToDriver = (driver.cashOnHand?.balanceETB || 0) < 0;
+    if (!bookings.length && !owedToDriver) return null;
+
+    const trips = bookings.map(booking => ({
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        earnedAt: booking.driverEarnings.earnedAt,
+        paymentMethod: booking.payment?.method,
+        ownershipType: booking.driverEarnings.ownershipType,
+        fareETB: booking.driverEarnings.fareETB,
+        commissionPercent: booking.driverEarnings.commissionPercent,
+        commissionETB: booking.driverEarnings.commissionETB,
+        earningsETB: booking.driverEarnings.amountETB,
+        paidInCash: booking.driverEarnings.paidInCash
+    }));
+
+    const sum = (key, items = trips) => items.reduce((total, trip) => total + (trip[key] || 0), 0);
+    const totals = {
+        trips: trips.length,
+        fareETB: sum('fareETB'),
+        commissionETB: sum('commissionETB'),
+        earningsETB: sum('earningsETB'),
+        keptInCashETB: sum('earningsETB', trips.filter(trip => trip.paidInCash))
+    };
+
+    const payout = await Payout.create({
+        payoutNumber: getPayoutNumber(driver._id, periodStart),
+        driverId: driver._id,
+        driverName: `${driver.firstName} ${driver.lastName}`,
+        periodStart,
+        periodEnd,
+        trips,
+        totals
+    });
+
+    // Stop the trips being paid twice before the cash is touched
+    await Booking.updateMany(
+        { _id: { $in: bookings.map(booking => booking._id) } },
+        { $set: { 'driverEarnings.payoutId': payout._id } }
+    );
+
+    const bankEarningsETB = totals.earningsETB - totals.keptInCashETB;
+    await Driver.updateOne({ _id: driver._id }, { $inc: { 'earnings.balance': -bankEarningsETB } });
+    payout.totals.cashDeductionETB = await cashLedgerService.recordPayoutDeduction(payout, bankEarningsETB);
+    payout.totals.payableETB = Math.max(0, bankEarningsETB - payout.totals.cashDeductionETB);
+    if (payout.totals.payableETB === 0) {
+        payout.status = 'nothing_due';
+    }
+    await payout.save();
+
+    return payout;
+}
+
+/**
+ * Create payouts for every driver with unpaid trips (scheduled job, run
+ * for the week that just ended) and start the new week's counters
+ * @param {Date} [periodStart] - Monday the week started (default: last week)
+ */
+async function generateWeeklyPayouts(periodStart = getWeekStart(new Date(Date.now() - 7 * DAY))) {
+    const weekStart = getWeekStart(periodStart);
+    const periodEnd = new Date(weekStart.getTime() + 7 * DAY);
+    const result = { created: 0, nothingDue: 0, failed: 0 };
+
+    const driverIds = await Booking.distinct('driver.driverId', {
+        status: 'completed',
+        'driverEarnings.earnedAt': { $lt: periodEnd },
+        'driverEarnings.payoutId': { $exists: false }
+    });
+    const drivers = await Driver.find({
+        $or: [
+            { _id: { $in: driverIds } },
+            { 'cashOnHand.balanceETB': { $lt: 0 } } // Owed money for short-paid cash trips
+        ]
+    }).select('firstName lastName cashOnHand');
+
+    for (const driver of drivers) {
+        try {
+            const payout = await createPayout(driver, weekStart);
+            if (payout?.status === 'nothing_due') result.nothingDue++;
+            else if (payout) result.created++;
+        } catch (error) {
+            result.failed++;
+            console.error(`[Payouts] Payout for driver ${driver._id} failed:`, error.message);
+        }
+    }
+
+    // The weekly counter only covers the week in progress
+    if (getWeekStart() >= periodEnd) {
+        await Driver.updateMany({}, { $set: { 'earnings.currentWeek': 0 } });
+    }
+
+    return result;
+}
+
+/**
+ * Start the new month's earnings counters (scheduled job)
+ */
+async function resetMonthlyEarnings() {
+    const { modifiedCount } = await Driver.updateMany(
+        { 'earnings.currentMonth': { $ne: 0 } },
+        { $set: { 'earnings.currentMonth': 0 } }
+    );
+    return { reset: modifiedCount };
+}
+
+// ========================================
+// Bank Transfers
+// ========================================
+
+const BATCH_CSV_COLUMNS = ['payoutNumber', 'accountName', 'bankName', 'accountNumber', 'branchCode', 'amountETB', 'narration'];
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Put every pending (or failed) payout with money due into a new bank
+ * transfer batch. Drivers without bank details are left pending.
+ * @returns {Object} { batchReference, payouts, skipped, csv }
+ */
+async function exportBatch() {
+    const payouts = await Payout.find({
+        status: { $in: ['pending', 'failed'] },
+        'totals.payableETB': { $gt: 0 }
+    }).sort({ periodStart: 1 });
+
+    const drivers = await Driver.find({ _id: { $in: payouts.map(payout => payout.driverId) } }).select('bankDetails');
+    const bankDetailsById = new Map(drivers.map(driver => [driver._id.toString(), driver.bankDetails]));
+
+    const now = new Date();
+    const batchReference = `BATCH-${now.toISOString().replace(/[-:T]/g, '').slice(0, 12)}`;
+    const exported = [];
+    const skipped = [];
+
+    for (const payout of payouts) {
+        const bankDetails = bankDetailsById.get(payout.driverId.toString());
+        if (!bankDetails?.accountNumber) {
+            skipped.push({ payoutNumber: payout.payoutNumber, driverName: payout.driverName, reason: 'No bank details' });
+            continue;
+        }
+
+        payout.bankDetails = bankDetails;
+        payout.status = 'exported';
+        payout.batchReference = batchReference;
+        payout.exportedAt = now;
+        payout.failureReason = undefined;
+        await payout.save();
+        exported.push(payout);
+    }
+
+    const rows = exported.map(payout => BATCH_CSV_COLUMNS.map(column => csvValue({
+        payoutNumber: payout.payoutNumber,
+        ...payout.bankDetails,
+        amountETB: payout.totals.payableETB.toFixed(2),
+        narration: `Shuttle Plus payout ${payout.payoutNumber}`
+    }[column])).join(','));
+
+    return {
+        batchReference,
+        payouts: exported,
+        skipped,
+        csv: [BATCH_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+    };
+}
+
+/**
+ * Mark an exported payout paid (or failed, so it goes in the next batch)
+ * @param {string} payoutId
+ * @param {Object} result - { status: 'paid' | 'failed', transferReference, failureReason }
+ */
+async function recordTransferResult(payoutId, { status, transferReference, failureReason }) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) {
+        throw payoutError('NOT_FOUND', 'Payout not found');
+    }
+    if (payout.status !== 'exported') {
+        throw payoutError('NOT_EXPORTED', `Payout is ${payout.status}, not waiting on a bank transfer`);
+    }
+
+    payout.status = status;
+    if (status === 'paid') {
+        payout.paidAt = new Date();
+        payout.transferReference = transferReference;
+        await Driver.updateOne({ _id: payout.driverId }, { $set: { 'earnings.lastPayout': payout.paidAt } });
+    } else {
+        payout.failureReason = failureReason;
+    }
+
+    await payout.save();
+    return payout;
+}
+
+module.exports = {
+    COMMISSION_PERCENT,
+    getCommissionPercent,
+    getWeekStart,
+    recordTripEarnings,
+    createPayout,
+    generateWeeklyPayouts,
+    resetMonthlyEarnings,
+    exportBatch,
+    recordTransferResult
+};
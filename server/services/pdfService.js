@@ -398,6 +398,10 @@ class PDFService {
     _drawFooter(doc) {
         const footerY = doc.page.height - 40;
 
+        // The footer sits in the bottom margin - don't let it push onto a new page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+
         doc.moveTo(50, footerY).lineTo(545, footerY).stroke(this.colors.border);
 
         doc.fillColor(this.colors.lightText)
@@ -408,6 +412,8 @@ class PDFService {
 
         doc.text(`Generated: ${new Date().toLocaleDateString('en-GB')}`,
                  50, footerY + 22, { width: 495, align: 'center' });
+
+        doc.page.margins.bottom = bottomMargin;
     }
 
     _formatPaymentMethod(method) {
@@ -473,15 +479,17 @@ class PDFService {
                 doc.moveDown();
                 doc.text('─'.repeat(30), { align: 'center' });
 
-                // Pricing
+                // Pricing - itemised when the booking has a breakdown
                 const pricing = booking.pricing || {};
-                doc.fontSize(9)
-                   .text(`Base Fare:`, { continued: true })
-                   .text(`$${(pricing.baseFare || 0).toFixed(2)}`, { align: 'right' });
-
-                if (pricing.extras) {
-                    doc.text(`Extras:`, { continued: true })
-                       .text(`$${pricing.extras.toFixed(2)}`, { align: 'right' });
+                const lineItems = pricing.lineItems?.length
+                    ? pricing.lineItems
+                    : [{ label: 'Base Fare', amountUSD: pricing.baseFare || 0 }];
+
+                doc.fontSize(8);
+                for (const item of lineItems) {
+                    const amount = `${item.amountUSD < 0 ? '-' : ''}$${Math.abs(item.amountUSD).toFixed(2)}`;
+                    doc.text(`${item.label}:`, { continued: true })
+                       .text(amount, { align: 'right' });
                 }
 
                 doc.moveDown(0.5);
@@ -501,6 +509,18 @@ class PDFService {
                    .text(`Payment: ${this._formatPaymentMethod(booking.payment?.method)}`);
                 doc.text(`Status: ${(booking.payment?.status || 'Pending').toUpperCase()}`);
 
+                // Trip extras collected after the trip
+                const adjustment = booking.payment?.adjustment;
+                if (adjustment?.amount) {
+                    const collection = {
+                        paid: 'charged to card',
+                        processing: 'charging to card',
+                        invoiced: 'on invoice',
+                        cash_due: 'due in cash'
+                    };
+                    doc.text(`Extras: ${adjustment.currency} ${adjustment.amount.toFixed(2)} ${collection[adjustment.status] || ''}`);
+                }
+
                 doc.moveDown();
                 doc.text('─'.repeat(30), { align: 'center' });
                 doc.moveDown(0.5);
@@ -517,6 +537,253 @@ class PDFService {
             }
         });
     }
+
+    // ========================================
+    // Corporate Invoices
+    // ========================================
+
+    /**
+     * Generate corporate invoice PDF (A4, trip lines run onto extra pages)
+     */
+    async generateInvoicePDF(invoice) {
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({
+                    size: 'A4',
+                    margins: { top: 50, bottom: 50, left: 50, right: 50 },
+                    info: {
+                        Title: `Shuttle Plus Invoice - ${invoice.invoiceNumber}`,
+                        Author: 'Shuttle Plus',
+                        Subject: `Invoice for ${invoice.billTo?.name || 'corporate account'}`
+                    }
+                });
+
+                const buffers = [];
+                doc.on('data', buffers.push.bind(buffers));
+                doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+                this._drawInvoiceHeader(doc, invoice);
+                let y = this._drawInvoiceParties(doc, invoice);
+                y = this._drawInvoiceLines(doc, invoice, y);
+                y = this._drawInvoiceBreakdown(doc, 'By Cost Center', invoice.byCostCenter, invoice.currency, y);
+                y = this._drawInvoiceBreakdown(doc, 'By Project Code', invoice.byProjectCode, invoice.currency, y);
+                this._drawInvoiceTotals(doc, invoice, y);
+                this._drawFooter(doc);
+
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    _drawInvoiceHeader(doc, invoice) {
+        doc.rect(0, 0, doc.page.width, 120).fill(this.colors.secondary);
+
+        doc.fillColor('#ffffff')
+           .fontSize(28)
+           .font('Helvetica-Bold')
+           .text('Shuttle', 50, 35, { continued: true })
+           .fillColor('rgba(255,255,255,0.7)')
+           .text('Plus');
+
+        doc.fillColor('rgba(255,255,255,0.9)')
+           .fontSize(10)
+           .font('Helvetica')
+           .text('Premium Airport Transfer Service', 50, 70);
+
+        doc.fillColor('#ffffff')
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text('INVOICE', 350, 35, { width: 200, align: 'right' });
+
+        doc.fontSize(18)
+           .text(invoice.invoiceNumber, 300, 55, { width: 250, align: 'right' });
+
+        const statusColors = { paid: '#4CAF50', overdue: '#F44336', void: '#666666' };
+        doc.roundedRect(450, 85, 100, 22, 3)
+           .fill(statusColors[invoice.status] || '#FF9800');
+        doc.fillColor('#ffffff')
+           .fontSize(10)
+           .font('Helvetica-Bold')
+           .text(invoice.status.toUpperCase(), 450, 90, { width: 100, align: 'center' });
+    }
+
+    _drawInvoiceParties(doc, invoice) {
+        const startY = 140;
+        const billTo = invoice.billTo || {};
+        const address = billTo.address || {};
+
+        doc.fillColor(this.colors.secondary)
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text('Bill To', 50, startY);
+        doc.text('Invoice Details', 300, startY);
+        doc.moveTo(50, startY + 18).lineTo(545, startY + 18).stroke(this.colors.border);
+
+        const billToLines = [
+            billTo.legalName || billTo.name,
+            billTo.taxId && `TIN: ${billTo.taxId}`,
+            address.street,
+            [address.city, address.region, address.postalCode].filter(Boolean).join(', '),
+            address.country,
+            billTo.contactName && `Attn: ${billTo.contactName}`,
+            billTo.email
+        ].filter(Boolean);
+
+        doc.fillColor(this.colors.text)
+           .fontSize(10)
+           .font('Helvetica');
+        billToLines.forEach((line, i) => doc.text(line, 50, startY + 30 + i * 14, { width: 230 }));
+
+        const formatDate = (date) => date ? new Date(date).toLocaleDateString('en-GB', {
+            year: 'numeric', month: 'short', day: 'numeric', timeZone: 'Africa/Addis_Ababa'
+        }) : 'N/A';
+        const periodEnd = new Date(new Date(invoice.period.end).getTime() - 24 * 60 * 60 * 1000);
+
+        const details = [
+            ['Issued:', formatDate(invoice.issuedAt)],
+            ['Period:', `${formatDate(invoice.period.start)} - ${formatDate(periodEnd)}`],
+            ['Terms:', invoice.paymentTerms ? `Net ${invoice.paymentTerms} days` : 'Due on receipt'],
+            ['Due:', formatDate(invoice.dueDate)]
+        ];
+        if (invoice.poNumbers?.length) {
+            details.push(['PO:', invoice.poNumbers.join(', ')]);
+        }
+
+        details.forEach(([label, value], i) => {
+            doc.font('Helvetica-Bold')
+               .text(label, 300, startY + 30 + i * 14);
+            doc.font('Helvetica')
+               .text(value, 360, startY + 30 + i * 14, { width: 185 });
+        });
+
+        return startY + 30 + Math.max(billToLines.length, details.length) * 14 + 20;
+    }
+
+    _drawInvoiceLines(doc, invoice, startY) {
+        const columns = [
+            { label: 'Date', x: 50, width: 55 },
+            { label: 'Reference', x: 105, width: 70 },
+            { label: 'Passenger / Route', x: 175, width: 170 },
+            { label: 'Cost Center', x: 345, width: 70 },
+            { label: 'Project', x: 415, width: 60 },
+            { label: 'Amount', x: 475, width: 70, align: 'right' }
+        ];
+        const bottom = doc.page.height - 70;
+
+        const drawColumnHeaders = (y) => {
+            doc.rect(50, y, 495, 18).fill('#f5f5f5');
+            doc.fillColor(this.colors.secondary)
+               .fontSize(8)
+               .font('Helvetica-Bold');
+            for (const column of columns) {
+                doc.text(column.label, column.x + 2, y + 5, { width: column.width - 4, align: column.align });
+            }
+            return y + 22;
+        };
+
+        doc.fillColor(this.colors.secondary)
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text(`Trips (${invoice.lines.length})`, 50, startY);
+        let y = drawColumnHeaders(startY + 22);
+
+        for (const line of invoice.lines) {
+            if (y > bottom - 24) {
+                this._drawFooter(doc);
+                doc.addPage();
+                y = drawColumnHeaders(50);
+            }
+
+            const date = new Date(line.date).toLocaleDateString('en-GB', {
+                day: '2-digit', month: 'short', timeZone: 'Africa/Addis_Ababa'
+            });
+            const route = `${line.pickup || ''} to ${line.dropoff || ''}`;
+
+            doc.fillColor(this.colors.text)
+               .fontSize(8)
+               .font('Helvetica');
+            doc.text(date, 52, y, { width: 51 });
+            doc.text(line.bookingReference, 107, y, { width: 66 });
+            doc.text(line.passengerName || '', 177, y, { width: 166, lineBreak: false, ellipsis: true });
+            doc.fillColor(this.colors.lightText)
+               .text(route, 177, y + 10, { width: 166, lineBreak: false, ellipsis: true });
+            doc.fillColor(this.colors.text)
+               .text(line.costCenter || '-', 347, y, { width: 66, lineBreak: false, ellipsis: true });
+            doc.text(line.projectCode || '-', 417, y, { width: 56, lineBreak: false, ellipsis: true });
+            doc.text(line.amount.toFixed(2), 477, y, { width: 66, align: 'right' });
+
+            doc.moveTo(50, y + 22).lineTo(545, y + 22).stroke(this.colors.border);
+            y += 26;
+        }
+
+        return y + 10;
+    }
+
+    _drawInvoiceBreakdown(doc, title, groups = [], currency, startY) {
+        if (!groups.length) return startY;
+
+        let y = startY;
+        if (y + 40 + groups.length * 14 > doc.page.height - 70) {
+            this._drawFooter(doc);
+            doc.addPage();
+            y = 50;
+        }
+
+        doc.fillColor(this.colors.secondary)
+           .fontSize(11)
+           .font('Helvetica-Bold')
+           .text(title, 50, y);
+        y += 18;
+
+        doc.fillColor(this.colors.text)
+           .fontSize(9)
+           .font('Helvetica');
+        for (const group of groups) {
+            doc.text(group.code, 50, y, { width: 250 });
+            doc.text(`${group.count} trip(s)`, 300, y, { width: 100 });
+            doc.text(`${currency} ${group.total.toFixed(2)}`, 400, y, { width: 145, align: 'right' });
+            y += 14;
+        }
+
+        return y + 12;
+    }
+
+    _drawInvoiceTotals(doc, invoice, startY) {
+        let y = startY;
+        if (y + 90 > doc.page.height - 70) {
+            this._drawFooter(doc);
+            doc.addPage();
+            y = 50;
+        }
+
+        doc.roundedRect(300, y, 245, 70, 5)
+           .lineWidth(1)
+           .stroke(this.colors.border);
+
+        doc.fillColor(this.colors.text)
+           .fontSize(10)
+           .font('Helvetica')
+           .text('Subtotal:', 315, y + 12)
+           .text(`${invoice.currency} ${invoice.subtotal.toFixed(2)}`, 400, y + 12, { width: 130, align: 'right' });
+        if (invoice.amountPaid) {
+            doc.text('Paid:', 315, y + 27)
+               .text(`-${invoice.currency} ${invoice.amountPaid.toFixed(2)}`, 400, y + 27, { width: 130, align: 'right' });
+        }
+
+        const balanceDue = Math.round((invoice.total - (invoice.amountPaid || 0)) * 100) / 100;
+        doc.fillColor(this.colors.secondary)
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text('Balance Due:', 315, y + 47)
+           .text(`${invoice.currency} ${balanceDue.toFixed(2)}`, 400, y + 47, { width: 130, align: 'right' });
+
+        doc.fillColor(this.colors.lightText)
+           .fontSize(8)
+           .font('Helvetica')
+           .text(`Please quote ${invoice.invoiceNumber} with your payment.`, 50, y + 12, { width: 230 });
+    }
 }
 
 module.exports = new PDFService();
@@ -4,6 +4,8 @@
 
 const axios = require('axios');
 const NodeCache = require('node-cache');
+const promotionService = require('./promotionService');
+const zoneService = require('./zoneService');
 
 // Cache exchange rate for 1 hour
 const rateCache = new NodeCache({ stdTTL: 3600 });
@@ -68,79 +70,6 @@ function getExchangeRate() {
     return ETB_USD_RATE;
 }
 
-// ========================================
-// Zone Definitions (based on shuttle-plus-fares.md)
-// ========================================
-// Zones with USD prices only - ETB calculated dynamically
-const ZONES = {
-    1: {
-        name: 'Bole District',
-        description: 'Hotels and destinations near the airport',
-        locations: [
-            'Ethiopian Skylight Hotel',
-            'Golden Tulip Hotel',
-            'Capital Hotel & Spa',
-            'Bole District',
-            'Bole Rwanda',
-            'Bole Medhanialem'
-        ],
-        baseFareUSD: 20
-    },
-    2: {
-        name: 'Kazanchis / Business',
-        description: 'Kazanchis business district and nearby areas',
-        locations: [
-            'Kazanchis',
-            'African Union HQ',
-            'UN ECA',
-            'Friendship Park',
-            'Atlas Area'
-        ],
-        baseFareUSD: 25
-    },
-    3: {
-        name: 'City Center',
-        description: 'Central Addis Ababa and Piazza area',
-        locations: [
-            'City Center',
-            'Piazza',
-            'Sheraton Addis',
-            'Radisson Blu',
-            'Hyatt Regency',
-            'Best Western Plus',
-            'Meskel Square',
-            '4 Kilo',
-            '6 Kilo'
-        ],
-        baseFareUSD: 30
-    },
-    4: {
-        name: 'Merkato / West',
-        description: 'Merkato market and western areas',
-        locations: [
-            'Merkato',
-            'Merkato Market',
-            'Lideta',
-            'Mexico',
-            'Autobus Tera'
-        ],
-        baseFareUSD: 38
-    },
-    5: {
-        name: 'Entoto / Outskirts',
-        description: 'Entoto hills and outer areas',
-        locations: [
-            'Entoto',
-            'Entoto Hill',
-            'Shiro Meda',
-            'Gullele',
-            'CMC',
-            'Summit'
-        ],
-        baseFareUSD: 45
-    }
-};
-
 // ========================================
 // Vehicle Classes with Multipliers
 // ========================================
@@ -193,37 +122,186 @@ const ADDITIONAL_CHARGES = {
     },
     waitingTime: {
         freeMinutes: 60, // After flight landing
-        perHourUSD: 10
+        departureFreeMinutes: 15, // After the scheduled pickup
+        perHourUSD: 10,
+        billingIncrementMinutes: 15 // Billed per started block
+    }
+};
+
+// ========================================
+// Distance Fare (outside every zone)
+// ========================================
+// Standard-class USD fare from the airport (or the other end of the trip),
+// before the vehicle multiplier. Straight-line km is scaled up to approximate roads.
+const DISTANCE_FARE = {
+    baseUSD: 20,
+    perKmUSD: 1.5,
+    roadFactor: 1.3,
+    minimumUSD: 45 // Never cheaper than the outermost zone
+};
+
+/**
+ * Error for a trip that can't be priced (routes answer 400 with error.code)
+ */
+function pricingError(code, message) {
+    const error = new Error(message);
+    error.name = 'PricingError';
+    error.code = code;
+    return error;
+}
+
+/**
+ * Zone fare for the city end of the trip, or a distance fare when it is
+ * outside every zone. A zone number (corporate and partner quotes) skips
+ * the address lookup.
+ * @returns {Object} { baseFareUSD, zone: { number, name, matchedBy, distanceKm } }
+ */
+async function getZoneFare({ pickup, dropoff, pickupCoordinates, dropoffCoordinates, zone: zoneNumber }) {
+    if (zoneNumber) {
+        const zone = await zoneService.findZoneByNumber(zoneNumber);
+        if (!zone) {
+            throw pricingError('UNKNOWN_ZONE', `Unknown zone: ${zoneNumber}`);
+        }
+        return {
+            baseFareUSD: zone.baseFareUSD,
+            zone: { number: zone.number, name: zone.name, matchedBy: 'zone' }
+        };
+    }
+
+    // Departures drop off at the airport - price the pickup instead
+    const toAirport = zoneService.isAirport({ location: dropoff, coordinates: dropoffCoordinates });
+    const cityEnd = toAirport
+        ? { location: pickup, coordinates: pickupCoordinates }
+        : { location: dropoff, coordinates: dropoffCoordinates };
+    const otherEnd = toAirport ? dropoffCoordinates : pickupCoordinates;
+
+    const { zone, coordinates, matchedBy } = await zoneService.resolveZone(cityEnd);
+
+    if (zone) {
+        return {
+            baseFareUSD: zone.baseFareUSD,
+            zone: { number: zone.number, name: zone.name, matchedBy }
+        };
+    }
+
+    if (!coordinates) {
+        console.log(`[Pricing] Could not place address: ${cityEnd.location}`);
+        throw pricingError('LOCATION_UNRESOLVED', 'We could not find that address. Please pick it on the map.');
+    }
+
+    const origin = zoneService.hasCoordinates(otherEnd) ? otherEnd : zoneService.AIRPORT_COORDINATES;
+    const distanceKm = Math.round(zoneService.distanceKm(origin, coordinates) * DISTANCE_FARE.roadFactor * 10) / 10;
+    const baseFareUSD = Math.max(
+        DISTANCE_FARE.baseUSD + distanceKm * DISTANCE_FARE.perKmUSD,
+        DISTANCE_FARE.minimumUSD
+    );
+
+    console.log(`[Pricing] ${cityEnd.location} is outside all zones, pricing ${distanceKm} km`);
+
+    return {
+        baseFareUSD,
+        zone: { number: null, name: 'Outside zones', matchedBy, distanceKm }
+    };
+}
+
+// ========================================
+// Sales Channels
+// ========================================
+// How each channel adjusts the fare. `rate` can replace the base fare with
+// a negotiated one; `discount` is a percentage off the fare before any
+// promo code. Both get the calculate() options.
+const CHANNELS = {
+    public: {},
+
+    corporate: {
+        rate({ corporateAccount, zone, vehicleClass }) {
+            const rate = zone.number && corporateAccount?.getCustomRate(0, zone.number, vehicleClass);
+            return rate ? { amountUSD: rate, label: 'Corporate contract rate' } : null;
+        },
+        discount({ corporateAccount, vehicleClass }, subtotalUSD) {
+            if (!corporateAccount) return null;
+            const { discountPercentage } = corporateAccount.calculateDiscount(subtotalUSD, vehicleClass);
+            return { type: 'corporate_discount', label: `Corporate discount (${corporateAccount.pricingTier})`, percent: discountPercentage };
+        }
+    },
+
+    partner: {
+        rate({ partner, vehicleClass }) {
+            const guestPricing = partner.getGuestDiscount(vehicleClass);
+            return guestPricing.type === 'fixed' ? { amountUSD: guestPricing.rate, label: 'Hotel guest rate' } : null;
+        },
+        discount({ partner, vehicleClass }) {
+            const guestPricing = partner.getGuestDiscount(vehicleClass);
+            return guestPricing.type === 'percentage'
+                ? { type: 'partner_discount', label: 'Hotel guest discount', percent: guestPricing.discount }
+                : null;
+        }
+    },
+
+    group: {
+        discount({ groupDiscountPercent }) {
+            return { type: 'group_discount', label: 'Group discount', percent: groupDiscountPercent || 0 };
+        }
     }
 };
 
 // ========================================
 // Calculate Price
 // ========================================
-async function calculate({ pickup, dropoff, vehicleClass, pickupTime, additionalStops = 0, childSeat = false }) {
+
+/**
+ * Price a trip through the one pipeline every channel uses:
+ * base fare -> channel rate -> surcharges -> channel discount -> promo code.
+ * @param {Object} options - Trip (pickup, dropoff, coordinates or zone, vehicleClass,
+ *   pickupTime, additionalStops, childSeat), channel ('public', 'corporate',
+ *   'partner', 'group') with its corporateAccount / partner / groupDiscountPercent,
+ *   and promoCode with the userId / phone using it
+ * @returns {Object} Breakdown - flat fields as stored on Booking.pricing plus
+ *   lineItems [{ type, label, amountUSD, amountETB }] that sum to the totals
+ */
+async function calculate(options) {
+    const {
+        vehicleClass,
+        pickupTime,
+        additionalStops = 0,
+        childSeat = false,
+        channel = 'public',
+        promoCode,
+        userId,
+        phone
+    } = options;
+
+    const adjust = CHANNELS[channel];
+    if (!adjust) {
+        throw pricingError('UNKNOWN_CHANNEL', `Unknown pricing channel: ${channel}`);
+    }
+
     // Ensure we have the latest exchange rate
     await fetchExchangeRate();
     const rate = getExchangeRate();
 
-    // Determine zone from dropoff location
-    const zone = getZoneForLocation(dropoff);
+    const toETB = (usd) => Math.round(usd * rate);
+    const toETBRounded = (usd) => Math.round(usd * rate / 10) * 10; // Round to nearest 10
+    const lineItems = [];
 
-    if (!zone) {
-        // Default to zone 3 if not found
-        console.log(`[Pricing] Unknown location: ${dropoff}, using Zone 3 default`);
-    }
-
-    const zoneData = zone || ZONES[3];
+    // 1. Base fare - zone (or distance) fare times the vehicle multiplier
+    const { baseFareUSD: zoneFareUSD, zone } = await getZoneFare(options);
     const vehicle = VEHICLE_CLASSES[vehicleClass] || VEHICLE_CLASSES.standard;
 
-    // Base fare in USD
-    let baseFareUSD = zoneData.baseFareUSD * vehicle.multiplier;
-    baseFareUSD = Math.round(baseFareUSD);
+    let baseFareUSD = Math.round(zoneFareUSD * vehicle.multiplier);
+    let baseFareLabel = zone.number ? `${vehicle.name} - Zone ${zone.number} (${zone.name})` : `${vehicle.name} - ${zone.distanceKm} km`;
+
+    // 2. Negotiated channel rate replaces the base fare
+    const channelRate = adjust.rate?.({ ...options, zone, vehicleClass });
+    if (channelRate) {
+        baseFareUSD = channelRate.amountUSD;
+        baseFareLabel = channelRate.label;
+    }
 
-    // Calculate ETB dynamically from current exchange rate
-    let baseFareETB = Math.round(baseFareUSD * rate / 10) * 10; // Round to nearest 10
+    const baseFareETB = toETBRounded(baseFareUSD);
+    lineItems.push({ type: 'base_fare', label: baseFareLabel, amountUSD: baseFareUSD, amountETB: baseFareETB });
 
-    // Calculate surcharges
+    // 3. Surcharges and extras
     let lateNightSurchargeUSD = 0;
     let lateNightSurchargeETB = 0;
 
@@ -231,23 +309,76 @@ async function calculate({ pickup, dropoff, vehicleClass, pickupTime, additional
         const hour = new Date(pickupTime).getHours();
         if (hour >= ADDITIONAL_CHARGES.lateNight.startHour || hour < ADDITIONAL_CHARGES.lateNight.endHour) {
             lateNightSurchargeUSD = Math.round(baseFareUSD * ADDITIONAL_CHARGES.lateNight.surchargePercent / 100);
-            lateNightSurchargeETB = Math.round(lateNightSurchargeUSD * rate / 10) * 10;
+            lateNightSurchargeETB = toETBRounded(lateNightSurchargeUSD);
+            lineItems.push({ type: 'late_night', label: 'Late night surcharge', amountUSD: lateNightSurchargeUSD, amountETB: lateNightSurchargeETB });
         }
     }
 
-    // Additional stops - calculate ETB dynamically
     const additionalStopsUSD = additionalStops * ADDITIONAL_CHARGES.additionalStop.feeUSD;
-    const additionalStopsETB = Math.round(additionalStopsUSD * rate);
+    const additionalStopsETB = toETB(additionalStopsUSD);
+    if (additionalStopsUSD) {
+        lineItems.push({ type: 'additional_stops', label: `Additional stops (${additionalStops})`, amountUSD: additionalStopsUSD, amountETB: additionalStopsETB });
+    }
 
-    // Child seat - calculate ETB dynamically
     const childSeatFeeUSD = childSeat ? ADDITIONAL_CHARGES.childSeat.feeUSD : 0;
-    const childSeatFeeETB = Math.round(childSeatFeeUSD * rate);
+    const childSeatFeeETB = toETB(childSeatFeeUSD);
+    if (childSeatFeeUSD) {
+        lineItems.push({ type: 'child_seat', label: 'Child seat', amountUSD: childSeatFeeUSD, amountETB: childSeatFeeETB });
+    }
 
-    // Calculate totals
-    const totalUSD = baseFareUSD + lateNightSurchargeUSD + additionalStopsUSD + childSeatFeeUSD;
-    const totalETB = baseFareETB + lateNightSurchargeETB + additionalStopsETB + childSeatFeeETB;
+    const subtotalUSD = baseFareUSD + lateNightSurchargeUSD + additionalStopsUSD + childSeatFeeUSD;
+    let fareUSD = subtotalUSD;
+
+    // 4. Channel discount
+    const channelDiscount = adjust.discount?.({ ...options, zone, vehicleClass }, subtotalUSD);
+    let channelDiscountUSD = 0;
+
+    if (channelDiscount?.percent > 0) {
+        channelDiscountUSD = Math.round(subtotalUSD * channelDiscount.percent) / 100;
+        fareUSD -= channelDiscountUSD;
+        lineItems.push({
+            type: channelDiscount.type,
+            label: `${channelDiscount.label} (${channelDiscount.percent}%)`,
+            amountUSD: -channelDiscountUSD,
+            amountETB: -toETB(channelDiscountUSD)
+        });
+    }
+
+    // 5. Promo code - checked here so the discount is the one charged at payment time
+    let promoDiscountUSD = 0;
+    let promotion = null;
+
+    if (promoCode) {
+        const result = await promotionService.validate(promoCode, {
+            fareUSD,
+            zone: zone.number,
+            vehicleClass,
+            userId,
+            phone
+        });
+        promoDiscountUSD = result.discountUSD;
+        promotion = {
+            promotionId: result.promotion._id,
+            code: result.promotion.code,
+            type: result.promotion.type,
+            value: result.promotion.value,
+            discountUSD: promoDiscountUSD
+        };
+        lineItems.push({
+            type: 'promo',
+            label: `Promo code ${result.promotion.code}`,
+            amountUSD: -promoDiscountUSD,
+            amountETB: -toETB(promoDiscountUSD)
+        });
+    }
+
+    const discountUSD = Math.round((channelDiscountUSD + promoDiscountUSD) * 100) / 100;
+    const totalUSD = Math.round(lineItems.reduce((sum, item) => sum + item.amountUSD, 0) * 100) / 100;
+    const totalETB = lineItems.reduce((sum, item) => sum + item.amountETB, 0);
+    const discountETB = -lineItems.filter(item => item.amountUSD < 0).reduce((sum, item) => sum + item.amountETB, 0);
 
     return {
+        channel,
         baseFare: baseFareUSD,
         baseFareETB: baseFareETB,
         lateNightSurcharge: lateNightSurchargeUSD,
@@ -256,15 +387,16 @@ async function calculate({ pickup, dropoff, vehicleClass, pickupTime, additional
         additionalStopsETB: additionalStopsETB,
         childSeatFee: childSeatFeeUSD,
         childSeatFeeETB: childSeatFeeETB,
-        discount: 0,
+        subtotalUSD,
+        discount: discountUSD,
+        discountETB,
         totalUSD,
         totalETB,
         currency: 'USD',
         exchangeRate: rate,
-        zone: {
-            number: Object.keys(ZONES).find(key => ZONES[key] === zoneData) || 3,
-            name: zoneData.name
-        },
+        lineItems,
+        promotion,
+        zone,
         vehicle: {
             class: vehicleClass,
             name: vehicle.name,
@@ -273,38 +405,20 @@ async function calculate({ pickup, dropoff, vehicleClass, pickupTime, additional
     };
 }
 
-// ========================================
-// Get Zone for Location
-// ========================================
-function getZoneForLocation(location) {
-    if (!location) return null;
-
-    const normalizedLocation = location.toLowerCase();
-
-    for (const [zoneNum, zoneData] of Object.entries(ZONES)) {
-        for (const loc of zoneData.locations) {
-            if (normalizedLocation.includes(loc.toLowerCase()) ||
-                loc.toLowerCase().includes(normalizedLocation)) {
-                return zoneData;
-            }
-        }
-    }
-
-    return null;
-}
-
 // ========================================
 // Get Zone Data (with dynamic ETB pricing)
 // ========================================
-function getZones() {
+async function getZones() {
     const rate = getExchangeRate();
-    return Object.entries(ZONES).map(([number, data]) => ({
-        zone: parseInt(number),
+    const zones = await zoneService.getZones();
+    return zones.map(data => ({
+        zone: data.number,
         name: data.name,
         description: data.description,
         baseFareUSD: data.baseFareUSD,
         baseFareETB: Math.round(data.baseFareUSD * rate / 10) * 10,
-        sampleLocations: data.locations.slice(0, 3),
+        sampleLocations: (data.locations || []).slice(0, 3),
+        area: data.area,
         exchangeRate: rate
     }));
 }
@@ -312,8 +426,11 @@ function getZones() {
 // ========================================
 // Get Vehicle Classes (with dynamic ETB pricing)
 // ========================================
-function getVehicleClasses() {
+async function getVehicleClasses() {
     const rate = getExchangeRate();
+    const zones = await zoneService.getZones();
+    const sampleZone = zones.find(zone => zone.number === 3) || zones[0];
+
     return Object.entries(VEHICLE_CLASSES).map(([key, data]) => ({
         id: key,
         name: data.name,
@@ -322,8 +439,8 @@ function getVehicleClasses() {
         features: data.features,
         priceMultiplier: data.multiplier,
         // Sample pricing (Zone 3 - City Center) with dynamic ETB
-        samplePriceUSD: Math.round(ZONES[3].baseFareUSD * data.multiplier),
-        samplePriceETB: Math.round(ZONES[3].baseFareUSD * data.multiplier * rate / 10) * 10,
+        samplePriceUSD: Math.round(sampleZone.baseFareUSD * data.multiplier),
+        samplePriceETB: Math.round(sampleZone.baseFareUSD * data.multiplier * rate / 10) * 10,
         exchangeRate: rate
     }));
 }
@@ -331,15 +448,16 @@ function getVehicleClasses() {
 // ========================================
 // Get Destinations (with dynamic ETB pricing)
 // ========================================
-function getDestinations() {
+async function getDestinations() {
     const rate = getExchangeRate();
+    const zones = await zoneService.getZones();
     const destinations = [];
 
-    for (const [zoneNum, zoneData] of Object.entries(ZONES)) {
-        for (const location of zoneData.locations.slice(0, 2)) {
+    for (const zoneData of zones) {
+        for (const location of (zoneData.locations || []).slice(0, 2)) {
             destinations.push({
                 name: location,
-                zone: parseInt(zoneNum),
+                zone: zoneData.number,
                 zoneName: zoneData.name,
                 priceUSD: zoneData.baseFareUSD,
                 priceETB: Math.round(zoneData.baseFareUSD * rate / 10) * 10,
@@ -356,10 +474,10 @@ module.exports = {
     getZones,
     getVehicleClasses,
     getDestinations,
-    getZoneForLocation,
     getExchangeRate,
     fetchExchangeRate,
-    ZONES,
     VEHICLE_CLASSES,
-    ADDITIONAL_CHARGES
+    ADDITIONAL_CHARGES,
+    DISTANCE_FARE,
+    CHANNELS
 };
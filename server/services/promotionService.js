@@ -0,0 +1,227 @@
+// ========================================
+// Promotion Service
+// ========================================
+// Validates promo codes against their window, caps and restrictions,
+// works out the discount and records redemptions. pricingService
+// applies the discount; bookings redeem the code when they are created.
+// ========================================
+
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Booking = require('../models/Booking');
+
+/**
+ * Error for a code that can't be used (routes answer 400 with error.code)
+ */
+function promoCodeError(code, message) {
+    const error = new Error(message);
+    error.name = 'PromoCodeError';
+    error.code = code;
+    return error;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Who is using the code - a signed-in user or a guest's phone number
+ */
+function customerQuery({ userId, phone }) {
+    const or = [];
+    if (userId) or.push({ userId });
+    if (phone) or.push({ phone });
+    return or.length ? { $or: or } : null;
+}
+
+// ========================================
+// Discount
+// ========================================
+
+/**
+ * Discount (USD) a promotion gives on a fare
+ */
+function calculateDiscount(promotion, fareUSD) {
+    let discount = promotion.type === 'percent'
+        ? fareUSD * promotion.value / 100
+        : promotion.value;
+
+    if (promotion.type === 'percent' && promotion.maxDiscountUSD) {
+        discount = Math.min(discount, promotion.maxDiscountUSD);
+    }
+
+    // Never more than the fare itself
+    return Math.round(Math.min(discount, fareUSD) * 100) / 100;
+}
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Check a code can be used for this booking
+ * @param {string} code - Promo code as typed by the customer
+ * @param {Object} context - { fareUSD, zone, vehicleClass, userId, phone, now }
+ * @returns {Object} { promotion, discountUSD }
+ * @throws PromoCodeError with a machine-readable code
+ */
+async function validate(code, { fareUSD, zone, vehicleClass, userId, phone, now = new Date() } = {}) {
+    const promotion = await Promotion.findOne({ code: normalizeCode(code) });
+
+    if (!promotion || !promotion.active) {
+        throw promoCodeError('PROMO_NOT_FOUND', 'Invalid promo code');
+    }
+    if (promotion.validFrom && promotion.validFrom > now) {
+        throw promoCodeError('PROMO_NOT_STARTED', 'This promo code is not active yet');
+    }
+    if (promotion.validUntil && promotion.validUntil <= now) {
+        throw promoCodeError('PROMO_EXPIRED', 'This promo code has expired');
+    }
+    if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+        throw promoCodeError('PROMO_EXHAUSTED', 'This promo code has been fully redeemed');
+    }
+
+    const { zones, vehicleClasses, firstRideOnly } = promotion.restrictions || {};
+
+    if (zones?.length && !zones.includes(Number(zone))) {
+        throw promoCodeError('PROMO_ZONE_NOT_ELIGIBLE', 'This promo code is not valid for this destination');
+    }
+    if (vehicleClasses?.length && !vehicleClasses.includes(vehicleClass)) {
+        throw promoCodeError('PROMO_VEHICLE_NOT_ELIGIBLE', 'This promo code is not valid for this vehicle class');
+    }
+    if (fareUSD < (promotion.minFareUSD || 0)) {
+        throw promoCodeError('PROMO_MIN_FARE', `This promo code needs a fare of at least $${promotion.minFareUSD}`);
+    }
+
+    // Per-user caps and first-ride codes need to know who the customer is
+    const customer = customerQuery({ userId, phone });
+    if ((promotion.perUserLimit || firstRideOnly) && !customer) {
+        throw promoCodeError('PROMO_CUSTOMER_REQUIRED', 'Sign in or enter your phone number to use this promo code');
+    }
+
+    if (promotion.perUserLimit) {
+        const used = await PromotionRedemption.countDocuments({
+            promotionId: promotion._id,
+            status: 'active',
+            ...customer
+        });
+        if (used >= promotion.perUserLimit) {
+            throw promoCodeError('PROMO_USER_LIMIT', 'You have already used this promo code');
+        }
+    }
+
+    if (firstRideOnly) {
+        const bookingCustomer = [];
+        if (userId) bookingCustomer.push({ userId });
+        if (phone) bookingCustomer.push({ 'contact.phone': phone });
+
+        const previousRide = await Booking.exists({
+            $or: bookingCustomer,
+            status: { $nin: ['cancelled'] }
+        });
+        if (previousRide) {
+            throw promoCodeError('PROMO_FIRST_RIDE_ONLY', 'This promo code is only valid on your first ride');
+        }
+    }
+
+    return {
+        promotion,
+        discountUSD: calculateDiscount(promotion, fareUSD)
+    };
+}
+
+// ========================================
+// Redemption
+// ========================================
+
+/**
+ * Use up one redemption for a booking. The global cap is taken atomically
+ * so two bookings can't both take the last use; the per-user cap is checked
+ * again once the redemption is stored, so parallel bookings by the same
+ * customer can't go over it either.
+ * @param {Object} booking - Booking (unsaved is fine)
+ * @param {Object} promotion - { promotionId, code, discountUSD } as returned in pricing.promotion
+ */
+async function redeem(booking, { promotionId, code, discountUSD }) {
+    const claimed = await Promotion.findOneAndUpdate(
+        {
+            _id: promotionId,
+            active: true,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw promoCodeError('PROMO_EXHAUSTED', 'This promo code has been fully redeemed');
+    }
+
+    let redemption;
+    try {
+        redemption = await PromotionRedemption.create({
+            promotionId,
+            code,
+            bookingId: booking._id,
+            bookingReference: booking.bookingReference,
+            userId: booking.userId || undefined,
+            phone: booking.contact?.phone,
+            discountUSD
+        });
+    } catch (error) {
+        await giveBackUse(promotionId);
+        throw error;
+    }
+
+    const customer = customerQuery({ userId: booking.userId, phone: booking.contact?.phone });
+    if (claimed.perUserLimit && customer) {
+        // Redemptions made before this one (ObjectIds sort by creation) keep the uses
+        const earlier = await PromotionRedemption.countDocuments({
+            promotionId,
+            status: 'active',
+            _id: { $lt: redemption._id },
+            ...customer
+        });
+        if (earlier >= claimed.perUserLimit) {
+            await release(booking._id);
+            throw promoCodeError('PROMO_USER_LIMIT', 'You have already used this promo code');
+        }
+    }
+
+    return redemption;
+}
+
+function giveBackUse(promotionId) {
+    return Promotion.updateOne(
+        { _id: promotionId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+    );
+}
+
+/**
+ * Give a booking's redemption back (cancelled or never saved)
+ * @returns {boolean} true if a redemption was released
+ */
+async function release(bookingId) {
+    const redemption = await PromotionRedemption.findOneAndUpdate(
+        { bookingId, status: 'active' },
+        { $set: { status: 'released', releasedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!redemption) return false;
+
+    await giveBackUse(redemption.promotionId);
+    return true;
+}
+
+module.exports = {
+    validate,
+    calculateDiscount,
+    redeem,
+    release,
+    normalizeCode
+};
@@ -0,0 +1,366 @@
+// ========================================
+// Reconciliation Service
+// ========================================
+// Checks booking payments against Stripe and Telebirr. Payments stuck
+// in pending / processing are asked about every few minutes; once a day
+// every payment taken the day before is checked and Stripe payments
+// without a booking are listed. Corrections go through the webhook
+// ledger, so they follow the same rules as a late webhook would.
+// Results are written to that day's ReconciliationReport.
+// ========================================
+
+const Booking = require('../models/Booking');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const telebirrService = require('./telebirrService');
+const stripeService = require('./stripeService');
+const webhookService = require('./webhookService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Leave payments alone this long - the customer may still be paying
+const RECONCILE_AFTER = (parseInt(process.env.RECONCILE_AFTER_MINUTES) || 30) * MINUTE;
+// Payments the provider still hasn't settled after this are abandoned
+const PENDING_PAYMENT_TTL = (parseInt(process.env.PENDING_PAYMENT_TTL_MINUTES) || 60) * MINUTE;
+
+const BATCH_SIZE = 100;
+
+// Stripe PaymentIntent status -> our payment status and the webhook that reports it
+const STRIPE_STATUSES = {
+    succeeded: { status: 'paid', event: 'payment_intent.succeeded' },
+    requires_capture: { status: 'authorized', event: 'payment_intent.amount_capturable_updated' },
+    canceled: { status: 'cancelled', event: 'payment_intent.canceled' }
+};
+
+// Local statuses that agree with what the provider reports
+const EQUIVALENT_STATUSES = {
+    paid: ['paid', 'partially_refunded', 'refunded'],
+    cancelled: ['cancelled', 'refunded']
+};
+
+/**
+ * Report key for a date (server local time)
+ */
+function toDateKey(date = new Date()) {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function isMatch(localStatus, providerStatus) {
+    return (EQUIVALENT_STATUSES[providerStatus] || [providerStatus]).includes(localStatus);
+}
+
+// ========================================
+// Provider Lookups
+// ========================================
+// Each returns { status, amount, apply } - apply() replays the provider's
+// answer through the webhook ledger
+
+function fromPaymentIntent(paymentIntent) {
+    const mapped = STRIPE_STATUSES[paymentIntent.status] ||
+        (paymentIntent.last_payment_error ? { status: 'failed', event: 'payment_intent.payment_failed' } : null);
+
+    return {
+        status: mapped?.status || 'pending',
+        amount: (paymentIntent.amount_received || paymentIntent.amount) / 100,
+        apply: mapped && (() => webhookService.receive('stripe', {
+            eventId: `reconcile:${paymentIntent.id}:${paymentIntent.status}`,
+            type: mapped.event,
+            payload: { id: `reconcile:${paymentIntent.id}`, type: mapped.event, data: { object: paymentIntent } }
+        }))
+    };
+}
+
+async function lookupStripe(booking) {
+    if (!stripeService.isConfigured()) {
+        throw new Error('Stripe is not configured');
+    }
+
+    const paymentIntent = await stripeService.client.paymentIntents.retrieve(stripeService.getPaymentIntentId(booking));
+    return fromPaymentIntent(paymentIntent);
+}
+
+async function lookupTelebirr(booking) {
+    const outTradeNo = booking.payment.transactionId;
+    const result = await telebirrService.queryPaymentStatus(outTradeNo);
+
+    if (!result.success) {
+        throw new Error(result.error || 'Telebirr query failed');
+    }
+
+    const settled = ['paid', 'failed', 'cancelled'].includes(result.status);
+    return {
+        status: settled ? result.status : 'pending',
+        amount: result.amount,
+        // Same ledger key as the callback, so a late callback is skipped
+        apply: settled && (() => webhookService.receive('telebirr', {
+            eventId: `${outTradeNo}:${result.status}`,
+            type: result.status,
+            payload: { outTradeNo, status: result.status, tradeNo: result.tradeNo, amount: result.amount, paidAt: result.paidAt }
+        }))
+    };
+}
+
+const LOOKUPS = {
+    stripe: lookupStripe,
+    telebirr: lookupTelebirr
+};
+
+// ========================================
+// Checks
+// ========================================
+
+/**
+ * Check one booking payment with its provider and correct it if needed
+ * @returns {Object} Report item
+ */
+async function checkBooking(booking, { expireAbandoned = false } = {}) {
+    const provider = booking.payment.method;
+    const item = {
+        provider,
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        transactionId: booking.payment.stripePaymentId || booking.payment.transactionId,
+        localStatus: booking.payment.status,
+        amount: booking.payment.amount,
+        currency: booking.payment.currency
+    };
+
+    try {
+        const remote = await LOOKUPS[provider](booking);
+        item.providerStatus = remote.status;
+        item.providerAmount = remote.amount;
+
+        if (isMatch(booking.payment.status, remote.status)) {
+            return { ...item, result: 'matched' };
+        }
+
+        if (remote.apply) {
+            const { event, duplicate } = await remote.apply();
+            const updated = await Booking.findById(booking._id).select('payment.status');
+            item.newStatus = updated?.payment.status;
+
+            if (event?.status === 'processed' && isMatch(item.newStatus, remote.status)) {
+                return { ...item, result: 'corrected', note: event.outcome };
+            }
+            return {
+                ...item,
+                result: event?.status === 'failed' ? 'error' : 'mismatch',
+                note: event?.lastError || event?.outcome || (duplicate ? 'Already in the webhook ledger' : undefined)
+            };
+        }
+
+        // Provider is still waiting for the customer
+        if (expireAbandoned && Date.now() - booking.updatedAt >= PENDING_PAYMENT_TTL) {
+            await expireAbandonedPayment(booking);
+            return { ...item, result: 'expired', newStatus: 'cancelled', note: 'Payment abandoned' };
+        }
+
+        return { ...item, result: 'mismatch', note: 'Provider payment still pending' };
+    } catch (error) {
+        console.error(`[Reconcile] ${booking.bookingReference} check failed:`, error.message);
+        return { ...item, result: 'error', note: error.message };
+    }
+}
+
+/**
+ * Stop an abandoned payment from completing later and cancel the booking
+ */
+async function expireAbandonedPayment(booking) {
+    if (booking.payment.method === 'stripe') {
+        await stripeService.client.paymentIntents.cancel(stripeService.getPaymentIntentId(booking), {
+            cancellation_reason: 'abandoned'
+        });
+    }
+
+    booking.payment.status = 'cancelled';
+    booking.payment.failureReason = 'Payment abandoned';
+
+    if (booking.status === 'pending') {
+        await booking.updateStatus('cancelled', 'Expired: payment abandoned', 'system');
+    } else {
+        await booking.save();
+    }
+}
+
+/**
+ * Add checked items to the day's report
+ */
+async function recordItems(date, items, extra = {}) {
+    const inc = { runs: 1 };
+    for (const item of items) {
+        inc[`totals.${item.result}`] = (inc[`totals.${item.result}`] || 0) + 1;
+    }
+
+    return ReconciliationReport.findOneAndUpdate(
+        { date },
+        {
+            $push: { items: { $each: items } },
+            $inc: inc,
+            $set: { lastRunAt: new Date(), ...extra }
+        },
+        { upsert: true, new: true }
+    );
+}
+
+// ========================================
+// Jobs
+// ========================================
+
+/**
+ * Ask the provider about payments stuck in pending / processing
+ * (scheduled job). Only changes are written to the report.
+ */
+async function reconcilePendingPayments() {
+    const bookings = await Booking.find({
+        'payment.method': { $in: ['stripe', 'telebirr'] },
+        'payment.status': { $in: ['pending', 'processing'] },
+        'payment.transactionId': { $exists: true },
+        updatedAt: { $lte: new Date(Date.now() - RECONCILE_AFTER) }
+    }).limit(BATCH_SIZE);
+
+    const items = [];
+    for (const booking of bookings) {
+        items.push(await checkBooking(booking, { expireAbandoned: true }));
+    }
+
+    const changes = items.filter(item => ['corrected', 'expired', 'error'].includes(item.result));
+    if (changes.length) {
+        await recordItems(toDateKey(), changes);
+    }
+
+    return items.reduce((acc, item) => {
+        acc[item.result] = (acc[item.result] || 0) + 1;
+        return acc;
+    }, { checked: items.length });
+}
+
+/**
+ * Stripe payments created in [from, to) that no booking knows about
+ */
+async function findStripeOrphans(from, to) {
+    if (!stripeService.isConfigured()) return [];
+
+    const items = [];
+    const list = stripeService.client.paymentIntents.list({
+        created: { gte: Math.floor(from / 1000), lt: Math.floor(to / 1000) },
+        limit: 100
+    });
+
+    for await (const paymentIntent of list) {
+        // Only money that actually moved
+        if (!['succeeded', 'requires_capture'].includes(paymentIntent.status)) continue;
+
+        const known = await Booking.exists({
+            $or: [
+                { 'payment.transactionId': paymentIntent.id },
+                { 'payment.stripePaymentId': paymentIntent.id },
+                { 'payment.adjustment.reference': paymentIntent.id }
+            ]
+        });
+        if (known) continue;
+
+        items.push({
+            provider: 'stripe',
+            transactionId: paymentIntent.id,
+            bookingReference: paymentIntent.metadata?.bookingReference,
+            result: 'orphaned',
+            providerStatus: fromPaymentIntent(paymentIntent).status,
+            providerAmount: (paymentIntent.amount_received || paymentIntent.amount) / 100,
+            currency: paymentIntent.currency.toUpperCase(),
+            note: 'No booking for this PaymentIntent'
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Provider events in [from, to) the ledger couldn't match to a booking
+ * (the only way to find Telebirr payments we don't know about)
+ */
+async function findLedgerOrphans(from, to) {
+    const events = await WebhookEvent.find({
+        provider: 'telebirr',
+        outcome: 'Booking not found',
+        createdAt: { $gte: from, $lt: to }
+    });
+
+    return events.map(event => ({
+        provider: 'telebirr',
+        transactionId: event.payload?.outTradeNo,
+        result: 'orphaned',
+        providerStatus: event.type,
+        providerAmount: event.payload?.amount,
+        currency: 'ETB',
+        note: 'Callback for an unknown transaction'
+    }));
+}
+
+/**
+ * Check every card and Telebirr payment settled on a day, and list
+ * provider payments without a booking (scheduled job, run for the day before)
+ * @param {Date} [day] - Any time on the day to check (default: yesterday)
+ */
+async function runDailyReconciliation(day = new Date(Date.now() - DAY)) {
+    const from = new Date(day);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+
+    const bookings = await Booking.find({
+        'payment.method': { $in: ['stripe', 'telebirr'] },
+        'payment.transactionId': { $exists: true },
+        $or: [
+            { 'payment.paidAt': { $gte: from, $lt: to } },
+            { 'payment.authorizedAt': { $gte: from, $lt: to } },
+            { createdAt: { $gte: from, $lt: to }, 'payment.status': { $in: ['pending', 'processing', 'failed'] } }
+        ]
+    });
+
+    const items = [];
+    for (const booking of bookings) {
+        items.push(await checkBooking(booking));
+    }
+
+    items.push(...await findStripeOrphans(from, to));
+    items.push(...await findLedgerOrphans(from, to));
+
+    const report = await recordItems(toDateKey(from), items, { dailyCheckCompletedAt: new Date() });
+    console.log(`[Reconcile] ${report.date}:`, JSON.stringify(report.totals));
+
+    return { date: report.date, ...report.toObject().totals };
+}
+
+// ========================================
+// Export
+// ========================================
+
+const CSV_COLUMNS = [
+    'checkedAt', 'provider', 'bookingReference', 'transactionId', 'result',
+    'localStatus', 'providerStatus', 'newStatus', 'amount', 'providerAmount', 'currency', 'note'
+];
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report items as CSV (one row per check)
+ */
+function toCsv(report) {
+    const rows = report.items.map(item => CSV_COLUMNS.map(column => csvValue(item[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    toDateKey,
+    checkBooking,
+    reconcilePendingPayments,
+    runDailyReconciliation,
+    toCsv
+};
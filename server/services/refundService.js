@@ -0,0 +1,378 @@
+// ========================================
+// Refund Service
+// ========================================
+// Cancellation refund policy and refunds through the provider the
+// booking was paid with. The state machine calls refundCancellation()
+// when a booking is cancelled, before the customer is notified; admins
+// refund through issueRefund(). Card payments that are only authorized
+// are refunded by releasing the hold instead. Each refund is checked with
+// the provider first - the payment must have been made for the booking.
+// ========================================
+
+const Booking = require('../models/Booking');
+const telebirrService = require('./telebirrService');
+const stripeService = require('./stripeService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+// Stripe setup (conditional)
+let stripe = null;
+if (process.env.STRIPE_SECRET_KEY) {
+    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+}
+
+// ========================================
+// Cancellation Policy
+// ========================================
+
+// Trip progress order - used to find statuses at or past the no-refund point
+const TRIP_PROGRESS = [
+    'pending_approval', 'pending', 'confirmed', 'driver_assigned', 'driver_enroute',
+    'driver_arrived', 'passenger_picked_up', 'in_progress', 'completed'
+];
+
+const CANCELLATION_POLICY = {
+    // Cancel earlier than this before pickup for a full refund
+    fullRefundHours: parseFloat(process.env.CANCELLATION_FULL_REFUND_HOURS) || 24,
+    // Share refunded when cancelling inside the window
+    partialRefundPercent: parseFloat(process.env.CANCELLATION_PARTIAL_REFUND_PERCENT ?? 50),
+    // No refund once the booking has reached this status
+    noRefundFromStatus: process.env.CANCELLATION_NO_REFUND_FROM_STATUS || 'driver_enroute'
+};
+
+// Payment methods refunded through a provider (cash is never collected up front,
+// corporate bookings are invoiced)
+const REFUNDABLE_METHODS = ['stripe', 'telebirr'];
+
+// Payment statuses with money left to refund
+const REFUNDABLE_STATUSES = ['paid', 'authorized', 'partially_refunded'];
+
+// How long a refund waits on the provider before another one may be started
+const REFUND_CLAIM_MINUTES = 10;
+
+/**
+ * Error for a refund that can't be made. Routes answer 400 with error.code.
+ */
+function refundError(code, message) {
+    const error = new Error(message);
+    error.name = 'RefundError';
+    error.code = code;
+    return error;
+}
+
+/**
+ * Amount actually paid, in the currency it was paid in
+ */
+function getPaidAmount(booking) {
+    const payment = booking.payment || {};
+    // Telebirr only takes birr
+    const currency = payment.currency || (payment.method === 'telebirr' ? 'ETB' : booking.pricing?.currency) || 'USD';
+
+    if (payment.amount) {
+        return { amount: payment.amount, currency };
+    }
+
+    return {
+        amount: currency === 'ETB' ? booking.pricing?.totalETB || 0 : booking.pricing?.totalUSD || 0,
+        currency
+    };
+}
+
+/**
+ * What is left to refund after earlier partial refunds
+ */
+function getRefundableAmount(booking) {
+    const { amount } = getPaidAmount(booking);
+    return Math.max(0, Math.round((amount - (booking.payment?.refundedAmount || 0)) * 100) / 100);
+}
+
+/**
+ * Work out the refund for cancelling a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - { fromStatus, now } - fromStatus is the status before cancelling
+ * @returns {Object} { tier, percent, amount, currency, reason }
+ */
+function calculateCancellationRefund(booking, { fromStatus = booking.status, now = new Date() } = {}) {
+    const { currency } = getPaidAmount(booking);
+    const paid = getRefundableAmount(booking);
+    const none = (reason) => ({ tier: 'none', percent: 0, amount: 0, currency, reason });
+
+    if (!REFUNDABLE_METHODS.includes(booking.payment?.method) || !REFUNDABLE_STATUSES.includes(booking.payment?.status)) {
+        return none('not_paid');
+    }
+
+    const progress = TRIP_PROGRESS.indexOf(fromStatus);
+    if (progress === -1 || progress >= TRIP_PROGRESS.indexOf(CANCELLATION_POLICY.noRefundFromStatus)) {
+        return none('trip_started');
+    }
+
+    const hoursToPickup = (new Date(booking.pickup.scheduledTime) - now) / (60 * 60 * 1000);
+    if (hoursToPickup > CANCELLATION_POLICY.fullRefundHours) {
+        return { tier: 'full', percent: 100, amount: paid, currency, reason: 'outside_window' };
+    }
+
+    const percent = CANCELLATION_POLICY.partialRefundPercent;
+    return {
+        tier: percent > 0 ? 'partial' : 'none',
+        percent,
+        amount: Math.round(paid * percent) / 100,
+        currency,
+        reason: 'inside_window'
+    };
+}
+
+// ========================================
+// Provider Refunds
+// ========================================
+
+async function refundStripe(booking, amount, reason) {
+    // Nothing has been taken yet - capture what isn't refunded and let the rest of the hold go
+    if (booking.payment.status === 'authorized') {
+        const paid = getPaidAmount(booking).amount;
+        const keep = Math.round((paid - amount) * 100) / 100;
+        const result = keep > 0
+            ? await stripeService.captureBooking(booking, keep)
+            : await stripeService.releaseAuthorization(booking);
+
+        // Kept as the full fare - refundedAmount records the part released
+        booking.payment.amount = paid;
+        return { reference: result.reference, status: 'succeeded' };
+    }
+
+    if (!stripe) {
+        throw new Error('Stripe is not configured');
+    }
+
+    const refund = await stripe.refunds.create({
+        payment_intent: booking.payment.stripePaymentId || booking.payment.transactionId,
+        amount: Math.round(amount * 100), // Stripe uses cents
+        reason: 'requested_by_customer',
+        metadata: {
+            bookingId: booking._id.toString(),
+            bookingReference: booking.bookingReference,
+            note: reason
+        }
+    }, {
+        // The same refund sent twice (a retry, or a claim that slipped through) is only made once
+        idempotencyKey: `refund-${booking._id}-${booking.payment.refundedAmount || 0}-${amount}`
+    });
+
+    return {
+        reference: refund.id,
+        status: refund.status === 'succeeded' ? 'succeeded' : 'processing'
+    };
+}
+
+async function refundTelebirr(booking, amount, reason) {
+    const result = await telebirrService.requestRefund({
+        outTradeNo: booking.payment.transactionId,
+        tradeNo: booking.payment.telebirrTradeNo,
+        amount,
+        reason
+    });
+
+    if (!result.success) {
+        throw new Error(result.error || 'Telebirr refund failed');
+    }
+
+    return { reference: result.outRefundNo, status: 'processing' };
+}
+
+const PROVIDERS = {
+    stripe: refundStripe,
+    telebirr: refundTelebirr
+};
+
+// ========================================
+// Provider Checks
+// ========================================
+// The stored payment fields are checked with the provider before money goes
+// back, so a booking can only refund the payment that was made for it.
+
+async function verifyStripe(booking, amount) {
+    if (!stripeService.isConfigured()) {
+        throw new Error('Stripe is not configured');
+    }
+
+    const paymentIntent = await stripeService.client.paymentIntents.retrieve(stripeService.getPaymentIntentId(booking));
+    const { currency } = getPaidAmount(booking);
+
+    if (paymentIntent.metadata?.bookingId !== booking._id.toString() ||
+        paymentIntent.currency !== currency.toLowerCase()) {
+        throw refundError('PAYMENT_MISMATCH', 'The card payment on this booking was not made for it');
+    }
+
+    // Held but not captured, or taken
+    const available = booking.payment.status === 'authorized'
+        ? paymentIntent.amount_capturable
+        : paymentIntent.amount_received;
+    if (Math.round(((booking.payment.refundedAmount || 0) + amount) * 100) > available) {
+        throw refundError('PAYMENT_MISMATCH', 'Refund is more than the card payment for this booking');
+    }
+}
+
+async function verifyTelebirr(booking, amount) {
+    const outTradeNo = booking.payment.transactionId;
+
+    // Telebirr orders carry no booking details - an order is only ever stored
+    // on the booking that started it
+    const sharedWith = outTradeNo && await Booking.exists({
+        _id: { $ne: booking._id },
+        'payment.transactionId': outTradeNo
+    });
+    if (!outTradeNo || sharedWith) {
+        throw refundError('PAYMENT_MISMATCH', 'The Telebirr payment on this booking was not made for it');
+    }
+
+    const result = await telebirrService.queryPaymentStatus(outTradeNo);
+    if (!result.success || result.status !== 'paid') {
+        throw refundError('PAYMENT_MISMATCH', 'Telebirr has no completed payment for this booking');
+    }
+    if ((booking.payment.refundedAmount || 0) + amount > result.amount + 0.01) {
+        throw refundError('PAYMENT_MISMATCH', 'Refund is more than the Telebirr payment for this booking');
+    }
+}
+
+const VERIFIERS = {
+    stripe: verifyStripe,
+    telebirr: verifyTelebirr
+};
+
+// Record the refund as requested, but only if no other refund was made or
+// started since the booking was read - two refunds at once can't both reach
+// the provider. A claim left by a refund that never finished (the server
+// stopped mid-call) can be taken over after REFUND_CLAIM_MINUTES.
+async function claimRefund(booking, status, refund) {
+    const refundedAmount = booking.payment.refundedAmount || 0;
+    const staleBefore = new Date(Date.now() - REFUND_CLAIM_MINUTES * 60 * 1000);
+
+    const claimed = await Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            'payment.status': status,
+            'payment.refundedAmount': refundedAmount > 0 ? refundedAmount : { $in: [null, 0] },
+            $or: [
+                { 'payment.refund.status': { $ne: 'requested' } },
+                { 'payment.refund.requestedAt': { $lt: staleBefore } }
+            ]
+        },
+        { $set: { 'payment.refund': refund } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw refundError('REFUND_IN_PROGRESS', 'Another refund for this booking was made or is in progress');
+    }
+}
+
+/**
+ * Refund a paid booking through its original provider and record it on the booking
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Amount in the payment currency
+ * @param {Object} [options] - { tier, reason, refundedBy }
+ * @returns {Object} The booking's payment.refund record
+ */
+async function issueRefund(booking, amount, { tier = 'manual', reason, refundedBy } = {}) {
+    const method = booking.payment?.method;
+    const status = booking.payment?.status;
+    const { currency } = getPaidAmount(booking);
+    const refundable = getRefundableAmount(booking);
+
+    if (!PROVIDERS[method]) {
+        throw refundError('NOT_REFUNDABLE', `Payments by ${method} can't be refunded automatically`);
+    }
+    if (status === 'refunded') {
+        throw refundError('ALREADY_REFUNDED', 'Booking has already been refunded');
+    }
+    if (!REFUNDABLE_STATUSES.includes(status)) {
+        throw refundError('NOT_PAID', 'Booking has not been paid');
+    }
+    if (!(amount > 0) || amount > refundable) {
+        throw refundError('INVALID_AMOUNT', `Refund must be between 0 and ${currency} ${refundable}`);
+    }
+
+    await VERIFIERS[method](booking, amount);
+
+    const refund = {
+        amount,
+        currency,
+        tier,
+        provider: method,
+        status: 'requested',
+        requestedAt: new Date()
+    };
+    await claimRefund(booking, status, refund);
+    booking.payment.refund = refund;
+
+    try {
+        const result = await PROVIDERS[method](booking, amount, reason);
+        booking.payment.refund.reference = result.reference;
+        booking.payment.refund.status = result.status;
+        booking.payment.refundedAmount = Math.round(((booking.payment.refundedAmount || 0) + amount) * 100) / 100;
+        booking.payment.status = amount < refundable ? 'partially_refunded' : 'refunded';
+    } catch (error) {
+        booking.payment.refund.status = 'failed';
+        booking.payment.refund.failureReason = error.message;
+        await booking.save();
+        throw error;
+    }
+
+    await booking.save();
+    await auditService.logRefund(booking, amount, refundedBy);
+
+    return booking.payment.refund;
+}
+
+/**
+ * Apply the cancellation policy and refund what it allows. A failed
+ * refund alerts admins instead of failing the cancellation.
+ * @param {Object} booking - Booking already moved to cancelled
+ * @param {Object} [options] - { fromStatus, amount (override), reason, refundedBy }
+ * @returns {number} Amount refunded (or owed, if the provider call failed)
+ */
+async function refundCancellation(booking, { fromStatus, amount, reason, refundedBy } = {}) {
+    const quote = calculateCancellationRefund(booking, { fromStatus });
+    const override = amount !== undefined && amount !== null;
+    const refundAmount = override ? Math.min(amount, getRefundableAmount(booking)) : quote.amount;
+
+    if (!refundAmount || quote.reason === 'not_paid') {
+        // Nothing to give back - an authorized card still has to be charged
+        if (quote.reason !== 'not_paid' && booking.payment.status === 'authorized') {
+            try {
+                await stripeService.captureBooking(booking, booking.getFareAmount(booking.payment.currency));
+                await booking.save();
+            } catch (error) {
+                console.error(`[Refund] ${booking.bookingReference} capture failed:`, error.message);
+                await notificationService.sendAdminAlert(
+                    'Capture failed',
+                    `Capturing the fare for cancelled booking ${booking.bookingReference} failed: ${error.message}. Please capture it from the Stripe dashboard.`
+                );
+            }
+        }
+        return 0;
+    }
+
+    try {
+        await issueRefund(booking, refundAmount, {
+            tier: override ? 'manual' : quote.tier,
+            reason: reason || 'Booking cancelled',
+            refundedBy
+        });
+    } catch (error) {
+        console.error(`[Refund] ${booking.bookingReference} refund of ${refundAmount} failed:`, error.message);
+        await notificationService.sendAdminAlert(
+            'Refund failed',
+            `Refund of ${quote.currency} ${refundAmount} for booking ${booking.bookingReference} failed: ${error.message}. Please refund manually.`
+        );
+    }
+
+    return refundAmount;
+}
+
+module.exports = {
+    CANCELLATION_POLICY,
+    calculateCancellationRefund,
+    getRefundableAmount,
+    issueRefund,
+    refundCancellation
+};
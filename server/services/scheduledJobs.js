@@ -0,0 +1,237 @@
+// ========================================
+// Scheduled Jobs
+// ========================================
+// Job handlers run by the job scheduler. Register everything here
+// so server.js only has to call registerJobs() once on startup.
+// ========================================
+
+const Booking = require('../models/Booking');
+const jobScheduler = require('./jobScheduler');
+const aviationService = require('./aviationService');
+const flightWatcher = require('./flightWatcher');
+const dispatchService = require('./dispatchService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const reconciliationService = require('./reconciliationService');
+const payoutService = require('./payoutService');
+const invoiceService = require('./invoiceService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Max bookings handled per run so one slow run can't hog the lock
+const BATCH_SIZE = 100;
+
+// Pickups inside (from, to] get the reminder; the 24h window stops
+// where the 2h window starts so one booking never gets both at once
+const REMINDER_WINDOWS = [
+    { type: '2h', from: 0, to: 2 * HOUR },
+    { type: '24h', from: 2 * HOUR, to: 24 * HOUR }
+];
+
+// Bookings that are going ahead (cash/corporate bookings stay pending until confirmed)
+const UPCOMING_BOOKING_QUERY = {
+    $or: [
+        { status: { $in: ['confirmed', 'driver_assigned'] } },
+        { status: 'pending', 'payment.method': { $in: ['cash', 'corporate'] } }
+    ]
+};
+
+const PENDING_PAYMENT_TTL = (parseInt(process.env.PENDING_PAYMENT_TTL_MINUTES) || 60) * MINUTE;
+
+// ========================================
+// Trip Reminders
+// ========================================
+async function sendTripReminders() {
+    const now = Date.now();
+    const result = { '24h': 0, '2h': 0, failed: 0 };
+
+    for (const window of REMINDER_WINDOWS) {
+        const bookings = await Booking.find({
+            ...UPCOMING_BOOKING_QUERY,
+            'pickup.scheduledTime': {
+                $gt: new Date(now + window.from),
+                $lte: new Date(now + window.to)
+            },
+            notificationsSent: {
+                $not: { $elemMatch: { type: 'trip_reminder', reminderType: window.type } }
+            }
+        }).limit(BATCH_SIZE);
+
+        for (const booking of bookings) {
+            try {
+                await notificationService.sendTripReminderNotification(booking, window.type);
+                result[window.type]++;
+            } catch (error) {
+                result.failed++;
+                console.error(`[Jobs] Reminder failed for ${booking.bookingReference}:`, error.message);
+            }
+        }
+    }
+
+    return result;
+}
+
+// ========================================
+// Aviation API Counter Reset
+// ========================================
+async function resetAviationCounter() {
+    await aviationService.resetMonthlyCounter();
+    return aviationService.getApiUsage();
+}
+
+/**
+ * Midnight on the first of the month after `from`
+ */
+function startOfNextMonth(from) {
+    return new Date(from.getFullYear(), from.getMonth() + 1, 1);
+}
+
+/**
+ * 01:00 on the day after `from` - late enough for the day's payments to settle
+ */
+function oneAmNextDay(from) {
+    return new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1, 1);
+}
+
+/**
+ * The next Monday 02:00 after `from` - the week's trips are all in by then
+ */
+function twoAmNextMonday(from) {
+    const next = new Date(from.getFullYear(), from.getMonth(), from.getDate(), 2);
+    if (next <= from) next.setDate(next.getDate() + 1);
+    next.setDate(next.getDate() + ((8 - next.getDay()) % 7));
+    return next;
+}
+
+// ========================================
+// Expire Pending Bookings
+// ========================================
+async function expirePendingBookings() {
+    const now = Date.now();
+    const result = { unpaid: 0, stale: 0, unapproved: 0 };
+
+    // Online payments that were never completed
+    const unpaid = await Booking.find({
+        status: 'pending',
+        'payment.method': { $in: ['stripe', 'telebirr'] },
+        'payment.status': { $in: ['pending', 'failed'] },
+        createdAt: { $lte: new Date(now - PENDING_PAYMENT_TTL) }
+    }).limit(BATCH_SIZE);
+
+    for (const booking of unpaid) {
+        await booking.updateStatus('cancelled', 'Expired: payment not completed', 'system');
+        result.unpaid++;
+    }
+
+    // Anything still pending after its pickup time was never confirmed
+    const stale = await Booking.find({
+        status: 'pending',
+        'payment.status': { $ne: 'paid' },
+        'pickup.scheduledTime': { $lte: new Date(now) }
+    }).limit(BATCH_SIZE);
+
+    for (const booking of stale) {
+        await booking.updateStatus('cancelled', 'Expired: pickup time passed without confirmation', 'system');
+        result.stale++;
+    }
+
+    // Corporate bookings nobody approved before pickup
+    const unapproved = await Booking.find({
+        status: 'pending_approval',
+        'pickup.scheduledTime': { $lte: new Date(now) }
+    }).limit(BATCH_SIZE);
+
+    for (const booking of unapproved) {
+        await booking.updateStatus('cancelled', 'Expired: not approved before the pickup time', 'system');
+        result.unapproved++;
+    }
+
+    return result;
+}
+
+// ========================================
+// Register Jobs
+// ========================================
+function registerJobs() {
+    jobScheduler.register('trip-reminders', {
+        description: 'Send 24h and 2h trip reminders',
+        interval: 5 * MINUTE,
+        handler: sendTripReminders,
+        runOnStart: true
+    });
+
+    jobScheduler.register('flight-status-refresh', {
+        description: 'Track arrival flights in the next 24h and move pickups when the ETA changes',
+        getNextRunAt: flightWatcher.getNextPollAt,
+        handler: flightWatcher.watchFlights,
+        runOnStart: true
+    });
+
+    jobScheduler.register('aviation-counter-reset', {
+        description: 'Reset the monthly AviationStack API call counter',
+        getNextRunAt: startOfNextMonth,
+        handler: resetAviationCounter
+    });
+
+    jobScheduler.register('dispatch', {
+        description: 'Offer upcoming bookings to drivers and time out unanswered offers',
+        interval: 30 * 1000,
+        handler: () => dispatchService.runDispatchCycle(),
+        lockTtl: 5 * 60,
+        runOnStart: true
+    });
+
+    jobScheduler.register('expire-pending-bookings', {
+        description: 'Cancel unpaid and stale pending bookings, and corporate bookings not approved by pickup',
+        interval: 10 * MINUTE,
+        handler: expirePendingBookings
+    });
+
+    jobScheduler.register('webhook-retry', {
+        description: 'Retry payment webhooks whose processing failed',
+        interval: MINUTE,
+        handler: () => webhookService.retryFailed()
+    });
+
+    jobScheduler.register('payment-reconciliation', {
+        description: 'Check stuck pending / processing payments with Stripe and Telebirr, expire abandoned ones',
+        interval: 15 * MINUTE,
+        handler: () => reconciliationService.reconcilePendingPayments(),
+        runOnStart: true
+    });
+
+    jobScheduler.register('daily-reconciliation-report', {
+        description: "Check yesterday's payments with the providers and list payments without a booking",
+        getNextRunAt: oneAmNextDay,
+        handler: () => reconciliationService.runDailyReconciliation(),
+        lockTtl: 30 * 60
+    });
+
+    jobScheduler.register('driver-payouts', {
+        description: "Create last week's driver payouts, deduct cash owed and reset weekly earnings",
+        getNextRunAt: twoAmNextMonday,
+        handler: () => payoutService.generateWeeklyPayouts(),
+        lockTtl: 30 * 60
+    });
+
+    jobScheduler.register('driver-earnings-month-reset', {
+        description: 'Reset the monthly driver earnings counters',
+        getNextRunAt: startOfNextMonth,
+        handler: () => payoutService.resetMonthlyEarnings()
+    });
+
+    jobScheduler.register('corporate-invoicing', {
+        description: 'Invoice corporate accounts whose billing period closed, email the invoices and flag overdue ones',
+        getNextRunAt: oneAmNextDay,
+        handler: () => invoiceService.runInvoicing(),
+        lockTtl: 30 * 60
+    });
+}
+
+module.exports = {
+    registerJobs,
+    sendTripReminders,
+    resetAviationCounter,
+    expirePendingBookings
+};
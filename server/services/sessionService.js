@@ -0,0 +1,259 @@
+// ========================================
+// Session Service
+// ========================================
+// Login sessions for users (customers, staff) and drivers. Signing in
+// opens a session and returns a short-lived access token (JWT with the
+// session id) and a refresh token. The refresh token is single use:
+// each refresh returns a new pair, and a refresh token that comes back
+// after being swapped revokes the session, since someone copied it.
+//
+// Requests check the session is still open, through a cached list of
+// each account's open session ids (cacheService.cacheUserSession), so
+// revoking a session takes effect straight away. Sessions are revoked on
+// logout, from the session list, and when an account is deleted,
+// suspended or has its role changed.
+// ========================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Driver = require('../models/Driver');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'shuttleplus-secret-key-change-in-production';
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const PREVIOUS_TOKENS_KEPT = 5;
+const REUSE_GRACE_MS = 30 * 1000;
+
+// How each kind of account appears in the access token and is loaded back
+const SUBJECTS = {
+    user: {
+        model: User,
+        claim: 'userId',
+        isAllowed: () => true
+    },
+    driver: {
+        model: Driver,
+        claim: 'driverId',
+        isAllowed: driver => driver.status === 'active'
+    }
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function cacheKey(subjectType, subjectId) {
+    return `${subjectType}:${subjectId}`;
+}
+
+function signAccessToken(subjectType, subject, session) {
+    const payload = { [SUBJECTS[subjectType].claim]: subject._id, sid: session._id };
+    if (subjectType === 'driver') payload.email = subject.email;
+    // Lets the rate limiter tell staff from customers without a lookup;
+    // a role change revokes the account's sessions, so it can't go stale
+    if (subjectType === 'user') payload.role = subject.role;
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+}
+
+// What a client gets back on login and refresh
+function issueTokens(subjectType, subject, session, refreshToken) {
+    return {
+        token: signAccessToken(subjectType, subject, session),
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session._id
+    };
+}
+
+// ========================================
+// Sessions
+// ========================================
+
+/**
+ * Open a session for a user or driver who has just signed in
+ * @param {string} subjectType - 'user' | 'driver'
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+async function createSession(subjectType, subject, req) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    const session = await Session.create({
+        subjectType,
+        subjectId: subject._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req?.headers?.['user-agent'],
+        ip: auditService.getClientIP(req),
+        lastSeenAt: new Date(),
+        expiresAt: refreshExpiry()
+    });
+
+    await cacheService.invalidateUserSession(cacheKey(subjectType, subject._id));
+
+    return issueTokens(subjectType, subject, session, refreshToken);
+}
+
+/**
+ * Swap a refresh token for a new access and refresh token
+ * @returns {Object|null} { token, refreshToken, refreshTokenExpiresAt,
+ *   sessionId, subject }, or null if the refresh token can't be used
+ */
+async function refreshSession(subjectType, refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ subjectType, refreshTokenHash: tokenHash });
+    if (!session) {
+        await handleTokenReuse(subjectType, tokenHash, req);
+        return null;
+    }
+    if (!session.isActive) return null;
+
+    const { model, isAllowed } = SUBJECTS[subjectType];
+    const subject = await model.findById(session.subjectId);
+    if (!subject || !isAllowed(subject)) {
+        await revokeSession(subjectType, session.subjectId, session._id, subject ? 'suspended' : 'account_deleted');
+        return null;
+    }
+
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+    session.previousTokenHashes = [...session.previousTokenHashes, tokenHash].slice(-PREVIOUS_TOKENS_KEPT);
+    session.refreshTokenHash = hashToken(nextToken);
+    session.userAgent = req?.headers?.['user-agent'] || session.userAgent;
+    session.ip = auditService.getClientIP(req) || session.ip;
+    session.lastSeenAt = new Date();
+    session.expiresAt = refreshExpiry();
+    await session.save();
+
+    return { ...issueTokens(subjectType, subject, session, nextToken), subject };
+}
+
+// A refresh token that was already swapped: whoever holds the current
+// one may not be the account owner, so end the session for both
+async function handleTokenReuse(subjectType, tokenHash, req) {
+    const session = await Session.findOne({ subjectType, previousTokenHashes: tokenHash });
+    if (!session || session.revokedAt) return;
+
+    // Two tabs refreshing at once: the second sends the token the first
+    // has only just swapped. That request fails, the session stays open.
+    const justSwapped = session.previousTokenHashes[session.previousTokenHashes.length - 1] === tokenHash &&
+        Date.now() - session.lastSeenAt.getTime() < REUSE_GRACE_MS;
+    if (justSwapped) return;
+
+    await revokeSession(subjectType, session.subjectId, session._id, 'refresh_token_reuse');
+    await auditService.logRefreshTokenReuse(session, req);
+}
+
+/**
+ * Check an access token and that its session is still open
+ * @returns {Object|null} { subjectId, sessionId, payload }
+ */
+async function verifyAccessToken(subjectType, token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    const subjectId = payload[SUBJECTS[subjectType].claim];
+    if (!subjectId || !payload.sid) return null;
+
+    const open = await isSessionOpen(subjectType, subjectId, payload.sid);
+    return open ? { subjectId, sessionId: payload.sid, payload } : null;
+}
+
+/**
+ * Read an access token's claims, checking only its signature and expiry
+ * (not the session). For rate limiting before a route authenticates -
+ * never for deciding what a request may do.
+ * @returns {Object|null} The token payload
+ */
+function readAccessToken(token) {
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function isSessionOpen(subjectType, subjectId, sessionId) {
+    const key = cacheKey(subjectType, subjectId);
+    let cached = await cacheService.getUserSession(key);
+
+    if (!cached) {
+        const ids = await Session.find({
+            subjectType,
+            subjectId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).distinct('_id');
+        cached = { sessionIds: ids.map(String) };
+        await cacheService.cacheUserSession(key, cached);
+    }
+
+    return cached.sessionIds.includes(String(sessionId));
+}
+
+/**
+ * Open sessions, most recently used first
+ */
+function listSessions(subjectType, subjectId) {
+    return Session.find({
+        subjectType,
+        subjectId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+}
+
+/**
+ * Close one session
+ * @returns {Object|null} The session, or null if it wasn't open
+ */
+async function revokeSession(subjectType, subjectId, sessionId, reason) {
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, subjectType, subjectId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+    ).catch(() => null);
+
+    await cacheService.invalidateUserSession(cacheKey(subjectType, subjectId));
+    return session;
+}
+
+/**
+ * Close every open session of an account, except exceptSessionId if
+ * given ("log out other devices")
+ * @param {Object} options - { exceptSessionId, req, revokedBy }
+ * @returns {number} How many sessions were closed
+ */
+async function revokeAllSessions(subjectType, subject, reason, { exceptSessionId, req, revokedBy } = {}) {
+    const filter = { subjectType, subjectId: subject._id, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    await cacheService.invalidateUserSession(cacheKey(subjectType, subject._id));
+
+    if (result.modifiedCount > 0) {
+        await auditService.logSessionsRevoked(subjectType, subject, reason, result.modifiedCount, req, revokedBy);
+    }
+    return result.modifiedCount;
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    verifyAccessToken,
+    readAccessToken,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
@@ -120,6 +120,17 @@ const templates = {
         }
     },
 
+    flight_early: {
+        en: (data) => {
+            const { flightNumber, originalTime, newTime, reference } = data;
+            return `Shuttle Plus: Flight ${flightNumber} now arriving early, at ${newTime} instead of ${originalTime}. Your pickup adjusted automatically. Ref: ${reference}`;
+        },
+        am: (data) => {
+            const { flightNumber, newTime } = data;
+            return `ሸትል ፕላስ: በረራ ${flightNumber} ቀድሞ ይደርሳል። አዲስ ሰዓት: ${newTime}። ቀጠሮዎ በራስ-ሰር ተስተካክሏል`;
+        }
+    },
+
     flight_landed: {
         en: (data) => {
             const { flightNumber, terminal, gate, driverName } = data;
@@ -309,6 +320,17 @@ const templates = {
         }
     },
 
+    driver_pickup_rescheduled: {
+        en: (data) => {
+            const { reference, flightNumber, originalTime, newTime } = data;
+            return `Shuttle Plus Driver: Trip ${reference} pickup moved ${originalTime} -> ${newTime}. Flight ${flightNumber} ETA changed.`;
+        },
+        am: (data) => {
+            const { reference, newTime } = data;
+            return `ሸትል ፕላስ ሹፌር: የጉዞ ${reference} መነሻ ሰዓት ወደ ${newTime} ተቀይሯል`;
+        }
+    },
+
     driver_payout: {
         en: (data) => {
             const { amount, currency, period } = data;
@@ -475,10 +497,11 @@ class SMSTemplateService {
     }
 
     /**
-     * Get message for flight delay
+     * Get message for a flight arriving later (or earlier) than expected
      */
     getFlightDelay(booking, originalTime, newTime, language = 'en') {
-        return this.getMessage('flight_delay', {
+        const templateName = new Date(newTime) < new Date(originalTime) ? 'flight_early' : 'flight_delay';
+        return this.getMessage(templateName, {
             flightNumber: booking.flight.number,
             originalTime: formatTime(originalTime),
             newTime: formatTime(newTime),
@@ -528,7 +551,7 @@ class SMSTemplateService {
         return this.getMessage('booking_cancelled', {
             reference: booking.bookingReference,
             refundAmount: refundAmount,
-            currency: '$'
+            currency: booking.payment?.refund?.currency === 'ETB' ? 'ETB ' : '$'
         }, language);
     }
 
@@ -555,6 +578,18 @@ class SMSTemplateService {
         }, language);
     }
 
+    /**
+     * Get driver pickup rescheduled notification
+     */
+    getDriverPickupRescheduled(booking, originalPickupTime, language = 'en') {
+        return this.getMessage('driver_pickup_rescheduled', {
+            reference: booking.bookingReference,
+            flightNumber: booking.flight.number,
+            originalTime: formatTime(originalPickupTime),
+            newTime: formatTime(booking.pickup.scheduledTime)
+        }, language);
+    }
+
     /**
      * Get all available template names
      */
@@ -0,0 +1,222 @@
+// ========================================
+// Stripe Payment Service
+// ========================================
+// Card payments are authorized when the booking is paid and captured
+// when the trip ends, so waiting time and extra stops can be taken in
+// the same capture. The hold covers the fare plus a margin; whatever
+// isn't captured is released by Stripe.
+//
+// Card authorizations expire after 7 days - bookings further out than
+// the authorization window are captured straight away instead.
+// ========================================
+
+const CAPTURABLE_STATUSES = ['requires_capture'];
+
+class StripeService {
+    constructor() {
+        this.client = process.env.STRIPE_SECRET_KEY
+            ? require('stripe')(process.env.STRIPE_SECRET_KEY)
+            : null;
+
+        // Extra held on top of the fare for charges added during the trip
+        this.authMarginPercent = parseFloat(process.env.STRIPE_AUTH_MARGIN_PERCENT ?? 25);
+        // Only authorize bookings picking up within this many days
+        this.authWindowDays = parseFloat(process.env.STRIPE_AUTH_WINDOW_DAYS) || 6;
+    }
+
+    /**
+     * Check if Stripe is configured
+     */
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * 'manual' (authorize now, capture at completion) or 'automatic'
+     */
+    getCaptureMethod(booking) {
+        const daysToPickup = (new Date(booking.pickup.scheduledTime) - Date.now()) / (24 * 60 * 60 * 1000);
+        return daysToPickup <= this.authWindowDays ? 'manual' : 'automatic';
+    }
+
+    /**
+     * Amount to hold on the card for a fare
+     */
+    getAuthorizationAmount(amount) {
+        return Math.round(amount * (100 + this.authMarginPercent)) / 100;
+    }
+
+    getPaymentIntentId(booking) {
+        return booking.payment.stripePaymentId || booking.payment.transactionId;
+    }
+
+    /**
+     * Capture an authorized booking payment - the fare plus any extras, up
+     * to the amount held. Updates booking.payment (the caller saves).
+     * @param {Object} booking - Booking with payment.status 'authorized'
+     * @param {number} amount - Amount to take, in the payment currency
+     * @returns {Object} { reference, captured, remainder } - remainder is what the hold didn't cover
+     */
+    async captureBooking(booking, amount) {
+        if (!this.client) {
+            throw new Error('Stripe is not configured');
+        }
+
+        const held = booking.payment.authorizedAmount || booking.payment.amount;
+        const captured = Math.min(Math.round(amount * 100) / 100, held);
+
+        const paymentIntent = await this.client.paymentIntents.capture(this.getPaymentIntentId(booking), {
+            amount_to_capture: Math.round(captured * 100) // Stripe uses cents
+        });
+
+        booking.payment.status = 'paid';
+        booking.payment.paidAt = new Date();
+        booking.payment.amount = captured;
+
+        return {
+            reference: paymentIntent.id,
+            captured,
+            remainder: Math.round((amount - captured) * 100) / 100
+        };
+    }
+
+    /**
+     * Release an authorization without taking anything
+     */
+    async releaseAuthorization(booking) {
+        if (!this.client) {
+            throw new Error('Stripe is not configured');
+        }
+
+        const id = this.getPaymentIntentId(booking);
+        const paymentIntent = await this.client.paymentIntents.retrieve(id);
+
+        if (CAPTURABLE_STATUSES.includes(paymentIntent.status)) {
+            await this.client.paymentIntents.cancel(id, { cancellation_reason: 'requested_by_customer' });
+        }
+
+        return { reference: id };
+    }
+
+    /**
+     * Charge the card saved when the booking was paid, without the customer present
+     */
+    async chargeSavedCard(booking, amount, currency) {
+        const { stripeCustomerId, stripePaymentMethodId } = booking.payment;
+
+        if (!this.client) {
+            throw new Error('Stripe is not configured');
+        }
+        if (!stripeCustomerId || !stripePaymentMethodId) {
+            throw new Error('No saved card for this booking');
+        }
+
+        const paymentIntent = await this.client.paymentIntents.create({
+            amount: Math.round(amount * 100), // Stripe uses cents
+            currency: currency.toLowerCase(),
+            customer: stripeCustomerId,
+            payment_method: stripePaymentMethodId,
+            off_session: true,
+            confirm: true,
+            metadata: {
+                bookingId: booking._id.toString(),
+                bookingReference: booking.bookingReference,
+                type: 'trip_adjustment'
+            },
+            description: `Shuttle Plus trip charges - ${booking.bookingReference}`
+        });
+
+        return {
+            reference: paymentIntent.id,
+            status: paymentIntent.status === 'succeeded' ? 'paid' : 'processing'
+        };
+    }
+
+    // ========================================
+    // Corporate Account Top-ups
+    // ========================================
+
+    /**
+     * The account's Stripe customer, created on its first card top-up
+     * @returns {string} Customer ID
+     */
+    async getAccountCustomer(account) {
+        if (account.billing.stripeCustomerId) {
+            return account.billing.stripeCustomerId;
+        }
+
+        const customer = await this.client.customers.create({
+            name: account.company.name,
+            email: account.contact?.billing?.email || account.contact?.primary?.email,
+            metadata: { corporateAccountId: account._id.toString(), accountId: account.accountId }
+        });
+        return customer.id;
+    }
+
+    /**
+     * PaymentIntent for a top-up the account pays in the browser. The card
+     * is kept for auto-recharge.
+     * @param {Object} account - CorporateAccount
+     * @param {number} amount - In the account's billing currency
+     * @param {string} transactionId - BalanceTransaction the top-up completes
+     * @returns {Object} { reference, clientSecret, customerId }
+     */
+    async createTopUpIntent(account, amount, transactionId) {
+        if (!this.client) {
+            throw new Error('Stripe is not configured');
+        }
+
+        const customerId = await this.getAccountCustomer(account);
+        const paymentIntent = await this.client.paymentIntents.create({
+            amount: Math.round(amount * 100), // Stripe uses cents
+            currency: (account.billing.currency || 'USD').toLowerCase(),
+            customer: customerId,
+            setup_future_usage: 'off_session',
+            metadata: {
+                type: 'corporate_top_up',
+                corporateAccountId: account._id.toString(),
+                transactionId: transactionId.toString()
+            },
+            description: `Shuttle Plus account top-up - ${account.accountId}`
+        });
+
+        return { reference: paymentIntent.id, clientSecret: paymentIntent.client_secret, customerId };
+    }
+
+    /**
+     * Charge the account's saved card for an auto-recharge
+     * @returns {Object} { reference, status } - status 'paid' or 'processing'
+     */
+    async chargeAccountCard(account, amount, transactionId) {
+        const { stripeCustomerId, stripePaymentMethodId } = account.billing;
+
+        if (!this.client) {
+            throw new Error('Stripe is not configured');
+        }
+        if (!stripeCustomerId || !stripePaymentMethodId) {
+            throw new Error('No saved card for this account');
+        }
+
+        const paymentIntent = await this.client.paymentIntents.create({
+            amount: Math.round(amount * 100), // Stripe uses cents
+            currency: (account.billing.currency || 'USD').toLowerCase(),
+            customer: stripeCustomerId,
+            payment_method: stripePaymentMethodId,
+            off_session: true,
+            confirm: true,
+            metadata: {
+                type: 'corporate_top_up',
+                corporateAccountId: account._id.toString(),
+                transactionId: transactionId.toString()
+            },
+            description: `Shuttle Plus auto-recharge - ${account.accountId}`
+        });
+
+        return {
+            reference: paymentIntent.id,
+            status: paymentIntent.status === 'succeeded' ? 'paid' : 'processing'
+        };
+    }
+}
+
+module.exports = new StripeService();
@@ -0,0 +1,272 @@
+// ========================================
+// Trip Charges Service
+// ========================================
+// Bills what only becomes known during the trip: waiting time past the
+// free allowance and stops the customer added on the way. The state
+// machine records waiting time at pickup and applies the charges at
+// completion as adjustment line items on booking.pricing.
+// ========================================
+
+const { ADDITIONAL_CHARGES } = require('./pricingService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const pdfService = require('./pdfService');
+const stripeService = require('./stripeService');
+const corporateBalanceService = require('./corporateBalanceService');
+const corporatePolicyService = require('./corporatePolicyService');
+const CorporateAccount = require('../models/CorporateAccount');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * When the booking last entered a status (from statusHistory)
+ */
+function getStatusTime(booking, status) {
+    const entry = [...(booking.statusHistory || [])].reverse().find(h => h.status === status);
+    return entry ? new Date(entry.timestamp) : null;
+}
+
+// ========================================
+// Waiting Time
+// ========================================
+
+/**
+ * Waiting time between the driver being ready and the passenger getting in.
+ * Arrivals count from landing (flight.actualTime, falling back to the latest
+ * estimate), departures from the scheduled pickup - and never from before
+ * the driver arrived.
+ * @returns {Object|null} { startedAt, minutes, freeMinutes, billableMinutes }
+ */
+function calculateWaitingTime(booking) {
+    const arrivedAt = getStatusTime(booking, 'driver_arrived');
+    const pickedUpAt = getStatusTime(booking, 'passenger_picked_up');
+    if (!arrivedAt || !pickedUpAt) return null;
+
+    const { freeMinutes, departureFreeMinutes } = ADDITIONAL_CHARGES.waitingTime;
+    const isArrival = booking.type === 'arrival';
+    const readyAt = isArrival
+        ? booking.flight?.actualTime || booking.flight?.estimatedTime || booking.flight?.scheduledTime
+        : booking.pickup?.scheduledTime;
+
+    const startedAt = new Date(Math.max(arrivedAt, readyAt ? new Date(readyAt) : arrivedAt));
+    const minutes = Math.max(0, Math.floor((pickedUpAt - startedAt) / MINUTE_MS));
+    const allowance = isArrival ? freeMinutes : departureFreeMinutes;
+
+    return {
+        startedAt,
+        minutes,
+        freeMinutes: allowance,
+        billableMinutes: Math.max(0, minutes - allowance)
+    };
+}
+
+/**
+ * Store the waiting time on the booking when the passenger is picked up
+ */
+async function recordWaitingTime(booking) {
+    const waiting = calculateWaitingTime(booking);
+    if (!waiting) return null;
+
+    booking.trip.waitingStartedAt = waiting.startedAt;
+    booking.trip.waitingMinutes = waiting.minutes;
+    await booking.save();
+
+    return waiting;
+}
+
+// ========================================
+// Charges
+// ========================================
+
+/**
+ * Adjustment line items for the trip (empty if nothing extra is owed)
+ */
+function calculateTripCharges(booking) {
+    const rate = booking.pricing?.exchangeRate || 0;
+    const lineItems = [];
+
+    const waiting = calculateWaitingTime(booking);
+    if (waiting?.billableMinutes > 0) {
+        const { perHourUSD, billingIncrementMinutes } = ADDITIONAL_CHARGES.waitingTime;
+        const billedMinutes = Math.ceil(waiting.billableMinutes / billingIncrementMinutes) * billingIncrementMinutes;
+        const amountUSD = Math.round(billedMinutes / 60 * perHourUSD * 100) / 100;
+
+        lineItems.push({
+            type: 'waiting_time',
+            label: `Waiting time (${waiting.minutes} min, ${waiting.freeMinutes} free)`,
+            amountUSD,
+            amountETB: Math.round(amountUSD * rate),
+            adjustment: true
+        });
+    }
+
+    const stops = booking.trip?.unplannedStops?.length || 0;
+    if (stops > 0) {
+        const amountUSD = stops * ADDITIONAL_CHARGES.additionalStop.feeUSD;
+
+        lineItems.push({
+            type: 'extra_stop',
+            label: `Extra stops on the way (${stops})`,
+            amountUSD,
+            amountETB: Math.round(amountUSD * rate),
+            adjustment: true
+        });
+    }
+
+    return lineItems;
+}
+
+// ========================================
+// Settlement
+// ========================================
+
+/**
+ * Take the extras by card: in the same capture as the fare while the
+ * payment is only authorized, otherwise from the saved card
+ */
+async function chargeCard(booking, amount, currency) {
+    if (booking.payment.status !== 'authorized') {
+        return stripeService.chargeSavedCard(booking, amount, currency);
+    }
+
+    // booking.pricing already includes the extras
+    const { reference, remainder } = await stripeService.captureBooking(booking, booking.getFareAmount(currency));
+    if (remainder <= 0) {
+        return { reference, status: 'paid' };
+    }
+
+    // More than the hold covers - the rest goes on the saved card
+    try {
+        return await stripeService.chargeSavedCard(booking, remainder, currency);
+    } catch (error) {
+        error.amountDue = remainder;
+        throw error;
+    }
+}
+
+/**
+ * Capture the fare held on the card for a trip that ended without extras
+ * (completed with nothing added, or a no-show)
+ */
+async function captureFare(booking) {
+    if (booking.payment?.method !== 'stripe' || booking.payment.status !== 'authorized') return null;
+
+    const capture = await stripeService.captureBooking(booking, booking.getFareAmount(booking.payment.currency));
+    await booking.save();
+
+    return capture;
+}
+
+/**
+ * Take the extra amount off a corporate account's balance and add it to
+ * the trip's cost center, as the fare was when it was booked. It goes on
+ * the next invoice with the fare.
+ */
+async function chargeCorporateAccount(booking, amountUSD, amountETB) {
+    const account = await CorporateAccount.findById(booking.corporateAccountId);
+    if (!account) {
+        throw new Error('Corporate account not found');
+    }
+
+    const amount = account.billing?.currency === 'ETB' ? amountETB : amountUSD;
+    await corporateBalanceService.chargeBookingAdjustment(account, booking, amount);
+    await corporatePolicyService.chargeCostCenterAdjustment(account, booking, amount);
+}
+
+/**
+ * Collect the extra amount the way the booking was paid: the card for
+ * card payments, the account balance (and next invoice) for corporate
+ * bookings, and cash from the passenger otherwise (or when the card
+ * charge fails).
+ * @returns {Object} The booking's payment.adjustment record
+ */
+async function settleAdjustment(booking, amountUSD, amountETB) {
+    const method = booking.payment?.method;
+    const currency = booking.payment?.currency || 'USD';
+    const amount = currency === 'ETB' ? amountETB : amountUSD;
+
+    const adjustment = { amount, currency, settledAt: new Date() };
+
+    if (method === 'corporate') {
+        adjustment.status = 'invoiced';
+        try {
+            await chargeCorporateAccount(booking, amountUSD, amountETB);
+        } catch (error) {
+            console.error(`[TripCharges] ${booking.bookingReference} account charge failed:`, error.message);
+            await notificationService.sendAdminAlert(
+                'Corporate trip charge failed',
+                `Charging waiting time / extra stops on booking ${booking.bookingReference} to its corporate account failed: ${error.message}. Please adjust the account balance.`
+            );
+        }
+    } else if (method === 'stripe' && ['authorized', 'paid'].includes(booking.payment.status)) {
+        try {
+            Object.assign(adjustment, await chargeCard(booking, amount, currency));
+        } catch (error) {
+            console.error(`[TripCharges] ${booking.bookingReference} card charge failed:`, error.message);
+            adjustment.status = 'cash_due';
+            adjustment.amount = error.amountDue ?? amount;
+            adjustment.failureReason = error.message;
+            const fareNote = booking.payment.status === 'authorized' ? ' The fare has not been captured either - capture it from the Stripe dashboard.' : '';
+            await notificationService.sendAdminAlert(
+                'Trip charge failed',
+                `Charging ${currency} ${adjustment.amount} for waiting time / extra stops on booking ${booking.bookingReference} failed: ${error.message}. Marked as cash due.${fareNote}`
+            );
+        }
+    } else {
+        // Telebirr needs the customer to approve each payment, cash is paid to the driver
+        adjustment.status = 'cash_due';
+    }
+
+    booking.payment.adjustment = adjustment;
+    return adjustment;
+}
+
+/**
+ * Add waiting time and extra stop charges to a completed trip, collect the
+ * difference and send the customer a new receipt. Safe to call twice.
+ * @returns {Object|null} { lineItems, adjustment }, or null if nothing extra is owed
+ */
+async function applyTripCharges(booking) {
+    if (booking.trip?.chargesAppliedAt) return null;
+
+    const lineItems = calculateTripCharges(booking);
+
+    booking.trip.chargesAppliedAt = new Date();
+
+    if (!lineItems.length) {
+        await booking.save();
+        await captureFare(booking);
+        return null;
+    }
+
+    const amountUSD = Math.round(lineItems.reduce((sum, item) => sum + item.amountUSD, 0) * 100) / 100;
+    const amountETB = lineItems.reduce((sum, item) => sum + item.amountETB, 0);
+
+    booking.pricing.lineItems.push(...lineItems);
+    booking.pricing.totalUSD = Math.round((booking.pricing.totalUSD + amountUSD) * 100) / 100;
+    booking.pricing.totalETB = (booking.pricing.totalETB || 0) + amountETB;
+
+    // Saved first so the charges stand even if collecting them fails
+    await booking.save();
+
+    const adjustment = await settleAdjustment(booking, amountUSD, amountETB);
+    await booking.save();
+
+    console.log(`[TripCharges] ${booking.bookingReference}: +$${amountUSD} (${adjustment.status})`);
+    await auditService.logTripAdjustment(booking, lineItems, { ...adjustment, amountUSD });
+
+    if (booking.contact?.email) {
+        const receipt = await pdfService.generateReceiptPDF(booking);
+        await notificationService.emailService.sendReceiptEmail(booking, receipt);
+    }
+
+    return { lineItems, adjustment };
+}
+
+module.exports = {
+    calculateWaitingTime,
+    recordWaitingTime,
+    calculateTripCharges,
+    applyTripCharges,
+    captureFare
+};
@@ -3,15 +3,26 @@
 // ========================================
 
 const crypto = require('crypto');
-const speakeasy = require('speakeasy');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
 const QRCode = require('qrcode');
 
+const JWT_SECRET = process.env.JWT_SECRET || 'shuttleplus-secret-key-change-in-production';
+
+// TOTP secrets are stored encrypted (AES-256-GCM) with this key
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
 class TwoFactorService {
     constructor() {
         this.appName = 'Shuttle Plus';
         this.otpLength = 6;
-        this.otpWindow = 2; // Accept codes from 1 time step before/after
+        this.otpWindow = 1; // Accept codes from 1 time step before/after
         this.smsOtpExpiry = 10 * 60 * 1000; // 10 minutes
+        this.challengeExpiry = '10m'; // Between password and 2FA code
+        this.maxTrustedDevices = 10;
+        this.totp = authenticator.clone({ window: this.otpWindow });
     }
 
     // ========================================
@@ -22,15 +33,11 @@ class TwoFactorService {
      * Generate a new TOTP secret for user
      */
     generateTOTPSecret(user) {
-        const secret = speakeasy.generateSecret({
-            name: `${this.appName}:${user.email}`,
-            issuer: this.appName,
-            length: 32
-        });
+        const secret = this.totp.generateSecret(20);
 
         return {
-            secret: secret.base32,
-            otpAuthUrl: secret.otpauth_url,
+            secret,
+            otpAuthUrl: this.totp.keyuri(user.email, this.appName, secret),
             backupCodes: this.generateBackupCodes()
         };
     }
@@ -57,13 +64,7 @@ class TwoFactorService {
      */
     verifyTOTP(token, secret) {
         try {
-            const verified = speakeasy.totp.verify({
-                secret,
-                encoding: 'base32',
-                token,
-                window: this.otpWindow
-            });
-            return verified;
+            return this.totp.check(String(token || ''), secret);
         } catch (error) {
             console.error('[2FA] TOTP verification failed:', error);
             return false;
@@ -74,10 +75,7 @@ class TwoFactorService {
      * Generate current TOTP (for testing)
      */
     generateCurrentTOTP(secret) {
-        return speakeasy.totp({
-            secret,
-            encoding: 'base32'
-        });
+        return this.totp.generate(secret);
     }
 
     // ========================================
@@ -349,11 +347,167 @@ class TwoFactorService {
 
         return !!device;
     }
-}
 
-// Fallback if speakeasy not installed
-if (!speakeasy) {
-    console.warn('[2FA] speakeasy not installed. TOTP features will be limited.');
+    // ========================================
+    // Account Enrollment (staff users and drivers)
+    // ========================================
+    // These work on any document with a twoFactorAuth block (User,
+    // Driver). They change the document; the caller saves it.
+
+    /**
+     * Encrypt a TOTP secret for storage
+     */
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    decryptSecret(stored) {
+        const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Start enrolling: a new secret (kept as pendingSecret until the first
+     * code from the authenticator app confirms it) and its QR code
+     */
+    async startEnrollment(account) {
+        const { secret, otpAuthUrl } = this.generateTOTPSecret(account);
+        account.twoFactorAuth.pendingSecret = this.encryptSecret(secret);
+
+        return {
+            method: 'totp',
+            secret,
+            otpAuthUrl,
+            qrCode: await this.generateQRCode(otpAuthUrl)
+        };
+    }
+
+    /**
+     * Finish enrolling with a code from the app
+     * @returns {string[]|null} Backup codes (shown once), or null if the code is wrong
+     */
+    confirmEnrollment(account, token) {
+        const twoFA = account.twoFactorAuth;
+        if (!twoFA.pendingSecret || !this.verifyTOTP(token, this.decryptSecret(twoFA.pendingSecret))) {
+            return null;
+        }
+
+        const backupCodes = this.generateBackupCodes();
+        twoFA.enabled = true;
+        twoFA.method = 'totp';
+        twoFA.secret = twoFA.pendingSecret;
+        twoFA.pendingSecret = undefined;
+        twoFA.backupCodes = backupCodes.map(({ hashedCode }) => ({ hashedCode, used: false }));
+        twoFA.enabledAt = new Date();
+
+        return backupCodes.map(bc => bc.code);
+    }
+
+    /**
+     * Check a code from the authenticator app or, for recovery, a backup
+     * code (which is then used up)
+     * @returns {Object} { success, method, remainingBackupCodes }
+     */
+    verifyAccountCode(account, token, method = 'totp') {
+        const twoFA = account.twoFactorAuth;
+        if (!twoFA?.enabled || !token) {
+            return { success: false, method };
+        }
+
+        if (method === 'backup') {
+            const { valid, index } = this.verifyBackupCode(String(token), twoFA.backupCodes);
+            if (valid) twoFA.backupCodes[index].used = true;
+            return {
+                success: valid,
+                method,
+                remainingBackupCodes: this.getRemainingBackupCodes(twoFA.backupCodes)
+            };
+        }
+
+        return { success: this.verifyTOTP(token, this.decryptSecret(twoFA.secret)), method: 'totp' };
+    }
+
+    /**
+     * Replace the backup codes
+     * @returns {string[]} The new codes (shown once)
+     */
+    replaceBackupCodes(account) {
+        const backupCodes = this.regenerateBackupCodes();
+        account.twoFactorAuth.backupCodes = backupCodes.map(({ hashedCode }) => ({ hashedCode, used: false }));
+        return backupCodes.map(bc => bc.code);
+    }
+
+    /**
+     * Remember this device for 30 days so logins from it skip the code.
+     * Only a hash of the token is kept.
+     * @returns {Object} { token, expiresAt } for the client to keep
+     */
+    trustDevice(account, label) {
+        const { token, expiresAt } = this.generateDeviceTrustToken();
+        const now = new Date();
+        const devices = (account.twoFactorAuth.trustedDevices || [])
+            .filter(device => device.expiresAt > now)
+            .slice(-(this.maxTrustedDevices - 1));
+
+        devices.push({ token: this.hashOTP(token), label, expiresAt, createdAt: now });
+        account.twoFactorAuth.trustedDevices = devices;
+
+        return { token, expiresAt };
+    }
+
+    isTrustedDevice(account, deviceToken) {
+        if (!deviceToken || !account.twoFactorAuth?.enabled) return false;
+        return this.verifyDeviceTrust(this.hashOTP(String(deviceToken)), account.twoFactorAuth.trustedDevices);
+    }
+
+    /**
+     * Turn 2FA off and forget the secret, backup codes and trusted devices
+     */
+    disableAccount2FA(account) {
+        account.twoFactorAuth = {
+            enabled: false,
+            backupCodes: [],
+            trustedDevices: []
+        };
+    }
+
+    // ========================================
+    // Login Challenges
+    // ========================================
+
+    /**
+     * Short-lived token handed out after the password check, exchanged
+     * with a 2FA code for a session token
+     * @param {string} kind - 'user' | 'driver'
+     * @param {string} purpose - 'verify' (enter a code) | 'enroll' (set 2FA up first)
+     */
+    createChallenge(account, kind, purpose) {
+        return jwt.sign(
+            { sub: account._id.toString(), kind, purpose, typ: '2fa_challenge' },
+            JWT_SECRET,
+            { expiresIn: this.challengeExpiry }
+        );
+    }
+
+    /**
+     * @returns {string|null} The account id, if the challenge is valid for this kind and purpose
+     */
+    readChallenge(challengeToken, kind, purpose) {
+        try {
+            const payload = jwt.verify(String(challengeToken || ''), JWT_SECRET);
+            if (payload.typ !== '2fa_challenge' || payload.kind !== kind || payload.purpose !== purpose) {
+                return null;
+            }
+            return payload.sub;
+        } catch (error) {
+            return null;
+        }
+    }
 }
 
 module.exports = new TwoFactorService();
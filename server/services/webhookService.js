@@ -0,0 +1,503 @@
+// ========================================
+// Webhook Service
+// ========================================
+// Processes Stripe webhooks and Telebirr callbacks through a ledger
+// (models/WebhookEvent). Each event is claimed before it runs, so a
+// retried or replayed delivery is processed once; a failed handler is
+// retried with backoff. Payment statuses only ever move forward, so an
+// event that arrives late can't undo a newer one.
+// ========================================
+
+const Booking = require('../models/Booking');
+const WebhookEvent = require('../models/WebhookEvent');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const corporateBalanceService = require('./corporateBalanceService');
+
+const MINUTE = 60 * 1000;
+
+// Delay before each retry of a failed event; given up after the last one
+const RETRY_DELAYS = [1 * MINUTE, 5 * MINUTE, 30 * MINUTE, 2 * 60 * MINUTE];
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+// A claim older than this is treated as a crashed run
+const PROCESSING_TIMEOUT = 10 * MINUTE;
+
+const BATCH_SIZE = 50;
+
+// How far along each payment status is - webhooks never move a booking backwards
+const PAYMENT_STATUS_RANK = {
+    pending: 0,
+    processing: 1,
+    failed: 1,
+    authorized: 2,
+    cancelled: 2,
+    paid: 3,
+    partially_refunded: 4,
+    refunded: 5
+};
+
+/**
+ * Whether a payment may move from one status to another
+ */
+function canApplyPaymentStatus(from, to) {
+    return (PAYMENT_STATUS_RANK[to] ?? 0) >= (PAYMENT_STATUS_RANK[from] ?? 0);
+}
+
+function staleOutcome(booking, to) {
+    return { booking, ignored: true, outcome: `Stale: payment is ${booking.payment.status}, not moving to ${to}` };
+}
+
+/**
+ * Money arrived for a booking that was already cancelled (e.g. expired
+ * while the customer was still paying) - it has to be refunded by hand
+ */
+async function alertPaidAfterCancellation(booking, provider) {
+    await notificationService.sendAdminAlert(
+        'Payment for cancelled booking',
+        `Booking ${booking.bookingReference} was paid via ${provider} after it was cancelled. Refund the customer or reinstate the booking.`
+    );
+    return { booking, outcome: 'Paid after the booking was cancelled - refund needed' };
+}
+
+function findByPaymentIntent(paymentIntentId) {
+    return Booking.findOne({
+        $or: [
+            { 'payment.transactionId': paymentIntentId },
+            { 'payment.stripePaymentId': paymentIntentId }
+        ]
+    });
+}
+
+// ========================================
+// Stripe Handlers
+// ========================================
+// Each returns { booking, outcome, ignored } for the ledger
+
+async function handlePaymentSucceeded(paymentIntent) {
+    const bookingId = paymentIntent.metadata.bookingId;
+
+    // Trip charges taken after completion - the booking itself is already paid
+    if (paymentIntent.metadata.type === 'trip_adjustment') {
+        await Booking.updateOne(
+            { _id: bookingId, 'payment.adjustment.reference': paymentIntent.id },
+            { $set: { 'payment.adjustment.status': 'paid' } }
+        );
+        return { outcome: 'Trip charges paid' };
+    }
+
+    // Corporate account top-up or auto-recharge
+    if (paymentIntent.metadata.type === 'corporate_top_up') {
+        const transaction = await corporateBalanceService.completeTopUp(paymentIntent.id, {
+            paymentMethodId: paymentIntent.payment_method
+        });
+        return transaction
+            ? { outcome: `Account top-up of ${transaction.currency} ${transaction.amount} completed` }
+            : { ignored: true, outcome: 'Top-up already recorded' };
+    }
+
+    const booking = bookingId ? await Booking.findById(bookingId) : null;
+    if (!booking) {
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+
+    // Captures we made (trip end, cancellation fee) are already recorded on the booking
+    if (paymentIntent.capture_method === 'manual' && booking.payment.status !== 'authorized') {
+        return { booking, ignored: true, outcome: 'Capture already recorded' };
+    }
+    if (!canApplyPaymentStatus(booking.payment.status, 'paid')) {
+        return staleOutcome(booking, 'paid');
+    }
+
+    const wasAuthorized = booking.payment.status === 'authorized';
+    booking.payment.status = 'paid';
+    booking.payment.paidAt = new Date();
+    booking.payment.stripePaymentId = paymentIntent.id;
+    booking.payment.stripePaymentMethodId = paymentIntent.payment_method;
+    booking.payment.amount = paymentIntent.amount_received / 100;
+    booking.payment.currency = paymentIntent.currency.toUpperCase();
+
+    if (booking.status === 'pending') {
+        await booking.updateStatus('confirmed', 'Payment received via Stripe');
+    } else {
+        await booking.save();
+    }
+
+    if (booking.status === 'cancelled') {
+        return alertPaidAfterCancellation(booking, 'Stripe');
+    }
+
+    // Send payment confirmation email (sent at authorization for captured holds)
+    if (booking.contact?.email && !wasAuthorized) {
+        await emailService.sendPaymentConfirmation(booking, {
+            amount: paymentIntent.amount_received / 100,
+            currency: paymentIntent.currency.toUpperCase(),
+            method: 'stripe',
+            transactionId: paymentIntent.id
+        });
+    }
+
+    return { booking, outcome: 'Payment recorded as paid' };
+}
+
+async function handlePaymentAuthorized(paymentIntent) {
+    const bookingId = paymentIntent.metadata.bookingId;
+    const booking = bookingId ? await Booking.findById(bookingId) : null;
+    if (!booking) {
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+    if (!canApplyPaymentStatus(booking.payment.status, 'authorized')) {
+        return staleOutcome(booking, 'authorized');
+    }
+
+    booking.payment.status = 'authorized';
+    booking.payment.authorizedAt = new Date();
+    booking.payment.authorizedAmount = paymentIntent.amount_capturable / 100;
+    booking.payment.stripePaymentId = paymentIntent.id;
+    booking.payment.stripePaymentMethodId = paymentIntent.payment_method;
+    booking.payment.currency = paymentIntent.currency.toUpperCase();
+
+    if (booking.status === 'pending') {
+        await booking.updateStatus('confirmed', 'Card authorized via Stripe');
+    } else {
+        await booking.save();
+    }
+
+    if (booking.contact?.email) {
+        await emailService.sendPaymentConfirmation(booking, {
+            amount: booking.payment.amount,
+            currency: booking.payment.currency,
+            method: 'stripe',
+            transactionId: paymentIntent.id
+        });
+    }
+
+    return { booking, outcome: 'Card authorized' };
+}
+
+async function handlePaymentFailed(paymentIntent) {
+    const bookingId = paymentIntent.metadata.bookingId;
+    const errorMessage = paymentIntent.last_payment_error?.message || 'Unknown error';
+
+    // A failed trip charge falls back to cash - the original payment stands
+    if (paymentIntent.metadata.type === 'trip_adjustment') {
+        await Booking.updateOne(
+            { _id: bookingId, 'payment.adjustment.reference': paymentIntent.id },
+            { $set: { 'payment.adjustment.status': 'cash_due', 'payment.adjustment.failureReason': errorMessage } }
+        );
+        return { outcome: `Trip charges failed: ${errorMessage}` };
+    }
+
+    if (paymentIntent.metadata.type === 'corporate_top_up') {
+        const transaction = await corporateBalanceService.failTopUp(paymentIntent.id, errorMessage);
+        return transaction
+            ? { outcome: `Account top-up failed: ${errorMessage}` }
+            : { ignored: true, outcome: 'Top-up already recorded' };
+    }
+
+    const booking = bookingId ? await Booking.findById(bookingId) : null;
+    if (!booking) {
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+    if (!canApplyPaymentStatus(booking.payment.status, 'failed')) {
+        return staleOutcome(booking, 'failed');
+    }
+
+    booking.payment.status = 'failed';
+    booking.payment.failureReason = errorMessage;
+    await booking.save();
+
+    return { booking, outcome: `Payment failed: ${errorMessage}` };
+}
+
+async function handlePaymentCanceled(paymentIntent) {
+    const bookingId = paymentIntent.metadata.bookingId;
+    const booking = bookingId ? await Booking.findById(bookingId) : null;
+    if (!booking) {
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+    // Released holds are recorded as refunds when we release them
+    if (!canApplyPaymentStatus(booking.payment.status, 'cancelled')) {
+        return staleOutcome(booking, 'cancelled');
+    }
+
+    const holdExpired = booking.payment.status === 'authorized';
+    booking.payment.status = 'cancelled';
+    await booking.save();
+
+    // Stripe drops authorizations after 7 days
+    if (holdExpired && paymentIntent.cancellation_reason === 'automatic') {
+        await notificationService.sendAdminAlert(
+            'Card authorization expired',
+            `The card hold for booking ${booking.bookingReference} expired before it was captured. Collect the fare from the customer.`
+        );
+    }
+
+    return { booking, outcome: 'Payment cancelled' };
+}
+
+async function handleChargeRefunded(charge) {
+    const booking = await findByPaymentIntent(charge.payment_intent);
+
+    // Part of a hold that was never captured shows as refunded too - it isn't a refund
+    const refunded = (charge.amount_refunded - (charge.amount - charge.amount_captured)) / 100;
+
+    if (!booking) {
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+    if (refunded <= 0) {
+        return { booking, ignored: true, outcome: 'Uncaptured hold released' };
+    }
+
+    const status = charge.refunded || refunded >= charge.amount_captured / 100 ? 'refunded' : 'partially_refunded';
+    if (!canApplyPaymentStatus(booking.payment.status, status)) {
+        return staleOutcome(booking, status);
+    }
+
+    booking.payment.status = status;
+    booking.payment.refundedAmount = Math.max(refunded, booking.payment.refundedAmount || 0);
+    booking.set({
+        'payment.refund.currency': charge.currency.toUpperCase(),
+        'payment.refund.provider': 'stripe',
+        'payment.refund.status': 'succeeded'
+    });
+    if (!booking.payment.refund.amount) {
+        // Refunded from the Stripe dashboard
+        booking.set({
+            'payment.refund.amount': refunded,
+            'payment.refund.tier': 'manual',
+            'payment.refund.requestedAt': new Date()
+        });
+    }
+    await booking.save();
+
+    return { booking, outcome: `Refunded ${charge.currency.toUpperCase()} ${refunded} (${status})` };
+}
+
+async function handleDispute(dispute, event) {
+    const booking = await findByPaymentIntent(dispute.payment_intent);
+    if (!booking) {
+        console.warn(`[DISPUTE] Charge ${dispute.charge} disputed but no booking found. Amount: ${dispute.amount / 100}`);
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+
+    // Dispute updates can arrive out of order - a closed dispute stays closed
+    if (booking.payment.dispute?.closedAt && event.type !== 'charge.dispute.closed') {
+        return { booking, ignored: true, outcome: `Stale: dispute already ${booking.payment.dispute.status}` };
+    }
+
+    // Shown on the admin dashboard until it is closed
+    booking.payment.dispute = {
+        id: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: dispute.amount / 100,
+        currency: dispute.currency.toUpperCase(),
+        openedAt: new Date(dispute.created * 1000),
+        evidenceDueBy: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000) : undefined,
+        closedAt: event.type === 'charge.dispute.closed' ? new Date() : undefined
+    };
+    await booking.save();
+
+    if (event.type === 'charge.dispute.created') {
+        await auditService.logDispute(booking, dispute);
+        await notificationService.sendAdminAlert(
+            'Payment disputed',
+            `The card payment for booking ${booking.bookingReference} was disputed (${dispute.reason}, ${dispute.currency.toUpperCase()} ${dispute.amount / 100}). Respond in the Stripe dashboard before ${booking.payment.dispute.evidenceDueBy?.toDateString() || 'the deadline'}.`
+        );
+    }
+
+    return { booking, outcome: `Dispute ${dispute.status}` };
+}
+
+const STRIPE_HANDLERS = {
+    'payment_intent.succeeded': handlePaymentSucceeded,
+    'payment_intent.amount_capturable_updated': handlePaymentAuthorized,
+    'payment_intent.payment_failed': handlePaymentFailed,
+    'payment_intent.canceled': handlePaymentCanceled,
+    'charge.refunded': handleChargeRefunded,
+    'charge.dispute.created': handleDispute,
+    'charge.dispute.updated': handleDispute,
+    'charge.dispute.closed': handleDispute
+};
+
+function handleStripeEvent(event) {
+    const handler = STRIPE_HANDLERS[event.type];
+    if (!handler) {
+        return { ignored: true, outcome: `Unhandled event type: ${event.type}` };
+    }
+    return handler(event.data.object, event);
+}
+
+// ========================================
+// Telebirr Handler
+// ========================================
+
+/**
+ * Apply a verified Telebirr callback (the result of telebirrService.processCallback)
+ */
+async function handleTelebirrCallback(callback) {
+    const booking = await Booking.findOne({ 'payment.transactionId': callback.outTradeNo });
+    if (!booking) {
+        // Corporate account top-ups aren't tied to a booking
+        const topUp = await corporateBalanceService.handleTelebirrCallback(callback);
+        if (topUp) {
+            return { outcome: topUp.outcome };
+        }
+        return { ignored: true, outcome: 'Booking not found' };
+    }
+
+    const status = callback.status;
+    if (!['paid', 'failed', 'cancelled'].includes(status)) {
+        return { booking, ignored: true, outcome: `No change for status ${status}` };
+    }
+    if (!canApplyPaymentStatus(booking.payment.status, status)) {
+        return staleOutcome(booking, status);
+    }
+
+    booking.payment.status = status;
+
+    if (status === 'paid') {
+        booking.payment.paidAt = callback.paidAt ? new Date(callback.paidAt) : new Date();
+        // Store Telebirr's transaction ID if different
+        if (callback.tradeNo) {
+            booking.payment.telebirrTradeNo = callback.tradeNo;
+        }
+        // Update booking status to confirmed
+        if (booking.status === 'pending') {
+            await booking.updateStatus('confirmed', 'Payment received via Telebirr');
+            return { booking, outcome: 'Payment recorded as paid, booking confirmed' };
+        }
+    }
+
+    await booking.save();
+
+    if (status === 'paid' && booking.status === 'cancelled') {
+        return alertPaidAfterCancellation(booking, 'Telebirr');
+    }
+
+    return { booking, outcome: `Payment recorded as ${status}` };
+}
+
+const HANDLERS = {
+    stripe: handleStripeEvent,
+    telebirr: handleTelebirrCallback
+};
+
+// ========================================
+// Ledger
+// ========================================
+
+/**
+ * Run the handler for an event the caller has claimed, and record the outcome
+ */
+async function runHandler(event) {
+    try {
+        const result = await HANDLERS[event.provider](event.payload) || {};
+
+        event.status = result.ignored ? 'ignored' : 'processed';
+        event.outcome = result.outcome;
+        event.lastError = undefined;
+        event.nextRetryAt = undefined;
+        event.processedAt = new Date();
+        if (result.booking) {
+            event.bookingId = result.booking._id;
+            event.bookingReference = result.booking.bookingReference;
+        }
+    } catch (error) {
+        console.error(`[Webhooks] ${event.provider} ${event.type} (${event.eventId}) failed on attempt ${event.attempts}:`, error.message);
+
+        event.status = 'failed';
+        event.lastError = error.message;
+        event.nextRetryAt = event.attempts < MAX_ATTEMPTS
+            ? new Date(Date.now() + RETRY_DELAYS[event.attempts - 1])
+            : undefined;
+
+        if (!event.nextRetryAt) {
+            await notificationService.sendAdminAlert(
+                'Webhook processing failed',
+                `${event.provider} event ${event.type} (${event.eventId}) failed ${event.attempts} times: ${error.message}. Retry it from the admin webhook list.`
+            );
+        }
+    }
+
+    await event.save();
+    return event;
+}
+
+/**
+ * Claim an event for processing - fails if it is already done or another
+ * delivery is processing it right now
+ */
+function claim(filter) {
+    return WebhookEvent.findOneAndUpdate(
+        { ...filter, status: { $in: ['received', 'failed'] } },
+        { $set: { status: 'processing', processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+}
+
+/**
+ * Record a webhook delivery and process it unless it has been seen before
+ * @param {string} provider - 'stripe' or 'telebirr'
+ * @param {Object} options - { eventId, type, payload }
+ * @returns {Object} { event, duplicate } - event.status is 'failed' if the handler threw
+ */
+async function receive(provider, { eventId, type, payload }) {
+    try {
+        await WebhookEvent.create({ provider, eventId, type, payload });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        await WebhookEvent.updateOne({ provider, eventId }, { $inc: { deliveries: 1 } });
+    }
+
+    const event = await claim({ provider, eventId });
+    if (!event) {
+        return { event: await WebhookEvent.findOne({ provider, eventId }), duplicate: true };
+    }
+
+    return { event: await runHandler(event), duplicate: false };
+}
+
+/**
+ * Reprocess a failed event now (admin retry)
+ * @returns {Object|null} The event, or null if it isn't waiting for a retry
+ */
+async function retry(id) {
+    const event = await claim({ _id: id, status: 'failed' });
+    return event ? runHandler(event) : null;
+}
+
+/**
+ * Retry failed events that are due, and release claims left by crashed runs
+ */
+async function retryFailed() {
+    const released = await WebhookEvent.updateMany(
+        { status: 'processing', processingStartedAt: { $lte: new Date(Date.now() - PROCESSING_TIMEOUT) } },
+        { $set: { status: 'failed', lastError: 'Processing timed out', nextRetryAt: new Date() } }
+    );
+
+    const due = await WebhookEvent.find({
+        status: 'failed',
+        nextRetryAt: { $lte: new Date() }
+    }).select('_id').limit(BATCH_SIZE);
+
+    const result = { released: released.modifiedCount, retried: 0, failed: 0 };
+
+    for (const { _id } of due) {
+        const event = await retry(_id);
+        if (!event) continue;
+        result[event.status === 'failed' ? 'failed' : 'retried']++;
+    }
+
+    return result;
+}
+
+module.exports = {
+    PAYMENT_STATUS_RANK,
+    canApplyPaymentStatus,
+    receive,
+    retry,
+    retryFailed
+};
@@ -0,0 +1,380 @@
+// ========================================
+// Zone Service
+// ========================================
+// Finds the pricing zone for an address. Coordinates are matched by
+// point-in-polygon against the zones stored in Mongo; addresses
+// without coordinates fall back to name matching, then geocoding.
+// The built-in zones are used until the database has its own.
+// ========================================
+
+const axios = require('axios');
+const NodeCache = require('node-cache');
+const Zone = require('../models/Zone');
+const { isConnected } = require('../config/database');
+
+// Zones change rarely - admin edits clear the cache straight away
+const zoneCache = new NodeCache({ stdTTL: 300 });
+// Geocoded addresses (free-text destinations repeat a lot)
+const geocodeCache = new NodeCache({ stdTTL: 24 * 3600 });
+
+// Bole International Airport
+const AIRPORT_COORDINATES = { lat: 8.9779, lng: 38.7993 };
+const AIRPORT_RADIUS_KM = 2;
+const AIRPORT_NAME_PATTERN = /\bairport\b|\bADD\b/i;
+
+/**
+ * Rectangle as a GeoJSON polygon ring ([lng, lat], closed)
+ */
+function box(south, west, north, east) {
+    return [[[west, south], [east, south], [east, north], [west, north], [west, south]]];
+}
+
+// ========================================
+// Built-in Zones (based on shuttle-plus-fares.md)
+// ========================================
+// Areas are rough outlines of each district - refine them from the admin API
+const DEFAULT_ZONES = [
+    {
+        number: 1,
+        name: 'Bole District',
+        description: 'Hotels and destinations near the airport',
+        baseFareUSD: 20,
+        area: { type: 'Polygon', coordinates: box(8.965, 38.765, 9.005, 38.815) },
+        locations: [
+            'Ethiopian Skylight Hotel',
+            'Golden Tulip Hotel',
+            'Capital Hotel & Spa',
+            'Bole District',
+            'Bole Rwanda',
+            'Bole Medhanialem'
+        ]
+    },
+    {
+        number: 2,
+        name: 'Kazanchis / Business',
+        description: 'Kazanchis business district and nearby areas',
+        baseFareUSD: 25,
+        area: { type: 'Polygon', coordinates: box(9.005, 38.755, 9.025, 38.795) },
+        locations: [
+            'Kazanchis',
+            'African Union HQ',
+            'UN ECA',
+            'Friendship Park',
+            'Atlas Area'
+        ]
+    },
+    {
+        number: 3,
+        name: 'City Center',
+        description: 'Central Addis Ababa and Piazza area',
+        baseFareUSD: 30,
+        area: {
+            type: 'Polygon',
+            coordinates: [[
+                [38.735, 9.000], [38.755, 9.000], [38.755, 9.025], [38.795, 9.025],
+                [38.795, 9.060], [38.735, 9.060], [38.735, 9.000]
+            ]]
+        },
+        locations: [
+            'City Center',
+            'Piazza',
+            'Sheraton Addis',
+            'Radisson Blu',
+            'Hyatt Regency',
+            'Best Western Plus',
+            'Meskel Square',
+            '4 Kilo',
+            '6 Kilo'
+        ]
+    },
+    {
+        number: 4,
+        name: 'Merkato / West',
+        description: 'Merkato market and western areas',
+        baseFareUSD: 38,
+        area: { type: 'Polygon', coordinates: box(8.990, 38.690, 9.060, 38.735) },
+        locations: [
+            'Merkato',
+            'Merkato Market',
+            'Lideta',
+            'Mexico',
+            'Autobus Tera'
+        ]
+    },
+    {
+        number: 5,
+        name: 'Entoto / Outskirts',
+        description: 'Entoto hills and outer areas',
+        baseFareUSD: 45,
+        area: {
+            type: 'MultiPolygon',
+            coordinates: [
+                box(9.060, 38.690, 9.110, 38.830), // Entoto, Shiro Meda, Gullele
+                box(8.990, 38.815, 9.060, 38.880) // CMC, Summit
+            ]
+        },
+        locations: [
+            'Entoto',
+            'Entoto Hill',
+            'Shiro Meda',
+            'Gullele',
+            'CMC',
+            'Summit'
+        ]
+    }
+];
+
+// ========================================
+// Zone Data
+// ========================================
+
+/**
+ * Active zones, lowest number first (stored zones, or the built-in ones)
+ */
+async function getZones() {
+    const cached = zoneCache.get('zones');
+    if (cached) return cached;
+
+    let zones = DEFAULT_ZONES;
+
+    if (isConnected()) {
+        try {
+            const stored = await Zone.find({ active: true }).sort({ number: 1 }).lean();
+            if (stored.length) zones = stored;
+        } catch (error) {
+            console.error('[Zones] Failed to load zones, using built-in zones:', error.message);
+        }
+    }
+
+    zoneCache.set('zones', zones);
+    return zones;
+}
+
+/**
+ * Drop cached zones after an admin edit
+ */
+function invalidateCache() {
+    zoneCache.del('zones');
+}
+
+/**
+ * Store the built-in zones on first start so admins have something to edit
+ */
+async function seedDefaultZones() {
+    if (await Zone.estimatedDocumentCount() > 0) return 0;
+
+    await Zone.insertMany(DEFAULT_ZONES);
+    invalidateCache();
+    console.log(`[Zones] Seeded ${DEFAULT_ZONES.length} default zones`);
+    return DEFAULT_ZONES.length;
+}
+
+// ========================================
+// Geometry
+// ========================================
+
+/**
+ * Ray casting test for one ring of [lng, lat] positions
+ */
+function pointInRing([x, y], ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Inside the outer ring and not inside any hole
+ */
+function pointInPolygon(point, rings) {
+    return pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+function pointInArea(point, area) {
+    if (!area?.coordinates) return false;
+
+    if (area.type === 'MultiPolygon') {
+        return area.coordinates.some(polygon => pointInPolygon(point, polygon));
+    }
+    return pointInPolygon(point, area.coordinates);
+}
+
+/**
+ * Check a GeoJSON area before it is saved
+ * @returns {string|null} Error message, or null if the area is valid
+ */
+function validateArea(area) {
+    if (!area || !['Polygon', 'MultiPolygon'].includes(area.type) || !Array.isArray(area.coordinates)) {
+        return 'Area must be a GeoJSON Polygon or MultiPolygon';
+    }
+
+    const polygons = area.type === 'MultiPolygon' ? area.coordinates : [area.coordinates];
+
+    for (const rings of polygons) {
+        if (!Array.isArray(rings) || !rings.length) {
+            return 'Each polygon needs at least one ring';
+        }
+
+        for (const ring of rings) {
+            if (!Array.isArray(ring) || ring.length < 4) {
+                return 'Each ring needs at least 4 positions';
+            }
+
+            const validPositions = ring.every(position =>
+                Array.isArray(position) &&
+                Math.abs(position[0]) <= 180 &&
+                Math.abs(position[1]) <= 90
+            );
+            if (!validPositions) {
+                return 'Positions must be [lng, lat] pairs';
+            }
+
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                return 'Rings must be closed (first and last positions equal)';
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Straight-line distance between two { lat, lng } points in km
+ */
+function distanceKm(a, b) {
+    const R = 6371;
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function hasCoordinates(coordinates) {
+    return typeof coordinates?.lat === 'number' && typeof coordinates?.lng === 'number' &&
+        Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lng);
+}
+
+// ========================================
+// Lookup
+// ========================================
+
+/**
+ * Whether an address is the airport end of a transfer
+ */
+function isAirport({ location, coordinates }) {
+    if (hasCoordinates(coordinates)) {
+        return distanceKm(coordinates, AIRPORT_COORDINATES) <= AIRPORT_RADIUS_KM;
+    }
+    return AIRPORT_NAME_PATTERN.test(location || '');
+}
+
+async function findZoneByNumber(number) {
+    const zones = await getZones();
+    return zones.find(zone => zone.number === Number(number)) || null;
+}
+
+async function findZoneByPoint({ lat, lng }) {
+    const zones = await getZones();
+    return zones.find(zone => pointInArea([Number(lng), Number(lat)], zone.area)) || null;
+}
+
+async function findZoneByName(location) {
+    if (!location) return null;
+
+    const normalizedLocation = location.toLowerCase();
+    const zones = await getZones();
+
+    return zones.find(zone => (zone.locations || []).some(loc =>
+        normalizedLocation.includes(loc.toLowerCase())
+    )) || null;
+}
+
+/**
+ * Forward-geocode an address in Addis Ababa with Mapbox
+ * @returns {Object|null} { lat, lng } or null if not found / not configured
+ */
+async function geocode(address) {
+    const token = process.env.MAPBOX_ACCESS_TOKEN;
+    if (!address || !token || token === 'your-mapbox-token') return null;
+
+    const key = address.trim().toLowerCase();
+    const cached = geocodeCache.get(key);
+    if (cached !== undefined) return cached;
+
+    try {
+        const response = await axios.get(
+            `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json`,
+            {
+                params: {
+                    access_token: token,
+                    country: 'et',
+                    proximity: `${AIRPORT_COORDINATES.lng},${AIRPORT_COORDINATES.lat}`,
+                    limit: 1
+                },
+                timeout: 5000
+            }
+        );
+
+        const [lng, lat] = response.data?.features?.[0]?.center || [];
+        const result = lat !== undefined ? { lat, lng } : null;
+        geocodeCache.set(key, result);
+        return result;
+    } catch (error) {
+        console.error(`[Zones] Geocoding failed for "${address}":`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Find the zone for an address
+ * @param {Object} options - { location, coordinates: { lat, lng } }
+ * @returns {Object} { zone, coordinates, matchedBy } - zone is null when the
+ *   address is outside every zone; matchedBy is 'coordinates', 'name',
+ *   'geocoded' or null when the address couldn't be placed at all
+ */
+async function resolveZone({ location, coordinates }) {
+    if (hasCoordinates(coordinates)) {
+        return { zone: await findZoneByPoint(coordinates), coordinates, matchedBy: 'coordinates' };
+    }
+
+    const byName = await findZoneByName(location);
+    if (byName) {
+        return { zone: byName, coordinates: null, matchedBy: 'name' };
+    }
+
+    const geocoded = await geocode(location);
+    if (geocoded) {
+        return { zone: await findZoneByPoint(geocoded), coordinates: geocoded, matchedBy: 'geocoded' };
+    }
+
+    return { zone: null, coordinates: null, matchedBy: null };
+}
+
+module.exports = {
+    AIRPORT_COORDINATES,
+    DEFAULT_ZONES,
+    getZones,
+    invalidateCache,
+    seedDefaultZones,
+    resolveZone,
+    isAirport,
+    findZoneByNumber,
+    findZoneByPoint,
+    findZoneByName,
+    pointInArea,
+    validateArea,
+    distanceKm,
+    hasCoordinates
+};